@@ -187,8 +187,20 @@ public class HealthKitPlugin: CAPPlugin {
         let period = call.getString("period") ?? "day"
         let forceRefresh = call.getBool("forceRefresh") ?? false
         
+        // An explicit range (incremental syncs pass the end of the newest
+        // sample they have) narrows the period and is never cached
+        let isoFormatter = ISO8601DateFormatter()
+        isoFormatter.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
+        let parseDate: (String?) -> Date? = { value in
+            guard let value = value else { return nil }
+            return isoFormatter.date(from: value) ?? ISO8601DateFormatter().date(from: value)
+        }
+        let rangeStart = parseDate(call.getString("startDate"))
+        let rangeEnd = parseDate(call.getString("endDate"))
+        let useCache = rangeStart == nil && rangeEnd == nil
+        
         // Check cache if force refresh isn't requested
-        if !forceRefresh {
+        if !forceRefresh && useCache {
             let cacheKey = "\(dataType)_\(period)" as NSString
             if let cachedResults = cache.object(forKey: cacheKey) as? [[String: Any]],
                let lastQueryTime = lastQueryTimes[dataType],
@@ -329,7 +341,12 @@ public class HealthKitPlugin: CAPPlugin {
             startDate = Calendar.current.date(byAdding: .day, value: -1, to: now)!
         }
         
-        let predicate = HKQuery.predicateForSamples(withStart: startDate, end: now, options: .strictStartDate)
+        if let rangeStart = rangeStart {
+            startDate = rangeStart
+        }
+        let endDate = rangeEnd ?? now
+        
+        let predicate = HKQuery.predicateForSamples(withStart: startDate, end: endDate, options: .strictStartDate)
         let sortDescriptor = NSSortDescriptor(key: HKSampleSortIdentifierEndDate, ascending: false)
         
         // Define the query with validation
@@ -488,9 +505,11 @@ public class HealthKitPlugin: CAPPlugin {
                 ])
             }
             
-            // Cache the results
-            self.cache.setObject(results as NSArray, forKey: "\(dataType)_\(period)" as NSString)
-            self.lastQueryTimes[dataType] = Date()
+            // Cache the results of whole periods
+            if useCache {
+                self.cache.setObject(results as NSArray, forKey: "\(dataType)_\(period)" as NSString)
+                self.lastQueryTimes[dataType] = Date()
+            }
             
             call.resolve(["data": results])
         }
@@ -2,6 +2,17 @@
 import React, { useEffect, useState } from "react";
 import { fetchHealthData } from "./services/healthService"; // Assumes this fetches all needed health data
 import { fetchNutritionData } from "./services/nutritionService"; // Assumes this fetches all needed nutrition data
+import {
+  connectConnector,
+  disconnectConnector,
+  getConnectedApps,
+  getConnectors,
+  resumeSyncing,
+  startSyncing,
+  stopSyncing,
+  subscribeToConnectors,
+  syncConnector,
+} from "./services/connectorService";
 import {
   getHabitData,
   recordCheckIn,
@@ -56,14 +67,8 @@ function App() {
     },
   };
 
-  // Connected apps status
-  const [connectedApps, setConnectedApps] = useState({
-    appleHealth: true,
-    myFitnessPal: true,
-    strava: true,
-    whoop: false,
-    garmin: false,
-  });
+  // Connected apps status, kept by the connector service
+  const [connectedApps, setConnectedApps] = useState(() => getConnectedApps());
 
   // --- Function to refresh all data ---
   const refreshAllData = async () => {
@@ -151,16 +156,32 @@ function App() {
     }
   };
 
-  // Toggle app connection status
-  const toggleAppConnection = (app) => {
-    setConnectedApps((prev) => ({
-      ...prev,
-      [app]: !prev[app],
-    }));
-    // Potentially trigger a data sync/refresh here if needed when toggling
-    // refreshAllData(); // Uncomment if you want to refresh data on toggle
+  // Connecting an app starts syncing it; disconnecting stops the syncs
+  const toggleAppConnection = async (app, credentials) => {
+    if (connectedApps[app]) {
+      disconnectConnector(app);
+      return;
+    }
+    await connectConnector(app, credentials);
+    startSyncing(app);
   };
 
+  const syncApp = (app) => syncConnector(app).catch(() => null);
+
+  // Follow connection changes and refresh the data after every sync
+  useEffect(() => {
+    const unsubscribe = subscribeToConnectors((app, change) => {
+      setConnectedApps(getConnectedApps());
+      if (change === "synced") refreshAllData();
+    });
+    resumeSyncing();
+    return () => {
+      unsubscribe();
+      getConnectors().forEach(({ id }) => stopSyncing(id));
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   // Handle daily check-in
   const handleCheckIn = () => {
     try {
@@ -202,6 +223,7 @@ function App() {
               isDataFetching={isDataFetching}
               onCheckIn={handleCheckIn}
               onToggleConnection={toggleAppConnection}
+              onSyncApp={syncApp}
               onRefreshData={refreshAllData}
               onSyncNutrition={syncNutritionData}
             />
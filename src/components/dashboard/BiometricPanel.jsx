@@ -1,8 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import AnimatedBiometricModel from '../3d/AnimatedBiometricModel';
+import { useUnitSystem } from '../../hooks/useUnitSystem';
+import { formatMeasurement } from '../../services/unitService';
 
 export default function BiometricPanel({ userData, healthData }) {
   const [currentAnimation, setCurrentAnimation] = useState('idle');
+  const [unitSystem] = useUnitSystem();
   const [animationInterval, setAnimationInterval] = useState(null);
   
   // Animation sequence that cycles through available animations - DISABLED
@@ -73,9 +76,9 @@ export default function BiometricPanel({ userData, healthData }) {
           <div className="bg-gray-950 border border-cyan-900 p-4 rounded">
             <p className="text-xs text-cyan-600 font-mono mb-1">WEIGHT STATUS</p>
             <div className="flex items-center justify-between">
-              <p className="text-xl font-bold text-cyan-300 font-mono">{healthData?.weight?.current || '78.3'} kg</p>
+              <p className="text-xl font-bold text-cyan-300 font-mono">{formatMeasurement('weight', healthData?.weight?.current || 78.3, { system: unitSystem })}</p>
               <div className="text-xs text-green-500 font-mono flex items-center">
-                <span className="mr-1">-0.4kg</span>
+                <span className="mr-1">-{formatMeasurement('weight', 0.4, { system: unitSystem })}</span>
               </div>
             </div>
             <p className="text-xs text-cyan-600 font-mono mt-1">
@@ -1,56 +1,63 @@
 import React, { useState, useEffect } from 'react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { ArrowUp, ArrowDown, Plus, User, Save, X } from 'lucide-react';
-import { saveToStorage, getFromStorage } from '../../utils/storageUtils';
+import { useUnitSystem } from '../../hooks/useUnitSystem';
+import { formatMeasurement } from '../../services/unitService';
+import {
+  DEFAULT_BODY_METRICS,
+  addBodyMeasurement,
+  getBodyCompositionHistory,
+  getBodyMetricsAt,
+  toModelMetrics
+} from '../../services/bodyCompositionService';
 
-const STORAGE_KEY = 'body-composition-history';
+// Latest value cards; scale-only metrics are shown once measured
+const SUMMARY_METRICS = [
+  { key: 'bodyFat', label: 'BODY FAT', suffix: '%' },
+  { key: 'muscleMass', label: 'MUSCLE MASS', suffix: '%' },
+  { key: 'weight', label: 'WEIGHT', measurement: 'weight' },
+  { key: 'boneMass', label: 'BONE MASS', measurement: 'weight', optional: true },
+  { key: 'water', label: 'BODY WATER', suffix: '%', optional: true },
+  { key: 'visceralFat', label: 'VISCERAL FAT', suffix: '', optional: true }
+];
+
+// Lower is better for these, higher for the rest
+const LOWER_IS_BETTER = ['weight', 'bodyFat', 'visceralFat'];
 
 /**
  * Component to track body composition metrics over time
  * Integrates with the 3D model visualization
  */
 export default function BodyCompositionPanel({ onUpdateUserData }) {
-  const [metrics, setMetrics] = useState({
-    weight: 78,
-    bodyFat: 20,
-    muscleMass: 50,
-    height: 175,
-    shoulderWidth: 50,
-    waistSize: 34
-  });
+  const [metrics, setMetrics] = useState({ ...DEFAULT_BODY_METRICS });
   
   const [history, setHistory] = useState([]);
+  const [unitSystem] = useUnitSystem();
   const [isAddingMeasurement, setIsAddingMeasurement] = useState(false);
   const [successMessage, setSuccessMessage] = useState('');
   const [selectedMetric, setSelectedMetric] = useState('bodyFat');
   
   // Load history from storage
   useEffect(() => {
-    const savedHistory = getFromStorage(STORAGE_KEY, []);
-    if (savedHistory && savedHistory.length > 0) {
+    const savedHistory = getBodyCompositionHistory();
+    if (savedHistory.length > 0) {
       setHistory(savedHistory);
       
-      // Initialize form with latest values
-      const latestEntry = savedHistory[savedHistory.length - 1];
-      setMetrics({
-        weight: latestEntry.weight || 78,
-        bodyFat: latestEntry.bodyFat || 20,
-        muscleMass: latestEntry.muscleMass || 50,
-        height: latestEntry.height || 175,
-        shoulderWidth: latestEntry.shoulderWidth || 50,
-        waistSize: latestEntry.waistSize || 34
-      });
+      // Initialize form with the latest value of each metric, which may
+      // come from different entries when a scale was imported
+      setMetrics(toModelMetrics(getBodyMetricsAt(savedHistory)));
     }
   }, []);
   
-  // Calculate progress since last measurement
+  const latestMetrics = getBodyMetricsAt(history);
+  
+  // Calculate progress since the previous measurement of a metric
   const calculateProgress = (metric) => {
-    if (history.length < 2) return null;
-    
-    const latest = history[history.length - 1][metric];
-    const previous = history[history.length - 2][metric];
+    const measured = history.filter(entry => typeof entry[metric] === 'number');
+    if (measured.length < 2) return null;
     
-    if (latest === undefined || previous === undefined) return null;
+    const latest = measured[measured.length - 1][metric];
+    const previous = measured[measured.length - 2][metric];
     
     return {
       value: latest - previous,
@@ -69,14 +76,8 @@ export default function BodyCompositionPanel({ onUpdateUserData }) {
   
   // Save new measurement
   const handleSave = () => {
-    const newEntry = {
-      ...metrics,
-      date: new Date().toISOString()
-    };
-    
-    const updatedHistory = [...history, newEntry];
-    setHistory(updatedHistory);
-    saveToStorage(STORAGE_KEY, updatedHistory);
+    const newEntry = addBodyMeasurement(metrics);
+    setHistory(prev => [...prev, newEntry]);
     
     setIsAddingMeasurement(false);
     setSuccessMessage('New measurements saved successfully!');
@@ -89,7 +90,7 @@ export default function BodyCompositionPanel({ onUpdateUserData }) {
     // Update parent component with new data for 3D model
     if (onUpdateUserData) {
       onUpdateUserData({
-        bodyMetrics: newEntry
+        bodyMetrics: toModelMetrics(newEntry)
       });
     }
   };
@@ -101,13 +102,13 @@ export default function BodyCompositionPanel({ onUpdateUserData }) {
   };
   
   // Get visual indicator for progress
-  const getProgressIndicator = (progress) => {
+  const getProgressIndicator = (metric, progress) => {
     if (!progress) return null;
     
-    // For weight and body fat, negative is good; for muscle mass, positive is good
-    const isPositive = 
-      (selectedMetric === 'muscleMass' && progress.value > 0) ||
-      ((selectedMetric === 'weight' || selectedMetric === 'bodyFat') && progress.value < 0);
+    // For weight, body fat and visceral fat, negative is good; for the rest, positive is good
+    const isPositive = LOWER_IS_BETTER.includes(metric)
+      ? progress.value < 0
+      : progress.value > 0;
     
     const color = isPositive ? 'text-green-500' : 'text-red-500';
     const Icon = isPositive ? ArrowUp : ArrowDown;
@@ -250,31 +251,31 @@ export default function BodyCompositionPanel({ onUpdateUserData }) {
         
         {/* Display latest measurements and progress */}
         {history.length > 0 && (
-          <div className="grid grid-cols-3 gap-4 mb-6">
-            <div className="bg-gray-950 border border-cyan-900 p-3 rounded">
-              <div className="text-xs text-cyan-600 font-mono mb-1">BODY FAT</div>
-              <div className="flex justify-between items-center">
-                <div className="text-xl font-bold text-cyan-300 font-mono">{history[history.length - 1].bodyFat.toFixed(1)}%</div>
-                {getProgressIndicator(calculateProgress('bodyFat'))}
-              </div>
+          <>
+            <div className="grid grid-cols-3 gap-4 mb-2">
+              {SUMMARY_METRICS
+                .filter(({ key, optional }) => !optional || latestMetrics[key] !== undefined)
+                .map(({ key, label, suffix, measurement }) => (
+                  <div key={key} className="bg-gray-950 border border-cyan-900 p-3 rounded">
+                    <div className="text-xs text-cyan-600 font-mono mb-1">{label}</div>
+                    <div className="flex justify-between items-center">
+                      <div className="text-xl font-bold text-cyan-300 font-mono">
+                        {latestMetrics[key] === undefined
+                          ? '--'
+                          : measurement
+                            ? formatMeasurement(measurement, latestMetrics[key], { system: unitSystem })
+                            : `${latestMetrics[key].toFixed(1)}${suffix}`
+                        }
+                      </div>
+                      {getProgressIndicator(key, calculateProgress(key))}
+                    </div>
+                  </div>
+                ))}
             </div>
-            
-            <div className="bg-gray-950 border border-cyan-900 p-3 rounded">
-              <div className="text-xs text-cyan-600 font-mono mb-1">MUSCLE MASS</div>
-              <div className="flex justify-between items-center">
-                <div className="text-xl font-bold text-cyan-300 font-mono">{history[history.length - 1].muscleMass.toFixed(1)}%</div>
-                {getProgressIndicator(calculateProgress('muscleMass'))}
-              </div>
-            </div>
-            
-            <div className="bg-gray-950 border border-cyan-900 p-3 rounded">
-              <div className="text-xs text-cyan-600 font-mono mb-1">WEIGHT</div>
-              <div className="flex justify-between items-center">
-                <div className="text-xl font-bold text-cyan-300 font-mono">{history[history.length - 1].weight.toFixed(1)} kg</div>
-                {getProgressIndicator(calculateProgress('weight'))}
-              </div>
+            <div className="text-xs text-cyan-700 font-mono mb-6">
+              LAST MEASURED {formatDate(latestMetrics.date)} · {latestMetrics.source.toUpperCase()}
             </div>
-          </div>
+          </>
         )}
         
         {/* Chart section */}
@@ -289,6 +290,9 @@ export default function BodyCompositionPanel({ onUpdateUserData }) {
               <option value="bodyFat">Body Fat %</option>
               <option value="muscleMass">Muscle Mass %</option>
               <option value="weight">Weight (kg)</option>
+              <option value="boneMass">Bone Mass (kg)</option>
+              <option value="water">Body Water %</option>
+              <option value="visceralFat">Visceral Fat</option>
               <option value="shoulderWidth">Shoulder Width</option>
               <option value="waistSize">Waist Size (in)</option>
             </select>
@@ -327,6 +331,7 @@ export default function BodyCompositionPanel({ onUpdateUserData }) {
                     dataKey={selectedMetric} 
                     stroke="#06b6d4" 
                     strokeWidth={2}
+                    connectNulls
                     dot={{ fill: '#06b6d4', r: 4 }}
                     activeDot={{ fill: '#22d3ee', r: 6, stroke: '#0891b2', strokeWidth: 2 }}
                   />
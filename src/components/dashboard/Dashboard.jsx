@@ -10,6 +10,7 @@ import Header from "./Header";
 import HealthDataDashboard from "./HealthDataDashboard";
 import IntegrationModal from "./IntegrationModal";
 import NutritionPanel from "./NutritionPanel";
+import { getCheckInDay } from "../../utils/storageUtils";
 
 export default function Dashboard({ 
   userData: propsUserData,
@@ -21,6 +22,7 @@ export default function Dashboard({
   isDataFetching: propsIsDataFetching,
   onCheckIn,
   onToggleConnection,
+  onSyncApp,
   onRefreshData,
   onSyncNutrition
 }) {
@@ -65,7 +67,7 @@ export default function Dashboard({
 
   const habitData = propsHabitData || {
     checkInsData: {
-      lastCheckIn: new Date().toISOString().split("T")[0],
+      lastCheckIn: getCheckInDay(),
     },
     streakData: {
       currentStreak: 5,
@@ -77,11 +79,7 @@ export default function Dashboard({
     { id: 2, title: "Improve Sleep Quality", progress: 80 },
   ];
 
-  const connectedApps = propsConnectedApps || {
-    appleHealth: false,
-    myFitnessPal: false,
-    strava: false,
-  };
+  const connectedApps = propsConnectedApps || {};
 
   const isDataFetching = propsIsDataFetching || false;
 
@@ -280,11 +278,11 @@ export default function Dashboard({
                           className="text-xs text-cyan-600 font-mono hover:text-cyan-400"
                           disabled={
                             habitData.checkInsData?.lastCheckIn ===
-                            new Date().toISOString().split("T")[0]
+                            getCheckInDay()
                           }
                         >
                           {habitData.checkInsData?.lastCheckIn ===
-                          new Date().toISOString().split("T")[0]
+                          getCheckInDay()
                             ? "CHECKED IN"
                             : "CHECK IN"}
                         </button>
@@ -412,6 +410,7 @@ export default function Dashboard({
             onClose={() => setShowIntegrationModal(false)}
             connectedApps={connectedApps}
             onToggleConnection={toggleAppConnection}
+            onSyncNow={onSyncApp}
           />
 
           <AIChatbot
@@ -1,15 +1,26 @@
 // src/components/dashboard/EnhancedNutritionPanel.jsx
 import React, { useState, useEffect } from 'react';
 import { RotateCw, PieChart, Calendar, TrendingUp, Plus, ChevronRight } from 'lucide-react';
+import { useUnitSystem } from '../../hooks/useUnitSystem';
+import { formatMeasurement } from '../../services/unitService';
+import { NUTRIENTS } from '../../services/importAdapters/nutritionLogs';
+import { getLocalDay } from '../../utils/dateUtils';
+
+// Days of intake history shown under the meal log
+const HISTORY_DAYS = 7;
 
 export default function EnhancedNutritionPanel({ nutritionData, onSyncNutrition, isSyncing, onAddMeal }) {
+  const [unitSystem] = useUnitSystem();
   const [localData, setLocalData] = useState({
     calories: { consumed: 0, goal: 2200, lastUpdated: '' },
     protein: { consumed: 0, goal: 140, lastUpdated: '' },
     carbs: { consumed: 0, goal: 220, lastUpdated: '' },
     fat: { consumed: 0, goal: 73, lastUpdated: '' },
     water: { consumed: 0, goal: 3, lastUpdated: '' },
-    meals: []
+    meals: [],
+    history: [],
+    micronutrients: {},
+    sources: []
   });
   const [showAddMeal, setShowAddMeal] = useState(false);
   const [newMeal, setNewMeal] = useState({
@@ -58,6 +69,19 @@ export default function EnhancedNutritionPanel({ nutritionData, onSyncNutrition,
     fat: totalMacros ? Math.round((localData.fat?.consumed || 0) / totalMacros * 100) : 0
   };
   
+  // Imported diaries may end before today; say which day is shown
+  const isToday = !localData.date || localData.date === getLocalDay(new Date());
+  const sourceLabel = localData.sources?.length
+    ? localData.sources.join(' + ').toUpperCase()
+    : 'APPLE HEALTH';
+
+  // Micronutrients the diary recorded for the day, fiber and sugar aside
+  const micronutrients = Object.entries(localData.micronutrients || {})
+    .filter(([nutrient]) => NUTRIENTS[nutrient] && !['fiber', 'sugar', 'water'].includes(nutrient));
+
+  const recentHistory = (localData.history || []).slice(-HISTORY_DAYS);
+  const historyPeak = Math.max(localData.calories?.goal || 0, ...recentHistory.map(day => day.calories));
+
   // Format the timestamp if present
   const formatTime = (timeString) => {
     if (!timeString) return '';
@@ -128,8 +152,8 @@ export default function EnhancedNutritionPanel({ nutritionData, onSyncNutrition,
         <div className="flex justify-between items-center mb-4">
           <h2 className="text-lg font-mono text-cyan-300">CELLULAR FUEL</h2>
           <div className="flex items-center">
-            <span className="text-xs text-cyan-600 font-mono mr-2">APPLE HEALTH</span>
-            <div className="h-4 w-4 bg-gray-800 rounded-full flex items-center justify-center" title="Apple Health Connected">
+            <span className="text-xs text-cyan-600 font-mono mr-2">{sourceLabel}</span>
+            <div className="h-4 w-4 bg-gray-800 rounded-full flex items-center justify-center" title={`${sourceLabel} Connected`}>
               <div className="h-2 w-2 rounded-full bg-green-500"></div>
             </div>
             <button 
@@ -203,7 +227,7 @@ export default function EnhancedNutritionPanel({ nutritionData, onSyncNutrition,
               <div>
                 <p className="text-xs text-cyan-600 font-mono">HYDRATION</p>
                 <p className="font-medium text-cyan-300 font-mono">
-                  {localData?.water?.consumed || 0}L<span className="text-cyan-600">/{localData?.water?.goal || 0}L</span>
+                  {formatMeasurement('dietaryWater', localData?.water?.consumed || 0, { system: unitSystem })}<span className="text-cyan-600">/{formatMeasurement('dietaryWater', localData?.water?.goal || 0, { system: unitSystem })}</span>
                 </p>
                 <div className="h-1 w-full bg-gray-800 rounded-full mt-1 overflow-hidden">
                   <div 
@@ -246,12 +270,35 @@ export default function EnhancedNutritionPanel({ nutritionData, onSyncNutrition,
                 </div>
               </div>
             </div>
+
+            {/* Micronutrients from imported food diaries */}
+            {micronutrients.length > 0 && (
+              <div className="mt-4">
+                <div className="text-xs text-cyan-600 font-mono mb-2">MICRONUTRIENTS</div>
+                <div className="grid grid-cols-3 gap-2 text-xs font-mono">
+                  <div className="text-cyan-600">
+                    FIBER: <span className="text-cyan-400">{localData.fiber?.consumed || 0}g</span>
+                  </div>
+                  <div className="text-cyan-600">
+                    SUGAR: <span className="text-cyan-400">{localData.sugar?.consumed || 0}g</span>
+                  </div>
+                  {micronutrients.map(([nutrient, amount]) => (
+                    <div key={nutrient} className="text-cyan-600">
+                      {NUTRIENTS[nutrient].label.toUpperCase()}:{' '}
+                      <span className="text-cyan-400">
+                        {Math.round(amount * 10) / 10}{NUTRIENTS[nutrient].unit}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
 
           {/* Today's log with Apple Health integration */}
           <div className="border-t border-cyan-900 pt-3">
             <div className="text-xs text-cyan-600 font-mono mb-2 flex justify-between items-center">
-              <span>NUTRITION LOG</span>
+              <span>NUTRITION LOG{isToday ? '' : ` · ${localData.date}`}</span>
               <div className="flex items-center">
                 <button 
                   onClick={() => setShowAddMeal(prev => !prev)}
@@ -341,7 +388,7 @@ export default function EnhancedNutritionPanel({ nutritionData, onSyncNutrition,
                   <div key={index} className="flex justify-between items-center text-xs bg-gray-950 p-2 rounded border border-cyan-900/50">
                     <div className="font-mono text-cyan-400 flex items-center">
                       <div className="w-2 h-2 rounded-full bg-cyan-500 mr-2"></div>
-                      {meal.name} ({meal.time})
+                      {meal.name}{meal.time && ` (${meal.time})`}
                     </div>
                     <div className="font-mono text-cyan-600">
                       <span className="text-cyan-400">{meal.calories}</span> kcal · 
@@ -357,6 +404,34 @@ export default function EnhancedNutritionPanel({ nutritionData, onSyncNutrition,
               )}
             </div>
             
+            {/* Intake history from the stored nutrition records */}
+            {recentHistory.length > 0 && (
+              <div className="mt-3">
+                <div className="text-xs text-cyan-600 font-mono mb-2 flex justify-between items-center">
+                  <span>INTAKE HISTORY</span>
+                  <Calendar size={12} className="text-cyan-500" />
+                </div>
+                <div className="flex items-end h-16 gap-1">
+                  {recentHistory.map(day => (
+                    <div
+                      key={day.date}
+                      className="flex-1 flex flex-col justify-end h-full"
+                      title={`${day.date}: ${Math.round(day.calories)} kcal`}
+                    >
+                      <div
+                        className={`w-full rounded-t ${day.calories > (localData.calories?.goal || Infinity) ? 'bg-yellow-500' : 'bg-cyan-500'}`}
+                        style={{ height: `${historyPeak ? Math.round((day.calories / historyPeak) * 100) : 0}%` }}
+                      ></div>
+                    </div>
+                  ))}
+                </div>
+                <div className="flex justify-between text-[10px] text-cyan-700 font-mono mt-1">
+                  <span>{recentHistory[0].date}</span>
+                  <span>{recentHistory[recentHistory.length - 1].date}</span>
+                </div>
+              </div>
+            )}
+
             {/* Nutrition insights */}
             <div className="mt-3 bg-gray-950 p-3 rounded border border-cyan-900/50">
               <div className="text-xs text-cyan-500 font-mono font-bold mb-2">NUTRITION INSIGHTS</div>
@@ -147,6 +147,9 @@ export default function EnhancementMetricsPanel({ healthData }) {
       case 'hydration': return `${value.toFixed(1)}L`;
       case 'currentLoad': return `${value}/100`;
       case 'loadRatio': return value.toFixed(2);
+      case 'respiratoryRate': return `${value.toFixed(1)} br/min`;
+      case 'temperatureDeviation': return `${value > 0 ? '+' : ''}${value.toFixed(2)}°C`;
+      case 'strain': return value.toFixed(1);
       default: return value;
     }
   };
@@ -527,6 +530,47 @@ export default function EnhancementMetricsPanel({ healthData }) {
               </div>
             </div>
             
+            {/* Recovery by source */}
+            {metrics.recovery && Object.keys(metrics.recovery.sources).length > 0 && (
+              <div className="bg-gray-950 border border-cyan-900 p-4 rounded">
+                <div className="flex items-center mb-3">
+                  <Shield size={18} className="text-green-500 mr-2" />
+                  <div>
+                    <h3 className="text-sm font-mono text-cyan-400">RECOVERY SOURCES</h3>
+                    <p className={`text-xs ${getStatusClass(metrics.recovery.readiness.status)} font-mono mt-1`}>
+                      READINESS: {metrics.recovery.readiness.status || metrics.recovery.readiness}
+                      {metrics.recovery.readiness.source && ` · ${metrics.recovery.readiness.source.toUpperCase()}`}
+                    </p>
+                  </div>
+                </div>
+
+                <table className="w-full text-xs font-mono">
+                  <thead>
+                    <tr className="text-cyan-600 text-left">
+                      <th className="font-normal pb-1">SOURCE</th>
+                      <th className="font-normal pb-1">RHR</th>
+                      <th className="font-normal pb-1">HRV</th>
+                      <th className="font-normal pb-1">RESP</th>
+                      <th className="font-normal pb-1">TEMP Δ</th>
+                      <th className="font-normal pb-1">STRAIN</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(metrics.recovery.sources).map(([source, values]) => (
+                      <tr key={source} className="text-cyan-300">
+                        <td className="text-cyan-500 pr-2">{source.toUpperCase()}</td>
+                        {['restingHeartRate', 'heartRateVariability', 'respiratoryRate', 'temperatureDeviation', 'strain'].map(metric => (
+                          <td key={metric}>
+                            {values[metric] ? formatHealthValue(metric, values[metric].value) : '—'}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            
             {/* Comprehensive Analysis */}
             <div className="mt-6 bg-gray-950 border border-cyan-900 p-4 rounded">
               <h3 className="text-sm font-mono text-cyan-300 mb-3">COMPREHENSIVE ANALYSIS</h3>
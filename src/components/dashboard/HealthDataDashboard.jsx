@@ -1,5 +1,5 @@
 // src/components/dashboard/HealthDataDashboard.jsx
-import React, { useState } from "react";
+import React, { useMemo, useState } from "react";
 // Removed unused Calendar, Moon, Scale imports
 import { format, isValid as isDateValid, parseISO, subDays } from "date-fns";
 import {
@@ -9,7 +9,10 @@ import {
   TrendingUp,
   Upload /*Moon, Scale*/,
 } from "lucide-react"; // Keep icons actually used
-import { useAppleHealth } from "../../hooks/useAppleHealth"; // Added isDateValid alias
+import { useHealthQuery } from "../../hooks/useHealthQuery";
+import { useUnitSystem } from "../../hooks/useUnitSystem";
+import { toDisplay, UNIT_SYSTEMS } from "../../services/unitService";
+import BackupRestore from "../settings/BackupRestore";
 // Assuming dataImportService might have async functions
 import HealthDataExporter from "../settings/HealthDataExporter";
 import HealthDataImporter from "../settings/HealthDataImporter";
@@ -101,63 +104,26 @@ function calculateRecoveryScore(currentHealthData) {
   return !isNaN(score) ? score : null;
 }
 
-function getFilteredData(dataArray, range) {
-  if (!Array.isArray(dataArray) || dataArray.length === 0) return [];
-  const now = new Date();
-  let startDate;
-  switch (range) {
-    case "day":
-      startDate = subDays(now, 1);
-      break;
-    case "week":
-      startDate = subDays(now, 7);
-      break;
-    case "month":
-      startDate = subDays(now, 30);
-      break;
-    case "year":
-      startDate = subDays(now, 365);
-      break;
-    default:
-      startDate = subDays(now, 7);
-  }
-  return dataArray.filter((item) => {
-    try {
-      if (!item || !item.date || typeof item.date !== "string") return false;
-      const itemDate = parseISO(item.date);
-      return isDateValid(itemDate) && itemDate >= startDate && itemDate <= now;
-    } catch (e) {
-      return false;
-    }
-  });
-}
+const RANGE_DAYS = { day: 1, week: 7, month: 30, year: 365 };
 
-function getLatest(dataArray) {
-  if (!Array.isArray(dataArray) || dataArray.length === 0) return null;
-  try {
-    const sorted = [...dataArray]
-      .filter((item) => {
-        try {
-          return item && item.date && isDateValid(parseISO(item.date));
-        } catch {
-          return false;
-        }
-      })
-      .sort((a, b) => {
-        try {
-          const dateA = parseISO(a.date);
-          const dateB = parseISO(b.date);
-          if (!isDateValid(dateA) || !isDateValid(dateB)) return 0;
-          return dateB.getTime() - dateA.getTime();
-        } catch (e) {
-          return 0;
-        }
-      });
-    return sorted[0] || null;
-  } catch (e) {
-    console.error("Error sorting data to get latest:", e);
-    return null;
-  }
+// The series the cards and charts show for a time range; latest values
+// are looked up over all time
+function buildDashboardQueries(range) {
+  const from = subDays(new Date(), RANGE_DAYS[range] || 7).toISOString();
+  const bucket = range === "day" ? "hour" : "day";
+  return {
+    heartRate: { type: "heartRate", from, bucket, agg: "avg" },
+    heartRateAvg: { type: "heartRate", from, agg: "avg" },
+    heartRateMax: { type: "heartRate", from, agg: "max" },
+    steps: { type: "steps", from, bucket, agg: "sum" },
+    weight: { type: "weight", from, bucket: "day", agg: "last" },
+    sleep: { type: "sleep", from, bucket: "day", agg: "sum" },
+    latestHeartRate: { type: "heartRate", agg: "last" },
+    latestSteps: { type: "steps", agg: "last" },
+    latestWeight: { type: "weight", agg: "last" },
+    latestSleep: { type: "sleep", agg: "last" },
+    latestVo2max: { type: "vo2max", agg: "last" },
+  };
 }
 
 function calculateAverage(dataArray, property = "value") {
@@ -171,81 +137,49 @@ function calculateAverage(dataArray, property = "value") {
   return !isNaN(avg) ? avg.toFixed(1) : "0.0";
 }
 
-function calculateMax(dataArray, property = "value") {
-  if (!Array.isArray(dataArray) || dataArray.length === 0) return "0.0";
-  const validItems = dataArray.filter(
-    (item) => typeof item?.[property] === "number" && !isNaN(item[property])
-  );
-  if (validItems.length === 0) return "0.0";
-  const values = validItems.map((item) => item[property]);
-  const maxVal = Math.max(...values);
-  return !isNaN(maxVal) && isFinite(maxVal) ? maxVal.toFixed(1) : "0.0";
-}
-
 export default function HealthDataDashboard() {
   const [timeRange, setTimeRange] = useState("week");
   const [showImporter, setShowImporter] = useState(false);
   const [showExporter, setShowExporter] = useState(false);
+  const [unitSystem, setUnitSystem] = useUnitSystem();
 
-  // Use the Apple Health hook for each data type
-  const { data: heartRateData, isLoading: heartRateLoading } = useAppleHealth(
-    "heartRate",
-    timeRange
-  );
-
-  const { data: stepsData, isLoading: stepsLoading } = useAppleHealth(
-    "steps",
-    timeRange
-  );
-  const { data: weightData, isLoading: weightLoading } = useAppleHealth(
-    "weight",
-    timeRange
-  );
-  const { data: sleepData, isLoading: sleepLoading } = useAppleHealth(
-    "sleep",
-    timeRange
-  );
-  const { data: vo2maxData, isLoading: vo2maxLoading } = useAppleHealth(
-    "vo2max",
-    timeRange
-  );
+  // Each card asks for the series it shows; the query service filters,
+  // buckets and resolves overlapping sources
+  const queries = useMemo(() => buildDashboardQueries(timeRange), [timeRange]);
+  const { results, isLoading, refresh } = useHealthQuery(queries);
 
-  // Determine overall loading state
-  const isLoading =
-    heartRateLoading ||
-    stepsLoading ||
-    weightLoading ||
-    sleepLoading ||
-    vo2maxLoading;
+  const filteredHeartRate = results.heartRate || [];
+  const filteredSteps = results.steps || [];
+  const filteredWeight = results.weight || [];
+  const filteredSleep = results.sleep || [];
 
   // Create a health data object for components that need it
   const healthData = {
-    heartRate: heartRateData || [],
-    steps: stepsData || [],
-    weight: weightData || [],
-    sleep: sleepData || [],
-    vo2max: vo2maxData || [],
+    heartRate: filteredHeartRate,
+    steps: filteredSteps,
+    weight: filteredWeight,
+    sleep: filteredSleep,
   };
 
-  // Filtered data
-  const filteredHeartRate = getFilteredData(healthData.heartRate, timeRange);
-  const filteredSteps = getFilteredData(healthData.steps, timeRange);
-  const filteredWeight = getFilteredData(healthData.weight, timeRange);
-  const filteredSleep = getFilteredData(healthData.sleep, timeRange);
-
   // Latest values
-  const latestHeartRate = getLatest(healthData.heartRate);
-  const latestSteps = getLatest(healthData.steps);
-  const latestWeight = getLatest(healthData.weight);
-  const latestSleep = getLatest(healthData.sleep);
-  const latestVo2max = getLatest(healthData.vo2max);
+  const latestHeartRate = results.latestHeartRate || null;
+  const latestSteps = results.latestSteps || null;
+  const latestWeight = results.latestWeight || null;
+  const latestSleep = results.latestSleep || null;
+  const latestVo2max = results.latestVo2max || null;
 
   // Calculated values
   const currentRecoveryScore = calculateRecoveryScore(healthData);
 
+  // Weight is stored in kg and shown in the preferred unit system
+  const weightUnit = UNIT_SYSTEMS[unitSystem].units.weight;
+  const displayWeight = (value) =>
+    toDisplay("weight", parseFloat(value), unitSystem).value;
+
   const handleDataImported = async (stats) => {
     console.log("Data import finished, stats:", stats);
     setShowImporter(false);
+    refresh();
   };
 
   if (isLoading) {
@@ -294,6 +228,24 @@ export default function HealthDataDashboard() {
               <option value="year">Last 365 Days</option>
             </select>
           </div>
+          {/* Unit System Select */}
+          <div className="mr-4">
+            <label htmlFor="unitSystemSelect" className="sr-only">
+              Select Units
+            </label>
+            <select
+              id="unitSystemSelect"
+              value={unitSystem}
+              onChange={(e) => setUnitSystem(e.target.value)}
+              className="bg-gray-900 border border-cyan-800 rounded px-3 py-2 text-cyan-300 font-mono"
+            >
+              {Object.entries(UNIT_SYSTEMS).map(([value, { label }]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
           {/* Import/Export Buttons */}
           <button
             onClick={() => {
@@ -333,6 +285,7 @@ export default function HealthDataDashboard() {
             Export Health Data
           </h2>
           <HealthDataExporter healthData={healthData} />
+          <BackupRestore onRestored={refresh} />
         </div>
       )}
 
@@ -355,13 +308,13 @@ export default function HealthDataDashboard() {
                 <div className="mr-4">
                   <p className="text-xs text-cyan-600 font-mono">AVG</p>
                   <p className="text-cyan-400 font-mono">
-                    {calculateAverage(filteredHeartRate)}
+                    {safeToFixed(results.heartRateAvg?.value, 1)}
                   </p>
                 </div>
                 <div>
                   <p className="text-xs text-cyan-600 font-mono">MAX</p>
                   <p className="text-cyan-400 font-mono">
-                    {calculateMax(filteredHeartRate)}
+                    {safeToFixed(results.heartRateMax?.value, 1)}
                   </p>
                 </div>
               </div>
@@ -507,14 +460,17 @@ export default function HealthDataDashboard() {
               </div>
               <p className="text-3xl font-bold text-cyan-300 font-mono">
                 {/* --- FIX: Use safeToFixed --- */}
-                {safeToFixed(latestWeight?.value, 1)}{" "}
-                <span className="text-sm">KG</span>
+                {safeToFixed(displayWeight(latestWeight?.value), 1)}{" "}
+                <span className="text-sm">{weightUnit.toUpperCase()}</span>
               </p>
               <div className="flex mt-2">
                 <div className="mr-4">
                   <p className="text-xs text-cyan-600 font-mono">AVG</p>
                   <p className="text-cyan-400 font-mono">
-                    {calculateAverage(filteredWeight)}
+                    {safeToFixed(
+                      displayWeight(calculateAverage(filteredWeight)),
+                      1
+                    )}
                   </p>
                 </div>
                 <div>
@@ -526,12 +482,14 @@ export default function HealthDataDashboard() {
                       "number" &&
                     typeof filteredWeight[0]?.value === "number"
                       ? safeToFixed(
-                          filteredWeight[filteredWeight.length - 1].value -
-                            filteredWeight[0].value,
+                          displayWeight(
+                            filteredWeight[filteredWeight.length - 1].value -
+                              filteredWeight[0].value
+                          ),
                           1
                         )
                       : "0.0"}{" "}
-                    kg
+                    {weightUnit}
                   </p>
                 </div>
               </div>
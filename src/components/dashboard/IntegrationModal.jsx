@@ -1,37 +1,101 @@
 import { motion } from "framer-motion";
-import React from "react";
+import React, { useEffect, useState } from "react";
+import {
+  getConnectorState,
+  getConnectors,
+  getSyncLog,
+  subscribeToConnectors,
+} from "../../services/connectorService";
+
+// How each connector is presented; connectors without an entry get the
+// defaults
+const APP_STYLES = {
+  "apple-health": {
+    icon: "🍎",
+    description: "Sync your health and fitness data from Apple Health",
+    color: "bg-red-500/10 border-red-500/20",
+  },
+  strava: {
+    icon: "🏃",
+    description: "Connect your workout and activity data",
+    color: "bg-orange-500/10 border-orange-500/20",
+  },
+};
+
+const DEFAULT_STYLE = {
+  icon: "🔗",
+  description: "Sync data from this service",
+  color: "bg-cyan-500/10 border-cyan-500/20",
+};
+
+// Number of sync log entries listed per service
+const MAX_LISTED_SYNCS = 3;
+
+function describeSync(entry) {
+  if (entry.status === "error") return `Failed: ${entry.error}`;
+  if (entry.event !== "sync") {
+    return entry.event === "connect" ? "Connected" : "Disconnected";
+  }
+  const added = Object.values(entry.counts || {}).reduce(
+    (total, count) => total + count,
+    0
+  );
+  return `${added} new of ${entry.fetched} fetched`;
+}
+
+function describeSyncState({ syncing, lastSyncAt }) {
+  if (syncing) return "Syncing...";
+  if (!lastSyncAt) return "Not synced yet";
+  return `Last sync ${new Date(lastSyncAt).toLocaleString()}`;
+}
 
 export default function IntegrationModal({
   isOpen,
   onClose,
   connectedApps,
   onToggleConnection,
+  onSyncNow,
 }) {
+  const [credentials, setCredentials] = useState({});
+  const [connecting, setConnecting] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [, setRevision] = useState(0);
+
+  // Sync state and log live in the connector service
+  useEffect(
+    () => subscribeToConnectors(() => setRevision((value) => value + 1)),
+    []
+  );
+
   if (!isOpen) return null;
 
-  const apps = [
-    {
-      id: "apple-health",
-      name: "Apple Health",
-      icon: "🍎",
-      description: "Sync your health and fitness data from Apple Health",
-      color: "bg-red-500/10 border-red-500/20",
-    },
-    {
-      id: "myfitnesspal",
-      name: "MyFitnessPal",
-      icon: "🥗",
-      description: "Import your nutrition and calorie tracking data",
-      color: "bg-green-500/10 border-green-500/20",
-    },
-    {
-      id: "strava",
-      name: "Strava",
-      icon: "🏃",
-      description: "Connect your workout and activity data",
-      color: "bg-orange-500/10 border-orange-500/20",
-    },
-  ];
+  const apps = getConnectors().map((connector) => ({
+    ...DEFAULT_STYLE,
+    ...APP_STYLES[connector.id],
+    connector,
+    state: getConnectorState(connector.id),
+    log: getSyncLog(connector.id).slice(0, MAX_LISTED_SYNCS),
+  }));
+
+  const updateCredential = (appId, name, value) => {
+    setCredentials((prev) => ({
+      ...prev,
+      [appId]: { ...prev[appId], [name]: value },
+    }));
+  };
+
+  const toggle = async (appId) => {
+    setConnecting(appId);
+    setErrors((prev) => ({ ...prev, [appId]: null }));
+    try {
+      await onToggleConnection(appId, credentials[appId] || {});
+      setCredentials((prev) => ({ ...prev, [appId]: {} }));
+    } catch (error) {
+      setErrors((prev) => ({ ...prev, [appId]: error.message }));
+    } finally {
+      setConnecting(null);
+    }
+  };
 
   return (
     <motion.div
@@ -44,7 +108,7 @@ export default function IntegrationModal({
         initial={{ scale: 0.9, opacity: 0 }}
         animate={{ scale: 1, opacity: 1 }}
         exit={{ scale: 0.9, opacity: 0 }}
-        className="bg-gray-900/95 border border-cyan-500/20 rounded-lg p-6 max-w-lg w-full"
+        className="bg-gray-900/95 border border-cyan-500/20 rounded-lg p-6 max-w-lg w-full max-h-[90vh] overflow-y-auto"
       >
         <div className="flex justify-between items-center mb-6">
           <h2 className="text-2xl font-mono text-cyan-400">
@@ -59,38 +123,107 @@ export default function IntegrationModal({
         </div>
 
         <div className="space-y-4">
-          {apps.map((app) => (
-            <div
-              key={app.id}
-              className={`p-4 rounded-lg border ${app.color} transition-all duration-300`}
-            >
-              <div className="flex items-center justify-between">
-                <div className="flex items-center space-x-3">
-                  <span className="text-2xl">{app.icon}</span>
-                  <div>
-                    <h3 className="font-mono text-cyan-400">{app.name}</h3>
-                    <p className="text-sm text-gray-400">{app.description}</p>
+          {apps.map(({ connector, state, log, icon, description, color }) => {
+            const connected = Boolean(connectedApps[connector.id]);
+            return (
+              <div
+                key={connector.id}
+                className={`p-4 rounded-lg border ${color} transition-all duration-300`}
+              >
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center space-x-3">
+                    <span className="text-2xl">{icon}</span>
+                    <div>
+                      <h3 className="font-mono text-cyan-400">
+                        {connector.label}
+                      </h3>
+                      <p className="text-sm text-gray-400">{description}</p>
+                    </div>
                   </div>
+                  <button
+                    onClick={() => toggle(connector.id)}
+                    disabled={connecting === connector.id}
+                    className={`px-4 py-2 rounded font-mono text-sm transition-all duration-300 ${
+                      connected
+                        ? "bg-cyan-500/20 text-cyan-400 border border-cyan-500/30"
+                        : "bg-gray-800/50 text-gray-400 hover:bg-cyan-500/10 hover:text-cyan-400"
+                    }`}
+                  >
+                    {connecting === connector.id && "..."}
+                    {connecting !== connector.id &&
+                      (connected ? "Connected" : "Connect")}
+                  </button>
                 </div>
-                <button
-                  onClick={() => onToggleConnection(app.id)}
-                  className={`px-4 py-2 rounded font-mono text-sm transition-all duration-300 ${
-                    connectedApps[app.id]
-                      ? "bg-cyan-500/20 text-cyan-400 border border-cyan-500/30"
-                      : "bg-gray-800/50 text-gray-400 hover:bg-cyan-500/10 hover:text-cyan-400"
-                  }`}
-                >
-                  {connectedApps[app.id] ? "Connected" : "Connect"}
-                </button>
+
+                {!connected && connector.credentials.length > 0 && (
+                  <div className="mt-3 space-y-2">
+                    {connector.credentials.map((field) => (
+                      <input
+                        key={field.name}
+                        type={field.secret ? "password" : "text"}
+                        placeholder={field.label}
+                        value={credentials[connector.id]?.[field.name] || ""}
+                        onChange={(e) =>
+                          updateCredential(
+                            connector.id,
+                            field.name,
+                            e.target.value
+                          )
+                        }
+                        className="w-full bg-gray-900 border border-cyan-800 rounded px-2 py-1 text-sm font-mono text-cyan-300"
+                      />
+                    ))}
+                  </div>
+                )}
+
+                {errors[connector.id] && (
+                  <p className="mt-2 text-xs font-mono text-red-400">
+                    {errors[connector.id]}
+                  </p>
+                )}
+
+                {connected && (
+                  <div className="mt-3 flex items-center justify-between text-xs font-mono text-gray-400">
+                    <span>{describeSyncState(state)}</span>
+                    {onSyncNow && (
+                      <button
+                        onClick={() => onSyncNow(connector.id)}
+                        disabled={state.syncing}
+                        className="text-cyan-400 hover:text-cyan-300"
+                      >
+                        Sync now
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {log.length > 0 && (
+                  <ul className="mt-2 space-y-1 text-xs font-mono">
+                    {log.map((entry) => (
+                      <li
+                        key={entry.id}
+                        className={
+                          entry.status === "error"
+                            ? "text-red-400"
+                            : "text-gray-500"
+                        }
+                      >
+                        {new Date(entry.finishedAt).toLocaleString()} ·{" "}
+                        {describeSync(entry)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
 
         <div className="mt-6 pt-4 border-t border-cyan-500/10">
           <p className="text-sm text-gray-400 text-center">
             Connected services will automatically sync with your NeoFit
-            dashboard
+            dashboard. MyFitnessPal has no public API: import its food diary
+            export from the settings instead.
           </p>
         </div>
       </motion.div>
@@ -19,6 +19,11 @@ export default function NutritionPanel({ nutritionData, onSyncNutrition, isSynci
     }
   }, [nutritionData]);
 
+  // Apps the shown day's diary entries were imported from
+  const sourceLabel = localData.sources?.length
+    ? localData.sources.join(' + ').toUpperCase()
+    : 'FOOD DIARY';
+
   // Calculate percentage for progress bars
   const calculatePercentage = (consumed, goal) => {
     if (!consumed || !goal || isNaN(consumed) || isNaN(goal) || goal === 0) {
@@ -82,14 +87,14 @@ export default function NutritionPanel({ nutritionData, onSyncNutrition, isSynci
         <div className="flex justify-between items-center mb-4">
           <h2 className="text-lg font-mono text-cyan-300">CELLULAR FUEL</h2>
           <div className="flex items-center">
-            <span className="text-xs text-cyan-600 font-mono mr-2">MYFITNESSPAL</span>
-            <div className="h-4 w-4 bg-gray-800 rounded-full flex items-center justify-center" title="MyFitnessPal Connected">
+            <span className="text-xs text-cyan-600 font-mono mr-2">{sourceLabel}</span>
+            <div className="h-4 w-4 bg-gray-800 rounded-full flex items-center justify-center" title={`${sourceLabel} Connected`}>
               <div className="h-2 w-2 rounded-full bg-green-500"></div>
             </div>
             <button 
               onClick={onSyncNutrition}
               className="ml-2 text-cyan-500 hover:text-cyan-300 text-xs"
-              title="Sync with MyFitnessPal">
+              title="Reload imported food diaries">
               <RotateCw size={12} className={isSyncing ? 'animate-spin' : ''} />
             </button>
           </div>
@@ -189,7 +194,7 @@ export default function NutritionPanel({ nutritionData, onSyncNutrition, isSynci
               {(localData?.meals && localData.meals.length > 0) ? (
                 localData.meals.map((meal, index) => (
                   <div key={index} className="flex justify-between items-center text-xs bg-gray-950 p-2 rounded border border-cyan-900/50">
-                    <div className="font-mono text-cyan-400">{meal.name} ({meal.time})</div>
+                    <div className="font-mono text-cyan-400">{meal.name}{meal.time && ` (${meal.time})`}</div>
                     <div className="font-mono text-cyan-600">{meal.calories} kcal · {meal.protein}g protein</div>
                   </div>
                 ))
@@ -146,7 +146,13 @@ export default function SleepAnalysis({ sleepData }) {
     // Try to find sleep stage data
     const sleepStages = sortedData.filter(entry => entry.category);
     
-    if (sleepStages.length > 0) {
+    if (lastSleep.stages) {
+      // Nights from sleepSessionService or a wearable export carry their stages
+      deepSleepHours = lastSleep.stages.deep;
+      remSleepHours = lastSleep.stages.rem;
+      lightSleepHours = lastSleep.stages.core;
+      awakeSleepHours = lastSleep.stages.awake || 0;
+    } else if (sleepStages.length > 0) {
       // Extract sleep stages if available
       const deepSleepEntries = sleepStages.filter(entry => 
         entry.category && entry.category.toLowerCase().includes('deep'));
@@ -205,11 +211,13 @@ export default function SleepAnalysis({ sleepData }) {
       awake: Math.round((awakeSleepHours / totalTrackedSleep) * 100) || 0
     };
     
-    // Calculate sleep efficiency
-    const efficiency = Math.min(100, Math.round(
-      (totalSleepHours >= 7 ? 90 : 70) + 
-      (deepSleepHours / totalSleepHours * 100)
-    ));
+    // Calculate sleep efficiency, unless the night recorded it
+    const efficiency = typeof lastSleep.sleepEfficiency === 'number'
+      ? Math.round(lastSleep.sleepEfficiency)
+      : Math.min(100, Math.round(
+        (totalSleepHours >= 7 ? 90 : 70) + 
+        (deepSleepHours / totalSleepHours * 100)
+      ));
     
     // Calculate sleep debt (relative to 8 hours optimal)
     const sleepDebt = Math.max(0, (8 * 7) - recentEntries.reduce((sum, entry) => 
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Check, Bell, AlertTriangle } from 'lucide-react';
 import { formatDistanceToNow } from 'date-fns';
+import { getCheckInDay } from '../../utils/storageUtils';
 
 export default function DailyCheckIn({ checkInData, onCheckIn }) {
   const [showNotification, setShowNotification] = useState(false);
@@ -9,7 +10,7 @@ export default function DailyCheckIn({ checkInData, onCheckIn }) {
   // Check if a new day has started since last check-in
   useEffect(() => {
     if (checkInData) {
-      const today = new Date().toDateString();
+      const today = getCheckInDay();
       
       // If user hasn't checked in today, show notification after delay
       if (checkInData.lastCheckIn !== today) {
@@ -27,7 +28,7 @@ export default function DailyCheckIn({ checkInData, onCheckIn }) {
   const handleCheckIn = async () => {
     if (!checkInData) return;
     
-    const today = new Date().toDateString();
+    const today = getCheckInDay();
     
     // Only allow one check-in per day
     if (checkInData.lastCheckIn !== today) {
@@ -134,7 +135,7 @@ export default function DailyCheckIn({ checkInData, onCheckIn }) {
         <div>
           <h3 className="text-sm font-mono text-cyan-300">DAILY SYNCHRONIZATION</h3>
           <p className="text-xs text-cyan-600 font-mono">
-            {checkInData.lastCheckIn === new Date().toDateString() 
+            {checkInData.lastCheckIn === getCheckInDay() 
               ? 'SYNCHRONIZED TODAY' 
               : 'SYNCHRONIZATION REQUIRED'}
           </p>
@@ -153,7 +154,7 @@ export default function DailyCheckIn({ checkInData, onCheckIn }) {
             </div>
           </div>
           
-          {checkInData.lastCheckIn === new Date().toDateString() ? (
+          {checkInData.lastCheckIn === getCheckInDay() ? (
             <div className="w-10 h-10 bg-cyan-900/30 border border-cyan-700 rounded-full flex items-center justify-center">
               <Check size={18} className="text-cyan-300" />
             </div>
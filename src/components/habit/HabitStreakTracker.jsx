@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Flame, Award, Calendar, Trophy } from 'lucide-react';
 import { format, subDays } from 'date-fns';
+import { getCheckInDay } from '../../utils/storageUtils';
 
 export default function HabitStreakTracker({ streakData, miniVersion = false }) {
   const [showAnimation, setShowAnimation] = useState(false);
@@ -41,10 +42,9 @@ export default function HabitStreakTracker({ streakData, miniVersion = false })
     const today = new Date();
     
     for (let i = 13; i >= 0; i--) {
-      const date = subDays(today, i);
-      const dateString = date.toDateString();
+      const dateString = getCheckInDay(subDays(today, i));
       
-      const historyItem = streakData.history.find(h => new Date(h.date).toDateString() === dateString);
+      const historyItem = streakData.history.find(h => h.date === dateString);
       history.push(historyItem ? 1 : 0);
     }
     
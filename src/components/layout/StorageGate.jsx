@@ -0,0 +1,173 @@
+import { Lock, Trash2 } from "lucide-react";
+import React, { useEffect, useState } from "react";
+import { runMigrations } from "../../services/migrationService";
+import {
+  clearAppStorage,
+  getAutoLockMinutes,
+  isStorageLocked,
+  lockStorage,
+  subscribeToStorageLock,
+  unlockStorage,
+} from "../../utils/storageUtils";
+
+// Anything the user does counts as activity for the auto-lock
+const ACTIVITY_EVENTS = [
+  "mousemove",
+  "mousedown",
+  "keydown",
+  "touchstart",
+  "scroll",
+];
+
+/**
+ * Passphrase prompt shown while encrypted storage is locked
+ *
+ * @param {Object} props
+ * @param {Function} props.onUnlock - Called once the data can be used
+ */
+function LockScreen({ onUnlock }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [confirmErase, setConfirmErase] = useState(false);
+
+  const handleUnlock = async (event) => {
+    event.preventDefault();
+    setIsUnlocking(true);
+    setError(null);
+    try {
+      await unlockStorage(passphrase);
+      // Encrypted data could not be upgraded at startup
+      await runMigrations().catch((migrationError) =>
+        console.error("Error upgrading stored data:", migrationError)
+      );
+      onUnlock();
+    } catch (unlockError) {
+      setError(unlockError.message);
+      setPassphrase("");
+      setIsUnlocking(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-950 flex items-center justify-center p-6">
+      <form
+        onSubmit={handleUnlock}
+        className="w-full max-w-sm bg-gray-900 border border-cyan-900 rounded p-6"
+      >
+        <h2 className="text-lg font-mono text-cyan-300 mb-1 flex items-center">
+          <Lock size={18} className="mr-2" />
+          NEO•VITRU LOCKED
+        </h2>
+        <p className="text-xs font-mono text-cyan-600 mb-4">
+          Your health data is encrypted. Enter your passphrase to unlock it.
+        </p>
+
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          placeholder="Passphrase"
+          aria-label="Passphrase"
+          autoFocus
+          autoComplete="current-password"
+          className="w-full bg-gray-950 border border-cyan-800 rounded px-3 py-2 font-mono text-cyan-300 mb-3"
+        />
+        {error && (
+          <p className="text-xs font-mono text-red-400 mb-3">{error}</p>
+        )}
+        <button
+          type="submit"
+          disabled={!passphrase || isUnlocking}
+          className="w-full bg-cyan-900 hover:bg-cyan-800 text-cyan-300 font-mono text-sm py-2 rounded disabled:opacity-50"
+        >
+          {isUnlocking ? "UNLOCKING..." : "UNLOCK"}
+        </button>
+
+        <div className="mt-6 pt-4 border-t border-cyan-900">
+          {confirmErase ? (
+            <div className="text-xs font-mono">
+              <p className="text-red-400 mb-2">
+                Erase all health data stored in this browser? It cannot be
+                recovered.
+              </p>
+              <button
+                type="button"
+                onClick={() => {
+                  clearAppStorage();
+                  onUnlock();
+                }}
+                className="text-red-400 hover:text-red-300 mr-4"
+              >
+                ERASE EVERYTHING
+              </button>
+              <button
+                type="button"
+                onClick={() => setConfirmErase(false)}
+                className="text-cyan-500 hover:text-cyan-300"
+              >
+                CANCEL
+              </button>
+            </div>
+          ) : (
+            <button
+              type="button"
+              onClick={() => setConfirmErase(true)}
+              className="text-xs font-mono text-gray-500 hover:text-red-400 flex items-center"
+            >
+              <Trash2 size={12} className="mr-1" />
+              Forgot the passphrase? Erase all data
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
+
+/**
+ * Shows the lock screen instead of the app while encrypted storage is
+ * locked, and locks it after the auto-lock timeout without activity
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - The app
+ */
+export default function StorageGate({ children }) {
+  const [locked, setLocked] = useState(() => isStorageLocked());
+  const [autoLockMinutes, setAutoLockMinutes] = useState(() =>
+    getAutoLockMinutes()
+  );
+
+  useEffect(
+    () =>
+      subscribeToStorageLock(() => {
+        // Unlocking is left to the lock screen, which upgrades the data first
+        if (isStorageLocked()) setLocked(true);
+        setAutoLockMinutes(getAutoLockMinutes());
+      }),
+    []
+  );
+
+  useEffect(() => {
+    if (locked || autoLockMinutes <= 0) return undefined;
+
+    let timer = null;
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lockStorage, autoLockMinutes * 60 * 1000);
+    };
+
+    restart();
+    ACTIVITY_EVENTS.forEach((name) =>
+      window.addEventListener(name, restart, { passive: true })
+    );
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((name) =>
+        window.removeEventListener(name, restart)
+      );
+    };
+  }, [locked, autoLockMinutes]);
+
+  return locked ? <LockScreen onUnlock={() => setLocked(false)} /> : children;
+}
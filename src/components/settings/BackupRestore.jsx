@@ -0,0 +1,198 @@
+import { Archive, Download, Upload } from "lucide-react";
+import React, { useState } from "react";
+import {
+  createBackup,
+  previewBackup,
+  readBackup,
+  restoreBackup,
+  serializeBackup,
+} from "../../services/backupService";
+import { downloadFile } from "../../services/dataExportService";
+
+const BUTTON_CLASS =
+  "flex items-center bg-cyan-900 hover:bg-cyan-800 text-cyan-300 border border-cyan-700 px-3 py-1.5 rounded disabled:opacity-50";
+
+/**
+ * Download a backup of all app state, or restore one after previewing it
+ *
+ * @param {Object} props
+ * @param {Function} props.onRestored - Called after a backup is restored
+ */
+export default function BackupRestore({ onRestored }) {
+  const [backup, setBackup] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  const handleDownload = async () => {
+    setIsWorking(true);
+    setStatus(null);
+    try {
+      const { blob, filename } = serializeBackup(await createBackup());
+      downloadFile(blob, filename);
+      setStatus({ success: true, message: `Saved ${filename}` });
+    } catch (error) {
+      console.error("Error creating backup:", error);
+      setStatus({ success: false, message: error.message });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleFile = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = "";
+    if (!file) return;
+
+    setStatus(null);
+    try {
+      const next = await readBackup(await file.text());
+      setBackup(next);
+      setPreview(previewBackup(next));
+    } catch (error) {
+      setBackup(null);
+      setPreview(null);
+      setStatus({ success: false, message: error.message });
+    }
+  };
+
+  const handleRestore = async (mode) => {
+    setIsWorking(true);
+    try {
+      const { restored } = await restoreBackup(backup, { mode });
+      setBackup(null);
+      setPreview(null);
+      setStatus({
+        success: true,
+        message: `${mode === "merge" ? "Merged" : "Restored"} ${
+          restored.length
+        } stores from the backup`,
+      });
+      if (onRestored) onRestored();
+    } catch (error) {
+      console.error("Error restoring backup:", error);
+      setStatus({ success: false, message: error.message });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <div className="mt-6 pt-6 border-t border-cyan-900">
+      <h4 className="text-sm font-mono text-cyan-300 mb-1 flex items-center">
+        <Archive size={16} className="mr-2" />
+        BACKUP & RESTORE
+      </h4>
+      <p className="text-xs font-mono text-cyan-600 mb-3">
+        One file with everything this browser stores: health data, habits,
+        streaks, rewards, settings and the knowledge base. Use it to move to
+        another browser. The file is not encrypted.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3 text-xs font-mono mb-3">
+        <button
+          onClick={handleDownload}
+          disabled={isWorking}
+          className={BUTTON_CLASS}
+        >
+          <Download size={14} className="mr-2" />
+          DOWNLOAD BACKUP
+        </button>
+        <label className={`${BUTTON_CLASS} cursor-pointer`}>
+          <Upload size={14} className="mr-2" />
+          OPEN BACKUP
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFile}
+            disabled={isWorking}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      {preview && (
+        <div className="bg-gray-900 border border-cyan-900 rounded p-3 text-xs font-mono">
+          <p className="text-cyan-300 mb-2">
+            Backup from {new Date(preview.createdAt).toLocaleString()}
+          </p>
+          <div className="max-h-48 overflow-y-auto mb-3">
+            <table className="w-full">
+              <thead>
+                <tr className="text-cyan-600 text-left">
+                  <th className="py-1 pr-2">STORE</th>
+                  <th className="py-1 pr-2 text-right">IN BACKUP</th>
+                  <th className="py-1 text-right">HERE NOW</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.stores.map((store) => (
+                  <tr key={store.key} className="border-t border-gray-800">
+                    <td className="py-1 pr-2 text-cyan-400">{store.key}</td>
+                    <td className="py-1 pr-2 text-right text-cyan-300">
+                      {store.records.toLocaleString()}
+                    </td>
+                    <td className="py-1 text-right text-gray-500">
+                      {store.currentRecords.toLocaleString()}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {preview.knowledgeBaseEntries > 0 && (
+            <p className="text-cyan-600 mb-3">
+              Knowledge base: {preview.knowledgeBaseEntries} entries
+            </p>
+          )}
+
+          <p className="text-cyan-600 mb-2">
+            Replace erases everything stored here first. Merge adds the
+            backup&apos;s records and keeps your current settings.
+          </p>
+          {!preview.canMerge && (
+            <p className="text-yellow-400 mb-2">
+              This backup is from an older version of the app, so it can only
+              replace the current data.
+            </p>
+          )}
+          <div className="flex gap-3">
+            <button
+              onClick={() => handleRestore("replace")}
+              disabled={isWorking}
+              className="text-red-400 hover:text-red-300 disabled:opacity-50"
+            >
+              REPLACE ALL DATA
+            </button>
+            <button
+              onClick={() => handleRestore("merge")}
+              disabled={isWorking || !preview.canMerge}
+              className="text-cyan-400 hover:text-cyan-200 disabled:opacity-50"
+            >
+              MERGE
+            </button>
+            <button
+              onClick={() => {
+                setBackup(null);
+                setPreview(null);
+              }}
+              className="text-gray-500 hover:text-cyan-300"
+            >
+              CANCEL
+            </button>
+          </div>
+        </div>
+      )}
+
+      {status && (
+        <p
+          className={`text-xs font-mono mt-2 ${
+            status.success ? "text-green-400" : "text-red-400"
+          }`}
+        >
+          {status.message}
+        </p>
+      )}
+    </div>
+  );
+}
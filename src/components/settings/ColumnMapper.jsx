@@ -0,0 +1,194 @@
+import { AlertTriangle, Check, Columns, X } from "lucide-react";
+import React, { useState } from "react";
+import { RECORD_TYPES } from "../../services/importEngine";
+
+// Fields a column can be assigned to, in the order they are asked for
+const MAPPED_FIELDS = [
+  { field: "date", label: "DATE", required: true },
+  { field: "value", label: "VALUE", required: true },
+  { field: "unit", label: "UNIT", required: false },
+  { field: "type", label: "TYPE", required: false },
+];
+
+/**
+ * Assign the columns of an unrecognised CSV to date, value, unit and type
+ *
+ * Files without a type column hold a single metric, which the user picks
+ * from the record types instead.
+ *
+ * @param {Object} props
+ * @param {Object} props.columns - `columns` of an import preview
+ * @param {string} props.fileName - Suggests the profile name
+ * @param {Function} props.onApply - Called with { mapping, profileName }
+ *   where profileName is null when the mapping should not be saved
+ * @param {Function} props.onCancel - Discard the mapping
+ */
+export default function ColumnMapper({ columns, fileName, onApply, onCancel }) {
+  const { headers, sampleRows, reason } = columns;
+  const [mapping, setMapping] = useState(() => ({
+    date: "",
+    value: "",
+    unit: "",
+    type: "",
+    recordType: "",
+    ...columns.mapping,
+  }));
+  const [profileName, setProfileName] = useState(
+    () => columns.profile || (fileName || "").replace(/\.[^.]+$/, "")
+  );
+  const [saveProfile, setSaveProfile] = useState(true);
+
+  const setField = (field, value) =>
+    setMapping((current) => ({ ...current, [field]: value }));
+
+  const missing = [
+    !mapping.date && "a date column",
+    !mapping.value && "a value column",
+    !mapping.type && !mapping.recordType && "a type column or record type",
+    saveProfile && !profileName.trim() && "a profile name",
+  ].filter(Boolean);
+
+  const handleApply = () => {
+    // Only keep the fields that were assigned
+    const applied = {};
+    ["date", "value", "unit", "type"].forEach((field) => {
+      if (mapping[field]) applied[field] = mapping[field];
+    });
+    if (!applied.type) applied.recordType = mapping.recordType;
+
+    onApply({
+      mapping: applied,
+      profileName: saveProfile ? profileName.trim() : null,
+    });
+  };
+
+  return (
+    <div className="mt-6 bg-gray-900 border border-cyan-800 rounded-lg p-4">
+      <h4 className="text-sm font-mono text-cyan-300 mb-1 flex items-center">
+        <Columns size={16} className="mr-2" />
+        MAP CSV COLUMNS
+      </h4>
+      {reason && (
+        <p className="text-xs text-yellow-500 font-mono mb-1 flex items-center">
+          <AlertTriangle size={14} className="mr-2" />
+          {reason}.
+        </p>
+      )}
+      <p className="text-xs text-cyan-600 font-mono mb-4">
+        Tell NEO•VITRU what each column holds. Saved mappings are used
+        automatically for files with the same columns.
+      </p>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+        {MAPPED_FIELDS.map(({ field, label, required }) => (
+          <label key={field} className="text-xs font-mono text-cyan-600">
+            {label}
+            {!required && " (OPTIONAL)"}
+            <select
+              value={mapping[field]}
+              onChange={(e) => setField(field, e.target.value)}
+              className="mt-1 w-full bg-gray-950 border border-cyan-800 rounded px-2 py-1 text-cyan-300"
+            >
+              <option value="">{required ? "Select column" : "None"}</option>
+              {headers.map((header) => (
+                <option key={header} value={header}>
+                  {header}
+                </option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      {!mapping.type && (
+        <label className="block text-xs font-mono text-cyan-600 mb-4">
+          RECORD TYPE
+          <select
+            value={mapping.recordType}
+            onChange={(e) => setField("recordType", e.target.value)}
+            className="mt-1 w-full sm:w-64 block bg-gray-950 border border-cyan-800 rounded px-2 py-1 text-cyan-300"
+          >
+            <option value="">Select what the values measure</option>
+            {Object.entries(RECORD_TYPES).map(([recordType, { label }]) => (
+              <option key={recordType} value={recordType}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {sampleRows.length > 0 && (
+        <div className="mb-4 overflow-x-auto">
+          <p className="text-xs text-cyan-600 font-mono mb-1">SAMPLE ROWS</p>
+          <table className="w-full text-xs font-mono">
+            <thead>
+              <tr className="text-left text-cyan-600">
+                {headers.map((header) => (
+                  <th key={header} className="px-2 py-1 whitespace-nowrap">
+                    {header}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sampleRows.map((row, index) => (
+                <tr key={index} className="bg-gray-950 text-cyan-300">
+                  {headers.map((header) => (
+                    <td key={header} className="px-2 py-1 whitespace-nowrap">
+                      {String(row[header] ?? "")}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3 mb-4 text-xs font-mono">
+        <label className="flex items-center text-cyan-600 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={saveProfile}
+            onChange={(e) => setSaveProfile(e.target.checked)}
+            className="mr-2"
+          />
+          Save mapping as
+        </label>
+        <input
+          type="text"
+          value={profileName}
+          onChange={(e) => setProfileName(e.target.value)}
+          disabled={!saveProfile}
+          placeholder="Profile name, e.g. Scale app"
+          className="bg-gray-950 border border-cyan-800 rounded px-2 py-1 text-cyan-300 disabled:opacity-50"
+        />
+      </div>
+
+      {missing.length > 0 && (
+        <p className="text-xs text-cyan-600 font-mono mb-4">
+          Still needed: {missing.join(", ")}.
+        </p>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <button
+          onClick={onCancel}
+          className="bg-gray-800 text-gray-300 border border-gray-700 px-4 py-2 rounded font-mono hover:bg-gray-700 transition flex items-center"
+        >
+          <X size={16} className="mr-2" />
+          CANCEL
+        </button>
+        <button
+          onClick={handleApply}
+          disabled={missing.length > 0}
+          className="bg-cyan-900 text-cyan-300 border border-cyan-700 px-4 py-2 rounded font-mono hover:bg-cyan-800 transition flex items-center disabled:opacity-50"
+        >
+          <Check size={16} className="mr-2" />
+          APPLY MAPPING
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+import { Lock, ShieldCheck, ShieldOff } from "lucide-react";
+import React, { useEffect, useState } from "react";
+import { isEncryptionSupported } from "../../utils/storageCrypto";
+import {
+  disableEncryption,
+  enableEncryption,
+  getAutoLockMinutes,
+  isEncryptionEnabled,
+  lockStorage,
+  MIN_PASSPHRASE_LENGTH,
+  setAutoLockMinutes,
+  subscribeToStorageLock,
+} from "../../utils/storageUtils";
+
+const AUTO_LOCK_OPTIONS = [
+  { minutes: 0, label: "Never" },
+  { minutes: 1, label: "1 minute" },
+  { minutes: 5, label: "5 minutes" },
+  { minutes: 15, label: "15 minutes" },
+  { minutes: 30, label: "30 minutes" },
+  { minutes: 60, label: "1 hour" },
+];
+
+const INPUT_CLASS =
+  "bg-gray-950 border border-cyan-800 rounded px-2 py-1 text-cyan-300";
+const BUTTON_CLASS =
+  "bg-cyan-900 hover:bg-cyan-800 text-cyan-300 px-3 py-1 rounded disabled:opacity-50";
+
+/**
+ * Settings for encrypting stored data with a passphrase
+ */
+export default function DataEncryption() {
+  const [enabled, setEnabled] = useState(() => isEncryptionEnabled());
+  const [autoLock, setAutoLock] = useState(() => getAutoLockMinutes());
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [isWorking, setIsWorking] = useState(false);
+  const [status, setStatus] = useState(null);
+
+  useEffect(
+    () =>
+      subscribeToStorageLock(() => {
+        setEnabled(isEncryptionEnabled());
+        setAutoLock(getAutoLockMinutes());
+      }),
+    []
+  );
+
+  const run = async (action, message) => {
+    setIsWorking(true);
+    setStatus(null);
+    try {
+      await action();
+      setPassphrase("");
+      setConfirmation("");
+      setStatus({ success: true, message });
+    } catch (error) {
+      setStatus({ success: false, message: error.message });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleEnable = (event) => {
+    event.preventDefault();
+    if (passphrase !== confirmation) {
+      setStatus({ success: false, message: "The passphrases do not match" });
+      return;
+    }
+    run(() => enableEncryption(passphrase), "Stored data is now encrypted");
+  };
+
+  const handleDisable = (event) => {
+    event.preventDefault();
+    run(
+      () => disableEncryption(passphrase),
+      "Stored data is no longer encrypted"
+    );
+  };
+
+  if (!isEncryptionSupported()) return null;
+
+  return (
+    <div className="mt-6 pt-6 border-t border-cyan-900">
+      <h4 className="text-sm font-mono text-cyan-300 mb-1 flex items-center">
+        <Lock size={16} className="mr-2" />
+        DATA ENCRYPTION
+      </h4>
+
+      {enabled ? (
+        <form onSubmit={handleDisable} className="text-xs font-mono">
+          <p className="text-cyan-600 mb-3 flex items-center">
+            <ShieldCheck size={14} className="mr-1 text-green-400" />
+            Health data in this browser is encrypted with your passphrase.
+          </p>
+
+          <div className="flex items-center mb-3">
+            <label htmlFor="auto-lock" className="text-cyan-500 mr-2">
+              Lock after inactivity:
+            </label>
+            <select
+              id="auto-lock"
+              value={autoLock}
+              onChange={(e) => setAutoLockMinutes(Number(e.target.value))}
+              className={INPUT_CLASS}
+            >
+              {AUTO_LOCK_OPTIONS.map(({ minutes, label }) => (
+                <option key={minutes} value={minutes}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => lockStorage()}
+              className={`${BUTTON_CLASS} ml-3`}
+            >
+              LOCK NOW
+            </button>
+          </div>
+
+          <div className="flex items-center">
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="Current passphrase"
+              aria-label="Current passphrase"
+              autoComplete="current-password"
+              className={`${INPUT_CLASS} mr-2`}
+            />
+            <button
+              type="submit"
+              disabled={!passphrase || isWorking}
+              className="text-gray-400 hover:text-red-400 flex items-center disabled:opacity-50"
+            >
+              <ShieldOff size={14} className="mr-1" />
+              TURN OFF ENCRYPTION
+            </button>
+          </div>
+        </form>
+      ) : (
+        <form onSubmit={handleEnable} className="text-xs font-mono">
+          <p className="text-cyan-600 mb-3">
+            Encrypt heart rate, sleep, body composition and everything else
+            stored in this browser, so nobody else using this device can read
+            it. You will need the passphrase every time the app opens or locks
+            itself. If you forget it, your data cannot be recovered.
+          </p>
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder={`Passphrase (${MIN_PASSPHRASE_LENGTH}+ characters)`}
+              aria-label="New passphrase"
+              autoComplete="new-password"
+              className={INPUT_CLASS}
+            />
+            <input
+              type="password"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              placeholder="Repeat passphrase"
+              aria-label="Repeat passphrase"
+              autoComplete="new-password"
+              className={INPUT_CLASS}
+            />
+            <button
+              type="submit"
+              disabled={
+                passphrase.length < MIN_PASSPHRASE_LENGTH ||
+                !confirmation ||
+                isWorking
+              }
+              className={BUTTON_CLASS}
+            >
+              {isWorking ? "ENCRYPTING..." : "ENCRYPT DATA"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status && (
+        <p
+          className={`text-xs font-mono mt-2 ${
+            status.success ? "text-green-400" : "text-red-400"
+          }`}
+        >
+          {status.message}
+        </p>
+      )}
+    </div>
+  );
+}
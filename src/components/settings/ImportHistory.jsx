@@ -0,0 +1,154 @@
+import { AlertTriangle, History, RotateCcw } from "lucide-react";
+import React, { useEffect, useState } from "react";
+import {
+  getImportHistory,
+  rollbackImport,
+} from "../../services/dataImportService";
+import { RECORD_TYPES } from "../../services/importEngine";
+
+function totalRecords(counts = {}) {
+  return Object.values(counts).reduce((total, count) => total + count, 0);
+}
+
+/**
+ * List of past imports with a rollback action for each
+ *
+ * @param {Object} props
+ * @param {*} props.refreshKey - Changes whenever a new import is saved
+ * @param {Function} props.onRollback - Called with the removed counts
+ */
+export default function ImportHistory({ refreshKey, onRollback }) {
+  const [history, setHistory] = useState(() => getImportHistory());
+  const [confirmingId, setConfirmingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setHistory(getImportHistory());
+  }, [refreshKey]);
+
+  const handleRollback = (importId) => {
+    try {
+      const removed = rollbackImport(importId);
+      setError(null);
+      if (onRollback) onRollback(removed);
+    } catch (rollbackError) {
+      setError(rollbackError.message);
+    }
+
+    setConfirmingId(null);
+    setHistory(getImportHistory());
+  };
+
+  return (
+    <div className="mt-6 pt-6 border-t border-cyan-900">
+      <h4 className="text-sm font-mono text-cyan-300 mb-3 flex items-center">
+        <History size={16} className="mr-2" />
+        IMPORT HISTORY
+      </h4>
+
+      {error && (
+        <p className="text-sm font-mono text-red-400 mb-3 flex items-center">
+          <AlertTriangle size={16} className="mr-2" />
+          {error}
+        </p>
+      )}
+
+      {history.length === 0 ? (
+        <p className="text-sm font-mono text-cyan-600">
+          No files have been imported yet.
+        </p>
+      ) : (
+        <div className="space-y-2 max-h-96 overflow-y-auto">
+          {history.map((entry, index) => (
+            <div
+              key={entry.id || index}
+              className={`bg-gray-900 p-3 rounded border ${
+                entry.rolledBackAt ? "border-gray-800" : "border-cyan-900"
+              }`}
+            >
+              <div className="flex justify-between items-start">
+                <div className="min-w-0">
+                  <p
+                    className={`font-mono text-sm truncate ${
+                      entry.rolledBackAt
+                        ? "text-gray-500 line-through"
+                        : "text-cyan-300"
+                    }`}
+                  >
+                    {entry.fileName || "Untitled import"}
+                  </p>
+                  <p className="text-xs font-mono text-cyan-600">
+                    {(entry.format || entry.fileType || "").toUpperCase()}
+                    {" · "}
+                    {new Date(entry.date).toLocaleString()}
+                    {" · "}
+                    {totalRecords(entry.counts).toLocaleString()} records
+                  </p>
+                  {entry.dateRange && entry.dateRange.start && (
+                    <p className="text-xs font-mono text-cyan-700">
+                      Data range: {entry.dateRange.start} to{" "}
+                      {entry.dateRange.end}
+                    </p>
+                  )}
+                </div>
+
+                <div className="ml-3 flex-shrink-0">
+                  {entry.rolledBackAt ? (
+                    <span className="text-xs font-mono text-gray-500">
+                      ROLLED BACK
+                    </span>
+                  ) : !entry.recordIdPrefix ? (
+                    // Imports recorded before record ids were tracked
+                    <span className="text-xs font-mono text-gray-600">
+                      NO ROLLBACK
+                    </span>
+                  ) : confirmingId === entry.id ? (
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => setConfirmingId(null)}
+                        className="text-xs font-mono text-gray-300 bg-gray-800 border border-gray-700 px-2 py-1 rounded hover:bg-gray-700 transition"
+                      >
+                        KEEP
+                      </button>
+                      <button
+                        onClick={() => handleRollback(entry.id)}
+                        className="text-xs font-mono text-red-300 bg-red-900/40 border border-red-800 px-2 py-1 rounded hover:bg-red-900/60 transition"
+                      >
+                        REMOVE {totalRecords(entry.counts).toLocaleString()}{" "}
+                        RECORDS
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => setConfirmingId(entry.id)}
+                      className="text-xs font-mono text-cyan-300 bg-cyan-900 border border-cyan-700 px-2 py-1 rounded hover:bg-cyan-800 transition flex items-center"
+                    >
+                      <RotateCcw size={12} className="mr-1" />
+                      ROLL BACK
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex flex-wrap gap-2 mt-2">
+                {Object.entries(entry.counts || {})
+                  .filter(([, count]) => count > 0)
+                  .map(([recordType, count]) => (
+                    <span
+                      key={recordType}
+                      className="text-xs font-mono text-cyan-500 bg-gray-950 px-2 py-0.5 rounded"
+                    >
+                      {RECORD_TYPES[recordType]
+                        ? RECORD_TYPES[recordType].label
+                        : recordType}
+                      : {count.toLocaleString()}
+                    </span>
+                  ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,258 @@
+import { AlertTriangle, Check, Columns, X } from "lucide-react";
+import React, { useState } from "react";
+import { DATE_FORMATS } from "../../services/importAdapters/dateFormats";
+
+// Number of dropped records listed before the rest are summarised
+const MAX_LISTED_DROPPED = 20;
+
+// Fields shown in the sample table for each record, in order
+const SAMPLE_FIELDS = [
+  "date",
+  "value",
+  "unit",
+  "weight",
+  "bodyFat",
+  "muscleMass",
+  "type",
+  "duration",
+  "name",
+  "meal",
+  "exercises",
+  "calories",
+  "move",
+  "exercise",
+  "stand",
+  "classification",
+  "samples",
+  "source",
+];
+
+function formatSampleValue(field, value) {
+  if (field === "date") return new Date(value).toLocaleString();
+  if (typeof value === "number") return value.toLocaleString();
+  if (Array.isArray(value)) return value.length.toLocaleString();
+  return String(value);
+}
+
+function SampleRecord({ record }) {
+  return (
+    <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs font-mono bg-gray-950 px-3 py-1.5 rounded">
+      {SAMPLE_FIELDS.filter(
+        (field) => record[field] !== undefined && record[field] !== null
+      ).map((field) => (
+        <span key={field}>
+          <span className="text-cyan-700">{field}: </span>
+          <span className="text-cyan-300">
+            {formatSampleValue(field, record[field])}
+          </span>
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Dry-run summary of an import, shown before anything is saved
+ *
+ * @param {Object} props
+ * @param {Object} props.preview - Result of dataImportService.previewHealth*
+ * @param {Function} props.onConfirm - Save the previewed records, called
+ *   with the commit options ({ mode: "merge" | "replace" })
+ * @param {Function} props.onCancel - Discard the preview
+ * @param {Function} props.onDateFormatChange - Re-read the file with another
+ *   day/month order ("mdy" or "dmy")
+ * @param {Function} props.onEditColumns - Open the column mapping of a CSV
+ */
+export default function ImportPreview({
+  preview,
+  onConfirm,
+  onCancel,
+  onDateFormatChange,
+  onEditColumns,
+}) {
+  const {
+    types,
+    dateRange,
+    dateFormat,
+    columns,
+    samples,
+    dropped,
+    droppedCount,
+  } = preview;
+  const total = types.reduce((sum, { count }) => sum + count, 0);
+  const [replaceExisting, setReplaceExisting] = useState(false);
+
+  // Only files with numeric dates (03/04/2024) have a day/month order
+  const showDateFormat =
+    dateFormat &&
+    onDateFormatChange &&
+    (dateFormat.ambiguous || dateFormat.detected || dateFormat.overridden);
+
+  return (
+    <div className="mt-6 bg-gray-900 border border-cyan-800 rounded-lg p-4">
+      <h4 className="text-sm font-mono text-cyan-300 mb-1">IMPORT PREVIEW</h4>
+      <p className="text-xs text-cyan-600 font-mono mb-4">
+        Nothing has been saved yet. Review the records below, then confirm or
+        cancel the import.
+      </p>
+
+      {types.length > 0 ? (
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4 mb-4">
+          {types.map(({ recordType, label, count }) => (
+            <div key={recordType} className="bg-gray-950 p-3 rounded-lg">
+              <p className="text-xs text-cyan-600 font-mono">
+                {label.toUpperCase()}
+              </p>
+              <p className="text-lg font-bold text-cyan-300 font-mono">
+                {count.toLocaleString()}
+              </p>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-yellow-500 font-mono mb-4">
+          No importable records were found in this file.
+        </p>
+      )}
+
+      {dateRange.start && (
+        <p className="text-xs text-cyan-600 font-mono mb-4">
+          Data range: {dateRange.start} to {dateRange.end}
+        </p>
+      )}
+
+      {onEditColumns && (
+        <div className="mb-4 text-xs font-mono flex items-center text-cyan-600">
+          <span className="mr-3">
+            {columns.profile
+              ? `Columns mapped with saved profile "${columns.profile}"`
+              : columns.mapping
+              ? "Columns mapped manually"
+              : "Columns detected from the headers"}
+          </span>
+          <button
+            onClick={onEditColumns}
+            className="text-cyan-400 hover:text-cyan-300 flex items-center"
+          >
+            <Columns size={14} className="mr-1" />
+            EDIT COLUMN MAPPING
+          </button>
+        </div>
+      )}
+
+      {showDateFormat && (
+        <div className="mb-4 text-xs font-mono">
+          <label className="flex items-center text-cyan-600">
+            <span className="mr-2">Numeric dates read as</span>
+            <select
+              value={dateFormat.format}
+              onChange={(e) => onDateFormatChange(e.target.value)}
+              className="bg-gray-950 border border-cyan-800 rounded px-2 py-1 text-cyan-300"
+            >
+              {Object.entries(DATE_FORMATS).map(([value, { label }]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <span className="ml-2">
+              {dateFormat.overridden
+                ? "(chosen)"
+                : dateFormat.detected
+                ? "(detected)"
+                : "(assumed)"}
+            </span>
+          </label>
+          {dateFormat.ambiguous && !dateFormat.overridden && (
+            <p className="text-yellow-500 mt-1 flex items-center">
+              <AlertTriangle size={14} className="mr-2" />
+              No date in this file settles whether it is day or month first.
+              Check the sample dates below and change the format if they look
+              wrong.
+            </p>
+          )}
+        </div>
+      )}
+
+      {types.length > 0 && (
+        <div className="mb-4 space-y-3">
+          <p className="text-xs text-cyan-600 font-mono">SAMPLE RECORDS</p>
+          {types.map(({ recordType, label }) => (
+            <div key={recordType}>
+              <p className="text-xs text-cyan-500 font-mono mb-1">{label}</p>
+              <div className="space-y-1">
+                {samples[recordType].map((record, index) => (
+                  <SampleRecord key={index} record={record} />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {droppedCount > 0 && (
+        <div className="mb-4">
+          <p className="text-xs text-yellow-500 font-mono mb-2 flex items-center">
+            <AlertTriangle size={14} className="mr-2" />
+            {droppedCount.toLocaleString()} RECORDS WILL BE DROPPED
+          </p>
+          <div className="max-h-48 overflow-y-auto space-y-1">
+            {dropped.slice(0, MAX_LISTED_DROPPED).map((error, index) => (
+              <p
+                key={index}
+                className="text-xs font-mono text-gray-400 bg-gray-950 px-3 py-1.5 rounded"
+              >
+                {error.index !== null && `Record ${error.index + 1}: `}
+                {error.reason}
+                {error.value !== undefined && ` (${String(error.value)})`}
+              </p>
+            ))}
+          </div>
+          {droppedCount > MAX_LISTED_DROPPED && (
+            <p className="text-xs text-gray-500 font-mono mt-1">
+              ...and {(droppedCount - MAX_LISTED_DROPPED).toLocaleString()}{" "}
+              more
+            </p>
+          )}
+        </div>
+      )}
+
+      {types.length > 0 && (
+        <label className="flex items-start text-xs font-mono text-cyan-600 mb-4 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={replaceExisting}
+            onChange={(e) => setReplaceExisting(e.target.checked)}
+            className="mr-2 mt-0.5"
+          />
+          <span>
+            Replace existing{" "}
+            {types.map(({ label }) => label.toLowerCase()).join(", ")} data
+            instead of merging. By default only records not already stored
+            are added.
+          </span>
+        </label>
+      )}
+
+      <div className="flex justify-end space-x-3">
+        <button
+          onClick={onCancel}
+          className="bg-gray-800 text-gray-300 border border-gray-700 px-4 py-2 rounded font-mono hover:bg-gray-700 transition flex items-center"
+        >
+          <X size={16} className="mr-2" />
+          CANCEL
+        </button>
+        <button
+          onClick={() =>
+            onConfirm({ mode: replaceExisting ? "replace" : "merge" })
+          }
+          disabled={total === 0}
+          className="bg-cyan-900 text-cyan-300 border border-cyan-700 px-4 py-2 rounded font-mono hover:bg-cyan-800 transition flex items-center disabled:opacity-50"
+        >
+          <Check size={16} className="mr-2" />
+          IMPORT {total.toLocaleString()} RECORDS
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import { Columns, X } from "lucide-react";
+import React, { useEffect, useState } from "react";
+import { RECORD_TYPES } from "../../services/importEngine";
+import {
+  deleteMappingProfile,
+  getMappingProfiles,
+} from "../../services/mappingProfileService";
+
+function describeMapping({ date, value, unit, type, recordType }) {
+  return [
+    `date: ${date}`,
+    `value: ${value}`,
+    unit && `unit: ${unit}`,
+    type ? `type: ${type}` : (RECORD_TYPES[recordType] || {}).label,
+  ]
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Saved CSV column mappings with a delete action for each
+ *
+ * @param {Object} props
+ * @param {*} props.refreshKey - Changes whenever a mapping may have been saved
+ */
+export default function MappingProfiles({ refreshKey }) {
+  const [profiles, setProfiles] = useState(() => getMappingProfiles());
+
+  useEffect(() => {
+    setProfiles(getMappingProfiles());
+  }, [refreshKey]);
+
+  if (profiles.length === 0) return null;
+
+  const handleDelete = (profileId) => {
+    deleteMappingProfile(profileId);
+    setProfiles(getMappingProfiles());
+  };
+
+  return (
+    <div className="mt-6 pt-6 border-t border-cyan-900">
+      <h4 className="text-sm font-mono text-cyan-300 mb-1 flex items-center">
+        <Columns size={16} className="mr-2" />
+        CSV COLUMN MAPPINGS
+      </h4>
+      <p className="text-xs font-mono text-cyan-600 mb-3">
+        CSV files with the same columns as a saved mapping are imported with
+        it automatically.
+      </p>
+
+      <div className="space-y-1">
+        {profiles.map((profile) => (
+          <div
+            key={profile.id}
+            className="flex items-center justify-between bg-gray-900 border border-cyan-900 px-3 py-1.5 rounded"
+          >
+            <div className="min-w-0">
+              <p className="font-mono text-sm text-cyan-300 truncate">
+                {profile.name}
+              </p>
+              <p className="text-xs font-mono text-cyan-600 truncate">
+                {describeMapping(profile.mapping)}
+              </p>
+            </div>
+            <button
+              onClick={() => handleDelete(profile.id)}
+              aria-label={`Delete ${profile.name}`}
+              className="text-gray-500 hover:text-red-400 ml-3"
+            >
+              <X size={14} />
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import { Moon } from "lucide-react";
+import React, { useEffect, useMemo, useState } from "react";
+import { getHealthData } from "../../services/dataImportService";
+import {
+  buildSleepSessions,
+  getSleepSessionOptions,
+  setSleepSessionOptions,
+} from "../../services/sleepSessionService";
+import { getLocalDay } from "../../utils/dateUtils";
+
+// Number of recent nights shown
+const MAX_LISTED_NIGHTS = 14;
+
+function formatHours(hours) {
+  const minutes = Math.round(hours * 60);
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
+}
+
+/**
+ * Night grouping options for Apple Health sleep samples with the nights
+ * they produce
+ *
+ * @param {Object} props
+ * @param {*} props.refreshKey - Changes whenever stored data changes
+ */
+export default function SleepNights({ refreshKey }) {
+  const [options, setOptions] = useState(() => getSleepSessionOptions());
+  const [sleep, setSleep] = useState(() => getHealthData("sleep"));
+
+  useEffect(() => {
+    setSleep(getHealthData("sleep"));
+  }, [refreshKey]);
+
+  const updateOption = (name, value) => {
+    const parsed = parseInt(value, 10);
+    if (isNaN(parsed)) return;
+    setSleepSessionOptions({ [name]: parsed });
+    setOptions(getSleepSessionOptions());
+  };
+
+  const nights = useMemo(
+    () =>
+      buildSleepSessions(sleep, options)
+        .filter((night) => night.endDate)
+        .reverse()
+        .slice(0, MAX_LISTED_NIGHTS),
+    [sleep, options]
+  );
+
+  return (
+    <div className="mt-6 pt-6 border-t border-cyan-900">
+      <h4 className="text-sm font-mono text-cyan-300 mb-1 flex items-center">
+        <Moon size={16} className="mr-2" />
+        SLEEP NIGHTS
+      </h4>
+      <p className="text-xs font-mono text-cyan-600 mb-3">
+        Apple Health sleep stages are joined into one night while the breaks
+        between them are short enough. Nights never run past the day boundary,
+        which keeps evening naps apart from the night after.
+      </p>
+
+      <div className="flex flex-wrap gap-4 mb-4">
+        <label className="text-xs font-mono text-cyan-500 flex items-center">
+          LONGEST BREAK
+          <input
+            type="number"
+            min="5"
+            max="360"
+            step="5"
+            value={options.maxGapMinutes}
+            onChange={(e) => updateOption("maxGapMinutes", e.target.value)}
+            className="w-20 mx-2 bg-gray-900 border border-cyan-800 rounded px-2 py-1 text-cyan-300"
+          />
+          MIN
+        </label>
+        <label className="text-xs font-mono text-cyan-500 flex items-center">
+          DAY BOUNDARY
+          <input
+            type="number"
+            min="0"
+            max="23"
+            value={options.dayBoundaryHour}
+            onChange={(e) => updateOption("dayBoundaryHour", e.target.value)}
+            className="w-16 mx-2 bg-gray-900 border border-cyan-800 rounded px-2 py-1 text-cyan-300"
+          />
+          :00
+        </label>
+      </div>
+
+      {nights.length > 0 && (
+        <div className="max-h-72 overflow-y-auto">
+          <table className="w-full text-xs font-mono">
+            <thead>
+              <tr className="text-cyan-600 text-left">
+                <th className="py-1 pr-2">NIGHT ENDING</th>
+                <th className="py-1 pr-2 text-right">ASLEEP</th>
+                <th className="py-1 pr-2 text-right">IN BED</th>
+                <th className="py-1 pr-2 text-right">EFFICIENCY</th>
+                <th className="py-1">SOURCE</th>
+              </tr>
+            </thead>
+            <tbody>
+              {nights.map((night) => (
+                <tr
+                  key={`${night.date}-${night.source}`}
+                  className="border-t border-gray-800"
+                >
+                  <td className="py-1 pr-2 text-cyan-400">
+                    {getLocalDay(night.endDate, night.utcOffset)}
+                  </td>
+                  <td className="py-1 pr-2 text-right text-cyan-300">
+                    {formatHours(night.value)}
+                  </td>
+                  <td className="py-1 pr-2 text-right text-cyan-300">
+                    {night.timeInBed ? formatHours(night.timeInBed) : "-"}
+                  </td>
+                  <td className="py-1 pr-2 text-right text-cyan-300">
+                    {typeof night.sleepEfficiency === "number"
+                      ? `${Math.round(night.sleepEfficiency)}%`
+                      : "-"}
+                  </td>
+                  <td className="py-1 text-cyan-300">{night.source || "-"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import { ArrowDown, ArrowUp, Layers, Plus, X } from "lucide-react";
+import React, { useEffect, useMemo, useState } from "react";
+import { getHealthData } from "../../services/dataImportService";
+import { processHealthData } from "../../services/healthDataProcessor";
+import {
+  getKnownSources,
+  getSourcePriority,
+  getSourceRank,
+  setSourcePriority,
+} from "../../services/sourcePriorityService";
+
+// Number of recent days shown in the per-day breakdown
+const MAX_LISTED_DAYS = 14;
+
+/**
+ * Source priority editor with the source that won each day's step count
+ *
+ * @param {Object} props
+ * @param {*} props.refreshKey - Changes whenever stored data changes
+ */
+export default function SourcePriority({ refreshKey }) {
+  const [priority, setPriority] = useState(() => getSourcePriority());
+  const [knownSources, setKnownSources] = useState(() => getKnownSources());
+  const [steps, setSteps] = useState(() => getHealthData("steps"));
+
+  useEffect(() => {
+    setKnownSources(getKnownSources());
+    setSteps(getHealthData("steps"));
+  }, [refreshKey]);
+
+  const updatePriority = (next) => {
+    setSourcePriority(next);
+    setPriority(getSourcePriority());
+  };
+
+  const move = (index, offset) => {
+    const next = [...priority];
+    const [entry] = next.splice(index, 1);
+    next.splice(index + offset, 0, entry);
+    updatePriority(next);
+  };
+
+  // Sources in the data that no priority entry matches yet
+  const unrankedSources = useMemo(
+    () =>
+      knownSources.filter(
+        (source) => getSourceRank(source, priority) === priority.length
+      ),
+    [knownSources, priority]
+  );
+
+  const days = useMemo(
+    () =>
+      processHealthData(steps, "steps", {
+        sourcePriority: priority,
+      }).sources.slice(0, MAX_LISTED_DAYS),
+    [steps, priority]
+  );
+
+  return (
+    <div className="mt-6 pt-6 border-t border-cyan-900">
+      <h4 className="text-sm font-mono text-cyan-300 mb-1 flex items-center">
+        <Layers size={16} className="mr-2" />
+        SOURCE PRIORITY
+      </h4>
+      <p className="text-xs font-mono text-cyan-600 mb-3">
+        When several devices record steps, energy or other totals for the same
+        time, or sleep for the same night, only the highest source in this list
+        is counted. Entries match any source whose name contains them.
+      </p>
+
+      <div className="space-y-1 mb-3">
+        {priority.map((entry, index) => (
+          <div
+            key={entry}
+            className="flex items-center justify-between bg-gray-900 border border-cyan-900 px-3 py-1.5 rounded"
+          >
+            <span className="font-mono text-sm text-cyan-300">
+              {index + 1}. {entry}
+            </span>
+            <div className="flex space-x-1">
+              <button
+                onClick={() => move(index, -1)}
+                disabled={index === 0}
+                aria-label={`Move ${entry} up`}
+                className="text-cyan-400 hover:text-cyan-200 disabled:opacity-30"
+              >
+                <ArrowUp size={14} />
+              </button>
+              <button
+                onClick={() => move(index, 1)}
+                disabled={index === priority.length - 1}
+                aria-label={`Move ${entry} down`}
+                className="text-cyan-400 hover:text-cyan-200 disabled:opacity-30"
+              >
+                <ArrowDown size={14} />
+              </button>
+              <button
+                onClick={() =>
+                  updatePriority(priority.filter((_, i) => i !== index))
+                }
+                aria-label={`Remove ${entry}`}
+                className="text-gray-500 hover:text-red-400"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {unrankedSources.length > 0 && (
+        <div className="mb-4">
+          <p className="text-xs font-mono text-cyan-600 mb-1">
+            Unranked sources (counted last):
+          </p>
+          <div className="flex flex-wrap gap-2">
+            {unrankedSources.map((source) => (
+              <button
+                key={source}
+                onClick={() => updatePriority([...priority, source])}
+                className="text-xs font-mono text-cyan-500 bg-gray-950 border border-cyan-900 px-2 py-0.5 rounded hover:bg-gray-900 flex items-center"
+              >
+                <Plus size={12} className="mr-1" />
+                {source}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {days.length > 0 && (
+        <div className="max-h-72 overflow-y-auto">
+          <table className="w-full text-xs font-mono">
+            <thead>
+              <tr className="text-cyan-600 text-left">
+                <th className="py-1 pr-2">DAY</th>
+                <th className="py-1 pr-2 text-right">STEPS</th>
+                <th className="py-1 pr-2">SOURCE</th>
+                <th className="py-1 text-right">OVERLAP DROPPED</th>
+              </tr>
+            </thead>
+            <tbody>
+              {days.map((day) => (
+                <tr key={day.date} className="border-t border-gray-800">
+                  <td className="py-1 pr-2 text-cyan-400">{day.date}</td>
+                  <td className="py-1 pr-2 text-right text-cyan-300">
+                    {Math.round(day.total).toLocaleString()}
+                  </td>
+                  <td className="py-1 pr-2 text-cyan-300">
+                    {day.winner}
+                    {Object.keys(day.sources).length > 1 &&
+                      ` +${Object.keys(day.sources).length - 1}`}
+                  </td>
+                  <td className="py-1 text-right text-gray-500">
+                    {day.discarded > 0
+                      ? Math.round(day.discarded).toLocaleString()
+                      : "-"}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
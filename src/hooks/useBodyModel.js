@@ -3,11 +3,16 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader';
 import { updateBodyModel, applyMorphTargets } from '../services/bodyModelService';
+import {
+  getBodyCompositionHistory,
+  getBodyMetricsAt,
+  toModelMetrics
+} from '../services/bodyCompositionService';
 
 /**
  * Custom hook for managing the 3D human body model
  * 
- * @param {Object} initialMetrics - Initial body metrics
+ * @param {Object} initialMetrics - Overrides for the stored body metrics
  * @param {string} modelPath - Path to the 3D model file
  * @returns {Object} Model management functions and state
  */
@@ -15,14 +20,11 @@ export function useBodyModel(initialMetrics = {}, modelPath = '/models/ybot.glb'
   const [model, setModel] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [metrics, setMetrics] = useState({
-    bodyFat: 20,
-    muscleMass: 50,
-    height: 175,
-    shoulderWidth: 50,
-    waistSize: 34,
+  // Start from the latest stored measurements, imported or manual
+  const [metrics, setMetrics] = useState(() => ({
+    ...toModelMetrics(getBodyMetricsAt(getBodyCompositionHistory())),
     ...initialMetrics
-  });
+  }));
   const [hasMorphTargets, setHasMorphTargets] = useState(false);
   
   // Load the 3D model
@@ -0,0 +1,52 @@
+import { useCallback, useEffect, useState } from "react";
+import { queryAll } from "../services/healthQueryService";
+
+/**
+ * Hook running a set of health data queries
+ *
+ * Queries run again when their options change or refresh is called,
+ * e.g. after an import.
+ *
+ * @param {Object} queries - Name -> options for healthQueryService.query
+ * @returns {Object} { results, isLoading, error, refresh } where results
+ *   maps each name to its result
+ */
+export function useHealthQuery(queries) {
+  const [results, setResults] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [revision, setRevision] = useState(0);
+
+  // Compare by value so callers can build the queries while rendering
+  const queryKey = JSON.stringify(queries);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+
+    queryAll(JSON.parse(queryKey))
+      .then((nextResults) => {
+        if (cancelled) return;
+        setResults(nextResults);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Error querying health data:", err);
+        setError(err);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [queryKey, revision]);
+
+  const refresh = useCallback(() => setRevision((value) => value + 1), []);
+
+  return { results, isLoading, error, refresh };
+}
+
+export default useHealthQuery;
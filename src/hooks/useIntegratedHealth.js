@@ -76,10 +76,11 @@ export function useIntegratedHealth(initialGoals = {}) {
     return addMealToNutrition(meal);
   }, [addMealToNutrition]);
   
-  // Sync nutrition data with health data
+  // Sync nutrition data with health data and re-read imported diaries
   const syncNutrition = useCallback(async () => {
-    return refreshNutritionData();
-  }, [refreshNutritionData]);
+    await refreshNutritionData();
+    updateNutritionData();
+  }, [refreshNutritionData, updateNutritionData]);
   
   // Perform daily check-in with goal updates
   const performCheckInWithGoals = useCallback(async () => {
@@ -1,11 +1,19 @@
 import { useState, useEffect, useCallback } from 'react';
-import { saveToStorage, getFromStorage } from '../utils/storageUtils';
-import { STORAGE_KEYS } from '../services/dataImportService';
 import { useAppleHealth } from './useAppleHealth';
 import { processNutritionData } from '../services/healthDataProcessor';
+import {
+  getNutritionGoals,
+  getNutritionRecords,
+  logMeal as logNutritionMeal,
+  saveNutritionGoals
+} from '../services/nutritionService';
 
 /**
  * Hook to fetch and manage nutrition data
+ *
+ * Imported food diaries and meals logged here are stored as nutrition
+ * records (nutritionService); Apple Health samples fill in the days the
+ * diaries don't cover.
  * @param {Object} options - Options for data fetching
  * @param {boolean} options.fetchFromHealth - Whether to fetch from Apple Health
  * @param {string} options.period - Time period for data (day, week, month)
@@ -28,24 +36,6 @@ export function useNutritionData(options = {}) {
     'dietarySugar',
   ];
 
-  // State for nutrition data
-  const [nutritionData, setNutritionData] = useState(() => {
-    return getFromStorage(STORAGE_KEYS.NUTRITION_DATA, {
-      calories: { consumed: 0, goal: 2200 },
-      protein: { consumed: 0, goal: 120 },
-      carbs: { consumed: 0, goal: 200 },
-      fat: { consumed: 0, goal: 70 },
-      water: { consumed: 0, goal: 2500 },
-      fiber: { consumed: 0, goal: 25 },
-      sugar: { consumed: 0, goal: 50 },
-      meals: []
-    });
-  });
-  
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [lastUpdated, setLastUpdated] = useState(null);
-
   // Use Apple Health hook to fetch all nutrition data types
   const { 
     data: healthData,
@@ -57,133 +47,53 @@ export function useNutritionData(options = {}) {
     autoRefresh: false
   });
 
-  // Process data from Apple Health and update nutrition state
-  useEffect(() => {
-    if (fetchFromHealth && healthData && Object.keys(healthData).length > 0) {
-      try {
-        setIsLoading(true);
-        
-        // Process the raw health data
-        const processedData = processNutritionData(healthData);
-        
-        // Merge with existing data for goals and other metadata
-        const newData = {
-          ...nutritionData,
-          calories: { 
-            consumed: processedData.calories || 0, 
-            goal: nutritionData.calories.goal 
-          },
-          protein: { 
-            consumed: processedData.protein || 0, 
-            goal: nutritionData.protein.goal 
-          },
-          carbs: { 
-            consumed: processedData.carbs || 0, 
-            goal: nutritionData.carbs.goal 
-          },
-          fat: { 
-            consumed: processedData.fat || 0, 
-            goal: nutritionData.fat.goal 
-          },
-          water: { 
-            consumed: processedData.water || 0, 
-            goal: nutritionData.water.goal 
-          },
-          fiber: { 
-            consumed: processedData.fiber || 0, 
-            goal: nutritionData.fiber.goal 
-          },
-          sugar: { 
-            consumed: processedData.sugar || 0, 
-            goal: nutritionData.sugar.goal 
-          },
-          meals: processedData.meals || nutritionData.meals
-        };
-        
-        setNutritionData(newData);
-        saveToStorage(STORAGE_KEYS.NUTRITION_DATA, newData);
-        setLastUpdated(new Date());
-      } catch (err) {
-        console.error("Error processing nutrition data from health:", err);
-        setError(err);
-      } finally {
-        setIsLoading(false);
-      }
-    } else {
+  // Summarise imported diaries, logged meals and Apple Health samples
+  const summarize = useCallback(() => {
+    return processNutritionData(
+      {
+        ...(fetchFromHealth ? healthData : {}),
+        nutrition: getNutritionRecords()
+      },
+      { goals: getNutritionGoals() }
+    );
+  }, [healthData, fetchFromHealth]);
+
+  // State for nutrition data
+  const [nutritionData, setNutritionData] = useState(summarize);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null);
+
+  // Function to re-read stored nutrition, e.g. after an import
+  const updateNutritionData = useCallback(() => {
+    try {
+      setNutritionData(summarize());
+      setLastUpdated(new Date());
+    } catch (err) {
+      console.error("Error processing nutrition data:", err);
+      setError(err);
+    } finally {
       setIsLoading(false);
     }
-  }, [healthData, fetchFromHealth, nutritionData.calories.goal, nutritionData.protein.goal, 
-      nutritionData.carbs.goal, nutritionData.fat.goal, nutritionData.water.goal,
-      nutritionData.fiber.goal, nutritionData.sugar.goal]);
+  }, [summarize]);
 
-  // Function to update nutrition data manually
-  const updateNutritionData = useCallback((data) => {
-    setNutritionData(prevData => {
-      const newData = { ...prevData, ...data };
-      saveToStorage(STORAGE_KEYS.NUTRITION_DATA, newData);
-      return newData;
-    });
-    setLastUpdated(new Date());
-  }, []);
+  // Process data from Apple Health whenever it changes
+  useEffect(() => {
+    updateNutritionData();
+  }, [updateNutritionData]);
 
   // Function to log a meal manually
   const logMeal = useCallback((meal) => {
-    setNutritionData(prevData => {
-      // Default structure for a new meal
-      const newMeal = {
-        id: Date.now().toString(),
-        timestamp: new Date().toISOString(),
-        name: meal.name || 'Meal',
-        calories: meal.calories || 0,
-        protein: meal.protein || 0,
-        carbs: meal.carbs || 0,
-        fat: meal.fat || 0,
-        ...meal
-      };
-      
-      // Add the meal and update totals
-      const newMeals = [...prevData.meals, newMeal];
-      
-      // Recalculate consumed amounts
-      const calories = newMeals.reduce((sum, m) => sum + (m.calories || 0), 0);
-      const protein = newMeals.reduce((sum, m) => sum + (m.protein || 0), 0);
-      const carbs = newMeals.reduce((sum, m) => sum + (m.carbs || 0), 0);
-      const fat = newMeals.reduce((sum, m) => sum + (m.fat || 0), 0);
-      
-      const newData = {
-        ...prevData,
-        meals: newMeals,
-        calories: { ...prevData.calories, consumed: calories },
-        protein: { ...prevData.protein, consumed: protein },
-        carbs: { ...prevData.carbs, consumed: carbs },
-        fat: { ...prevData.fat, consumed: fat }
-      };
-      
-      saveToStorage(STORAGE_KEYS.NUTRITION_DATA, newData);
-      return newData;
-    });
-    setLastUpdated(new Date());
-  }, []);
+    const record = logNutritionMeal(meal);
+    updateNutritionData();
+    return record;
+  }, [updateNutritionData]);
 
   // Function to update nutrition goals
   const updateNutritionGoals = useCallback((goals) => {
-    setNutritionData(prevData => {
-      const newData = {
-        ...prevData,
-        calories: { ...prevData.calories, goal: goals.calories || prevData.calories.goal },
-        protein: { ...prevData.protein, goal: goals.protein || prevData.protein.goal },
-        carbs: { ...prevData.carbs, goal: goals.carbs || prevData.carbs.goal },
-        fat: { ...prevData.fat, goal: goals.fat || prevData.fat.goal },
-        water: { ...prevData.water, goal: goals.water || prevData.water.goal },
-        fiber: { ...prevData.fiber, goal: goals.fiber || prevData.fiber.goal },
-        sugar: { ...prevData.sugar, goal: goals.sugar || prevData.sugar.goal }
-      };
-      
-      saveToStorage(STORAGE_KEYS.NUTRITION_DATA, newData);
-      return newData;
-    });
-    setLastUpdated(new Date());
-  }, []);
+    saveNutritionGoals(goals);
+    updateNutritionData();
+  }, [updateNutritionData]);
 
   // Function to refresh data from health
   const refreshData = useCallback(() => {
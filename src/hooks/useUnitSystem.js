@@ -0,0 +1,30 @@
+import { useCallback, useEffect, useState } from 'react';
+import {
+  getUnitSystem,
+  setUnitSystem as saveUnitSystem,
+  UNIT_PREFERENCE_EVENT
+} from '../services/unitService';
+
+/**
+ * Hook for the unit system (metric/imperial) values are displayed in
+ *
+ * Every mounted panel re-renders when the preference changes anywhere.
+ * @returns {Array} [system, setSystem]
+ */
+export function useUnitSystem() {
+  const [system, setSystem] = useState(() => getUnitSystem());
+
+  useEffect(() => {
+    const handleChange = () => setSystem(getUnitSystem());
+    window.addEventListener(UNIT_PREFERENCE_EVENT, handleChange);
+    return () => window.removeEventListener(UNIT_PREFERENCE_EVENT, handleChange);
+  }, []);
+
+  const updateSystem = useCallback((nextSystem) => {
+    saveUnitSystem(nextSystem);
+  }, []);
+
+  return [system, updateSystem];
+}
+
+export default useUnitSystem;
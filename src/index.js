@@ -2,14 +2,28 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import StorageGate from './components/layout/StorageGate';
 import reportWebVitals from './reportWebVitals';
+import { runMigrations } from './services/migrationService';
+import { initStorage, isStorageLocked } from './utils/storageUtils';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+
+// Health data is loaded from IndexedDB and upgraded to the current schema
+// before anything reads it; encrypted data is upgraded once unlocked (see
+// StorageGate)
+initStorage()
+  .then(() => (isStorageLocked() ? null : runMigrations()))
+  .catch(error => console.error('Error upgrading stored data:', error))
+  .finally(() => {
+    root.render(
+      <React.StrictMode>
+        <StorageGate>
+          <App />
+        </StorageGate>
+      </React.StrictMode>
+    );
+  });
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
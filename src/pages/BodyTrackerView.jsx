@@ -2,19 +2,16 @@ import React, { useState, useEffect } from 'react';
 import { Calendar, RotateCw, Save, Camera } from 'lucide-react';
 import HumanBodyModelViewer from '../components/3d/HumanBodyModelViewer';
 import BodyCompositionPanel from '../components/dashboard/BodyCompositionPanel';
-import { getFromStorage } from '../utils/storageUtils';
-
-const BODY_HISTORY_KEY = 'body-composition-history';
+import {
+  DEFAULT_BODY_METRICS,
+  getBodyCompositionHistory,
+  getBodyMetricsAt,
+  toModelMetrics
+} from '../services/bodyCompositionService';
 
 export default function BodyTrackerView() {
   const [userData, setUserData] = useState({
-    bodyMetrics: {
-      bodyFat: 20,
-      muscleMass: 50,
-      height: 175,
-      shoulderWidth: 50,
-      waistSize: 34
-    }
+    bodyMetrics: { ...DEFAULT_BODY_METRICS }
   });
   
   const [viewMode, setViewMode] = useState('front'); // front, side, back
@@ -25,21 +22,13 @@ export default function BodyTrackerView() {
   
   // Load body composition history
   useEffect(() => {
-    const history = getFromStorage(BODY_HISTORY_KEY, []);
-    if (history && history.length > 0) {
+    const history = getBodyCompositionHistory();
+    if (history.length > 0) {
       setBodyHistory(history);
       
       // Set latest measurements as current
-      const latestEntry = history[history.length - 1];
       setUserData({
-        bodyMetrics: {
-          bodyFat: latestEntry.bodyFat || 20,
-          muscleMass: latestEntry.muscleMass || 50,
-          height: latestEntry.height || 175,
-          shoulderWidth: latestEntry.shoulderWidth || 50,
-          waistSize: latestEntry.waistSize || 34,
-          weight: latestEntry.weight || 78
-        }
+        bodyMetrics: toModelMetrics(getBodyMetricsAt(history))
       });
     }
   }, []);
@@ -57,48 +46,13 @@ export default function BodyTrackerView() {
     const selectedDate = e.target.value;
     setHistoryDate(selectedDate);
     
-    if (selectedDate) {
-      // Find closest date in history
-      const targetDate = new Date(selectedDate);
-      let closestEntry = null;
-      let minDiff = Infinity;
-      
-      bodyHistory.forEach(entry => {
-        const entryDate = new Date(entry.date);
-        const diff = Math.abs(entryDate - targetDate);
-        
-        if (diff < minDiff) {
-          minDiff = diff;
-          closestEntry = entry;
-        }
-      });
-      
-      if (closestEntry) {
-        setUserData({
-          bodyMetrics: {
-            bodyFat: closestEntry.bodyFat || 20,
-            muscleMass: closestEntry.muscleMass || 50,
-            height: closestEntry.height || 175,
-            shoulderWidth: closestEntry.shoulderWidth || 50,
-            waistSize: closestEntry.waistSize || 34,
-            weight: closestEntry.weight || 78
-          }
-        });
-      }
-    } else {
-      // Reset to latest entry
-      const latestEntry = bodyHistory[bodyHistory.length - 1];
-      setUserData({
-        bodyMetrics: {
-          bodyFat: latestEntry.bodyFat || 20,
-          muscleMass: latestEntry.muscleMass || 50,
-          height: latestEntry.height || 175,
-          shoulderWidth: latestEntry.shoulderWidth || 50,
-          waistSize: latestEntry.waistSize || 34,
-          weight: latestEntry.weight || 78
-        }
-      });
-    }
+    // Metrics as of the end of the selected day, or the latest ones
+    const metrics = selectedDate
+      ? getBodyMetricsAt(bodyHistory, `${selectedDate}T23:59:59.999`)
+      : getBodyMetricsAt(bodyHistory);
+    setUserData({
+      bodyMetrics: toModelMetrics(metrics)
+    });
   };
   
   // Get date range for history selection
@@ -0,0 +1,135 @@
+// src/services/appleHealthArchive.js
+
+import { openZipEntryStream, readZipEntries } from "../utils/zipUtils";
+
+/**
+ * Apple Health export.zip support
+ *
+ * The archive produced by the Health app ("Export All Health Data") holds:
+ * - apple_health_export/export.xml              main record export
+ * - apple_health_export/export_cda.xml          clinical document (ignored)
+ * - apple_health_export/workout-routes/*.gpx    one GPS route per workout
+ * - apple_health_export/electrocardiograms/*.csv one file per ECG recording
+ *
+ * Entries are matched against ARCHIVE_ENTRY_KINDS and each one is streamed
+ * to the handler registered for its kind. Entries without a handler are
+ * still reported so the import summary shows what the archive contained.
+ */
+
+export const ARCHIVE_ENTRY_KINDS = [
+  {
+    kind: "export",
+    label: "Health records",
+    pattern: /(^|\/)export\.xml$/i,
+  },
+  {
+    kind: "workoutRoute",
+    label: "Workout route",
+    pattern: /(^|\/)workout-routes\/[^/]+\.gpx$/i,
+  },
+  {
+    kind: "electrocardiogram",
+    label: "Electrocardiogram",
+    pattern: /(^|\/)electrocardiograms\/[^/]+\.csv$/i,
+  },
+];
+
+/**
+ * Determine which kind of Apple Health file a ZIP entry is
+ *
+ * @param {string} name - Entry path inside the archive
+ * @returns {Object|null} Matching ARCHIVE_ENTRY_KINDS item
+ */
+export function classifyArchiveEntry(name) {
+  return ARCHIVE_ENTRY_KINDS.find(({ pattern }) => pattern.test(name)) || null;
+}
+
+/**
+ * Import the supported files of an Apple Health export.zip
+ *
+ * Handlers receive `(stream, entry)` where stream is the inflated entry
+ * contents, and resolve to `{ records }` describing what they imported.
+ *
+ * @param {Blob} blob - The export.zip file
+ * @param {Object} options
+ * @param {Object} options.handlers - Map of entry kind to handler function
+ * @param {Function} options.onProgress - Called with { bytesRead, totalBytes,
+ *   percent, file } as compressed bytes are consumed across all files
+ * @returns {Promise<Object>} { files } with one summary per matched entry
+ */
+export async function importAppleHealthArchive(
+  blob,
+  { handlers = {}, onProgress } = {}
+) {
+  const entries = (await readZipEntries(blob))
+    .filter((entry) => !entry.isDirectory)
+    .map((entry) => ({ entry, type: classifyArchiveEntry(entry.name) }))
+    .filter(({ type }) => type !== null);
+
+  if (!entries.some(({ type }) => type.kind === "export")) {
+    throw new Error(
+      "No apple_health_export/export.xml found in the archive. " +
+        "Please select the export.zip created by the Health app."
+    );
+  }
+
+  // Progress is measured over the compressed bytes of the files we process
+  const progress = {
+    bytesRead: 0,
+    totalBytes: entries
+      .filter(({ type }) => handlers[type.kind])
+      .reduce((sum, { entry }) => sum + entry.compressedSize, 0),
+  };
+
+  const reportBytes = (count, file) => {
+    progress.bytesRead += count;
+    if (!onProgress) return;
+
+    const { bytesRead, totalBytes } = progress;
+    onProgress({
+      bytesRead,
+      totalBytes,
+      percent: totalBytes ? Math.round((bytesRead / totalBytes) * 100) : 100,
+      file,
+    });
+  };
+
+  const files = [];
+
+  for (const { entry, type } of entries) {
+    const summary = {
+      name: entry.name,
+      kind: type.kind,
+      label: type.label,
+      size: entry.uncompressedSize,
+      status: "skipped",
+      records: 0,
+      message: null,
+    };
+    files.push(summary);
+
+    const handler = handlers[type.kind];
+    if (!handler) {
+      summary.message = `${type.label} files are not imported yet`;
+      continue;
+    }
+
+    const fileStart = progress.bytesRead;
+    try {
+      const stream = await openZipEntryStream(blob, entry, {
+        onBytes: (count) => reportBytes(count, entry.name),
+      });
+
+      const result = (await handler(stream, entry)) || {};
+      summary.status = "imported";
+      summary.records = result.records || 0;
+    } catch (error) {
+      summary.status = "error";
+      summary.message = error.message;
+      // Keep the overall progress consistent if the file was cut short
+      progress.bytesRead = fileStart + entry.compressedSize;
+    }
+  }
+
+  return { files };
+}
@@ -4,6 +4,9 @@
  */
 
 import { Capacitor } from '@capacitor/core';
+import { CANONICAL_UNITS, convertUnit, toCanonical } from './unitService';
+import { getHealthData } from './dataImportService';
+import { getLocalDay } from '../utils/dateUtils';
 
 // Import the actual HealthKit plugin
 let HealthKit;
@@ -78,7 +81,7 @@ function generateMockHealthData(dataType, period = 'week') {
         break;
       default:
         value = Math.random() * 100;
-        unit = 'count';
+        unit = CANONICAL_UNITS[dataType] || 'count';
     }
     
     data.push({
@@ -722,7 +725,15 @@ class AppleHealthService {
    * HELPER FUNCTIONS
    */
   
-  async fetchHealthData(dataType, period = 'day') {
+  /**
+   * Query HealthKit samples of one type
+   *
+   * @param {string} dataType - HealthKit data type (steps, heartRate...)
+   * @param {string} period - day, week, month or year
+   * @param {Object} options - { startDate, endDate } ISO strings narrowing
+   *   the period
+   */
+  async fetchHealthData(dataType, period = 'day', options = {}) {
     try {
       // Check if HealthKit is available
       if (!HealthKit || !HealthKit.queryHealthData) {
@@ -730,8 +741,8 @@ class AppleHealthService {
         return [];
       }
       
-      const result = await HealthKit.queryHealthData({ dataType, period });
-      return result.data || [];
+      const result = await HealthKit.queryHealthData({ dataType, period, ...options });
+      return this.normalizeUnits(dataType, result.data || []);
     } catch (error) {
       // Don't log errors for unsupported data types
       if (error.message && !error.message.includes('Unsupported data type')) {
@@ -741,6 +752,22 @@ class AppleHealthService {
     }
   }
 
+  /**
+   * Convert samples to the canonical unit for their type (kg, m, °C, L...),
+   * since HealthKit returns whatever unit the user's locale prefers
+   */
+  normalizeUnits(dataType, samples) {
+    return samples.flatMap(sample => {
+      try {
+        const { value, unit } = toCanonical(dataType, sample.value, sample.unit);
+        return [{ ...sample, value, unit }];
+      } catch (error) {
+        console.warn(`Dropping ${dataType} sample in unsupported unit:`, sample.unit);
+        return [];
+      }
+    });
+  }
+
   async getLatestValue(dataType) {
     try {
       const data = await this.fetchHealthData(dataType, 'month');
@@ -1045,7 +1072,7 @@ class AppleHealthService {
     const daily = this.getLatestFromArray(data) || 0;
     
     return {
-      daily: daily / 1000, // Convert to km
+      daily: convertUnit(daily, 'm', 'km'),
       unit: 'km'
     };
   }
@@ -1087,14 +1114,44 @@ class AppleHealthService {
       this.getLatestValue('runningSpeed'),
       this.getLatestValue('runningPower')
     ]);
+    const activitySummaries = this.getActivitySummaries();
     
     return {
       walkingSpeed,
       runningSpeed,
-      runningPower
+      runningPower,
+      activitySummary: activitySummaries[0] || null,
+      activitySummaries
     };
   }
 
+  /**
+   * Activity rings of the most recent days imported from an Apple Health
+   * export, newest first, with which rings were closed
+   */
+  getActivitySummaries(days = 7) {
+    const byDay = new Map();
+    // Imports keep one summary per day and source; should two sources
+    // have rings for a day, the one stored last is shown
+    getHealthData('activitySummary').forEach(summary => {
+      byDay.set(getLocalDay(summary.date, summary.utcOffset), summary);
+    });
+    
+    const isClosed = (value, goal) => goal > 0 && value >= goal;
+    return Array.from(byDay.entries())
+      .sort(([a], [b]) => b.localeCompare(a))
+      .slice(0, days)
+      .map(([day, summary]) => ({
+        ...summary,
+        day,
+        closed: {
+          move: isClosed(summary.move, summary.moveGoal),
+          exercise: isClosed(summary.exercise, summary.exerciseGoal),
+          stand: isClosed(summary.stand, summary.standGoal)
+        }
+      }));
+  }
+
   processWeightData(data) {
     if (!data || data.length === 0) return {};
     
@@ -1270,7 +1327,7 @@ class AppleHealthService {
     const weight = this.userProfile?.weight || 70;
     
     return {
-      water: water / 1000, // Convert to liters
+      water, // Already stored in liters
       goal: weight * 0.035, // 35ml per kg
       unit: 'L'
     };
@@ -1402,6 +1459,20 @@ class AppleHealthService {
   }
 
   calculateConsistency(activityData) {
+    // Share of the last seven calendar days, today included, on which the
+    // Exercise ring was closed. Only days with imported rings are counted,
+    // so a week the watch was worn on three days is scored on those three
+    const weekStart = new Date();
+    weekStart.setDate(weekStart.getDate() - 6);
+    const firstDay = getLocalDay(weekStart);
+    const today = getLocalDay(new Date());
+    const week = (activityData.moveMetrics?.activitySummaries || [])
+      .filter(({ day }) => day >= firstDay && day <= today);
+    if (week.length > 0) {
+      const closedDays = week.filter(day => day.closed.exercise).length;
+      return Math.round((closedDays / week.length) * 100);
+    }
+    
     // Calculate workout consistency based on frequency
     const exerciseMinutes = activityData.exerciseTime?.weeklyTotal || 0;
     const targetMinutes = 150; // WHO recommendation
@@ -1529,7 +1600,7 @@ const appleHealthService = new AppleHealthService();
 // Export individual functions for backward compatibility
 export const isHealthKitAvailable = () => appleHealthService.initialize();
 export const requestHealthKitPermissions = () => appleHealthService.requestPermissions();
-export const fetchHealthData = (dataType, period) => appleHealthService.fetchHealthData(dataType, period);
+export const fetchHealthData = (dataType, period, options) => appleHealthService.fetchHealthData(dataType, period, options);
 export const clearHealthDataCache = () => HealthKit?.clearCache ? HealthKit.clearCache() : Promise.resolve();
 export const startObservingHealthData = (dataType) => HealthKit?.startObservingHealthData ? HealthKit.startObservingHealthData({ dataType }) : Promise.resolve();
 
@@ -0,0 +1,590 @@
+// src/services/appleHealthXmlParser.js
+
+/**
+ * Streaming parser for Apple Health export.xml files
+ *
+ * Apple Health exports routinely run to several gigabytes, so the file is
+ * never loaded as a whole. It is read in Blob.slice chunks, tokenized by a
+ * small SAX-style scanner and every top-level element of interest (Record,
+ * Workout, ActivitySummary, ...) is emitted on its own as soon as its
+ * closing tag has been seen. Only the unparsed tail of the current chunk is
+ * kept between reads, so memory use stays flat regardless of file size.
+ */
+
+// Default number of bytes read per chunk
+export const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Top-level elements emitted by default
+export const APPLE_HEALTH_ELEMENTS = [
+  "Record",
+  "Workout",
+  "ActivitySummary",
+  "FoodItem",
+];
+
+// Apple record types mapped onto the collections of the "parsed-xml" shape
+const RECORD_TYPE_MAP = {
+  HKQuantityTypeIdentifierHeartRate: "heartRate",
+  HKQuantityTypeIdentifierStepCount: "steps",
+  HKQuantityTypeIdentifierBodyMass: "weight",
+  HKQuantityTypeIdentifierVO2Max: "vo2max",
+  HKCategoryTypeIdentifierSleepAnalysis: "sleep",
+  HKQuantityTypeIdentifierRestingHeartRate: "restingHeartRate",
+  HKQuantityTypeIdentifierHeartRateVariabilitySDNN: "heartRateVariability",
+  HKQuantityTypeIdentifierRespiratoryRate: "respiratoryRate",
+};
+
+const XML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+const ATTRIBUTE_REGEX = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITY_REGEX = /&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g;
+
+/**
+ * Decode XML entities in an attribute value
+ *
+ * @param {string} value - Raw attribute value
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+  if (value.indexOf("&") === -1) return value;
+
+  return value.replace(ENTITY_REGEX, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1] === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Parse the attributes of a start tag body
+ *
+ * @param {string} source - Tag content after the element name
+ * @returns {Object} Attribute name/value map
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  ATTRIBUTE_REGEX.lastIndex = 0;
+
+  let match;
+  while ((match = ATTRIBUTE_REGEX.exec(source)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3];
+    attributes[match[1]] = decodeEntities(value);
+  }
+
+  return attributes;
+}
+
+/**
+ * Find the closing ">" of a tag, skipping over quoted attribute values
+ *
+ * Scans forward one character at a time so each tag costs its own length,
+ * however far away the next quote of either kind is.
+ *
+ * @returns {number} Index of ">" or -1 if the tag is not complete yet
+ */
+function findTagEnd(buffer, start) {
+  let quote = null;
+
+  for (let index = start; index < buffer.length; index++) {
+    const char = buffer[index];
+    if (quote !== null) {
+      if (char === quote) quote = null;
+    } else if (char === ">") {
+      return index;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the end of a <!DOCTYPE ...> declaration, including an internal subset
+ *
+ * @returns {number} Index just past the declaration or -1 if incomplete
+ */
+function findDoctypeEnd(buffer, start) {
+  const gt = buffer.indexOf(">", start);
+  const bracket = buffer.indexOf("[", start);
+
+  if (gt === -1) return -1;
+  if (bracket === -1 || bracket > gt) return gt + 1;
+
+  const subsetEnd = buffer.indexOf("]", bracket);
+  if (subsetEnd === -1) return -1;
+  const close = buffer.indexOf(">", subsetEnd);
+  return close === -1 ? -1 : close + 1;
+}
+
+/**
+ * Create an incremental XML scanner
+ *
+ * Text is fed in with write() in arbitrarily sized pieces. Elements whose
+ * name is listed in `elements` and which sit directly below the document
+ * root are collected with their nested children and handed to `onElement`
+ * as `{ name, attributes, children }` once complete. Collected elements
+ * with text content (GPX and TCX values such as <ele>12.4</ele>) also get
+ * a trimmed `text`.
+ *
+ * @param {Object} options
+ * @param {string[]} options.elements - Top-level element names to emit
+ * @param {Function} options.onElement - Called with each completed element
+ * @returns {{write: Function, end: Function}} Parser handle
+ */
+export function createXmlStreamParser({
+  elements = APPLE_HEALTH_ELEMENTS,
+  onElement,
+} = {}) {
+  const wanted = new Set(elements);
+  let buffer = "";
+  let depth = 0;
+  let elementCount = 0;
+  // Stack of nodes for the element currently being collected
+  const stack = [];
+
+  const openElement = (name, attributes, selfClosing) => {
+    if (stack.length > 0) {
+      const node = { name, attributes, children: [] };
+      stack[stack.length - 1].children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (depth === 1 && wanted.has(name)) {
+      const node = { name, attributes, children: [] };
+      if (selfClosing) {
+        emit(node);
+      } else {
+        stack.push(node);
+      }
+    }
+
+    if (!selfClosing) depth++;
+  };
+
+  const closeElement = () => {
+    depth--;
+    if (stack.length === 0) return;
+
+    const node = stack.pop();
+    if (stack.length === 0) emit(node);
+  };
+
+  const emit = (node) => {
+    elementCount++;
+    if (onElement) onElement(node);
+  };
+
+  const addText = (text) => {
+    if (stack.length === 0) return;
+    const trimmed = text.trim();
+    if (!trimmed) return;
+
+    const node = stack[stack.length - 1];
+    node.text = (node.text || "") + trimmed;
+  };
+
+  const processBuffer = () => {
+    let position = 0;
+
+    while (true) {
+      const lt = buffer.indexOf("<", position);
+      if (lt === -1) {
+        // Text of a collected element may continue in the next chunk
+        if (stack.length === 0) position = buffer.length;
+        break;
+      }
+      if (lt > position) {
+        addText(decodeEntities(buffer.slice(position, lt)));
+        position = lt;
+      }
+
+      let next;
+      if (buffer.startsWith("<!--", lt)) {
+        const close = buffer.indexOf("-->", lt + 4);
+        if (close === -1) break;
+        next = close + 3;
+      } else if (buffer.startsWith("<![CDATA[", lt)) {
+        const close = buffer.indexOf("]]>", lt + 9);
+        if (close === -1) break;
+        addText(buffer.slice(lt + 9, close));
+        next = close + 3;
+      } else if (buffer.startsWith("<!", lt)) {
+        const close = findDoctypeEnd(buffer, lt + 2);
+        if (close === -1) break;
+        next = close;
+      } else if (buffer.startsWith("<?", lt)) {
+        const close = buffer.indexOf("?>", lt + 2);
+        if (close === -1) break;
+        next = close + 2;
+      } else if (buffer[lt + 1] === "/") {
+        const close = buffer.indexOf(">", lt + 2);
+        if (close === -1) break;
+        closeElement();
+        next = close + 1;
+      } else {
+        const close = findTagEnd(buffer, lt + 1);
+        if (close === -1) break;
+
+        const selfClosing = buffer[close - 1] === "/";
+        const body = buffer.slice(lt + 1, selfClosing ? close - 1 : close);
+        const nameEnd = body.search(/[\s/]/);
+        const name = nameEnd === -1 ? body : body.slice(0, nameEnd);
+        // Attributes are only parsed for elements that will be emitted
+        const collected =
+          stack.length > 0 || (depth === 1 && wanted.has(name));
+        const attributes =
+          collected && nameEnd !== -1
+            ? parseAttributes(body.slice(nameEnd))
+            : {};
+
+        openElement(name, attributes, selfClosing);
+        next = close + 1;
+      }
+
+      position = next;
+    }
+
+    buffer = buffer.slice(position);
+  };
+
+  return {
+    write(text) {
+      buffer += text;
+      processBuffer();
+    },
+    end() {
+      processBuffer();
+      if (buffer.trim().length > 0 || stack.length > 0) {
+        throw new Error("XML parsing error: unexpected end of document");
+      }
+      return { elementCount };
+    },
+  };
+}
+
+/**
+ * Read a slice of a Blob as an ArrayBuffer
+ */
+function readBlobSlice(blob) {
+  if (typeof blob.arrayBuffer === "function") {
+    return blob.arrayBuffer();
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error("Error reading file"));
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Stream an Apple Health export.xml Blob through the parser
+ *
+ * @param {Blob} blob - The export.xml file
+ * @param {Object} options
+ * @param {Function} options.onElement - Called with each emitted element
+ * @param {Function} options.onChunk - Called (and awaited) after each chunk,
+ *   to pass on what its elements produced before the next one is read
+ * @param {Function} options.onProgress - Called with { bytesRead, totalBytes, percent }
+ * @param {string[]} options.elements - Top-level element names to emit
+ * @param {number} options.chunkSize - Bytes read per chunk
+ * @returns {Promise<Object>} { elementCount, bytesRead }
+ */
+export async function parseAppleHealthExport(
+  blob,
+  {
+    onElement,
+    onChunk,
+    onProgress,
+    elements = APPLE_HEALTH_ELEMENTS,
+    chunkSize = DEFAULT_CHUNK_SIZE,
+  } = {}
+) {
+  const parser = createXmlStreamParser({ elements, onElement });
+  // Streaming decoder keeps multi-byte characters split across chunks intact
+  const decoder = new TextDecoder("utf-8");
+  const totalBytes = blob.size;
+  let bytesRead = 0;
+
+  while (bytesRead < totalBytes) {
+    const end = Math.min(bytesRead + chunkSize, totalBytes);
+    const buffer = await readBlobSlice(blob.slice(bytesRead, end));
+
+    parser.write(decoder.decode(buffer, { stream: true }));
+    if (onChunk) await onChunk();
+    bytesRead = end;
+
+    if (onProgress) {
+      onProgress({
+        bytesRead,
+        totalBytes,
+        percent: Math.round((bytesRead / totalBytes) * 100),
+      });
+    }
+  }
+
+  parser.write(decoder.decode());
+  const { elementCount } = parser.end();
+
+  return { elementCount, bytesRead };
+}
+
+/**
+ * Parse an Apple Health export.xml delivered as a stream of bytes, such as
+ * an entry inflated from an export.zip archive
+ *
+ * @param {ReadableStream} stream - Stream of Uint8Array chunks
+ * @param {Object} options
+ * @param {Function} options.onElement - Called with each emitted element
+ * @param {Function} options.onChunk - Called (and awaited) after each chunk
+ * @param {string[]} options.elements - Top-level element names to emit
+ * @returns {Promise<Object>} { elementCount }
+ */
+export async function parseAppleHealthExportStream(
+  stream,
+  { onElement, onChunk, elements = APPLE_HEALTH_ELEMENTS } = {}
+) {
+  const parser = createXmlStreamParser({ elements, onElement });
+  const decoder = new TextDecoder("utf-8");
+  const reader = stream.getReader();
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.write(decoder.decode(value, { stream: true }));
+    if (onChunk) await onChunk();
+  }
+
+  parser.write(decoder.decode());
+  return parser.end();
+}
+
+/**
+ * Convert an Apple Health timestamp ("2024-03-20 22:14:05 -0700") to ISO 8601
+ *
+ * @param {string} value - Apple Health date attribute
+ * @returns {string|null} ISO 8601 string or null when missing
+ */
+export function toIsoDate(value) {
+  if (!value) return null;
+
+  const match = value.match(
+    /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-])(\d{2})(\d{2})$/
+  );
+  if (!match) return value;
+
+  const [, date, time, sign, hours, minutes] = match;
+  return `${date}T${time}${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Find the value of a WorkoutStatistics child (iOS 16+ exports)
+ */
+function findWorkoutStatistic(workout, typeFragment) {
+  const statistic = workout.children.find(
+    (child) =>
+      child.name === "WorkoutStatistics" &&
+      (child.attributes.type || "").includes(typeFragment)
+  );
+  return statistic ? statistic.attributes : {};
+}
+
+/**
+ * Create a collector that maps emitted elements onto the "parsed-xml" shape
+ * accepted by dataImportService.importHealthData
+ *
+ * With `onItem` every mapped item is passed on instead of being kept, so
+ * an export of any size can be collected in flat memory; getStats still
+ * counts them.
+ *
+ * @param {Object} options
+ * @param {Function} options.onItem - Called with (collection, item)
+ * @returns {{add: Function, getData: Function, getStats: Function}}
+ */
+export function createAppleHealthCollector({ onItem } = {}) {
+  const data = {
+    heartRate: [],
+    steps: [],
+    weight: [],
+    sleep: [],
+    vo2max: [],
+    workouts: [],
+    nutrition: [],
+    restingHeartRate: [],
+    heartRateVariability: [],
+    respiratoryRate: [],
+    activitySummary: [],
+  };
+  const counts = Object.fromEntries(Object.keys(data).map((key) => [key, 0]));
+
+  const collect = (collection, item) => {
+    counts[collection]++;
+    if (onItem) {
+      onItem(collection, item);
+    } else {
+      data[collection].push(item);
+    }
+  };
+
+  const addRecord = ({ attributes }) => {
+    const collection = RECORD_TYPE_MAP[attributes.type];
+    const startDate = toIsoDate(attributes.startDate);
+    if (!collection || !attributes.value || !startDate) return;
+
+    const source = attributes.sourceName || null;
+
+    if (collection === "sleep") {
+      // Sleep records carry a category value, so the duration is derived
+      const endDate = toIsoDate(attributes.endDate);
+      if (!endDate) return;
+
+      const durationHours =
+        (new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60);
+      if (!(durationHours > 0)) return;
+
+      collect("sleep", {
+        date: startDate,
+        endDate,
+        value: durationHours,
+        unit: "hours",
+        category: attributes.value,
+        source,
+      });
+      return;
+    }
+
+    // Summed samples such as steps span time, which overlapping sources
+    // are resolved by (see sourcePriorityService)
+    const endDate = toIsoDate(attributes.endDate);
+    collect(collection, {
+      date: startDate,
+      ...(endDate && endDate !== startDate && { endDate }),
+      value: parseFloat(attributes.value),
+      unit: attributes.unit,
+      source,
+    });
+  };
+
+  const addWorkout = (workout) => {
+    const { attributes } = workout;
+    const startDate = toIsoDate(attributes.startDate);
+    const duration = parseFloat(attributes.duration);
+    if (!startDate || isNaN(duration)) return;
+
+    const energyStatistic = findWorkoutStatistic(workout, "ActiveEnergyBurned");
+    const distanceStatistic = findWorkoutStatistic(workout, "Distance");
+    const calories = attributes.totalEnergyBurned || energyStatistic.sum;
+    const distance = attributes.totalDistance || distanceStatistic.sum;
+
+    collect("workouts", {
+      date: startDate,
+      endDate: toIsoDate(attributes.endDate),
+      type: attributes.workoutActivityType || "unknown",
+      duration,
+      unit: attributes.durationUnit || "min",
+      calories: calories !== undefined ? parseFloat(calories) : null,
+      distance: distance !== undefined ? parseFloat(distance) : null,
+      distanceUnit: attributes.totalDistance
+        ? attributes.totalDistanceUnit || null
+        : distanceStatistic.unit || null,
+      source: attributes.sourceName || null,
+    });
+  };
+
+  const addFoodItem = ({ attributes, children }) => {
+    const date = toIsoDate(attributes.creationDate || attributes.startDate);
+    if (!date) return;
+
+    const nutrients = {};
+    children
+      .filter((child) => child.name === "Nutrient")
+      .forEach(({ attributes: nutrient }) => {
+        const name = nutrient.description || nutrient.type || nutrient.name;
+        if (name && nutrient.value) {
+          nutrients[name.toLowerCase()] = parseFloat(nutrient.value);
+        }
+      });
+
+    collect("nutrition", {
+      date,
+      name: attributes.description || attributes.name || "Unknown Food",
+      calories: nutrients.calories || nutrients.energy || nutrients.kcal || 0,
+      protein: nutrients.protein || 0,
+      carbs:
+        nutrients.carbohydrate ||
+        nutrients.carbohydrates ||
+        nutrients.carbs ||
+        0,
+      fat: nutrients.fat || nutrients["total fat"] || 0,
+    });
+  };
+
+  // One element per day with the three Activity rings; the Move ring
+  // counts minutes instead of energy for people in move time mode
+  const addActivitySummary = ({ attributes }) => {
+    if (!attributes.dateComponents) return;
+
+    const moveTime = parseFloat(attributes.appleMoveTimeGoal) > 0;
+    const summary = {
+      date: attributes.dateComponents,
+      move: moveTime
+        ? attributes.appleMoveTime
+        : attributes.activeEnergyBurned,
+      moveGoal: moveTime
+        ? attributes.appleMoveTimeGoal
+        : attributes.activeEnergyBurnedGoal,
+      unit: moveTime ? "min" : attributes.activeEnergyBurnedUnit || "kcal",
+      exercise: attributes.appleExerciseTime,
+      exerciseGoal: attributes.appleExerciseTimeGoal,
+      stand: attributes.appleStandHours,
+      standGoal: attributes.appleStandHoursGoal,
+      source: null,
+    };
+
+    // Days before the watch was set up are written with every ring empty
+    const values = ["move", "moveGoal", "exercise", "stand"].map((field) =>
+      parseFloat(summary[field])
+    );
+    if (values.every((value) => !(value > 0))) return;
+
+    collect("activitySummary", summary);
+  };
+
+  return {
+    add(element) {
+      switch (element.name) {
+        case "Record":
+          addRecord(element);
+          break;
+        case "Workout":
+          addWorkout(element);
+          break;
+        case "FoodItem":
+          addFoodItem(element);
+          break;
+        case "ActivitySummary":
+          addActivitySummary(element);
+          break;
+        default:
+          // Other elements are not collected yet
+          break;
+      }
+    },
+    getData() {
+      return data;
+    },
+    getStats() {
+      return { ...counts };
+    },
+  };
+}
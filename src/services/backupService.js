@@ -0,0 +1,251 @@
+// src/services/backupService.js
+
+import { hashText } from "../utils/storageCrypto";
+import {
+  flushStorage,
+  getFromStorage,
+  getStorageKeys,
+  isStorageLocked,
+  removeFromStorage,
+  saveToStorage,
+} from "../utils/storageUtils";
+import {
+  getKnowledgeBase,
+  KNOWLEDGE_BASE_KEY,
+  storeKnowledgeBase,
+} from "./knowledgeBaseService";
+import {
+  getSchemaVersion,
+  MIGRATIONS,
+  runMigrations,
+  SCHEMA_VERSION_KEY,
+} from "./migrationService";
+
+/**
+ * Full backups of app state
+ *
+ * A backup is one JSON file holding every value storageUtils keeps (health
+ * series, habits, streaks, rewards, settings and so on) and the knowledge
+ * base:
+ *
+ *   { format, version, createdAt, schemaVersion, checksum,
+ *     data: { stores: { key: value }, knowledgeBase } }
+ *
+ * version is the layout of the file itself; schemaVersion is the schema
+ * the stored data was at (see migrationService), so older backups are
+ * upgraded after a restore. checksum is the SHA-256 of data as JSON, so a
+ * damaged or edited file is refused. The encryption settings are never
+ * backed up: a backup holds the data in plaintext and takes on the
+ * encryption of the browser it is restored in.
+ */
+
+export const BACKUP_FORMAT = "neo-vitru-backup";
+export const BACKUP_VERSION = 1;
+
+export const RESTORE_MODES = ["replace", "merge"];
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function assertUnlocked() {
+  if (isStorageLocked()) throw new Error("Storage is locked");
+}
+
+// Keys of a backup's stores to restore; the schema version is restored
+// separately and the knowledge base has its own field
+function restorableKeys(stores) {
+  return Object.keys(stores).filter(
+    (key) => key !== SCHEMA_VERSION_KEY && key !== KNOWLEDGE_BASE_KEY
+  );
+}
+
+// Number of records a stored value holds, for previews
+function countRecords(value) {
+  if (value === null || value === undefined) return 0;
+  return Array.isArray(value) ? value.length : 1;
+}
+
+/**
+ * Collect all app state into a backup
+ *
+ * @returns {Promise<Object>} The backup
+ */
+export async function createBackup() {
+  assertUnlocked();
+  // Let background writes land so the backup matches what is stored
+  await flushStorage();
+
+  const stores = {};
+  Array.from(new Set(getStorageKeys()))
+    .filter((key) => key !== KNOWLEDGE_BASE_KEY)
+    .sort()
+    .forEach((key) => {
+      const value = getFromStorage(key, null);
+      if (value !== null) stores[key] = value;
+    });
+  const data = { stores, knowledgeBase: getKnowledgeBase() };
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    schemaVersion: getSchemaVersion(),
+    checksum: await hashText(JSON.stringify(data)),
+    data,
+  };
+}
+
+/**
+ * Write a backup as a downloadable file
+ *
+ * @param {Object} backup - From createBackup
+ * @returns {Object} { blob, filename }
+ */
+export function serializeBackup(backup) {
+  const day = backup.createdAt.slice(0, 10);
+  return {
+    blob: new Blob([JSON.stringify(backup)], { type: "application/json" }),
+    filename: `neovitru-backup-${day}.json`,
+  };
+}
+
+/**
+ * Read and validate a backup file
+ *
+ * @param {string} text - Contents of the file
+ * @returns {Promise<Object>} The backup
+ * @throws {Error} When the file is not a backup, is damaged, or was made
+ *   by a newer version of the app
+ */
+export async function readBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Not a NEO•VITRU backup file");
+  }
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    throw new Error("Not a NEO•VITRU backup file");
+  }
+
+  const latestSchema = MIGRATIONS[MIGRATIONS.length - 1].version;
+  if (backup.version > BACKUP_VERSION || backup.schemaVersion > latestSchema) {
+    throw new Error("This backup was made by a newer version of the app");
+  }
+  if (
+    !Number.isInteger(backup.schemaVersion) ||
+    !isPlainObject(backup.data) ||
+    !isPlainObject(backup.data.stores)
+  ) {
+    throw new Error("The backup file is incomplete");
+  }
+  if ((await hashText(JSON.stringify(backup.data))) !== backup.checksum) {
+    throw new Error("The backup file is damaged: its checksum does not match");
+  }
+  return backup;
+}
+
+/**
+ * Describe what restoring a backup would bring in
+ *
+ * @param {Object} backup - From readBackup
+ * @returns {Object} { createdAt, schemaVersion, canMerge, stores,
+ *   knowledgeBaseEntries } where stores lists { key, records,
+ *   currentRecords } by key
+ */
+export function previewBackup(backup) {
+  const { stores, knowledgeBase } = backup.data;
+  return {
+    createdAt: backup.createdAt,
+    schemaVersion: backup.schemaVersion,
+    canMerge: backup.schemaVersion === getSchemaVersion(),
+    stores: restorableKeys(stores)
+      .sort()
+      .map((key) => ({
+        key,
+        records: countRecords(stores[key]),
+        currentRecords: countRecords(getFromStorage(key, null)),
+      })),
+    knowledgeBaseEntries: Object.keys(knowledgeBase || {}).length,
+  };
+}
+
+// Records of both lists, each once
+function mergeArrays(current, restored) {
+  const seen = new Set(current.map((record) => JSON.stringify(record)));
+  return [
+    ...current,
+    ...restored.filter((record) => !seen.has(JSON.stringify(record))),
+  ];
+}
+
+/**
+ * Merge a restored value into the current one
+ *
+ * Lists are joined; in objects, lists are joined and any other value
+ * already here is kept.
+ */
+function mergeValues(current, restored) {
+  if (current === null) return restored;
+  if (Array.isArray(current) && Array.isArray(restored)) {
+    return mergeArrays(current, restored);
+  }
+  if (!isPlainObject(current) || !isPlainObject(restored)) return current;
+
+  const merged = { ...restored, ...current };
+  Object.keys(restored).forEach((key) => {
+    if (Array.isArray(current[key]) && Array.isArray(restored[key])) {
+      merged[key] = mergeArrays(current[key], restored[key]);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Restore a backup
+ *
+ * replace swaps all app state for the backup's; merge adds the backup's
+ * records to what is here, keeping current settings. Only backups at the
+ * current schema version can be merged.
+ *
+ * @param {Object} backup - From readBackup
+ * @param {Object} options
+ * @param {string} options.mode - 'replace' or 'merge'
+ * @returns {Promise<Object>} { mode, restored } with the keys restored
+ */
+export async function restoreBackup(backup, { mode = "replace" } = {}) {
+  assertUnlocked();
+  if (!RESTORE_MODES.includes(mode)) {
+    throw new Error(`Unknown restore mode: ${mode}`);
+  }
+  if (mode === "merge" && backup.schemaVersion !== getSchemaVersion()) {
+    throw new Error(
+      "Backups from older versions of the app can only replace the data"
+    );
+  }
+
+  const { stores } = backup.data;
+  const knowledgeBase = backup.data.knowledgeBase || {};
+  const restored = restorableKeys(stores);
+
+  if (mode === "replace") {
+    getStorageKeys().forEach((key) => removeFromStorage(key));
+    restored.forEach((key) => saveToStorage(key, stores[key]));
+    saveToStorage(SCHEMA_VERSION_KEY, backup.schemaVersion);
+    // A backup without a knowledge base replaces it with an empty one
+    storeKnowledgeBase(knowledgeBase);
+  } else {
+    restored.forEach((key) =>
+      saveToStorage(key, mergeValues(getFromStorage(key, null), stores[key]))
+    );
+    if (Object.keys(knowledgeBase).length > 0) {
+      storeKnowledgeBase({ ...knowledgeBase, ...getKnowledgeBase() });
+    }
+  }
+
+  await flushStorage();
+  // Data from older backups is upgraded like data from an older install
+  await runMigrations();
+  return { mode, restored };
+}
@@ -0,0 +1,125 @@
+// src/services/bodyCompositionService.js
+
+import { getFromStorage, saveToStorage } from "../utils/storageUtils";
+import { STORAGE_KEYS } from "./dataImportService";
+
+/**
+ * Body composition history
+ *
+ * One timeline of measurements entered in BodyCompositionPanel and
+ * weigh-ins imported from smart scales (see importAdapters/scaleLogs),
+ * oldest first. Scales only measure some of what the 3D body model needs
+ * and manual entries may skip what a scale already measured, so the
+ * metrics at any point in time take each value from the latest entry
+ * that has it.
+ */
+
+export const MANUAL_BODY_SOURCE = "Manual";
+
+// Values the 3D body model starts from before anything was measured
+export const DEFAULT_BODY_METRICS = {
+  weight: 78,
+  bodyFat: 20,
+  muscleMass: 50,
+  height: 175,
+  shoulderWidth: 50,
+  waistSize: 34,
+};
+
+// Every metric an entry may hold; the model only uses some of them
+export const BODY_METRICS = [
+  "weight",
+  "bodyFat",
+  "muscleMass",
+  "boneMass",
+  "visceralFat",
+  "water",
+  "height",
+  "shoulderWidth",
+  "waistSize",
+];
+
+/**
+ * Get all body composition entries, oldest first
+ *
+ * @returns {Array} Entries with a date and any of BODY_METRICS
+ */
+export function getBodyCompositionHistory() {
+  return [...getFromStorage(STORAGE_KEYS.BODY_COMPOSITION_DATA, [])].sort(
+    (a, b) => new Date(a.date) - new Date(b.date)
+  );
+}
+
+/**
+ * Save a measurement entered by hand
+ *
+ * @param {Object} metrics - Values of BODY_METRICS
+ * @param {Date} date - When it was measured, now by default
+ * @returns {Object} The saved entry
+ */
+export function addBodyMeasurement(metrics, date = new Date()) {
+  const entry = {
+    ...metrics,
+    date: date.toISOString(),
+    source: MANUAL_BODY_SOURCE,
+  };
+  saveToStorage(STORAGE_KEYS.BODY_COMPOSITION_DATA, [
+    ...getBodyCompositionHistory(),
+    entry,
+  ]);
+  return entry;
+}
+
+function hasMetric(entry, metric) {
+  return typeof entry[metric] === "number" && !isNaN(entry[metric]);
+}
+
+/**
+ * Body metrics as they were at a point in time
+ *
+ * Each metric comes from the latest entry up to `date` that has it; for a
+ * date before the first entry, from the earliest entry that has it.
+ *
+ * @param {Array} history - Result of getBodyCompositionHistory
+ * @param {Date|string} date - Point in time, the latest entry by default
+ * @returns {Object} { [metric]: value, date, source } where date and
+ *   source are those of the latest entry used, or {} without entries
+ */
+export function getBodyMetricsAt(history, date = null) {
+  const time = date === null ? Infinity : new Date(date).getTime();
+  const before = history.filter(
+    (entry) => new Date(entry.date).getTime() <= time
+  );
+  const entries = before.length > 0 ? before : history.slice(0, 1);
+  const metrics = {};
+
+  BODY_METRICS.forEach((metric) => {
+    const entry = [...entries]
+      .reverse()
+      .find((candidate) => hasMetric(candidate, metric));
+    if (entry) metrics[metric] = entry[metric];
+  });
+
+  const latest = entries[entries.length - 1];
+  if (latest) {
+    metrics.date = latest.date;
+    metrics.source = latest.source || MANUAL_BODY_SOURCE;
+  }
+  return metrics;
+}
+
+/**
+ * Inputs of bodyModelService.updateBodyModel, with defaults for anything
+ * never measured
+ *
+ * @param {Object} metrics - Result of getBodyMetricsAt
+ * @returns {Object} { weight, bodyFat, muscleMass, height, shoulderWidth,
+ *   waistSize }
+ */
+export function toModelMetrics(metrics = {}) {
+  const model = {};
+  Object.entries(DEFAULT_BODY_METRICS).forEach(([metric, fallback]) => {
+    model[metric] = hasMetric(metrics, metric) ? metrics[metric] : fallback;
+  });
+  return model;
+}
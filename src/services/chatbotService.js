@@ -8,7 +8,10 @@ import {
   isKnowledgeBaseInitialized,
   initializeFromDirectory
 } from './knowledgeBaseService';
+import { subDays } from 'date-fns';
 import { processEnhancementMetrics } from './healthDataProcessor';
+import { queryAll } from './healthQueryService';
+import { formatMeasurement } from './unitService';
 
 // Pattern matching responses for when no knowledge base is available
 const fallbackResponses = {
@@ -32,6 +35,33 @@ const fallbackResponses = {
   }
 };
 
+// Daily series the advisor refers to, queried over the last days
+const RECENT_SERIES = {
+  steps: { type: 'steps', bucket: 'day', agg: 'sum' },
+  restingHeartRate: { type: 'restingHeartRate', bucket: 'day', agg: 'avg' },
+  heartRateVariability: { type: 'heartRateVariability', bucket: 'day', agg: 'avg' },
+  sleep: { type: 'sleep', bucket: 'day', agg: 'sum' },
+  weight: { type: 'weight', bucket: 'day', agg: 'last' }
+};
+
+/**
+ * Query the daily health series the advisor refers to
+ * @param {number} days - Number of days to look back
+ * @returns {Promise<Object>} - Series name -> [{ date, value, count }], oldest first
+ */
+export async function getRecentHealthSeries(days = 7) {
+  const from = subDays(new Date(), days).toISOString();
+  const queries = {};
+  Object.entries(RECENT_SERIES).forEach(([name, options]) => {
+    queries[name] = { ...options, from };
+  });
+  return queryAll(queries);
+}
+
+function averageOf(series) {
+  return series.reduce((sum, { value }) => sum + value, 0) / series.length;
+}
+
 /**
  * Initialize the knowledge base for the chatbot from files
  * @param {FileList|Array<File>} files - Files from input element or drag-drop
@@ -232,6 +262,29 @@ function generatePersonalizedInsights(query, userData) {
     }
   }
   
+  // Add insights from the recent daily series
+  const series = userData.healthSeries;
+  const lowerQuery = query.toLowerCase();
+  if (series) {
+    if (series.steps?.length > 0 && (lowerQuery.includes('step') || lowerQuery.includes('activity'))) {
+      const dailySteps = Math.round(averageOf(series.steps));
+      insights += `\n\nYou averaged ${dailySteps.toLocaleString()} steps a day over the last ${series.steps.length} days with data. `;
+    }
+    
+    if (series.sleep?.length > 0 && !userData.sleepAnalysis && (lowerQuery.includes('sleep') || lowerQuery.includes('recovery'))) {
+      insights += `\n\nYou slept ${averageOf(series.sleep).toFixed(1)} hours a night on average recently. `;
+    }
+    
+    if (series.heartRateVariability?.length > 0 && (lowerQuery.includes('hrv') || lowerQuery.includes('stress') || lowerQuery.includes('recovery'))) {
+      insights += `\n\nYour heart rate variability averaged ${Math.round(averageOf(series.heartRateVariability))} ms this week. `;
+    }
+    
+    if (series.weight?.length > 1 && lowerQuery.includes('weight')) {
+      const change = series.weight[series.weight.length - 1].value - series.weight[0].value;
+      insights += `\n\nYour weight changed by ${change >= 0 ? '+' : ''}${formatMeasurement('weight', change)} this week. `;
+    }
+  }
+  
   // Add habit consistency insights if available
   if (userData.habitData && userData.habitData.streakData) {
     const streak = userData.habitData.streakData.currentStreak || 0;
@@ -361,7 +414,8 @@ function generateKnowledgeBasedResponse(query, userData, userGoals) {
 /**
  * Generate fitness advice based on user's query and health data
  * @param {string} query - The user's question
- * @param {Object} userData - User health data
+ * @param {Object} userData - User health data; the recent daily series
+ *   (healthSeries) are queried when not given
  * @param {Object} userGoals - User goals data
  * @returns {Promise<Object>} - Response object with role, content, and references
  */
@@ -376,6 +430,14 @@ export const generateFitnessAdvice = async (query, userData, userGoals) => {
     processedUserData.enhancementMetrics = processEnhancementMetrics(userData.healthData);
   }
   
+  if (!processedUserData.healthSeries) {
+    try {
+      processedUserData.healthSeries = await getRecentHealthSeries();
+    } catch (error) {
+      console.error('Error querying recent health series:', error);
+    }
+  }
+  
   return new Promise((resolve) => {
     setTimeout(() => {
       // Generate response based on knowledge base or fallback
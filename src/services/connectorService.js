@@ -0,0 +1,416 @@
+// src/services/connectorService.js
+
+import {
+  flushStorage,
+  getFromStorage,
+  saveToStorage,
+} from "../utils/storageUtils";
+import { DEFAULT_CONNECTORS } from "./connectors";
+import { commitImport } from "./dataImportService";
+import { processImport } from "./importEngine";
+
+/**
+ * Syncing from connected data sources
+ *
+ * Connectors (see connectors/index.js) are registered by id. Connecting
+ * one authenticates with the service and keeps its auth in the sync state;
+ * each sync then fetches everything after the connector's cursor, maps it
+ * to import candidates and saves it through the import engine. The cursor
+ * only moves once the records are saved, so a failed sync is retried from
+ * the same point. Every connect, disconnect and sync is written to the
+ * sync log.
+ */
+
+const CONNECTOR_STATE_KEY = "connector-state";
+const SYNC_LOG_KEY = "connector-sync-log";
+
+export const DEFAULT_SYNC_INTERVAL_MINUTES = 60;
+
+// Oldest entries are dropped beyond this
+const MAX_SYNC_LOG_ENTRIES = 200;
+
+// Stops a sync from a service that never stops reporting more pages
+const MAX_PAGES_PER_SYNC = 50;
+
+const DEFAULT_STATE = {
+  connected: false,
+  auth: null,
+  baseUrl: null,
+  dataTypes: null,
+  cursor: null,
+  connectedAt: null,
+  lastSyncAt: null,
+  lastError: null,
+};
+
+const connectors = new Map();
+DEFAULT_CONNECTORS.forEach((connector) =>
+  connectors.set(connector.id, connector)
+);
+
+// Runtime state: scheduled syncs and syncs in progress per connector
+const timers = new Map();
+const running = new Map();
+const listeners = new Set();
+
+/**
+ * Register a connector, replacing any connector with the same id
+ *
+ * @param {Object} connector - See connectors/index.js
+ */
+export function registerConnector(connector) {
+  const operations = ["authenticate", "listDataTypes", "fetchSince", "map"];
+  if (
+    !connector ||
+    !connector.id ||
+    operations.some((name) => typeof connector[name] !== "function")
+  ) {
+    throw new Error(
+      `Connectors need an id and the operations ${operations.join(", ")}`
+    );
+  }
+  connectors.set(connector.id, connector);
+}
+
+/**
+ * List the registered connectors
+ *
+ * @returns {Array} Connectors in registration order
+ */
+export function getConnectors() {
+  return Array.from(connectors.values());
+}
+
+/**
+ * Get a registered connector
+ *
+ * @param {string} id - Connector id
+ * @returns {Object} The connector
+ */
+export function getConnector(id) {
+  const connector = connectors.get(id);
+  if (!connector) throw new Error(`Unknown connector: ${id}`);
+  return connector;
+}
+
+/**
+ * Get the sync state of a connector
+ *
+ * @param {string} id - Connector id
+ * @returns {Object} { connected, auth, baseUrl, dataTypes, cursor,
+ *   connectedAt, lastSyncAt, lastError, syncing, scheduled }
+ */
+export function getConnectorState(id) {
+  return {
+    ...DEFAULT_STATE,
+    ...getFromStorage(CONNECTOR_STATE_KEY, {})[id],
+    syncing: running.has(id),
+    scheduled: timers.has(id),
+  };
+}
+
+function updateConnectorState(id, changes) {
+  const states = getFromStorage(CONNECTOR_STATE_KEY, {});
+  saveToStorage(CONNECTOR_STATE_KEY, {
+    ...states,
+    [id]: { ...DEFAULT_STATE, ...states[id], ...changes },
+  });
+  notify(id);
+}
+
+/**
+ * Which registered connectors are connected
+ *
+ * @returns {Object} { [connectorId]: boolean }
+ */
+export function getConnectedApps() {
+  return Object.fromEntries(
+    getConnectors().map(({ id }) => [id, getConnectorState(id).connected])
+  );
+}
+
+/**
+ * Get the sync log, newest first
+ *
+ * @param {string} connectorId - Only entries of this connector
+ * @returns {Array} { id, connectorId, event (connect, disconnect or sync),
+ *   status, startedAt, finishedAt, fetched, counts, importId, error }
+ */
+export function getSyncLog(connectorId = null) {
+  return getFromStorage(SYNC_LOG_KEY, [])
+    .filter((entry) => !connectorId || entry.connectorId === connectorId)
+    .reverse();
+}
+
+function appendSyncLog(entry) {
+  const logged = {
+    id: `sync-${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`,
+    finishedAt: new Date().toISOString(),
+    ...entry,
+  };
+  saveToStorage(
+    SYNC_LOG_KEY,
+    [...getFromStorage(SYNC_LOG_KEY, []), logged].slice(-MAX_SYNC_LOG_ENTRIES)
+  );
+  notify(logged.connectorId);
+  return logged;
+}
+
+/**
+ * Be told whenever a connector's state changes or a sync finishes
+ *
+ * @param {Function} listener - Called with the connector id and the
+ *   change: "state", or "synced" once a sync has finished or failed
+ * @returns {Function} Unsubscribes the listener
+ */
+export function subscribeToConnectors(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function notify(id, change = "state") {
+  listeners.forEach((listener) => listener(id, change));
+}
+
+function createContext(connector, state, { fetch } = {}) {
+  return {
+    auth: state.auth,
+    baseUrl: state.baseUrl || connector.baseUrl || null,
+    // Looked up when called, so connectors without web requests run where
+    // fetch is missing
+    fetch: fetch || ((...args) => window.fetch(...args)),
+    dataTypes: state.dataTypes,
+  };
+}
+
+/**
+ * Authenticate with a data source and remember the connection
+ *
+ * @param {string} id - Connector id
+ * @param {Object} credentials - Values of the connector's credential fields
+ * @param {Object} options
+ * @param {string} options.baseUrl - API address replacing the connector's
+ *   own, e.g. a local stub server
+ * @param {string[]} options.dataTypes - Record types to sync; all the
+ *   connector lists when omitted
+ * @param {Function} options.fetch - fetch implementation for requests
+ * @returns {Promise<Object>} The connector state
+ */
+export async function connectConnector(
+  id,
+  credentials = {},
+  { baseUrl = null, dataTypes = null, fetch } = {}
+) {
+  const connector = getConnector(id);
+  const context = createContext(
+    connector,
+    { ...DEFAULT_STATE, baseUrl, dataTypes },
+    { fetch }
+  );
+  const startedAt = new Date().toISOString();
+
+  try {
+    const auth = await connector.authenticate(credentials, context);
+    updateConnectorState(id, {
+      connected: true,
+      auth,
+      baseUrl,
+      dataTypes,
+      connectedAt: new Date().toISOString(),
+      lastError: null,
+    });
+    appendSyncLog({
+      connectorId: id,
+      event: "connect",
+      status: "success",
+      startedAt,
+    });
+  } catch (error) {
+    appendSyncLog({
+      connectorId: id,
+      event: "connect",
+      status: "error",
+      startedAt,
+      error: error.message,
+    });
+    throw error;
+  }
+  return getConnectorState(id);
+}
+
+/**
+ * Stop syncing a data source and forget its auth
+ *
+ * The cursor is kept, so connecting again continues where the last sync
+ * stopped. Records already synced stay stored.
+ *
+ * @param {string} id - Connector id
+ * @returns {Object} The connector state
+ */
+export function disconnectConnector(id) {
+  getConnector(id);
+  stopSyncing(id);
+  updateConnectorState(id, { connected: false, auth: null });
+  appendSyncLog({
+    connectorId: id,
+    event: "disconnect",
+    status: "success",
+    startedAt: new Date().toISOString(),
+  });
+  return getConnectorState(id);
+}
+
+async function runSync(connector, { fetch }) {
+  const { id, label } = connector;
+  const state = getConnectorState(id);
+  if (!state.connected) throw new Error(`${label} is not connected`);
+
+  const startedAt = new Date().toISOString();
+  try {
+    const context = createContext(connector, state, { fetch });
+
+    if (
+      connector.refresh &&
+      connector.needsRefresh &&
+      connector.needsRefresh(context.auth)
+    ) {
+      context.auth = await connector.refresh(context.auth, context);
+      updateConnectorState(id, { auth: context.auth });
+    }
+    context.dataTypes =
+      state.dataTypes || (await connector.listDataTypes(context));
+
+    const candidates = [];
+    let cursor = state.cursor;
+    let pages = 0;
+    let hasMore = true;
+    while (hasMore && pages < MAX_PAGES_PER_SYNC) {
+      const page = await connector.fetchSince(cursor, context);
+      for (const item of page.items || []) {
+        const mapped = await connector.map(item, context);
+        [].concat(mapped || []).forEach((candidate) => {
+          if (context.dataTypes.includes(candidate.recordType)) {
+            candidates.push(candidate);
+          }
+        });
+      }
+      cursor = page.cursor ?? cursor;
+      hasMore = Boolean(page.hasMore);
+      pages++;
+    }
+
+    // Syncs that found nothing new stay out of the import history
+    let stats = { importId: null, counts: {}, errorCount: 0 };
+    if (candidates.length > 0) {
+      const result = await processImport({
+        format: "connector",
+        content: { connector: id, records: candidates },
+      });
+      stats = commitImport(result, { fileName: `${label} sync` });
+      await flushStorage();
+    }
+
+    const finishedAt = new Date().toISOString();
+    updateConnectorState(id, {
+      cursor,
+      lastSyncAt: finishedAt,
+      lastError: null,
+    });
+    return appendSyncLog({
+      connectorId: id,
+      event: "sync",
+      status: "success",
+      startedAt,
+      finishedAt,
+      fetched: candidates.length,
+      counts: stats.counts,
+      errorCount: stats.errorCount,
+      importId: stats.importId,
+    });
+  } catch (error) {
+    updateConnectorState(id, { lastError: error.message });
+    appendSyncLog({
+      connectorId: id,
+      event: "sync",
+      status: "error",
+      startedAt,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Fetch and save everything new from a connected data source
+ *
+ * A sync already in progress for the connector is joined rather than
+ * started twice.
+ *
+ * @param {string} id - Connector id
+ * @param {Object} options
+ * @param {Function} options.fetch - fetch implementation for requests
+ * @returns {Promise<Object>} The sync log entry
+ */
+export function syncConnector(id, { fetch } = {}) {
+  if (running.has(id)) return running.get(id);
+
+  const sync = runSync(getConnector(id), { fetch }).finally(() => {
+    running.delete(id);
+    notify(id, "synced");
+  });
+  running.set(id, sync);
+  notify(id);
+  return sync;
+}
+
+/**
+ * Sync a connected data source now and then every interval
+ *
+ * Failed syncs are recorded in the sync state and the sync log and
+ * retried at the next interval.
+ *
+ * @param {string} id - Connector id
+ * @param {Object} options
+ * @param {number} options.intervalMinutes - Minutes between syncs
+ * @param {Function} options.fetch - fetch implementation for requests
+ * @returns {Promise<Object|null>} Log entry of the first sync, or null if
+ *   it failed
+ */
+export function startSyncing(
+  id,
+  { intervalMinutes = DEFAULT_SYNC_INTERVAL_MINUTES, fetch } = {}
+) {
+  stopSyncing(id);
+  const sync = () => syncConnector(id, { fetch }).catch(() => null);
+  timers.set(id, setInterval(sync, intervalMinutes * 60000));
+  notify(id);
+  return sync();
+}
+
+/**
+ * Stop the scheduled syncs of a data source
+ *
+ * @param {string} id - Connector id
+ */
+export function stopSyncing(id) {
+  if (!timers.has(id)) return;
+  clearInterval(timers.get(id));
+  timers.delete(id);
+  notify(id);
+}
+
+/**
+ * Start syncing every connected data source, e.g. when the app starts
+ *
+ * @param {Object} options - Passed to startSyncing
+ * @returns {Promise<Array>} Results of the first syncs
+ */
+export function resumeSyncing(options = {}) {
+  return Promise.all(
+    getConnectors()
+      .filter(({ id }) => getConnectorState(id).connected)
+      .map(({ id }) => startSyncing(id, options))
+  );
+}
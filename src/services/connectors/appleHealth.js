@@ -0,0 +1,95 @@
+// src/services/connectors/appleHealth.js
+
+import {
+  fetchHealthData,
+  isHealthKitAvailable,
+  requestHealthKitPermissions,
+} from "../appleHealthService";
+
+/**
+ * Apple Health on iOS, through the HealthKit plugin
+ *
+ * There is nothing to sign in to: connecting asks for HealthKit access.
+ * The cursor is the end of the newest sample read and the first sync reads
+ * the last year. HealthKit only sees a Watch's samples once the Watch has
+ * synced with the phone, so samples can turn up later than newer ones from
+ * the phone. Each sync therefore reads LOOK_BACK_MS before the cursor again
+ * and leaves the samples it already had to the import's duplicate check
+ * (see importEngine.getRecordKey). Samples that end before that window are
+ * dropped, in case the plugin returns more than was asked for.
+ */
+
+// How far before the cursor each sync reads again for late samples
+const LOOK_BACK_MS = 48 * 60 * 60 * 1000;
+
+// Import engine record type for each HealthKit data type read
+const HEALTHKIT_TYPES = {
+  steps: "steps",
+  heartRate: "heartRate",
+  restingHeartRate: "restingHeartRate",
+  heartRateVariability: "heartRateVariability",
+  respiratoryRate: "respiratoryRate",
+  vo2Max: "vo2max",
+  weight: "weight",
+};
+
+const sampleEnd = (sample) => sample.endDate || sample.date;
+
+const isAfter = (date, other) => new Date(date) > new Date(other);
+
+const appleHealthConnector = {
+  id: "apple-health",
+  label: "Apple Health",
+  credentials: [],
+
+  async authenticate() {
+    if (!(await isHealthKitAvailable())) {
+      throw new Error("Apple Health is only available in the iOS app");
+    }
+    if (!(await requestHealthKitPermissions())) {
+      throw new Error("Access to Apple Health was not granted");
+    }
+    return { authorizedAt: new Date().toISOString() };
+  },
+
+  listDataTypes() {
+    return Object.values(HEALTHKIT_TYPES);
+  },
+
+  async fetchSince(cursor, { dataTypes }) {
+    const since = cursor
+      ? new Date(new Date(cursor).getTime() - LOOK_BACK_MS).toISOString()
+      : null;
+    const items = [];
+    for (const [dataType, recordType] of Object.entries(HEALTHKIT_TYPES)) {
+      if (!dataTypes.includes(recordType)) continue;
+      const samples = await fetchHealthData(dataType, "year", {
+        startDate: since || undefined,
+        // The plugin's cache would hand back samples from before the window
+        forceRefresh: true,
+      });
+      samples
+        .filter((sample) => !since || isAfter(sampleEnd(sample), since))
+        .forEach((sample) => items.push({ ...sample, recordType }));
+    }
+
+    const latest = items.reduce((newest, sample) => {
+      const end = sampleEnd(sample);
+      return !newest || isAfter(end, newest) ? end : newest;
+    }, cursor);
+    return { items, cursor: latest, hasMore: false };
+  },
+
+  map(sample) {
+    return {
+      recordType: sample.recordType,
+      date: sample.date,
+      endDate: sample.endDate,
+      value: sample.value,
+      unit: sample.unit,
+      source: sample.source || "Apple Health",
+    };
+  },
+};
+
+export default appleHealthConnector;
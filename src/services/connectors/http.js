@@ -0,0 +1,68 @@
+// src/services/connectors/http.js
+
+/**
+ * JSON requests for connectors that talk to a web API
+ *
+ * Requests go through `context.fetch` against `context.baseUrl`, so a
+ * connector can be pointed at a local stub server in tests or while
+ * developing without reaching the real service.
+ */
+
+/**
+ * Build a URL below the connector's base URL
+ *
+ * @param {string} baseUrl - e.g. "https://www.strava.com/api/v3"
+ * @param {string} path - e.g. "/athlete/activities"
+ * @param {Object} query - Query parameters; null and undefined are left out
+ * @returns {string} The URL
+ */
+export function buildUrl(baseUrl, path, query = {}) {
+  const url = `${String(baseUrl).replace(/\/+$/, "")}/${String(path).replace(
+    /^\/+/,
+    ""
+  )}`;
+  const params = Object.entries(query)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(
+      ([name, value]) =>
+        `${encodeURIComponent(name)}=${encodeURIComponent(value)}`
+    );
+  return params.length > 0 ? `${url}?${params.join("&")}` : url;
+}
+
+/**
+ * Send a request and read the JSON response
+ *
+ * @param {Object} context - Connector context ({ baseUrl, fetch })
+ * @param {string} path - Path below the base URL
+ * @param {Object} options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {Object} options.query - Query parameters
+ * @param {Object} options.body - Sent as JSON
+ * @param {string} options.token - Sent as a bearer token
+ * @returns {Promise<any>} The parsed response body
+ */
+export async function requestJson(
+  { baseUrl, fetch },
+  path,
+  { method = "GET", query, body, token } = {}
+) {
+  const headers = { Accept: "application/json" };
+  if (body !== undefined) headers["Content-Type"] = "application/json";
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(buildUrl(baseUrl, path, query), {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const error = new Error(
+      `Request to ${path} failed with status ${response.status}`
+    );
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
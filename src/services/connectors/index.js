@@ -0,0 +1,33 @@
+// src/services/connectors/index.js
+
+import appleHealthConnector from "./appleHealth";
+import stravaConnector from "./strava";
+
+/**
+ * Data source connectors registered with the connector service by default
+ *
+ * A connector is a plain object:
+ * - id:           name used in the sync state, the sync log and App's
+ *   connectedApps
+ * - label:        human readable name
+ * - baseUrl:      default API address for web services; overridden per
+ *   connection, e.g. to point at a local stub server
+ * - credentials:  fields the user fills in to connect ({ name, label,
+ *   secret? })
+ * - authenticate(credentials, context) -> auth kept while connected
+ * - needsRefresh(auth)?, refresh(auth, context)? -> renewed auth before a
+ *   sync, for services with expiring tokens
+ * - listDataTypes(context) -> import engine record types it can provide
+ * - fetchSince(cursor, context) -> { items, cursor, hasMore }: what the
+ *   service has after `cursor` (null on the first sync) and the cursor to
+ *   continue from
+ * - map(item, context) -> import candidate(s) ({ recordType, date, ... }),
+ *   or null to skip the item
+ *
+ * Every operation may be async. `context` is { auth, baseUrl, fetch,
+ * dataTypes }, where dataTypes are the record types the user syncs.
+ * Candidates go through the import engine like those of a file, so they
+ * are validated, deduplicated against stored records and can be rolled
+ * back from the import history.
+ */
+export const DEFAULT_CONNECTORS = [appleHealthConnector, stravaConnector];
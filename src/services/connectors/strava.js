@@ -0,0 +1,138 @@
+// src/services/connectors/strava.js
+
+import { requestJson } from "./http";
+
+/**
+ * Strava
+ *
+ * Connects with the client id, client secret and refresh token shown on
+ * strava.com/settings/api, which are exchanged for an access token that
+ * is refreshed whenever it expires. Activities are read oldest first from
+ * /athlete/activities and the cursor is the start of the newest one, in
+ * epoch seconds as the `after` parameter expects. That list leaves out
+ * calories, which only each activity's detail has; fetching it would cost
+ * a request per activity against Strava's rate limits, so workouts are
+ * saved without calories.
+ */
+
+const PAGE_SIZE = 100;
+
+// Refresh a little before Strava expires the token
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+async function requestToken(context, body) {
+  const token = await requestJson(context, "/oauth/token", {
+    method: "POST",
+    body,
+  });
+  return {
+    accessToken: token.access_token,
+    refreshToken: token.refresh_token,
+    expiresAt: token.expires_at * 1000,
+    clientId: body.client_id,
+    clientSecret: body.client_secret,
+  };
+}
+
+// Strava writes the local start with a "Z" suffix next to the real UTC one
+function toLocalTimestamp({ start_date: utc, start_date_local: local }) {
+  if (!local) return utc;
+  const utcOffset = Math.round((Date.parse(local) - Date.parse(utc)) / 60000);
+  if (isNaN(utcOffset)) return utc;
+
+  const sign = utcOffset < 0 ? "-" : "+";
+  const hours = String(Math.floor(Math.abs(utcOffset) / 60)).padStart(2, "0");
+  const minutes = String(Math.abs(utcOffset) % 60).padStart(2, "0");
+  return `${local.slice(0, 19)}${sign}${hours}:${minutes}`;
+}
+
+const stravaConnector = {
+  id: "strava",
+  label: "Strava",
+  baseUrl: "https://www.strava.com",
+  credentials: [
+    { name: "clientId", label: "Client ID" },
+    { name: "clientSecret", label: "Client secret", secret: true },
+    { name: "refreshToken", label: "Refresh token", secret: true },
+  ],
+
+  async authenticate({ clientId, clientSecret, refreshToken } = {}, context) {
+    if (!clientId || !clientSecret || !refreshToken) {
+      throw new Error(
+        "Strava needs the client id, client secret and refresh token"
+      );
+    }
+    return requestToken(context, {
+      client_id: clientId,
+      client_secret: clientSecret,
+      grant_type: "refresh_token",
+      refresh_token: refreshToken,
+    });
+  },
+
+  needsRefresh(auth) {
+    return !auth.expiresAt || auth.expiresAt - EXPIRY_MARGIN_MS <= Date.now();
+  },
+
+  refresh(auth, context) {
+    return requestToken(context, {
+      client_id: auth.clientId,
+      client_secret: auth.clientSecret,
+      grant_type: "refresh_token",
+      refresh_token: auth.refreshToken,
+    });
+  },
+
+  listDataTypes() {
+    return ["workouts"];
+  },
+
+  async fetchSince(cursor, context) {
+    const activities = await requestJson(
+      context,
+      "/api/v3/athlete/activities",
+      {
+        query: { after: cursor || 0, per_page: PAGE_SIZE },
+        token: context.auth.accessToken,
+      }
+    );
+    const latest = activities.reduce(
+      (newest, { start_date: start }) =>
+        Math.max(newest, Math.floor(Date.parse(start) / 1000)),
+      cursor || 0
+    );
+    return {
+      items: activities,
+      cursor: latest,
+      hasMore: activities.length === PAGE_SIZE,
+    };
+  },
+
+  map(activity) {
+    return {
+      recordType: "workouts",
+      date: toLocalTimestamp(activity),
+      type: activity.sport_type || activity.type,
+      name: activity.name,
+      duration: activity.elapsed_time,
+      unit: "s",
+      distance: activity.distance,
+      distanceUnit: "m",
+      avgHeartRate: activity.average_heartrate,
+      maxHeartRate: activity.max_heartrate,
+      avgSpeed: activity.average_speed,
+      maxSpeed: activity.max_speed,
+      avgCadence: activity.average_cadence,
+      avgPower: activity.average_watts,
+      maxPower: activity.max_watts,
+      elevationGain: activity.total_elevation_gain,
+      movingTime:
+        typeof activity.moving_time === "number"
+          ? activity.moving_time / 60
+          : null,
+      source: "Strava",
+    };
+  },
+};
+
+export default stravaConnector;
@@ -1,7 +1,18 @@
 // src/services/dataImportService.js
 
-import { formatISO, isValid, parseISO } from "date-fns";
-import { getFromStorage, saveToStorage } from "../utils/storageUtils";
+import {
+  flushStorage,
+  getFromStorage,
+  removeFromStorage,
+  saveToStorage,
+} from "../utils/storageUtils";
+import {
+  getRecordKey,
+  processImport,
+  RECORD_TYPES,
+  summarizeImport,
+} from "./importEngine";
+import { findMappingProfile } from "./mappingProfileService";
 
 // Storage keys - Export these so they can be used in other services
 export const STORAGE_KEYS = {
@@ -13,1151 +24,489 @@ export const STORAGE_KEYS = {
   VO2MAX_DATA: "vo2max-data",
   WORKOUT_DATA: "workout-data",
   NUTRITION_DATA: "nutrition-data",
+  RESTING_HEART_RATE_DATA: "resting-heart-rate-data",
+  HRV_DATA: "hrv-data",
+  RESPIRATORY_RATE_DATA: "respiratory-rate-data",
+  TEMPERATURE_DEVIATION_DATA: "temperature-deviation-data",
+  STRAIN_DATA: "strain-data",
+  // Shared with the measurements BodyCompositionPanel records by hand
+  BODY_COMPOSITION_DATA: "body-composition-history",
+  ACTIVITY_SUMMARY_DATA: "activity-summary-data",
+  ECG_DATA: "ecg-data",
   IMPORT_HISTORY: "health-import-history",
 };
 
+// Storage key for each import engine record type
+export const COLLECTION_KEYS = {
+  heartRate: STORAGE_KEYS.HEART_RATE_DATA,
+  steps: STORAGE_KEYS.STEP_COUNT_DATA,
+  weight: STORAGE_KEYS.WEIGHT_DATA,
+  sleep: STORAGE_KEYS.SLEEP_DATA,
+  vo2max: STORAGE_KEYS.VO2MAX_DATA,
+  workouts: STORAGE_KEYS.WORKOUT_DATA,
+  nutrition: STORAGE_KEYS.NUTRITION_DATA,
+  restingHeartRate: STORAGE_KEYS.RESTING_HEART_RATE_DATA,
+  heartRateVariability: STORAGE_KEYS.HRV_DATA,
+  respiratoryRate: STORAGE_KEYS.RESPIRATORY_RATE_DATA,
+  temperatureDeviation: STORAGE_KEYS.TEMPERATURE_DEVIATION_DATA,
+  strain: STORAGE_KEYS.STRAIN_DATA,
+  bodyComposition: STORAGE_KEYS.BODY_COMPOSITION_DATA,
+  activitySummary: STORAGE_KEYS.ACTIVITY_SUMMARY_DATA,
+  electrocardiogram: STORAGE_KEYS.ECG_DATA,
+};
+
 /**
  * Import health data from various sources
  *
- * @param {Array|Object} data - The parsed data from the file
- * @param {string} fileType - The type of file (csv, json, etc.)
- * @returns {Object} Statistics about the imported data
+ * @param {Array|Object|string} data - File text or already parsed data
+ * @param {string} fileType - Import adapter id (csv, json, parsed-xml, ...)
+ * @param {Object} options - File details recorded in the import history
+ * @returns {Promise<Object>} Statistics about the imported data
  */
-export function importHealthData(data, fileType) {
-  // Initialize stats
-  const stats = {
-    counts: {
-      heartRate: 0,
-      steps: 0,
-      weight: 0,
-      sleep: 0,
-      vo2max: 0,
-      workouts: 0,
-      nutrition: 0,
-    },
-    dateRange: {
-      start: null,
-      end: null,
-    },
-  };
-
-  // Arrays to store different types of data
-  const heartRateData = [];
-  const stepData = [];
-  const weightData = [];
-  const sleepData = [];
-  const vo2maxData = [];
-  const workoutData = [];
-  const nutritionData = [];
-
-  // Track dates for determining the date range
-  const allDates = [];
-
-  // Process data based on file type
-  if (fileType === "csv") {
-    // Process CSV data (already parsed by PapaParse in the component)
-    processCSVData(data, {
-      heartRateData,
-      stepData,
-      weightData,
-      sleepData,
-      vo2maxData,
-      workoutData,
-      nutritionData,
-      allDates,
-    });
-  } else if (fileType === "json") {
-    // Process JSON data based on its structure
-    processJSONData(data, {
-      heartRateData,
-      stepData,
-      weightData,
-      sleepData,
-      vo2maxData,
-      workoutData,
-      nutritionData,
-      allDates,
-    });
-  } else if (fileType === "parsed-xml") {
-    // Process data that has already been extracted from XML
-    processXMLData(data, {
-      heartRateData,
-      stepData,
-      weightData,
-      sleepData,
-      vo2maxData,
-      workoutData,
-      nutritionData,
-      allDates,
-    });
-  }
-
-  // Update stats
-  stats.counts.heartRate = heartRateData.length;
-  stats.counts.steps = stepData.length;
-  stats.counts.weight = weightData.length;
-  stats.counts.sleep = sleepData.length;
-  stats.counts.vo2max = vo2maxData.length;
-  stats.counts.workouts = workoutData.length;
-  stats.counts.nutrition = nutritionData.length;
-
-  // Calculate date range
-  if (allDates.length > 0) {
-    const sortedDates = allDates.sort((a, b) => a - b);
-    stats.dateRange.start = formatISO(sortedDates[0], {
-      representation: "date",
-    });
-    stats.dateRange.end = formatISO(sortedDates[sortedDates.length - 1], {
-      representation: "date",
-    });
-  }
-
-  // Save the processed data
-  saveToStorage(STORAGE_KEYS.HEART_RATE_DATA, heartRateData);
-  saveToStorage(STORAGE_KEYS.STEP_COUNT_DATA, stepData);
-  saveToStorage(STORAGE_KEYS.WEIGHT_DATA, weightData);
-  saveToStorage(STORAGE_KEYS.SLEEP_DATA, sleepData);
-  saveToStorage(STORAGE_KEYS.VO2MAX_DATA, vo2maxData);
-  saveToStorage(STORAGE_KEYS.WORKOUT_DATA, workoutData);
-  saveToStorage(STORAGE_KEYS.NUTRITION_DATA, nutritionData);
-
-  // Save the raw imported data (may be useful for debugging)
-  saveToStorage(STORAGE_KEYS.IMPORTED_HEALTH_DATA, {
-    // For parsed-xml, we don't store the raw data as it would be too large
-    data: fileType === "parsed-xml" ? [] : data.slice(0, 1000),
-    fileType,
-    importDate: new Date().toISOString(),
-    stats,
-  });
-
-  return stats;
+export async function importHealthData(data, fileType, options = {}) {
+  return confirmImport(await previewHealthData(data, fileType, options));
 }
 
 /**
- * Process XML data that has been pre-extracted from Apple Health exports
+ * Import a File or Blob, choosing the adapter from its name
+ *
+ * @param {File} file - The file to import
+ * @param {Object} options
+ * @param {Function} options.onProgress - Progress callback for large files
+ * @returns {Promise<Object>} Statistics about the imported data
  */
-function processXMLData(data, dataCollections) {
-  const {
-    heartRateData,
-    stepData,
-    weightData,
-    sleepData,
-    vo2maxData,
-    workoutData,
-    allDates,
-  } = dataCollections;
-
-  // Process the different categories of data from the pre-extracted XML data
-  // First, process heart rate data
-  if (data.heartRate && Array.isArray(data.heartRate)) {
-    data.heartRate.forEach((item) => {
-      try {
-        const dateStr = item.date;
-        const value = parseFloat(item.value);
-
-        if (!dateStr || isNaN(value)) return;
-
-        // Parse the date
-        const date = parseDate(dateStr);
-        if (!date || !isValid(date)) return;
-
-        // Add to all dates array for tracking date range
-        allDates.push(date);
-
-        heartRateData.push({
-          date: date.toISOString(),
-          value: value,
-          unit: item.unit || "bpm",
-        });
-      } catch (error) {
-        console.warn("Error processing heart rate data:", error);
-      }
-    });
-  }
-
-  // Process step data
-  if (data.steps && Array.isArray(data.steps)) {
-    data.steps.forEach((item) => {
-      try {
-        const dateStr = item.date;
-        const value = parseInt(item.value, 10);
-
-        if (!dateStr || isNaN(value)) return;
-
-        // Parse the date
-        const date = parseDate(dateStr);
-        if (!date || !isValid(date)) return;
-
-        // Add to all dates array for tracking date range
-        allDates.push(date);
-
-        stepData.push({
-          date: date.toISOString(),
-          value: value,
-          unit: item.unit || "count",
-        });
-      } catch (error) {
-        console.warn("Error processing step data:", error);
-      }
-    });
-  }
-
-  // Process weight data
-  if (data.weight && Array.isArray(data.weight)) {
-    data.weight.forEach((item) => {
-      try {
-        const dateStr = item.date;
-        const value = parseFloat(item.value);
-
-        if (!dateStr || isNaN(value)) return;
-
-        // Parse the date
-        const date = parseDate(dateStr);
-        if (!date || !isValid(date)) return;
-
-        // Add to all dates array for tracking date range
-        allDates.push(date);
-
-        weightData.push({
-          date: date.toISOString(),
-          value: value,
-          unit: item.unit || "kg",
-        });
-      } catch (error) {
-        console.warn("Error processing weight data:", error);
-      }
-    });
-  }
-
-  // Process sleep data
-  if (data.sleep && Array.isArray(data.sleep)) {
-    data.sleep.forEach((item) => {
-      try {
-        const dateStr = item.date;
-        const value = parseFloat(item.value);
-
-        if (!dateStr || isNaN(value)) return;
-
-        // Parse the date
-        const date = parseDate(dateStr);
-        if (!date || !isValid(date)) return;
-
-        // Add to all dates array for tracking date range
-        allDates.push(date);
-
-        sleepData.push({
-          date: date.toISOString(),
-          value: value,
-          unit: item.unit || "hours",
-          category: item.category || "unknown",
-        });
-      } catch (error) {
-        console.warn("Error processing sleep data:", error);
-      }
-    });
-  }
-
-  // Process VO2max data
-  if (data.vo2max && Array.isArray(data.vo2max)) {
-    data.vo2max.forEach((item) => {
-      try {
-        const dateStr = item.date;
-        const value = parseFloat(item.value);
-
-        if (!dateStr || isNaN(value)) return;
-
-        // Parse the date
-        const date = parseDate(dateStr);
-        if (!date || !isValid(date)) return;
-
-        // Add to all dates array for tracking date range
-        allDates.push(date);
-
-        vo2maxData.push({
-          date: date.toISOString(),
-          value: value,
-          unit: item.unit || "ml/kg/min",
-        });
-      } catch (error) {
-        console.warn("Error processing VO2max data:", error);
-      }
-    });
-  }
-
-  // Process workout data
-  if (data.workouts && Array.isArray(data.workouts)) {
-    data.workouts.forEach((item) => {
-      try {
-        const dateStr = item.date;
-        const type = item.type || "unknown";
-        const duration = parseFloat(item.duration);
-
-        if (!dateStr || isNaN(duration)) return;
-
-        // Parse the date
-        const date = parseDate(dateStr);
-        if (!date || !isValid(date)) return;
-
-        // Add to all dates array for tracking date range
-        allDates.push(date);
-
-        workoutData.push({
-          date: date.toISOString(),
-          type: type,
-          duration: duration,
-          unit: item.unit || "seconds",
-          calories:
-            item.calories !== undefined ? parseFloat(item.calories) : null,
-          distance:
-            item.distance !== undefined ? parseFloat(item.distance) : null,
-        });
-      } catch (error) {
-        console.warn("Error processing workout data:", error);
-      }
-    });
-  }
-
-  // Process nutrition data (if present)
-  if (data.nutrition && Array.isArray(data.nutrition)) {
-    const nutritionData = dataCollections.nutritionData || [];
-
-    data.nutrition.forEach((item) => {
-      try {
-        const dateStr = item.date;
-        const name = item.name || "Unknown Food";
-        const calories = parseFloat(item.calories || 0);
-
-        if (!dateStr) return;
-
-        // Parse the date
-        const date = parseDate(dateStr);
-        if (!date || !isValid(date)) return;
-
-        // Add to all dates array for tracking date range
-        allDates.push(date);
-
-        nutritionData.push({
-          date: date.toISOString(),
-          name: name,
-          calories: calories,
-          protein: parseFloat(item.protein || 0),
-          carbs: parseFloat(item.carbs || 0),
-          fat: parseFloat(item.fat || 0),
-        });
-      } catch (error) {
-        console.warn("Error processing nutrition data:", error);
-      }
-    });
-
-    // If nutritionData is provided in dataCollections, it will be updated by reference
-    // Otherwise, we might need to manually add it to the storage elsewhere
-  }
+export async function importHealthFile(file, options = {}) {
+  return confirmImport(await previewHealthFile(file, options));
 }
 
 /**
- * Process CSV data and extract health metrics
+ * Dry-run an import of already loaded data without saving anything
+ *
+ * @param {Array|Object|string} data - File text or already parsed data
+ * @param {string} fileType - Import adapter id (csv, json, parsed-xml, ...)
+ * @param {Object} options
+ * @param {string} options.fileName - Name of the file the data came from
+ * @param {number} options.fileSize - Size of that file in bytes
+ * @param {string} options.dateFormat - Day/month order override for
+ *   numeric dates ("mdy" or "dmy"); detected from the data when omitted
+ * @param {Object} options.mapping - Column mapping for CSV files; saved
+ *   mapping profiles are used when omitted
+ * @returns {Promise<Object>} Preview, see createImportPreview
  */
-function processCSVData(data, dataCollections) {
-  // Remove unused destructured variables
-  const {} = dataCollections;
-
-  // First, detect the format of the CSV to determine how to process it
-  const firstRow = data[0];
-  const headers = Object.keys(firstRow);
-
-  // Look for common column names to identify the data structure
-  const hasType = headers.some(
-    (h) =>
-      h.toLowerCase().includes("type") ||
-      h.toLowerCase().includes("metric") ||
-      h.toLowerCase().includes("measure")
+export async function previewHealthData(data, fileType, options = {}) {
+  const result = await processImport(
+    {
+      format: fileType,
+      name: options.fileName,
+      content: data,
+      files: options.files,
+    },
+    {
+      dateFormat: options.dateFormat,
+      mapping: options.mapping,
+      resolveMapping: findMappingProfile,
+    }
   );
+  return createImportPreview(result, options);
+}
 
-  const hasDate = headers.some(
-    (h) => h.toLowerCase().includes("date") || h.toLowerCase().includes("time")
+/**
+ * Dry-run an import of a File or Blob without saving anything
+ *
+ * @param {File} file - The file to preview
+ * @param {Object} options
+ * @param {Function} options.onProgress - Progress callback for large files
+ * @param {string} options.dateFormat - Day/month order override for
+ *   numeric dates ("mdy" or "dmy"); detected from the file when omitted
+ * @param {Object} options.mapping - Column mapping for CSV files; saved
+ *   mapping profiles are used when omitted
+ * @returns {Promise<Object>} Preview, see createImportPreview
+ */
+export async function previewHealthFile(
+  file,
+  { onProgress, dateFormat, mapping } = {}
+) {
+  const result = await processImport(
+    { name: file.name, content: file },
+    { onProgress, dateFormat, mapping, resolveMapping: findMappingProfile }
   );
+  return createImportPreview(result, {
+    fileName: file.name,
+    fileSize: file.size,
+  });
+}
 
-  const hasValue = headers.some(
-    (h) =>
-      h.toLowerCase().includes("value") || h.toLowerCase().includes("amount")
-  );
+/**
+ * Build the dry-run object shown to the user before an import is saved
+ *
+ * @param {Object} result - Result of importEngine.processImport
+ * @param {Object} file - { fileName, fileSize } of the imported file
+ * @returns {Object} importEngine.summarizeImport output plus fileName,
+ *   fileSize and the full result, which confirmImport saves
+ */
+export function createImportPreview(result, { fileName, fileSize } = {}) {
+  return {
+    ...summarizeImport(result),
+    fileName: fileName || null,
+    fileSize: fileSize || null,
+    result,
+  };
+}
 
-  // Process data based on detected format
-  if (hasType && hasDate && hasValue) {
-    // Standard health export format with type, date, and value columns
-    processStandardFormat(data, dataCollections);
-  } else if (headers.includes("heart_rate") || headers.includes("heartRate")) {
-    // Specific heart rate export
-    processHeartRateFormat(data, dataCollections);
-  } else if (headers.includes("steps") || headers.includes("step_count")) {
-    // Specific step count export
-    processStepFormat(data, dataCollections);
-  } else if (headers.includes("weight") || headers.includes("body_mass")) {
-    // Specific weight export
-    processWeightFormat(data, dataCollections);
-  } else if (headers.includes("sleep") || headers.includes("sleep_duration")) {
-    // Specific sleep export
-    processSleepFormat(data, dataCollections);
-  } else {
-    // Generic format - try to infer data types from column names
-    processGenericFormat(data, dataCollections);
+/**
+ * Save a previewed import once the user has confirmed it
+ *
+ * @param {Object} preview - Result of previewHealthData/previewHealthFile
+ * @param {Object} options - Passed to commitImport (e.g. { mode })
+ * @returns {Object} Statistics about the imported data
+ */
+export function confirmImport(preview, options = {}) {
+  // Unrecognised CSVs have to be mapped (see ColumnMapper) before saving
+  if (preview.columns && preview.columns.needsMapping) {
+    throw new Error(
+      `${preview.columns.reason}. Map the file's columns before importing.`
+    );
   }
+  // Previews of streamed files only counted their records
+  if (!preview.result.records) {
+    throw new Error(
+      "This preview holds no records. Save the file with createImportCommit."
+    );
+  }
+  return commitImport(preview.result, { ...preview, ...options });
 }
 
 /**
- * Process JSON data based on its structure
+ * Sort records chronologically, parsing each date only once
  */
-function processJSONData(data, dataCollections) {
-  // JSON data could have various structures
-  // Here we try to handle common health app export formats
-
-  if (Array.isArray(data)) {
-    // Array of records - try to determine what kind of data it is
-    const firstItem = data[0];
-
-    if (!firstItem) return; // Empty array
+function sortByDate(records) {
+  return records
+    .map((record) => ({ record, time: new Date(record.date).getTime() }))
+    .sort((a, b) => a.time - b.time)
+    .map(({ record }) => record);
+}
 
-    if (firstItem.type || firstItem.dataType) {
-      // Data has explicit type information
-      processJSONWithTypes(data, dataCollections);
+/**
+ * Merge new records into chronologically sorted ones
+ *
+ * Imports mostly add records newer than everything stored, so the point
+ * the new records start at is found by binary search and only the records
+ * after it are sorted again.
+ */
+function mergeByDate(sorted, added) {
+  const incoming = sortByDate(added);
+  const time = new Date(incoming[0].date).getTime();
+  let low = 0;
+  let high = sorted.length;
+
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (new Date(sorted[middle].date).getTime() <= time) {
+      low = middle + 1;
     } else {
-      // Try to infer types from properties
-      processJSONInferTypes(data, dataCollections);
-    }
-  } else {
-    // Object with categorized data
-    if (data.heartRate || data.heart_rate) {
-      processArrayData(
-        data.heartRate || data.heart_rate,
-        "heartRate",
-        dataCollections
-      );
-    }
-
-    if (data.steps || data.stepCount || data.step_count) {
-      processArrayData(
-        data.steps || data.stepCount || data.step_count,
-        "steps",
-        dataCollections
-      );
-    }
-
-    if (data.weight || data.bodyMass || data.body_mass) {
-      processArrayData(
-        data.weight || data.bodyMass || data.body_mass,
-        "weight",
-        dataCollections
-      );
-    }
-
-    if (data.sleep || data.sleepData || data.sleep_data) {
-      processArrayData(
-        data.sleep || data.sleepData || data.sleep_data,
-        "sleep",
-        dataCollections
-      );
-    }
-
-    if (data.vo2max || data.vo2Max || data.vo2_max) {
-      processArrayData(
-        data.vo2max || data.vo2Max || data.vo2_max,
-        "vo2max",
-        dataCollections
-      );
-    }
-
-    if (data.workouts || data.workout || data.exercises || data.exercise) {
-      processArrayData(
-        data.workouts || data.workout || data.exercises || data.exercise,
-        "workout",
-        dataCollections
-      );
+      high = middle;
     }
   }
+
+  return sorted
+    .slice(0, low)
+    .concat(sortByDate(sorted.slice(low).concat(incoming)));
 }
 
 /**
- * Process standard format CSV with type, date, and value columns
+ * Start saving an import whose records arrive in batches, such as the
+ * batches importEngine.processImport hands to `onBatch`
+ *
+ * Each batch is merged into storage as it arrives, skipping records that
+ * are already stored (see importEngine.getRecordKey) or came earlier in
+ * the same file, so re-importing an overlapping export only adds what is
+ * new. Records of `daily` types (see importEngine.RECORD_TYPES) replace
+ * the stored record of their day instead when their values differ.
+ * Nothing is recorded in the import history until finish().
+ *
+ * @param {Object} options
+ * @param {string} options.fileName - Name of the imported file
+ * @param {number} options.fileSize - Size of the imported file in bytes
+ * @param {string} options.mode - "merge" (default) or "replace" to discard
+ *   stored records of every type the file contains
+ * @returns {Object} { importId, add(records), finish(result), abort() }:
+ *   add saves a batch shaped like processImport's records, finish records
+ *   the import and returns its statistics (see commitImport) and abort
+ *   removes what the import had saved
  */
-function processStandardFormat(data, dataCollections) {
-  const {
-    heartRateData,
-    stepData,
-    weightData,
-    sleepData,
-    vo2maxData,
-    allDates,
-  } = dataCollections;
-
-  // Find the column names for type, date, and value
-  const firstRow = data[0];
-  const headers = Object.keys(firstRow);
-
-  const typeColumn = headers.find(
-    (h) =>
-      h.toLowerCase().includes("type") ||
-      h.toLowerCase().includes("metric") ||
-      h.toLowerCase().includes("measure")
-  );
-
-  const dateColumn = headers.find(
-    (h) => h.toLowerCase().includes("date") || h.toLowerCase().includes("time")
-  );
-
-  const valueColumn = headers.find(
-    (h) =>
-      h.toLowerCase().includes("value") || h.toLowerCase().includes("amount")
-  );
-
-  if (!typeColumn || !dateColumn || !valueColumn) return;
-
-  // Process each row
-  data.forEach((row) => {
-    const type = (row[typeColumn] || "").toLowerCase();
-    const dateStr = row[dateColumn];
-    const value = row[valueColumn];
-
-    if (!dateStr || value === undefined || value === null) return;
-
-    // Parse the date
-    const date = parseDate(dateStr);
-    if (!date || !isValid(date)) return;
-
-    // Add to all dates array for tracking date range
-    allDates.push(date);
+export function createImportCommit({
+  fileName,
+  fileSize,
+  mode = "merge",
+} = {}) {
+  const importId = createImportId();
+  const counts = {};
+  const duplicates = {};
+  // Stored records and their keys of each type the import has touched
+  const collections = new Map();
+  let nextRecord = 0;
+
+  Object.keys(COLLECTION_KEYS).forEach((recordType) => {
+    counts[recordType] = 0;
+    duplicates[recordType] = 0;
+  });
 
-    // Process based on type
-    if (type.includes("heart") || type.includes("pulse")) {
-      heartRateData.push({
-        date: date.toISOString(),
-        value: parseFloat(value),
-      });
-    } else if (type.includes("step")) {
-      stepData.push({
-        date: date.toISOString(),
-        value: parseInt(value, 10),
-      });
-    } else if (type.includes("weight") || type.includes("mass")) {
-      weightData.push({
-        date: date.toISOString(),
-        value: parseFloat(value),
-      });
-    } else if (type.includes("sleep")) {
-      sleepData.push({
-        date: date.toISOString(),
-        value: parseFloat(value),
-        unit: row.unit || "hours",
-      });
-    } else if (type.includes("vo2") || type.includes("oxygen")) {
-      vo2maxData.push({
-        date: date.toISOString(),
-        value: parseFloat(value),
+  const openCollection = (recordType) => {
+    if (!collections.has(recordType)) {
+      const stored =
+        mode === "replace"
+          ? []
+          : sortByDate(getFromStorage(COLLECTION_KEYS[recordType], []));
+      collections.set(recordType, {
+        records: stored,
+        keys: new Map(
+          stored.map((record) => [getRecordKey(recordType, record), record])
+        ),
+        replaced: mode === "replace",
       });
-    } else if (type.includes("workout") || type.includes("exercise")) {
-      // Handle workout data if needed
     }
-  });
-}
-
-/**
- * Process heart rate specific format
- */
-function processHeartRateFormat(data, dataCollections) {
-  const { heartRateData, allDates } = dataCollections;
-
-  // Find the column names
-  const firstRow = data[0];
-  const headers = Object.keys(firstRow);
-
-  const heartRateColumn = headers.find(
-    (h) =>
-      h.toLowerCase().includes("heart") || h.toLowerCase().includes("pulse")
-  );
-
-  const dateColumn = headers.find(
-    (h) => h.toLowerCase().includes("date") || h.toLowerCase().includes("time")
-  );
-
-  if (!heartRateColumn || !dateColumn) return;
+    return collections.get(recordType);
+  };
 
-  // Process each row
-  data.forEach((row) => {
-    const heartRate = row[heartRateColumn];
-    const dateStr = row[dateColumn];
+  return {
+    importId,
+
+    add(records) {
+      // Collections the file did not contain are left untouched
+      Object.entries(records).forEach(([recordType, items]) => {
+        if (items.length === 0) return;
+        const collection = openCollection(recordType);
+
+        // Record ids start with the import's, so it can be rolled back
+        const { daily } = RECORD_TYPES[recordType];
+        const added = [];
+        const superseded = new Set();
+        items.forEach((record) => {
+          const key = getRecordKey(recordType, record);
+          const stored = collection.keys.get(key);
+          if (stored) {
+            if (!daily || isSameRecord(stored, record)) {
+              duplicates[recordType]++;
+              return;
+            }
+            superseded.add(stored);
+          }
+          const tagged = {
+            id: `${importId}-${(nextRecord++).toString(36)}`,
+            ...record,
+          };
+          collection.keys.set(key, tagged);
+          added.push(tagged);
+        });
 
-    if (!dateStr || heartRate === undefined || heartRate === null) return;
+        const prefix = getRecordIdPrefix(importId);
+        const kept = added.filter((record) => !superseded.has(record));
+        superseded.forEach((record) => {
+          if (String(record.id).startsWith(prefix)) counts[recordType]--;
+        });
+        counts[recordType] += kept.length;
+        if (superseded.size > 0) {
+          collection.records = collection.records.filter(
+            (record) => !superseded.has(record)
+          );
+        }
+        if (kept.length > 0) {
+          collection.records = mergeByDate(collection.records, kept);
+        } else if (superseded.size === 0 && !collection.replaced) {
+          return;
+        }
+        collection.replaced = false;
+        saveToStorage(COLLECTION_KEYS[recordType], collection.records);
+      });
+    },
 
-    // Parse the date
-    const date = parseDate(dateStr);
-    if (!date || !isValid(date)) return;
+    finish({ format, dateRange, errors, errorCount, files }) {
+      saveToStorage(STORAGE_KEYS.IMPORTED_HEALTH_DATA, {
+        fileType: format,
+        importDate: new Date().toISOString(),
+        stats: { counts, dateRange, errorCount },
+      });
 
-    // Add to all dates array for tracking date range
-    allDates.push(date);
+      const history = getFromStorage(STORAGE_KEYS.IMPORT_HISTORY, []);
+      saveToStorage(STORAGE_KEYS.IMPORT_HISTORY, [
+        ...history,
+        {
+          id: importId,
+          date: new Date().toISOString(),
+          fileName: fileName || null,
+          fileSize: fileSize || null,
+          fileType: fileName ? fileName.split(".").pop().toLowerCase() : format,
+          format,
+          mode,
+          counts,
+          duplicates,
+          dateRange,
+          errorCount,
+          recordIdPrefix: getRecordIdPrefix(importId),
+          rolledBackAt: null,
+        },
+      ]);
+
+      return {
+        importId,
+        counts,
+        duplicates,
+        dateRange,
+        errors,
+        errorCount,
+        files,
+      };
+    },
 
-    // Add heart rate data
-    heartRateData.push({
-      date: date.toISOString(),
-      value: parseFloat(heartRate),
-    });
-  });
+    abort() {
+      removeImportedRecords(
+        getRecordIdPrefix(importId),
+        Object.keys(counts).filter((recordType) => counts[recordType] > 0)
+      );
+    },
+  };
 }
 
 /**
- * Process step count specific format
+ * Save the result of importEngine.processImport and record it in the
+ * import history
+ *
+ * Records are merged into the stored collections by default, skipping any
+ * already present (see createImportCommit).
+ *
+ * @param {Object} result - Result of processImport
+ * @param {Object} options
+ * @param {string} options.fileName - Name of the imported file
+ * @param {number} options.fileSize - Size of the imported file in bytes
+ * @param {string} options.mode - "merge" (default) or "replace" to discard
+ *   stored records of every type the file contains
+ * @returns {Object} { importId, counts, duplicates, dateRange, errors,
+ *   errorCount, files } where counts are the records actually added
  */
-function processStepFormat(data, dataCollections) {
-  const { stepData, allDates } = dataCollections;
-
-  // Find the column names
-  const firstRow = data[0];
-  const headers = Object.keys(firstRow);
-
-  const stepColumn = headers.find((h) => h.toLowerCase().includes("step"));
-
-  const dateColumn = headers.find(
-    (h) => h.toLowerCase().includes("date") || h.toLowerCase().includes("time")
-  );
-
-  if (!stepColumn || !dateColumn) return;
-
-  // Process each row
-  data.forEach((row) => {
-    const steps = row[stepColumn];
-    const dateStr = row[dateColumn];
-
-    if (!dateStr || steps === undefined || steps === null) return;
-
-    // Parse the date
-    const date = parseDate(dateStr);
-    if (!date || !isValid(date)) return;
-
-    // Add to all dates array for tracking date range
-    allDates.push(date);
-
-    // Add step data
-    stepData.push({
-      date: date.toISOString(),
-      value: parseInt(steps, 10),
-    });
-  });
+export function commitImport(result, options = {}) {
+  const commit = createImportCommit(options);
+  commit.add(result.records);
+  return commit.finish(result);
 }
 
 /**
- * Process weight specific format
+ * Check whether two records hold the same values, ignoring their ids
  */
-function processWeightFormat(data, dataCollections) {
-  const { weightData, allDates } = dataCollections;
-
-  // Find the column names
-  const firstRow = data[0];
-  const headers = Object.keys(firstRow);
-
-  const weightColumn = headers.find(
-    (h) =>
-      h.toLowerCase().includes("weight") || h.toLowerCase().includes("mass")
-  );
-
-  const dateColumn = headers.find(
-    (h) => h.toLowerCase().includes("date") || h.toLowerCase().includes("time")
-  );
-
-  if (!weightColumn || !dateColumn) return;
-
-  // Process each row
-  data.forEach((row) => {
-    const weight = row[weightColumn];
-    const dateStr = row[dateColumn];
-
-    if (!dateStr || weight === undefined || weight === null) return;
-
-    // Parse the date
-    const date = parseDate(dateStr);
-    if (!date || !isValid(date)) return;
-
-    // Add to all dates array for tracking date range
-    allDates.push(date);
-
-    // Add weight data
-    weightData.push({
-      date: date.toISOString(),
-      value: parseFloat(weight),
-    });
-  });
+function isSameRecord(stored, record) {
+  const fields = new Set([...Object.keys(stored), ...Object.keys(record)]);
+  fields.delete("id");
+  return Array.from(fields).every((field) => stored[field] === record[field]);
 }
 
 /**
- * Process sleep specific format
+ * Unique id for an import; record ids are derived from it
  */
-function processSleepFormat(data, dataCollections) {
-  const { sleepData, allDates } = dataCollections;
-
-  // Find the column names
-  const firstRow = data[0];
-  const headers = Object.keys(firstRow);
-
-  const sleepColumn = headers.find(
-    (h) =>
-      h.toLowerCase().includes("sleep") || h.toLowerCase().includes("duration")
-  );
-
-  const dateColumn = headers.find(
-    (h) => h.toLowerCase().includes("date") || h.toLowerCase().includes("time")
-  );
-
-  if (!sleepColumn || !dateColumn) return;
-
-  // Process each row
-  data.forEach((row) => {
-    const sleep = row[sleepColumn];
-    const dateStr = row[dateColumn];
-
-    if (!dateStr || sleep === undefined || sleep === null) return;
-
-    // Parse the date
-    const date = parseDate(dateStr);
-    if (!date || !isValid(date)) return;
-
-    // Add to all dates array for tracking date range
-    allDates.push(date);
-
-    // Add sleep data
-    sleepData.push({
-      date: date.toISOString(),
-      value: parseFloat(sleep),
-      unit: "hours", // Assume hours as default
-    });
-  });
+function createImportId() {
+  const random = Math.random().toString(36).slice(2, 8);
+  return `import-${Date.now().toString(36)}-${random}`;
 }
 
 /**
- * Process generic format by inferring data types from column names
+ * What the ids of the records an import added start with
+ *
+ * Import ids contain no dash after their random part, so no import's
+ * prefix matches the records of another.
  */
-function processGenericFormat(data, dataCollections) {
-  const {
-    heartRateData,
-    stepData,
-    weightData,
-    sleepData,
-    vo2maxData,
-    workoutData,
-    allDates,
-  } = dataCollections;
-
-  // Find the date column
-  const firstRow = data[0];
-  const headers = Object.keys(firstRow);
-
-  const dateColumn = headers.find(
-    (h) => h.toLowerCase().includes("date") || h.toLowerCase().includes("time")
-  );
-
-  if (!dateColumn) return;
-
-  // Look for columns matching each data type
-  const heartRateColumn = headers.find(
-    (h) =>
-      h.toLowerCase().includes("heart") || h.toLowerCase().includes("pulse")
-  );
-
-  const stepColumn = headers.find((h) => h.toLowerCase().includes("step"));
-
-  const weightColumn = headers.find(
-    (h) =>
-      h.toLowerCase().includes("weight") || h.toLowerCase().includes("mass")
-  );
-
-  const sleepColumn = headers.find(
-    (h) =>
-      h.toLowerCase().includes("sleep") || h.toLowerCase().includes("duration")
-  );
-
-  const vo2maxColumn = headers.find(
-    (h) => h.toLowerCase().includes("vo2") || h.toLowerCase().includes("oxygen")
-  );
-
-  // Process each row for all detected data types
-  data.forEach((row) => {
-    const dateStr = row[dateColumn];
-    if (!dateStr) return;
-
-    // Parse the date
-    const date = parseDate(dateStr);
-    if (!date || !isValid(date)) return;
-
-    // Add to all dates array for tracking date range
-    allDates.push(date);
-
-    // Process heart rate if column exists
-    if (
-      heartRateColumn &&
-      row[heartRateColumn] !== undefined &&
-      row[heartRateColumn] !== null
-    ) {
-      heartRateData.push({
-        date: date.toISOString(),
-        value: parseFloat(row[heartRateColumn]),
-      });
-    }
-
-    // Process steps if column exists
-    if (
-      stepColumn &&
-      row[stepColumn] !== undefined &&
-      row[stepColumn] !== null
-    ) {
-      stepData.push({
-        date: date.toISOString(),
-        value: parseInt(row[stepColumn], 10),
-      });
-    }
-
-    // Process weight if column exists
-    if (
-      weightColumn &&
-      row[weightColumn] !== undefined &&
-      row[weightColumn] !== null
-    ) {
-      weightData.push({
-        date: date.toISOString(),
-        value: parseFloat(row[weightColumn]),
-      });
-    }
-
-    // Process sleep if column exists
-    if (
-      sleepColumn &&
-      row[sleepColumn] !== undefined &&
-      row[sleepColumn] !== null
-    ) {
-      sleepData.push({
-        date: date.toISOString(),
-        value: parseFloat(row[sleepColumn]),
-        unit: "hours", // Assume hours as default
-      });
-    }
-
-    // Process VO2max if column exists
-    if (
-      vo2maxColumn &&
-      row[vo2maxColumn] !== undefined &&
-      row[vo2maxColumn] !== null
-    ) {
-      vo2maxData.push({
-        date: date.toISOString(),
-        value: parseFloat(row[vo2maxColumn]),
-      });
-    }
-  });
+function getRecordIdPrefix(importId) {
+  return `${importId}-`;
 }
 
 /**
- * Process JSON data with explicit type information
+ * Remove the records whose id starts with an import's prefix
+ *
+ * @returns {Object} Number of records removed per record type
  */
-function processJSONWithTypes(data, dataCollections) {
-  const {
-    heartRateData,
-    stepData,
-    weightData,
-    sleepData,
-    vo2maxData,
-    workoutData,
-    allDates,
-  } = dataCollections;
-
-  data.forEach((item) => {
-    const type = (item.type || item.dataType || "").toLowerCase();
-    const dateStr = item.date || item.timestamp || item.startDate || item.time;
-    const value = item.value || item.amount || item.count;
-
-    if (!dateStr || value === undefined || value === null) return;
-
-    // Parse the date
-    const date = parseDate(dateStr);
-    if (!date || !isValid(date)) return;
-
-    // Add to all dates array for tracking date range
-    allDates.push(date);
+function removeImportedRecords(recordIdPrefix, recordTypes) {
+  const removed = {};
+  recordTypes.forEach((recordType) => {
+    const key = COLLECTION_KEYS[recordType];
+    const stored = getFromStorage(key, []);
+    const kept = stored.filter(
+      (record) => !String(record.id).startsWith(recordIdPrefix)
+    );
 
-    // Process based on type
-    if (type.includes("heart") || type.includes("pulse")) {
-      heartRateData.push({
-        date: date.toISOString(),
-        value: parseFloat(value),
-      });
-    } else if (type.includes("step")) {
-      stepData.push({
-        date: date.toISOString(),
-        value: parseInt(value, 10),
-      });
-    } else if (type.includes("weight") || type.includes("mass")) {
-      weightData.push({
-        date: date.toISOString(),
-        value: parseFloat(value),
-      });
-    } else if (type.includes("sleep")) {
-      sleepData.push({
-        date: date.toISOString(),
-        value: parseFloat(value),
-        unit: item.unit || "hours",
-      });
-    } else if (type.includes("vo2") || type.includes("oxygen")) {
-      vo2maxData.push({
-        date: date.toISOString(),
-        value: parseFloat(value),
-      });
-    } else if (type.includes("workout") || type.includes("exercise")) {
-      workoutData.push({
-        date: date.toISOString(),
-        type: item.workoutType || item.exerciseType || "unknown",
-        duration: parseFloat(value),
-        unit: item.unit || "minutes",
-        calories: item.calories || null,
-        distance: item.distance || null,
-      });
-    }
+    removed[recordType] = stored.length - kept.length;
+    saveToStorage(key, kept);
   });
+  return removed;
 }
 
 /**
- * Process JSON data by inferring types from properties
+ * Get the import history, newest first
+ *
+ * @returns {Array} History entries as written by commitImport
  */
-function processJSONInferTypes(data, dataCollections) {
-  const {
-    heartRateData,
-    stepData,
-    weightData,
-    sleepData,
-    vo2maxData,
-    workoutData,
-    allDates,
-  } = dataCollections;
-
-  data.forEach((item) => {
-    const dateStr = item.date || item.timestamp || item.startDate || item.time;
-    if (!dateStr) return;
-
-    // Parse the date
-    const date = parseDate(dateStr);
-    if (!date || !isValid(date)) return;
-
-    // Add to all dates array for tracking date range
-    allDates.push(date);
-
-    // Check for different data types based on property names
-    if (
-      item.heartRate !== undefined ||
-      item.heart_rate !== undefined ||
-      item.pulse !== undefined
-    ) {
-      heartRateData.push({
-        date: date.toISOString(),
-        value: parseFloat(item.heartRate || item.heart_rate || item.pulse),
-      });
-    }
-
-    if (
-      item.steps !== undefined ||
-      item.stepCount !== undefined ||
-      item.step_count !== undefined
-    ) {
-      stepData.push({
-        date: date.toISOString(),
-        value: parseInt(item.steps || item.stepCount || item.step_count, 10),
-      });
-    }
-
-    if (
-      item.weight !== undefined ||
-      item.bodyMass !== undefined ||
-      item.body_mass !== undefined
-    ) {
-      weightData.push({
-        date: date.toISOString(),
-        value: parseFloat(item.weight || item.bodyMass || item.body_mass),
-      });
-    }
-
-    if (
-      item.sleep !== undefined ||
-      item.sleepDuration !== undefined ||
-      item.sleep_duration !== undefined
-    ) {
-      sleepData.push({
-        date: date.toISOString(),
-        value: parseFloat(
-          item.sleep || item.sleepDuration || item.sleep_duration
-        ),
-        unit: item.unit || "hours",
-      });
-    }
-
-    if (
-      item.vo2max !== undefined ||
-      item.vo2Max !== undefined ||
-      item.vo2_max !== undefined
-    ) {
-      vo2maxData.push({
-        date: date.toISOString(),
-        value: parseFloat(item.vo2max || item.vo2Max || item.vo2_max),
-      });
-    }
-
-    if (
-      item.workout ||
-      item.exercise ||
-      (item.type &&
-        (item.type.toLowerCase().includes("workout") ||
-          item.type.toLowerCase().includes("exercise")))
-    ) {
-      workoutData.push({
-        date: date.toISOString(),
-        type: item.workoutType || item.exerciseType || item.type || "unknown",
-        duration: parseFloat(item.duration || 0),
-        unit: item.unit || "minutes",
-        calories: item.calories || null,
-        distance: item.distance || null,
-      });
-    }
-  });
+export function getImportHistory() {
+  return [...getFromStorage(STORAGE_KEYS.IMPORT_HISTORY, [])].reverse();
 }
 
 /**
- * Process array data of a specific type
+ * Drop the record ids older versions listed in each import history entry
+ *
+ * Large imports listed more ids than localStorage holds. Entries that had
+ * them get the prefix their records' ids start with instead. Run at
+ * startup by the storage migrations.
  */
-function processArrayData(data, dataType, dataCollections) {
-  if (!Array.isArray(data)) return;
-
-  const {
-    heartRateData,
-    stepData,
-    weightData,
-    sleepData,
-    vo2maxData,
-    workoutData,
-    allDates,
-  } = dataCollections;
-
-  data.forEach((item) => {
-    // If item is not an object, skip
-    if (typeof item !== "object" || item === null) return;
-
-    const dateStr = item.date || item.timestamp || item.startDate || item.time;
-    if (!dateStr) return;
-
-    // Parse the date
-    const date = parseDate(dateStr);
-    if (!date || !isValid(date)) return;
-
-    // Add to all dates array for tracking date range
-    allDates.push(date);
-
-    // Process based on data type
-    switch (dataType.toLowerCase()) {
-      case "heartrate":
-        heartRateData.push({
-          date: date.toISOString(),
-          value: parseFloat(
-            item.value || item.heartRate || item.heart_rate || item.rate || 0
-          ),
-        });
-        break;
-      case "steps":
-        stepData.push({
-          date: date.toISOString(),
-          value: parseInt(item.value || item.steps || item.count || 0, 10),
-        });
-        break;
-      case "weight":
-        weightData.push({
-          date: date.toISOString(),
-          value: parseFloat(item.value || item.weight || item.mass || 0),
-        });
-        break;
-      case "sleep":
-        sleepData.push({
-          date: date.toISOString(),
-          value: parseFloat(item.value || item.duration || item.hours || 0),
-          unit: item.unit || "hours",
-        });
-        break;
-      case "vo2max":
-        vo2maxData.push({
-          date: date.toISOString(),
-          value: parseFloat(item.value || item.vo2max || item.score || 0),
-        });
-        break;
-      case "workout":
-        workoutData.push({
-          date: date.toISOString(),
-          type: item.type || item.workoutType || item.exercise || "unknown",
-          duration: parseFloat(item.duration || item.minutes || 0),
-          unit: item.unit || "minutes",
-          calories: item.calories || item.energy || null,
-          distance: item.distance || null,
-        });
-        break;
-      default:
-        // Optionally handle unknown data types
-        break;
-    }
-  });
+export function upgradeImportHistory() {
+  const history = getFromStorage(STORAGE_KEYS.IMPORT_HISTORY, null);
+  if (!history) return;
+
+  saveToStorage(
+    STORAGE_KEYS.IMPORT_HISTORY,
+    history.map(({ recordIds, ...entry }) =>
+      recordIds
+        ? { ...entry, recordIdPrefix: getRecordIdPrefix(entry.id) }
+        : entry
+    )
+  );
 }
 
 /**
- * Try to parse a date string in various formats
+ * Remove exactly the records an import added
+ *
+ * Records from other imports are never touched, including ones that were
+ * skipped as duplicates of this import's records. Data discarded by a
+ * "replace" import cannot be restored.
+ *
+ * @param {string} importId - id of the history entry
+ * @returns {Object} Number of records removed per record type
  */
-function parseDate(dateStr) {
-  // First try native Date parsing
-  const date = new Date(dateStr);
-  if (isValid(date)) return date;
-
-  // If that fails, try date-fns parsing for ISO format
-  try {
-    const isoDate = parseISO(dateStr);
-    if (isValid(isoDate)) return isoDate;
-  } catch (e) {
-    // Continue to other formats
-  }
+export function rollbackImport(importId) {
+  const history = getFromStorage(STORAGE_KEYS.IMPORT_HISTORY, []);
+  const entry = history.find((item) => item.id === importId);
 
-  // Try common date formats
-  // Format: YYYY-MM-DD or YYYY/MM/DD
-  const isoRegex = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/;
-  const isoMatch = dateStr.match(isoRegex);
-  if (isoMatch) {
-    const [, year, month, day] = isoMatch;
-    return new Date(
-      parseInt(year, 10),
-      parseInt(month, 10) - 1,
-      parseInt(day, 10)
-    );
+  if (!entry) {
+    throw new Error("Import not found in the history");
   }
-
-  // Format: MM/DD/YYYY or MM-DD-YYYY
-  const usRegex = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/;
-  const usMatch = dateStr.match(usRegex);
-  if (usMatch) {
-    const [, month, day, year] = usMatch;
-    return new Date(
-      parseInt(year, 10),
-      parseInt(month, 10) - 1,
-      parseInt(day, 10)
-    );
+  if (entry.rolledBackAt) {
+    throw new Error("This import has already been rolled back");
   }
 
-  // Format: DD/MM/YYYY or DD-MM-YYYY
-  const euRegex = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/;
-  const euMatch = dateStr.match(euRegex);
-  if (euMatch) {
-    const [, day, month, year] = euMatch;
-    return new Date(
-      parseInt(year, 10),
-      parseInt(month, 10) - 1,
-      parseInt(day, 10)
-    );
-  }
+  // Imports recorded before their records were tagged have no prefix
+  const removed = entry.recordIdPrefix
+    ? removeImportedRecords(
+        entry.recordIdPrefix,
+        Object.keys(entry.counts || {}).filter(
+          (recordType) => entry.counts[recordType] > 0
+        )
+      )
+    : {};
+
+  saveToStorage(
+    STORAGE_KEYS.IMPORT_HISTORY,
+    history.map((item) =>
+      item.id === importId
+        ? { ...item, rolledBackAt: new Date().toISOString(), removed }
+        : item
+    )
+  );
 
-  // If all else fails, return null
-  return null;
+  return removed;
 }
 
 /**
@@ -1172,6 +521,17 @@ export function getAllHealthData() {
     vo2max: getFromStorage(STORAGE_KEYS.VO2MAX_DATA, []),
     workouts: getFromStorage(STORAGE_KEYS.WORKOUT_DATA, []),
     nutrition: getFromStorage(STORAGE_KEYS.NUTRITION_DATA, []),
+    restingHeartRate: getFromStorage(STORAGE_KEYS.RESTING_HEART_RATE_DATA, []),
+    heartRateVariability: getFromStorage(STORAGE_KEYS.HRV_DATA, []),
+    respiratoryRate: getFromStorage(STORAGE_KEYS.RESPIRATORY_RATE_DATA, []),
+    temperatureDeviation: getFromStorage(
+      STORAGE_KEYS.TEMPERATURE_DEVIATION_DATA,
+      []
+    ),
+    strain: getFromStorage(STORAGE_KEYS.STRAIN_DATA, []),
+    bodyComposition: getFromStorage(STORAGE_KEYS.BODY_COMPOSITION_DATA, []),
+    activitySummary: getFromStorage(STORAGE_KEYS.ACTIVITY_SUMMARY_DATA, []),
+    electrocardiogram: getFromStorage(STORAGE_KEYS.ECG_DATA, []),
   };
 }
 
@@ -1194,6 +554,23 @@ export function getHealthData(dataType) {
       return getFromStorage(STORAGE_KEYS.WORKOUT_DATA, []);
     case "nutrition":
       return getFromStorage(STORAGE_KEYS.NUTRITION_DATA, []);
+    case "restingheartrate":
+      return getFromStorage(STORAGE_KEYS.RESTING_HEART_RATE_DATA, []);
+    case "heartratevariability":
+      return getFromStorage(STORAGE_KEYS.HRV_DATA, []);
+    case "respiratoryrate":
+      return getFromStorage(STORAGE_KEYS.RESPIRATORY_RATE_DATA, []);
+    case "temperaturedeviation":
+      return getFromStorage(STORAGE_KEYS.TEMPERATURE_DEVIATION_DATA, []);
+    case "strain":
+      return getFromStorage(STORAGE_KEYS.STRAIN_DATA, []);
+    case "bodycomposition":
+      return getFromStorage(STORAGE_KEYS.BODY_COMPOSITION_DATA, []);
+    case "activitysummary":
+      return getFromStorage(STORAGE_KEYS.ACTIVITY_SUMMARY_DATA, []);
+    case "electrocardiogram":
+    case "ecg":
+      return getFromStorage(STORAGE_KEYS.ECG_DATA, []);
     default:
       return [];
   }
@@ -1213,9 +590,14 @@ export function getLatestHealthData(dataType) {
 
 /**
  * Clear all imported health data
+ *
+ * Removing the keys also empties the IndexedDB stores of time series.
+ *
+ * @returns {Promise<void>} Resolves once the data is removed
  */
 export function clearHealthData() {
   Object.values(STORAGE_KEYS).forEach((key) => {
-    saveToStorage(key, null);
+    removeFromStorage(key);
   });
+  return flushStorage();
 }
@@ -0,0 +1,118 @@
+// src/services/ecgParser.js
+
+import Papa from "papaparse";
+import { toIsoDate } from "./appleHealthXmlParser";
+
+/**
+ * Apple Watch ECG recordings
+ *
+ * Apple Health exports every ECG as electrocardiograms/ecg_<date>.csv: a
+ * few "Key,Value" lines describing the recording, then one voltage per
+ * line for the whole 30 seconds:
+ *
+ *   Recorded Date,2024-03-04 09:12:33 +0100
+ *   Classification,Sinus Rhythm
+ *   Sample Rate,512 hertz
+ *   Lead,Lead I
+ *   Unit,µV
+ *
+ *   -28.153
+ *   -27.908
+ *
+ * Recordings are read into an electrocardiogram candidate with the samples
+ * as a plain array, so sample i was taken at i / sampleRate seconds.
+ */
+
+// Voltages are kept to 0.1 µV, well below what a plot can show, so a
+// recording of 15,000 samples stays small in storage
+const SAMPLE_PRECISION = 10;
+
+const HEADER_FIELDS = {
+  "recorded date": "date",
+  classification: "classification",
+  symptoms: "symptoms",
+  "software version": "softwareVersion",
+  device: "device",
+  "sample rate": "sampleRate",
+  lead: "lead",
+  unit: "unit",
+};
+
+function toSample(cell) {
+  const value = parseFloat(String(cell).trim().replace(",", "."));
+  return isNaN(value)
+    ? null
+    : Math.round(value * SAMPLE_PRECISION) / SAMPLE_PRECISION;
+}
+
+/**
+ * Read an Apple Health ECG export
+ *
+ * @param {string} text - Contents of an electrocardiograms/*.csv file
+ * @returns {Object} Electrocardiogram candidate { recordType, date,
+ *   classification, symptoms, device, softwareVersion, sampleRate (Hz),
+ *   lead, unit, samples, source }
+ */
+export function parseElectrocardiogram(text) {
+  const { data } = Papa.parse(String(text).replace(/^\uFEFF/, ""), {
+    skipEmptyLines: true,
+  });
+
+  const header = {};
+  const samples = [];
+  data.forEach((row) => {
+    const field = HEADER_FIELDS[String(row[0]).trim().toLowerCase()];
+    if (field) {
+      header[field] = String(row[1] ?? "").trim();
+      return;
+    }
+    // Sample lines hold a single number; "Name" and "Date of Birth" are
+    // personal details that are not imported
+    if (row.filter((cell) => String(cell).trim() !== "").length !== 1) return;
+    const sample = toSample(row[0]);
+    if (sample !== null) samples.push(sample);
+  });
+
+  if (!header.date) {
+    throw new Error("Not an Apple Health ECG export: no recorded date");
+  }
+  if (samples.length === 0) {
+    throw new Error("The ECG recording has no samples");
+  }
+
+  return {
+    recordType: "electrocardiogram",
+    date: toIsoDate(header.date),
+    classification: header.classification || null,
+    symptoms: header.symptoms || null,
+    device: header.device || null,
+    softwareVersion: header.softwareVersion || null,
+    sampleRate: parseFloat(header.sampleRate) || null,
+    lead: header.lead || null,
+    unit: header.unit || "µV",
+    samples,
+    source: "Apple Watch",
+  };
+}
+
+/**
+ * Read an ECG export delivered as a stream of bytes, such as a file
+ * inflated from an Apple Health export.zip
+ *
+ * @param {ReadableStream} stream - Stream of Uint8Array chunks
+ * @returns {Promise<Object>} Electrocardiogram candidate, see
+ *   parseElectrocardiogram
+ */
+export async function parseElectrocardiogramStream(stream) {
+  const decoder = new TextDecoder("utf-8");
+  const reader = stream.getReader();
+  let text = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value, { stream: true });
+  }
+
+  return parseElectrocardiogram(text + decoder.decode());
+}
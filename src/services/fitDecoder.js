@@ -0,0 +1,326 @@
+// src/services/fitDecoder.js
+
+/**
+ * Decoder for FIT activity files (Garmin, Wahoo and most sport devices)
+ *
+ * A FIT file is a 12 or 14 byte header, a stream of records and a CRC.
+ * Definition records describe the layout of a "local message type"; the
+ * data records that follow reuse that layout until it is redefined. Only
+ * the messages and fields listed in FIT_MESSAGES are decoded, with the
+ * profile's scale and offset applied, so values come out in plain units
+ * (metres, m/s, seconds, degrees). Everything else is skipped by size,
+ * including developer fields.
+ */
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET = 631065600;
+
+// Field 253 is the timestamp of every message that has one
+const TIMESTAMP_FIELD = 253;
+
+// Degrees per semicircle, the unit FIT stores positions in
+const SEMICIRCLE_DEGREES = 180 / 2 ** 31;
+
+/**
+ * Decoded messages: global message number -> { name, fields } where fields
+ * maps field numbers to { name, scale?, offset?, date?, semicircles? }
+ */
+export const FIT_MESSAGES = {
+  0: {
+    name: "fileId",
+    fields: {
+      0: { name: "type" },
+      1: { name: "manufacturer" },
+      2: { name: "product" },
+      4: { name: "timeCreated", date: true },
+    },
+  },
+  18: {
+    name: "session",
+    fields: {
+      253: { name: "timestamp", date: true },
+      2: { name: "startTime", date: true },
+      5: { name: "sport" },
+      6: { name: "subSport" },
+      7: { name: "totalElapsedTime", scale: 1000 },
+      8: { name: "totalTimerTime", scale: 1000 },
+      9: { name: "totalDistance", scale: 100 },
+      11: { name: "totalCalories" },
+      14: { name: "avgSpeed", scale: 1000 },
+      15: { name: "maxSpeed", scale: 1000 },
+      16: { name: "avgHeartRate" },
+      17: { name: "maxHeartRate" },
+      18: { name: "avgCadence" },
+      20: { name: "avgPower" },
+      21: { name: "maxPower" },
+      22: { name: "totalAscent" },
+      23: { name: "totalDescent" },
+      124: { name: "enhancedAvgSpeed", scale: 1000 },
+      125: { name: "enhancedMaxSpeed", scale: 1000 },
+    },
+  },
+  19: {
+    name: "lap",
+    fields: {
+      253: { name: "timestamp", date: true },
+      2: { name: "startTime", date: true },
+      7: { name: "totalElapsedTime", scale: 1000 },
+      8: { name: "totalTimerTime", scale: 1000 },
+      9: { name: "totalDistance", scale: 100 },
+      11: { name: "totalCalories" },
+      13: { name: "avgSpeed", scale: 1000 },
+      14: { name: "maxSpeed", scale: 1000 },
+      15: { name: "avgHeartRate" },
+      16: { name: "maxHeartRate" },
+      17: { name: "avgCadence" },
+      19: { name: "avgPower" },
+      20: { name: "maxPower" },
+      21: { name: "totalAscent" },
+      22: { name: "totalDescent" },
+      110: { name: "enhancedAvgSpeed", scale: 1000 },
+      111: { name: "enhancedMaxSpeed", scale: 1000 },
+    },
+  },
+  20: {
+    name: "record",
+    fields: {
+      253: { name: "timestamp", date: true },
+      0: { name: "positionLat", semicircles: true },
+      1: { name: "positionLong", semicircles: true },
+      2: { name: "altitude", scale: 5, offset: 500 },
+      3: { name: "heartRate" },
+      4: { name: "cadence" },
+      5: { name: "distance", scale: 100 },
+      6: { name: "speed", scale: 1000 },
+      7: { name: "power" },
+      13: { name: "temperature" },
+      73: { name: "enhancedSpeed", scale: 1000 },
+      78: { name: "enhancedAltitude", scale: 5, offset: 500 },
+    },
+  },
+  34: {
+    name: "activity",
+    fields: {
+      253: { name: "timestamp", date: true },
+      // Wall-clock time where the activity was recorded, read as if UTC
+      5: { name: "localTimestamp", date: true },
+    },
+  },
+};
+
+// Base types by their number (low 5 bits of the base type byte)
+const BASE_TYPES = {
+  0: { size: 1, method: "getUint8", invalid: 0xff }, // enum
+  1: { size: 1, method: "getInt8", invalid: 0x7f },
+  2: { size: 1, method: "getUint8", invalid: 0xff },
+  3: { size: 2, method: "getInt16", invalid: 0x7fff },
+  4: { size: 2, method: "getUint16", invalid: 0xffff },
+  5: { size: 4, method: "getInt32", invalid: 0x7fffffff },
+  6: { size: 4, method: "getUint32", invalid: 0xffffffff },
+  7: { size: 1, string: true },
+  8: { size: 4, method: "getFloat32" },
+  9: { size: 8, method: "getFloat64" },
+  10: { size: 1, method: "getUint8", invalid: 0 }, // uint8z
+  11: { size: 2, method: "getUint16", invalid: 0 }, // uint16z
+  12: { size: 4, method: "getUint32", invalid: 0 }, // uint32z
+  13: { size: 1, method: "getUint8", invalid: 0xff }, // byte
+};
+
+const CRC_TABLE = [
+  0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401, 0xa001,
+  0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
+];
+
+/**
+ * Calculate the CRC-16 used by FIT headers and files
+ *
+ * @param {Uint8Array} bytes - Bytes to check
+ * @returns {number} CRC of the bytes
+ */
+export function calculateFitCrc(bytes) {
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    let tmp = CRC_TABLE[crc & 0xf];
+    crc = ((crc >> 4) & 0x0fff) ^ tmp ^ CRC_TABLE[byte & 0xf];
+    tmp = CRC_TABLE[crc & 0xf];
+    crc = ((crc >> 4) & 0x0fff) ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xf];
+  }
+  return crc;
+}
+
+function toDate(seconds) {
+  return new Date((seconds + FIT_EPOCH_OFFSET) * 1000);
+}
+
+/**
+ * Read one field value, or null when the device marked it invalid
+ */
+function readValue(view, offset, size, baseType, littleEndian) {
+  if (baseType.string) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, size);
+    const end = bytes.indexOf(0);
+    const text = new TextDecoder().decode(
+      end === -1 ? bytes : bytes.subarray(0, end)
+    );
+    return text || null;
+  }
+
+  // Arrays are stored as consecutive values of the base type
+  const count = Math.floor(size / baseType.size);
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const value = view[baseType.method](
+      offset + i * baseType.size,
+      littleEndian
+    );
+    const invalid =
+      baseType.invalid === undefined
+        ? isNaN(value)
+        : value === baseType.invalid;
+    values.push(invalid ? null : value);
+  }
+
+  if (count === 1) return values[0];
+  return values.every((value) => value === null) ? null : values;
+}
+
+function applyProfile(value, field) {
+  if (value === null || Array.isArray(value) || typeof value !== "number") {
+    return value;
+  }
+  if (field.date) return toDate(value);
+  if (field.semicircles) return value * SEMICIRCLE_DEGREES;
+  return value / (field.scale || 1) - (field.offset || 0);
+}
+
+/**
+ * Decode a FIT file
+ *
+ * @param {ArrayBuffer|Uint8Array} input - The whole file
+ * @returns {Object} { protocolVersion, profileVersion, messages } where
+ *   messages maps each FIT_MESSAGES name to the decoded messages in file
+ *   order, e.g. messages.record[0] = { timestamp: Date, heartRate: 132 }
+ */
+export function decodeFitFile(input) {
+  const bytes =
+    input instanceof Uint8Array ? input : new Uint8Array(input || []);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.length < 12) {
+    throw new Error("Not a FIT file: the file is too short");
+  }
+
+  const headerSize = bytes[0];
+  const signature = String.fromCharCode(...bytes.subarray(8, 12));
+  if ((headerSize !== 12 && headerSize !== 14) || signature !== ".FIT") {
+    throw new Error("Not a FIT file: missing .FIT signature");
+  }
+
+  const dataSize = view.getUint32(4, true);
+  const dataEnd = headerSize + dataSize;
+  if (bytes.length < dataEnd + 2) {
+    throw new Error("The FIT file is truncated");
+  }
+  if (
+    calculateFitCrc(bytes.subarray(0, dataEnd)) !==
+    view.getUint16(dataEnd, true)
+  ) {
+    throw new Error("The FIT file is corrupt (checksum mismatch)");
+  }
+
+  const messages = Object.fromEntries(
+    Object.values(FIT_MESSAGES).map(({ name }) => [name, []])
+  );
+  const definitions = {};
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  while (offset < dataEnd) {
+    const header = bytes[offset++];
+
+    // Compressed timestamp header: a 5 bit offset from the last timestamp
+    let timestamp = null;
+    let localType;
+    if (header & 0x80) {
+      localType = (header >> 5) & 0x03;
+      const timeOffset = header & 0x1f;
+      if (lastTimestamp !== null) {
+        timestamp = (lastTimestamp & ~0x1f) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1f)) timestamp += 0x20;
+        lastTimestamp = timestamp;
+      }
+    } else {
+      localType = header & 0x0f;
+    }
+
+    if (!(header & 0x80) && header & 0x40) {
+      const littleEndian = bytes[offset + 1] === 0;
+      const globalNumber = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = bytes[offset + 4];
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++, offset += 3) {
+        fields.push({
+          number: bytes[offset],
+          size: bytes[offset + 1],
+          baseType: BASE_TYPES[bytes[offset + 2] & 0x1f],
+        });
+      }
+
+      let developerSize = 0;
+      if (header & 0x20) {
+        const developerCount = bytes[offset++];
+        for (let i = 0; i < developerCount; i++, offset += 3) {
+          developerSize += bytes[offset + 1];
+        }
+      }
+
+      definitions[localType] = {
+        littleEndian,
+        message: FIT_MESSAGES[globalNumber] || null,
+        fields,
+        developerSize,
+      };
+      continue;
+    }
+
+    const definition = definitions[localType];
+    if (!definition) {
+      throw new Error(
+        `The FIT file uses local message type ${localType} before defining it`
+      );
+    }
+
+    const { message, littleEndian } = definition;
+    const decoded = {};
+    for (const { number, size, baseType } of definition.fields) {
+      const fieldOffset = offset;
+      offset += size;
+
+      const field = message && message.fields[number];
+      if (!field && number !== TIMESTAMP_FIELD) continue;
+      if (!baseType || size < baseType.size) continue;
+
+      const raw = readValue(view, fieldOffset, size, baseType, littleEndian);
+      if (number === TIMESTAMP_FIELD && typeof raw === "number") {
+        lastTimestamp = raw;
+      }
+      if (field && raw !== null) decoded[field.name] = applyProfile(raw, field);
+    }
+    offset += definition.developerSize;
+
+    if (!message) continue;
+    if (timestamp !== null && message.fields[TIMESTAMP_FIELD]) {
+      decoded.timestamp = toDate(timestamp);
+    }
+    messages[message.name].push(decoded);
+  }
+
+  return {
+    protocolVersion: bytes[1],
+    profileVersion: view.getUint16(2, true),
+    messages,
+  };
+}
@@ -11,6 +11,12 @@ import {
   searchKnowledge,
   isKnowledgeBaseInitialized
 } from './knowledgeBaseService';
+import {
+  getCheckInDay,
+  getFromStorage,
+  saveToStorage,
+  STORAGE_KEYS
+} from '../utils/storageUtils';
 
 // ----- DATA MODELS -----
 
@@ -58,26 +64,14 @@ const defaultInsightsData = {
 
 // ----- LOCAL STORAGE OPERATIONS -----
 
-// Save to localStorage with proper namespacing
+// Save through storageUtils, which namespaces and encrypts
 export function saveHabitData(key, data) {
-  try {
-    localStorage.setItem(`neo-vitru-${key}`, JSON.stringify(data));
-    return true;
-  } catch (error) {
-    console.error(`Error saving ${key} data:`, error);
-    return false;
-  }
+  return saveToStorage(key, data);
 }
 
-// Load from localStorage with proper namespacing
+// Load through storageUtils, which namespaces and decrypts
 export function loadHabitData(key, defaultValue = null) {
-  try {
-    const data = localStorage.getItem(`neo-vitru-${key}`);
-    return data ? JSON.parse(data) : defaultValue;
-  } catch (error) {
-    console.error(`Error loading ${key} data:`, error);
-    return defaultValue;
-  }
+  return getFromStorage(key, defaultValue);
 }
 
 // ----- CORE FUNCTIONALITY -----
@@ -85,12 +79,12 @@ export function loadHabitData(key, defaultValue = null) {
 // Check in the user, update streak, and possibly generate rewards
 export function checkInUser(checkInType = 'daily') {
   const today = new Date();
-  const todayString = today.toDateString();
+  const todayString = getCheckInDay(today);
   const todayIsoString = today.toISOString();
   
   // Load existing data
-  const checkIns = loadHabitData('checkins', defaultCheckInData);
-  const streakData = loadHabitData('streaks', defaultStreakData);
+  const checkIns = loadHabitData(STORAGE_KEYS.CHECK_INS, defaultCheckInData);
+  const streakData = loadHabitData(STORAGE_KEYS.STREAK_DATA, defaultStreakData);
   
   // Check if already checked in today
   if (checkIns.lastCheckIn === todayString && checkInType === 'daily') {
@@ -119,7 +113,7 @@ export function checkInUser(checkInType = 'daily') {
   let newStreak = 0;
   const yesterday = new Date();
   yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayString = yesterday.toDateString();
+  const yesterdayString = getCheckInDay(yesterday);
   
   // Check if last check-in was yesterday (continue streak) or if this is a reset
   if (streakData.lastCheckIn === yesterdayString || checkInType !== 'daily') {
@@ -143,13 +137,13 @@ export function checkInUser(checkInType = 'daily') {
   };
   
   // Save updated data
-  saveHabitData('checkins', updatedCheckIns);
-  saveHabitData('streaks', updatedStreakData);
+  saveHabitData(STORAGE_KEYS.CHECK_INS, updatedCheckIns);
+  saveHabitData(STORAGE_KEYS.STREAK_DATA, updatedStreakData);
   
   // Check if user should get a reward
   let reward = null;
   const userPreferences = loadHabitData('preferences', defaultUserPreferences);
-  const rewardsData = loadHabitData('rewards', defaultRewardsData);
+  const rewardsData = loadHabitData(STORAGE_KEYS.CLAIMED_REWARDS, defaultRewardsData);
   
   if (newStreak > 0) {
     reward = getVariableReward(newStreak, userPreferences.interests, rewardsData.claimed);
@@ -168,7 +162,7 @@ export function checkInUser(checkInType = 'daily') {
         ]
       };
       
-      saveHabitData('rewards', updatedRewardsData);
+      saveHabitData(STORAGE_KEYS.CLAIMED_REWARDS, updatedRewardsData);
     }
   }
   
@@ -275,7 +269,7 @@ export function getLatestInsights(limit = 3) {
 
 // Claim a reward
 export function claimReward(rewardId) {
-  const rewardsData = loadHabitData('rewards', defaultRewardsData);
+  const rewardsData = loadHabitData(STORAGE_KEYS.CLAIMED_REWARDS, defaultRewardsData);
   
   // Find the reward
   const rewardIndex = rewardsData.available.findIndex(r => r.id === rewardId);
@@ -306,7 +300,7 @@ export function claimReward(rewardId) {
     ]
   };
   
-  saveHabitData('rewards', updatedRewardsData);
+  saveHabitData(STORAGE_KEYS.CLAIMED_REWARDS, updatedRewardsData);
   
   // Apply reward effects (would connect to other services in a real app)
   let rewardEffects = {};
@@ -446,7 +440,7 @@ export function updateUserPreferences(preferences) {
 
 // Check for habit triggers (critical for Hook model)
 export function checkForTriggers() {
-  const checkIns = loadHabitData('checkins', defaultCheckInData);
+  const checkIns = loadHabitData(STORAGE_KEYS.CHECK_INS, defaultCheckInData);
   const lastActivity = checkIns.lastCheckIn;
   
   const triggerInfo = generateTriggers(checkIns.history, lastActivity);
@@ -464,7 +458,7 @@ export function getAvailableInvestments() {
     hasSetReminders: loadHabitData('reminders') !== null
   };
   
-  const habitHistory = loadHabitData('checkins', defaultCheckInData).history;
+  const habitHistory = loadHabitData(STORAGE_KEYS.CHECK_INS, defaultCheckInData).history;
   
   return getInvestmentOpportunities(userData, habitHistory);
 }
@@ -703,9 +697,9 @@ export function getHabitFormationRecommendations(userData) {
 // Load all habit data for initialization
 export function loadAllHabitData() {
   return {
-    checkIns: loadHabitData('checkins', defaultCheckInData),
-    streakData: loadHabitData('streaks', defaultStreakData),
-    rewards: loadHabitData('rewards', defaultRewardsData),
+    checkIns: loadHabitData(STORAGE_KEYS.CHECK_INS, defaultCheckInData),
+    streakData: loadHabitData(STORAGE_KEYS.STREAK_DATA, defaultStreakData),
+    rewards: loadHabitData(STORAGE_KEYS.CLAIMED_REWARDS, defaultRewardsData),
     challenges: loadHabitData('challenges', defaultChallengesData),
     preferences: loadHabitData('preferences', defaultUserPreferences),
     bodyMetrics: loadHabitData('bodyMetrics', {
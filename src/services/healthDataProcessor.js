@@ -1,7 +1,11 @@
 // src/services/healthDataProcessor.js
 import { format, parseISO, isValid, subDays } from 'date-fns';
+import { getLocalDay } from '../utils/dateUtils';
 import { getFromStorage, saveToStorage } from '../utils/storageUtils';
 import { STORAGE_KEYS } from './dataImportService';
+import { aggregateSeries } from './healthQueryService';
+import { CUMULATIVE_TYPES, resolveSourceOverlaps } from './sourcePriorityService';
+import { toCanonical } from './unitService';
 
 /**
  * Core processor for Apple Health data
@@ -12,12 +16,18 @@ import { STORAGE_KEYS } from './dataImportService';
  * Process raw health data into a standardized format
  * @param {Array} rawData Array of data points
  * @param {string} dataType Type of health data
- * @returns {Object} Processed health data
+ * @param {Object} options Processing options
+ * @param {string[]} options.sourcePriority Source priority for cumulative
+ * types, highest first (defaults to the saved priority)
+ * @param {Array} options.workouts Workouts whose sensor streams are used for
+ * heart rate zones, power and speed (defaults to the stored workouts)
+ * @returns {Object} Processed health data; cumulative types also get
+ * `sources`, the winning source for each day
  */
-export function processHealthData(rawData = [], dataType) {
+export function processHealthData(rawData = [], dataType, options = {}) {
   if (!Array.isArray(rawData)) {
     console.warn(`Invalid data format for ${dataType}, expected array`);
-    return { data: [], stats: {} };
+    return { data: [], stats: {}, sources: [] };
   }
 
   // Ensure all items have required fields and convert to standardized format
@@ -40,31 +50,147 @@ export function processHealthData(rawData = [], dataType) {
       const numValue = parseFloat(item.value);
       return !isNaN(numValue);
     })
-    .map(item => ({
+    .map(item => {
+      // Convert to the canonical unit (kg, m, °C, L, ...) so readings from
+      // different sources can be compared
+      try {
+        return { item, ...toCanonical(dataType, parseFloat(item.value), item.unit) };
+      } catch (e) {
+        console.warn(`Skipping ${dataType} value with unsupported unit: ${item.unit}`);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .map(({ item, value, unit }) => ({
       // Convert to standard format
       date: item.date,
-      value: parseFloat(item.value),
-      unit: item.unit || getDefaultUnit(dataType),
+      value,
+      unit: unit || getDefaultUnit(dataType),
       // Include additional properties if present
+      ...(item.endDate && { endDate: item.endDate }),
       ...(item.category && { category: item.category }),
+      // Whole nights of sleep (importAdapters/sleepSessions)
+      ...(item.stages && { stages: item.stages }),
+      ...(typeof item.timeInBed === 'number' && { timeInBed: item.timeInBed }),
+      ...(typeof item.sleepEfficiency === 'number' && { sleepEfficiency: item.sleepEfficiency }),
       ...(item.type && { type: item.type }),
-      ...(item.source && { source: item.source })
+      ...(item.source && { source: item.source }),
+      ...(typeof item.utcOffset === 'number' && { utcOffset: item.utcOffset })
     }));
 
+  // Summed metrics recorded by several devices would be counted twice, so
+  // only the highest priority source is kept for each stretch of time
+  let countedData = validData;
+  let sources = [];
+  if (CUMULATIVE_TYPES.includes(dataType)) {
+    const resolved = resolveSourceOverlaps(validData, {
+      ...(options.sourcePriority && { priority: options.sourcePriority })
+    });
+    countedData = resolved.records;
+    sources = resolved.days;
+  }
+
+  // FIT imports keep their per-second values in workout streams. Power and
+  // speed are only recorded during workouts, so the streams become their
+  // data; heart rate keeps its records and uses the streams for its zones
+  let zoneSamples = countedData;
+  if (WORKOUT_STREAM_TYPES[dataType]) {
+    const workouts = options.workouts || getFromStorage(STORAGE_KEYS.WORKOUT_DATA, []);
+    zoneSamples = withWorkoutStreams(countedData, workouts, WORKOUT_STREAM_TYPES[dataType]);
+    if (dataType !== 'heartRate') countedData = zoneSamples;
+  }
+
   // Sort by date (newest first)
-  const sortedData = [...validData].sort((a, b) => {
+  const sortedData = [...countedData].sort((a, b) => {
     return new Date(b.date) - new Date(a.date);
   });
 
   // Calculate useful statistics
-  const stats = calculateStats(sortedData, dataType);
+  const stats = calculateStats(sortedData, dataType, zoneSamples);
 
   return { 
     data: sortedData, 
-    stats
+    stats,
+    sources
   };
 }
 
+// Units of the per-second streams imported from FIT files
+const WORKOUT_STREAM_UNITS = {
+  heartRate: 'bpm',
+  speed: 'm/s',
+  cadence: 'rpm',
+  power: 'W',
+  altitude: 'm',
+  distance: 'm'
+};
+
+/**
+ * Flatten the sensor streams of imported workouts into data points;
+ * processHealthData uses them for heart rate zones, power and speed, so
+ * those come from every second of recorded rides and runs
+ * @param {Array} workouts Stored workouts (only FIT imports have streams)
+ * @param {string} stream heartRate, speed, cadence, power, altitude or distance
+ * @param {Object} options
+ * @param {string} options.type Only use workouts of this type, e.g. 'Running'
+ * @returns {Array} Data points { date, value, unit, source, utcOffset }
+ */
+export function getWorkoutStream(workouts = [], stream, options = {}) {
+  const points = [];
+
+  workouts.forEach(workout => {
+    if (!workout || !workout.streams || !workout.streams[stream]) return;
+    if (options.type && workout.type !== options.type) return;
+
+    const start = new Date(workout.date).getTime();
+    const { time } = workout.streams;
+    workout.streams[stream].forEach((value, i) => {
+      if (value === null || value === undefined) return;
+      points.push({
+        date: new Date(start + time[i] * 1000).toISOString(),
+        value,
+        unit: WORKOUT_STREAM_UNITS[stream],
+        ...(workout.source && { source: workout.source }),
+        ...(typeof workout.utcOffset === 'number' && { utcOffset: workout.utcOffset })
+      });
+    });
+  });
+
+  return points;
+}
+
+// Workout stream behind each type, and the workouts it is taken from
+const WORKOUT_STREAM_TYPES = {
+  heartRate: { stream: 'heartRate' },
+  runningPower: { stream: 'power' },
+  runningSpeed: { stream: 'speed', type: 'Running' },
+  walkingSpeed: { stream: 'speed', type: 'Walking' }
+};
+
+/**
+ * Replace the records taken during workouts that have a stream with the
+ * stream's per-second values, so a workout is not counted twice
+ */
+function withWorkoutStreams(data, workouts, { stream, type }) {
+  const streamed = workouts.filter(workout =>
+    workout && workout.streams && workout.streams[stream] &&
+    (!type || workout.type === type)
+  );
+  if (!streamed.length) return data;
+
+  const windows = streamed.map(workout => {
+    const start = new Date(workout.date).getTime();
+    const { time } = workout.streams;
+    return [start, start + time[time.length - 1] * 1000];
+  });
+  const outside = data.filter(item => {
+    const time = new Date(item.date).getTime();
+    return !windows.some(([start, end]) => time >= start && time <= end);
+  });
+
+  return [...outside, ...getWorkoutStream(streamed, stream)];
+}
+
 /**
  * Get default unit for a data type
  */
@@ -77,9 +203,11 @@ function getDefaultUnit(dataType) {
     case 'sleep': return 'hours';
     case 'vo2max': return 'ml/kg/min';
     case 'calories': return 'kcal';
-    case 'distance': return 'km';
+    case 'distance': return 'm';
     case 'restingHeartRate': return 'bpm';
     case 'heartRateVariability': return 'ms';
+    case 'temperatureDeviation': return '°C';
+    case 'strain': return 'score';
     
     // Cardiovascular & Respiratory metrics
     case 'oxygenSaturation': return '%';
@@ -123,8 +251,12 @@ function getDefaultUnit(dataType) {
 
 /**
  * Calculate statistics for a dataset
+ * @param {Array} data Records, newest first
+ * @param {string} dataType Type of health data
+ * @param {Array} zoneSamples Samples for the heart rate zones, with the
+ * workout streams (see processHealthData)
  */
-function calculateStats(data, dataType) {
+function calculateStats(data, dataType, zoneSamples = data) {
   if (!data.length) {
     return {};
   }
@@ -141,8 +273,8 @@ function calculateStats(data, dataType) {
   const stats = {
     latest: data[0],
     count: data.length,
-    min: Math.min(...values),
-    max: Math.max(...values),
+    min: values.reduce((min, value) => Math.min(min, value)),
+    max: values.reduce((max, value) => Math.max(max, value)),
     avg: values.reduce((sum, val) => sum + val, 0) / values.length,
     recent: {
       count: recentData.length,
@@ -155,7 +287,7 @@ function calculateStats(data, dataType) {
     case 'heartRate':
       stats.restingHR = calculateRestingHeartRate(data);
       stats.cardioLoad = calculateCardioLoad(data);
-      stats.heartRateZones = calculateHeartRateZones(data);
+      stats.heartRateZones = calculateHeartRateZones(zoneSamples);
       stats.recoveryRate = calculateHeartRateRecovery(data); 
       break;
       
@@ -173,6 +305,7 @@ function calculateStats(data, dataType) {
     case 'steps':
       stats.totalSteps = data.reduce((sum, item) => sum + item.value, 0);
       stats.avgSteps = stats.totalSteps / data.length;
+      stats.todayTotal = calculateDailyTotal(data);
       stats.activedays = data.filter(item => item.value >= 10000).length;
       stats.weeklyAverage = calculateWeeklyAverage(data);
       stats.consistency = calculateConsistencyScore(data);
@@ -295,13 +428,13 @@ function calculateStats(data, dataType) {
       
     case 'runningSpeed':
     case 'walkingSpeed':
-      stats.maxValue = Math.max(...values);
+      stats.maxValue = values.reduce((max, value) => Math.max(max, value));
       stats.progressTrend = calculateSpeedProgressTrend(data);
       stats.pacePerformance = assessPacePerformance(data, dataType);
       break;
       
     case 'runningPower':
-      stats.maxValue = Math.max(...values);
+      stats.maxValue = values.reduce((max, value) => Math.max(max, value));
       stats.powerZones = calculatePowerZones(data);
       stats.efficiencyScore = calculatePowerEfficiency(data);
       break;
@@ -470,45 +603,71 @@ function calculateStressFromHRV(hrv) {
 
 /**
  * Calculate readiness score based on HRV trends
+ *
+ * The baseline only uses readings from the source of the latest one: a
+ * ring's nightly average and a watch's spot checks are not comparable.
  */
 function calculateReadinessScore(hrvData) {
   if (!hrvData || hrvData.length < 3) return 'INSUFFICIENT DATA';
   
+  const source = hrvData[0].source || null;
+  const sourceData = hrvData.filter(item => (item.source || null) === source);
+  if (sourceData.length < 3) return 'INSUFFICIENT DATA';
+  
   // Compare recent HRV with baseline
-  const latest = hrvData[0].value;
-  const weekAvg = hrvData.slice(0, Math.min(7, hrvData.length)).reduce((sum, item) => sum + item.value, 0) / 
-                  Math.min(7, hrvData.length);
+  const latest = sourceData[0].value;
+  const weekAvg = sourceData.slice(0, Math.min(7, sourceData.length)).reduce((sum, item) => sum + item.value, 0) / 
+                  Math.min(7, sourceData.length);
   
   const relativeScore = (latest / weekAvg) * 100;
   
   // Score readiness based on how today's HRV compares to baseline
-  if (relativeScore > 115) return { status: 'EXCELLENT', score: 90 };
-  if (relativeScore > 105) return { status: 'GOOD', score: 75 };
-  if (relativeScore > 95) return { status: 'NORMAL', score: 60 };
-  if (relativeScore > 85) return { status: 'FAIR', score: 45 };
-  return { status: 'POOR', score: 30 };
+  if (relativeScore > 115) return { status: 'EXCELLENT', score: 90, source };
+  if (relativeScore > 105) return { status: 'GOOD', score: 75, source };
+  if (relativeScore > 95) return { status: 'NORMAL', score: 60, source };
+  if (relativeScore > 85) return { status: 'FAIR', score: 45, source };
+  return { status: 'POOR', score: 30, source };
+}
+
+// Overnight metrics compared between devices in processEnhancementMetrics
+const RECOVERY_METRICS = [
+  'restingHeartRate',
+  'heartRateVariability',
+  'respiratoryRate',
+  'temperatureDeviation',
+  'strain'
+];
+
+/**
+ * Latest value of each recovery metric per source, so a ring or strap can
+ * be compared with the Apple Watch
+ *
+ * @param {Object} series - Records of each RECOVERY_METRICS key
+ * @returns {Object} { [source]: { [metric]: { value, date } } }
+ */
+function summarizeRecoverySources(series) {
+  const sources = {};
+  RECOVERY_METRICS.forEach(metric => {
+    (series[metric] || []).forEach(item => {
+      const source = item.source || 'Unknown';
+      const latest = sources[source] && sources[source][metric];
+      if (latest && new Date(latest.date) >= new Date(item.date)) return;
+      
+      sources[source] = {
+        ...sources[source],
+        [metric]: { value: item.value, date: item.date }
+      };
+    });
+  });
+  return sources;
 }
 
 /**
  * Calculate weekly average from time series data
  */
 function calculateWeeklyAverage(data) {
-  if (!data || data.length === 0) return 0;
-  
-  // Get data from the last 7 days
-  const now = new Date();
-  const sevenDaysAgo = new Date(now);
-  sevenDaysAgo.setDate(now.getDate() - 7);
-  
-  const weekData = data.filter(item => {
-    const itemDate = new Date(item.date);
-    return itemDate >= sevenDaysAgo;
-  });
-  
-  if (weekData.length === 0) return 0;
-  
-  // Calculate average
-  return weekData.reduce((sum, item) => sum + item.value, 0) / weekData.length;
+  const week = aggregateSeries(data, { from: subDays(new Date(), 7), agg: 'avg' });
+  return week ? week.value : 0;
 }
 
 /**
@@ -539,14 +698,12 @@ function calculateWeeklyTotal(data) {
 function calculateDailyTotal(data) {
   if (!data || data.length === 0) return 0;
   
-  // Get today's date in YYYY-MM-DD format
-  const today = new Date().toISOString().split('T')[0];
+  // Get today's local date in YYYY-MM-DD format, matching the per-day
+  // source breakdown from resolveSourceOverlaps
+  const today = format(new Date(), 'yyyy-MM-dd');
   
-  // Filter to today's data
-  const todayData = data.filter(item => {
-    const itemDate = new Date(item.date).toISOString().split('T')[0];
-    return itemDate === today;
-  });
+  // Filter to data recorded today, in the time zone it was recorded in
+  const todayData = data.filter(item => getLocalDay(item.date, item.utcOffset) === today);
   
   if (todayData.length === 0) return 0;
   
@@ -1099,27 +1256,197 @@ function calculatePowerEfficiency(powerData) {
   return Math.floor(Math.random() * 20) + 70; // Random score between 70-90
 }
 
+// Daily intake goals used until the user sets their own (nutritionService)
+export const DEFAULT_NUTRITION_GOALS = {
+  calories: 2200,
+  protein: 140,
+  carbs: 220,
+  fat: 73,
+  water: 3, // liters
+  fiber: 25, // grams
+  sugar: 50 // grams
+};
+
 /**
- * Process nutrition data from Apple Health
- * @param {Object} healthData - Object containing Apple Health nutrition data, with keys for different nutrition types
- * @returns {Object} Processed nutrition data
+ * Pick the imported nutrition records that count towards each day
+ *
+ * Food diaries export single foods, meals or whole-day totals. A day total
+ * only counts for a day and source without any foods or meals, so importing
+ * both Cronometer's servings and its daily summary doesn't count twice.
+ *
+ * @param {Array} records - Stored nutrition records
+ * @returns {Object} Records keyed by 'yyyy-MM-dd' day
  */
-export function processNutritionData(healthData = {}) {
-  // Default return structure if no data is available
-  const defaultNutrition = {
-    calories: { consumed: 0, goal: 2200, lastUpdated: getCurrentTime() },
-    protein: { consumed: 0, goal: 140, lastUpdated: getCurrentTime() },
-    carbs: { consumed: 0, goal: 220, lastUpdated: getCurrentTime() },
-    fat: { consumed: 0, goal: 73, lastUpdated: getCurrentTime() },
-    water: { consumed: 0, goal: 3, lastUpdated: getCurrentTime() },
-    fiber: { consumed: 0, goal: 25, lastUpdated: getCurrentTime() },
-    sugar: { consumed: 0, goal: 50, lastUpdated: getCurrentTime() },
-    meals: []
+function selectNutritionRecordsByDay(records) {
+  const days = {};
+  records.forEach(record => {
+    const day = getLocalDay(record.date, record.utcOffset);
+    if (!day) return;
+
+    const source = record.source || '';
+    days[day] = days[day] || {};
+    days[day][source] = days[day][source] || [];
+    days[day][source].push(record);
+  });
+
+  const selected = {};
+  Object.entries(days).forEach(([day, sources]) => {
+    selected[day] = Object.values(sources).flatMap(sourceRecords => {
+      const entries = sourceRecords.filter(record => record.kind !== 'day');
+      return entries.length > 0 ? entries : sourceRecords;
+    });
+  });
+  return selected;
+}
+
+function sumNutritionRecords(records) {
+  const totals = { calories: 0, protein: 0, carbs: 0, fat: 0, nutrients: {} };
+  records.forEach(record => {
+    totals.calories += record.calories || 0;
+    totals.protein += record.protein || 0;
+    totals.carbs += record.carbs || 0;
+    totals.fat += record.fat || 0;
+    Object.entries(record.nutrients || {}).forEach(([nutrient, amount]) => {
+      totals.nutrients[nutrient] = (totals.nutrients[nutrient] || 0) + amount;
+    });
+  });
+  return totals;
+}
+
+function summarizeSelectedDays(days) {
+  return Object.keys(days).sort().map(date => ({
+    date,
+    ...sumNutritionRecords(days[date]),
+    entries: days[date].length
+  }));
+}
+
+/**
+ * Total imported nutrition records per day, for intake history
+ *
+ * @param {Array} records - Stored nutrition records (see nutritionLogs)
+ * @returns {Array} [{ date, calories, protein, carbs, fat, nutrients,
+ *   entries }] oldest first; nutrients in the units of NUTRIENTS
+ */
+export function summarizeNutritionDays(records = []) {
+  return summarizeSelectedDays(
+    selectNutritionRecordsByDay(Array.isArray(records) ? records : [])
+  );
+}
+
+// Wall-clock time a record was logged at, in the zone it was logged in
+function getRecordClock(record) {
+  const date = new Date(record.date);
+  if (typeof record.utcOffset !== 'number') return format(date, 'HH:mm');
+  return new Date(date.getTime() + record.utcOffset * 60000).toISOString().slice(11, 16);
+}
+
+/**
+ * Build the meal list of one day of imported records: foods and meals are
+ * grouped by the meal they were logged in, anything else listed on its own
+ */
+function buildImportedMeals(records, day) {
+  const sorted = [...records].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const groups = new Map();
+  sorted.forEach((record, index) => {
+    const key = record.meal ? `meal:${record.meal}` : `entry:${index}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+
+  return Array.from(groups.values()).map((group, index) => {
+    const totals = sumNutritionRecords(group);
+    const clock = getRecordClock(group[0]);
+
+    return {
+      id: `meal-${day}-${index}`,
+      name: (group[0].meal || group[0].name).toUpperCase(),
+      // Diaries that only export dates put everything at midnight
+      time: clock === '00:00' ? '' : clock,
+      timestamp: group[0].date,
+      calories: Math.round(totals.calories),
+      protein: Math.round(totals.protein),
+      carbs: Math.round(totals.carbs),
+      fat: Math.round(totals.fat),
+      items: group.length,
+      source: group[0].source || null
+    };
+  });
+}
+
+/**
+ * Shape intake totals into the structure the nutrition panels display
+ */
+function buildNutritionSummary(totals, meals, goals, details) {
+  const lastUpdated = getCurrentTime();
+  const entry = (consumed, goal) => ({ consumed, goal, lastUpdated });
+
+  return {
+    calories: entry(Math.round(totals.calories), goals.calories),
+    protein: entry(Math.round(totals.protein), goals.protein),
+    carbs: entry(Math.round(totals.carbs), goals.carbs),
+    fat: entry(Math.round(totals.fat), goals.fat),
+    water: entry(Math.round(totals.water * 10) / 10, goals.water), // Round to 1 decimal place
+    fiber: entry(Math.round(totals.fiber), goals.fiber),
+    sugar: entry(Math.round(totals.sugar), goals.sugar),
+    meals,
+    ...details
   };
+}
+
+/**
+ * Process nutrition data from Apple Health and imported food diaries
+ *
+ * Imported diaries (healthData.nutrition) win over Apple Health samples on
+ * the days they cover, since MyFitnessPal and Cronometer also write their
+ * totals to Apple Health.
+ *
+ * @param {Object} healthData - Object containing Apple Health nutrition data, with keys for different nutrition types, and `nutrition` with the stored nutrition records
+ * @param {Object} options
+ * @param {Object} options.goals - Daily goals overriding DEFAULT_NUTRITION_GOALS
+ * @param {string} options.date - Day to summarise ('yyyy-MM-dd'); defaults to today, or the last logged day when nothing was logged today
+ * @returns {Object} Processed nutrition data with the day's totals, meals, micronutrients and the daily intake history
+ */
+export function processNutritionData(healthData = {}, options = {}) {
+  const goals = { ...DEFAULT_NUTRITION_GOALS, ...options.goals };
+  const records = Array.isArray(healthData?.nutrition) ? healthData.nutrition : [];
+  const days = selectNutritionRecordsByDay(records);
+  const history = summarizeSelectedDays(days);
+
+  const currentDay = getLocalDay(new Date());
+  const latestDay = history.length > 0 ? history[history.length - 1].date : null;
+  const date = options.date || (days[currentDay] || !latestDay ? currentDay : latestDay);
+
+  if (days[date]) {
+    const totals = sumNutritionRecords(days[date]);
+    return buildNutritionSummary(
+      {
+        ...totals,
+        water: totals.nutrients.water || 0,
+        fiber: totals.nutrients.fiber || 0,
+        sugar: totals.nutrients.sugar || 0
+      },
+      buildImportedMeals(days[date], date),
+      goals,
+      {
+        date,
+        history,
+        micronutrients: totals.nutrients,
+        sources: [...new Set(days[date].map(record => record.source).filter(Boolean))]
+      }
+    );
+  }
+
+  const details = { date, history, micronutrients: {}, sources: [] };
 
   // Check if health data is available
   if (!healthData || Object.keys(healthData).length === 0) {
-    return defaultNutrition;
+    return buildNutritionSummary(
+      { calories: 0, protein: 0, carbs: 0, fat: 0, water: 0, fiber: 0, sugar: 0 },
+      [],
+      goals,
+      details
+    );
   }
 
   // Extract the nutrition data arrays
@@ -1261,54 +1588,20 @@ export function processNutritionData(healthData = {}) {
     };
   });
 
-  // Calculate goals based on user profile (simplified example)
-  // In a real app, you would calculate this based on user's profile
-  const calorieGoal = 2200;
-  const proteinGoal = 140;
-  const carbsGoal = 220;
-  const fatGoal = 73;
-  const waterGoal = 3; // liters
-  const fiberGoal = 25; // grams
-  const sugarGoal = 50; // grams
-
-  return {
-    calories: {
-      consumed: Math.round(totalCalories),
-      goal: calorieGoal,
-      lastUpdated: getCurrentTime()
-    },
-    protein: {
-      consumed: Math.round(totalProtein),
-      goal: proteinGoal,
-      lastUpdated: getCurrentTime()
+  return buildNutritionSummary(
+    {
+      calories: totalCalories,
+      protein: totalProtein,
+      carbs: totalCarbs,
+      fat: totalFat,
+      water: totalWater,
+      fiber: totalFiber,
+      sugar: totalSugar
     },
-    carbs: {
-      consumed: Math.round(totalCarbs),
-      goal: carbsGoal,
-      lastUpdated: getCurrentTime()
-    },
-    fat: {
-      consumed: Math.round(totalFat),
-      goal: fatGoal,
-      lastUpdated: getCurrentTime()
-    },
-    water: {
-      consumed: Math.round(totalWater * 10) / 10, // Round to 1 decimal place
-      goal: waterGoal,
-      lastUpdated: getCurrentTime()
-    },
-    fiber: {
-      consumed: Math.round(totalFiber),
-      goal: fiberGoal,
-      lastUpdated: getCurrentTime()
-    },
-    sugar: {
-      consumed: Math.round(totalSugar),
-      goal: sugarGoal,
-      lastUpdated: getCurrentTime()
-    },
-    meals
-  };
+    meals,
+    goals,
+    details
+  );
 }
 
 /**
@@ -1394,6 +1687,13 @@ export function processEnhancementMetrics(healthData = {}) {
       recommendation: 'INSUFFICIENT DATA',
       overallScore: 0,
       status: 'NO DATA'
+    },
+    recovery: {
+      readiness: 'INSUFFICIENT DATA',
+      respiratoryRate: null,
+      temperatureDeviation: null,
+      strain: null,
+      sources: {}
     }
   };
 
@@ -1416,6 +1716,9 @@ export function processEnhancementMetrics(healthData = {}) {
   const caloriesData = healthData.calories?.data || [];
   const basalEnergyData = healthData.basalEnergy?.data || [];
   const oxygenSaturationData = healthData.oxygenSaturation?.data || [];
+  const respiratoryRateData = healthData.respiratoryRate?.data || [];
+  const temperatureDeviationData = healthData.temperatureDeviation?.data || [];
+  const strainData = healthData.strain?.data || [];
   const dietaryData = {
     energy: healthData.dietaryEnergy?.data || [],
     protein: healthData.dietaryProtein?.data || [],
@@ -1573,6 +1876,11 @@ export function processEnhancementMetrics(healthData = {}) {
 
   // 1. Complete cardiovascular metrics
   if (heartRateData.length > 0 || restingHRData.length > 0 || hrvData.length > 0) {
+    // Rings and straps report resting heart rate without the samples
+    if (!comprehensiveMetrics.cardiovascular.restingHeartRate && restingHRData.length > 0) {
+      comprehensiveMetrics.cardiovascular.restingHeartRate = restingHRData[0].value;
+    }
+    
     // Get heart rate variability if available
     if (hrvData.length > 0) {
       comprehensiveMetrics.cardiovascular.heartRateVariability = hrvData[0].value;
@@ -1956,6 +2264,25 @@ export function processEnhancementMetrics(healthData = {}) {
     }
   }
 
+  // 6. Recovery: readiness and the overnight metrics of every device
+  comprehensiveMetrics.recovery.readiness = calculateReadinessScore(hrvData);
+  if (respiratoryRateData.length > 0) {
+    comprehensiveMetrics.recovery.respiratoryRate = respiratoryRateData[0].value;
+  }
+  if (temperatureDeviationData.length > 0) {
+    comprehensiveMetrics.recovery.temperatureDeviation = temperatureDeviationData[0].value;
+  }
+  if (strainData.length > 0) {
+    comprehensiveMetrics.recovery.strain = strainData[0].value;
+  }
+  comprehensiveMetrics.recovery.sources = summarizeRecoverySources({
+    restingHeartRate: restingHRData,
+    heartRateVariability: hrvData,
+    respiratoryRate: respiratoryRateData,
+    temperatureDeviation: temperatureDeviationData,
+    strain: strainData
+  });
+
   return {
     individualMetrics: metrics,
     ...comprehensiveMetrics
@@ -0,0 +1,217 @@
+// src/services/healthQueryService.js
+
+import { getBucketKey } from "../utils/dateUtils";
+import { getStorageRevision, queryTimeSeries } from "../utils/storageUtils";
+import { COLLECTION_KEYS } from "./dataImportService";
+import { buildSleepSessions } from "./sleepSessionService";
+import {
+  CUMULATIVE_TYPES,
+  resolveSourceOverlaps,
+} from "./sourcePriorityService";
+
+/**
+ * Range and aggregate queries over stored health data
+ *
+ * Panels and the chatbot ask for exactly the series they show instead of
+ * loading whole collections and filtering them:
+ *
+ *   query({ type: "steps", from: subDays(now, 7), bucket: "day", agg: "sum" })
+ *
+ * Records are read through the timestamp index and resolved the way
+ * processHealthData resolves them (one source per stretch of time for
+ * cumulative types, nights built from sleep samples) before they are bucketed, so a
+ * day's steps are not counted twice when the Watch and the iPhone both
+ * recorded them. Buckets follow the record's local time (see
+ * dateUtils.getBucketKey).
+ *
+ * Results are cached until stored data changes.
+ */
+
+export const BUCKETS = ["hour", "day", "week", "month"];
+
+export const AGGREGATIONS = ["sum", "avg", "min", "max", "last"];
+
+// Read this much either side of the range so sleep nights and source
+// overlaps crossing its edges resolve as they would with all the data
+const RESOLUTION_MARGIN_MS = 24 * 60 * 60 * 1000;
+
+const MAX_CACHED_QUERIES = 100;
+
+// Query key -> { revision, result }, oldest first
+const cache = new Map();
+
+function toTime(value) {
+  if (value === undefined || value === null) return null;
+  const time = new Date(value).getTime();
+  if (isNaN(time)) throw new Error(`Invalid date: ${value}`);
+  return time;
+}
+
+function aggregate(values, agg) {
+  switch (agg) {
+    case "sum":
+      return values.reduce((total, value) => total + value, 0);
+    case "avg":
+      return values.reduce((total, value) => total + value, 0) / values.length;
+    case "min":
+      return values.reduce((result, value) => Math.min(result, value));
+    case "max":
+      return values.reduce((result, value) => Math.max(result, value));
+    default:
+      // "last": values are in date order
+      return values[values.length - 1];
+  }
+}
+
+function summarize(entries, agg, date) {
+  return {
+    date,
+    value: aggregate(
+      entries.map(({ value }) => value),
+      agg
+    ),
+    count: entries.length,
+  };
+}
+
+/**
+ * Aggregate records already in memory
+ *
+ * @param {Array} records - Records with a date and a numeric field
+ * @param {Object} options
+ * @param {Date|string|number} options.from - Earliest date (inclusive)
+ * @param {Date|string|number} options.to - Latest date (inclusive)
+ * @param {string} options.bucket - One of BUCKETS, or none for a single
+ *   value over the whole range
+ * @param {string} options.agg - One of AGGREGATIONS (default "avg")
+ * @param {string} options.field - Record field to aggregate (default
+ *   "value")
+ * @returns {Array|Object|null} With a bucket, { date, value, count } for
+ *   each bucket holding data, oldest first, date being the bucket key.
+ *   Without, one { date, value, count } where date is that of the latest
+ *   record, or null when nothing is in range
+ */
+export function aggregateSeries(
+  records,
+  { from = null, to = null, bucket = null, agg = "avg", field = "value" } = {}
+) {
+  if (bucket && !BUCKETS.includes(bucket)) {
+    throw new Error(`Unknown bucket: ${bucket}`);
+  }
+  if (!AGGREGATIONS.includes(agg)) {
+    throw new Error(`Unknown aggregation: ${agg}`);
+  }
+
+  const start = toTime(from) ?? -Infinity;
+  const end = toTime(to) ?? Infinity;
+  const entries = (records || [])
+    .map((record) => ({
+      record,
+      time: new Date(record.date).getTime(),
+      value: record[field],
+    }))
+    .filter(
+      ({ time, value }) =>
+        time >= start &&
+        time <= end &&
+        typeof value === "number" &&
+        !isNaN(value)
+    )
+    .sort((a, b) => a.time - b.time);
+
+  if (!bucket) {
+    if (entries.length === 0) return null;
+    return summarize(entries, agg, entries[entries.length - 1].record.date);
+  }
+
+  const buckets = new Map();
+  entries.forEach((entry) => {
+    const key = getBucketKey(entry.record.date, bucket, entry.record.utcOffset);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(entry);
+  });
+  return Array.from(buckets.entries())
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([key, bucketEntries]) => summarize(bucketEntries, agg, key));
+}
+
+// Apply the read-time resolution processHealthData applies
+function resolveRecords(type, records) {
+  if (type === "sleep") return buildSleepSessions(records);
+  if (CUMULATIVE_TYPES.includes(type)) {
+    return resolveSourceOverlaps(records).records;
+  }
+  return records;
+}
+
+function copyResult(result) {
+  if (Array.isArray(result)) return result.map((entry) => ({ ...entry }));
+  return result && { ...result };
+}
+
+/**
+ * Query a stored health data type
+ *
+ * @param {Object} options
+ * @param {string} options.type - Record type (steps, heartRate, sleep...)
+ * @param {Date|string|number} options.from - Earliest date (inclusive)
+ * @param {Date|string|number} options.to - Latest date (inclusive)
+ * @param {string} options.bucket - One of BUCKETS, or none for a single
+ *   value
+ * @param {string} options.agg - One of AGGREGATIONS (default "avg")
+ * @param {string} options.field - Record field to aggregate (default
+ *   "value")
+ * @returns {Promise<Array|Object|null>} See aggregateSeries
+ */
+export async function query({
+  type,
+  from = null,
+  to = null,
+  bucket = null,
+  agg = "avg",
+  field = "value",
+} = {}) {
+  const key = COLLECTION_KEYS[type];
+  if (!key) throw new Error(`Unknown health data type: ${type}`);
+
+  const options = { from: toTime(from), to: toTime(to), bucket, agg, field };
+  const cacheKey = JSON.stringify({ type, ...options });
+  const revision = getStorageRevision();
+  const cached = cache.get(cacheKey);
+  if (cached && cached.revision === revision) return copyResult(cached.result);
+
+  const records = await queryTimeSeries(key, {
+    from: options.from === null ? null : options.from - RESOLUTION_MARGIN_MS,
+    to: options.to === null ? null : options.to + RESOLUTION_MARGIN_MS,
+  });
+  const result = aggregateSeries(resolveRecords(type, records), options);
+
+  // Data saved while reading makes the result stale already
+  if (getStorageRevision() === revision) {
+    cache.delete(cacheKey);
+    cache.set(cacheKey, { revision, result });
+    if (cache.size > MAX_CACHED_QUERIES) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+  return copyResult(result);
+}
+
+/**
+ * Run several queries at once
+ *
+ * @param {Object} queries - Name -> query options
+ * @returns {Promise<Object>} Name -> result
+ */
+export async function queryAll(queries) {
+  const names = Object.keys(queries);
+  const results = await Promise.all(names.map((name) => query(queries[name])));
+  return Object.fromEntries(names.map((name, i) => [name, results[i]]));
+}
+
+/**
+ * Forget every cached result
+ */
+export function clearQueryCache() {
+  cache.clear();
+}
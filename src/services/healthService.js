@@ -1,6 +1,7 @@
 // This service would integrate with Apple Health via HealthKit
 import { getFromStorage } from '../utils/storageUtils';
 import { STORAGE_KEYS } from '../services/dataImportService';
+import { buildSleepSessions } from './sleepSessionService';
 // Mock data for development
 const mockHealthData = {
   heartRate: { current: 62, min: 58, max: 118, avg: 72, lastUpdated: '07:42:15' },
@@ -21,20 +22,30 @@ export const fetchHealthData = async () => {
       const heartRate = getFromStorage(STORAGE_KEYS.HEART_RATE_DATA, []);
       const steps = getFromStorage(STORAGE_KEYS.STEP_COUNT_DATA, []);
       const weight = getFromStorage(STORAGE_KEYS.WEIGHT_DATA, []);
-      const sleep = getFromStorage(STORAGE_KEYS.SLEEP_DATA, []);
+      // Apple Health stage samples become one record per night
+      const sleep = buildSleepSessions(getFromStorage(STORAGE_KEYS.SLEEP_DATA, []));
       const vo2Max = getFromStorage(STORAGE_KEYS.VO2MAX_DATA, []);
       const workouts = getFromStorage(STORAGE_KEYS.WORKOUT_DATA, []);
       const nutrition = getFromStorage(STORAGE_KEYS.NUTRITION_DATA, []);
+      // Overnight metrics from Oura, WHOOP and Apple Health imports
+      const recovery = {
+        restingHeartRate: getFromStorage(STORAGE_KEYS.RESTING_HEART_RATE_DATA, []),
+        heartRateVariability: getFromStorage(STORAGE_KEYS.HRV_DATA, []),
+        respiratoryRate: getFromStorage(STORAGE_KEYS.RESPIRATORY_RATE_DATA, []),
+        temperatureDeviation: getFromStorage(STORAGE_KEYS.TEMPERATURE_DEVIATION_DATA, []),
+        strain: getFromStorage(STORAGE_KEYS.STRAIN_DATA, [])
+      };
       
       // Check if we have real data
       const hasRealData = heartRate.length > 0 || steps.length > 0 || 
                            weight.length > 0 || sleep.length > 0 ||
                            vo2Max.length > 0 || workouts.length > 0 ||
-                           nutrition.length > 0;
+                           nutrition.length > 0 ||
+                           Object.values(recovery).some(items => items.length > 0);
       
       if (hasRealData) {
         // Process the real data into the format expected by components
-        const processedData = processRealHealthData(heartRate, steps, weight, sleep, vo2Max, workouts, nutrition);
+        const processedData = processRealHealthData(heartRate, steps, weight, sleep, vo2Max, workouts, nutrition, recovery);
         resolve(processedData);
       } else {
         // Fall back to mock data if no real data is available
@@ -45,7 +56,7 @@ export const fetchHealthData = async () => {
 };
 
 // New function to process real health data
-function processRealHealthData(heartRate, steps, weight, sleep, vo2Max, workouts, nutrition = []) {
+function processRealHealthData(heartRate, steps, weight, sleep, vo2Max, workouts, nutrition = [], recovery = {}) {
   // Get the most recent data for each type
   const getLatest = (arr) => arr.length > 0 ? 
     arr.sort((a, b) => new Date(b.date) - new Date(a.date))[0] : null;
@@ -75,8 +86,17 @@ function processRealHealthData(heartRate, steps, weight, sleep, vo2Max, workouts
       recentWorkouts.reduce((sum, w) => sum + w.duration, 0) / recentWorkouts.length : 0
   };
   
+  // Recovery metrics newest first, every source kept for comparison
+  const recoveryData = {};
+  Object.entries(recovery).forEach(([metric, items]) => {
+    recoveryData[metric] = {
+      data: [...items].sort((a, b) => new Date(b.date) - new Date(a.date))
+    };
+  });
+  
   // Format the data to match what the components expect
   return {
+    ...recoveryData,
     heartRate: {
       current: latestHeartRate ? latestHeartRate.value : 62,
       min: Math.min(...heartRate.map(item => item.value), 58),
@@ -93,10 +113,10 @@ function processRealHealthData(heartRate, steps, weight, sleep, vo2Max, workouts
       data: steps
     },
     sleep: {
-      lastNight: latestSleep ? `${latestSleep.value}h` : '6h 48m',
-      deepSleep: '1h 32m', // You might need more processing for these specialized values
-      rem: '2h 15m',
-      efficiency: 87,
+      lastNight: latestSleep ? formatHours(latestSleep.value) : '6h 48m',
+      deepSleep: latestSleep?.stages ? formatHours(latestSleep.stages.deep) : '1h 32m',
+      rem: latestSleep?.stages ? formatHours(latestSleep.stages.rem) : '2h 15m',
+      efficiency: latestSleep?.sleepEfficiency ?? 87,
       data: sleep
     },
     vo2Max: {
@@ -143,6 +163,11 @@ function formatTime(date) {
   return date.toLocaleTimeString('en-US', { hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit' });
 }
 
+function formatHours(hours) {
+  const minutes = Math.round(hours * 60);
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
 function formatDate(date) {
   return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 }
\ No newline at end of file
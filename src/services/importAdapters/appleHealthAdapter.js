@@ -0,0 +1,172 @@
+// src/services/importAdapters/appleHealthAdapter.js
+
+import { importAppleHealthArchive } from "../appleHealthArchive";
+import {
+  createAppleHealthCollector,
+  parseAppleHealthExport,
+  parseAppleHealthExportStream,
+} from "../appleHealthXmlParser";
+import { parseElectrocardiogramStream } from "../ecgParser";
+import {
+  linkRoutesToWorkouts,
+  parseRouteStream,
+  summarizeRoute,
+} from "../routeParser";
+import { createCandidateBatcher } from "./candidateBatches";
+import { routeToWorkout } from "./routeAdapter";
+
+/**
+ * Apple Health exports
+ *
+ * - "parsed-xml": collections already extracted by createAppleHealthCollector
+ * - "xml": the export.xml file, streamed
+ * - "zip": the export.zip archive produced by the Health app, whose
+ *   workout-routes/*.gpx are linked to their Workout by start time and
+ *   electrocardiograms/*.csv imported as one record per recording
+ *
+ * The xml and zip adapters pass records on in batches while they read, so
+ * a multi-gigabyte export never has to be held in memory (the importer UI
+ * runs them in a web worker). Workouts are the exception in an archive:
+ * they are few and are kept until its routes have been read. Apple writes
+ * every date in one fixed format, converted to ISO 8601 by the parser.
+ */
+
+function countRecords(collector) {
+  return Object.values(collector.getStats()).reduce(
+    (total, count) => total + count,
+    0
+  );
+}
+
+/**
+ * Flatten parsed-xml collections into import candidates
+ */
+function toCandidates(data) {
+  const records = [];
+  let index = 0;
+
+  Object.entries(data || {}).forEach(([recordType, items]) => {
+    if (!Array.isArray(items)) return;
+    items.forEach((item) => {
+      records.push({ ...item, recordType, index: index++ });
+    });
+  });
+
+  return records;
+}
+
+export const appleHealthParsedAdapter = {
+  id: "parsed-xml",
+  label: "Apple Health (parsed)",
+  extensions: [],
+  isoDates: true,
+
+  parse({ content, files }) {
+    return { records: toCandidates(content), errors: [], files };
+  },
+};
+
+export const appleHealthXmlAdapter = {
+  id: "xml",
+  label: "Apple Health XML",
+  extensions: ["xml"],
+  isoDates: true,
+
+  async parse({ content, name }, { onProgress, onBatch } = {}) {
+    const batcher = createCandidateBatcher(onBatch);
+    const collector = createAppleHealthCollector({ onItem: batcher.add });
+    await parseAppleHealthExport(content, {
+      onElement: collector.add,
+      onChunk: () => batcher.flush(),
+      onProgress,
+    });
+    await batcher.flush(true);
+
+    return {
+      errors: [],
+      files: [
+        {
+          name: name || "export.xml",
+          kind: "export",
+          label: "Health records",
+          size: content.size,
+          status: "imported",
+          records: countRecords(collector),
+          message: null,
+        },
+      ],
+    };
+  },
+};
+
+export const appleHealthZipAdapter = {
+  id: "zip",
+  label: "Apple Health ZIP",
+  extensions: ["zip"],
+  isoDates: true,
+
+  async parse({ content }, { onProgress, onBatch } = {}) {
+    const batcher = createCandidateBatcher(onBatch);
+    const workouts = [];
+    const collector = createAppleHealthCollector({
+      onItem: (collection, item) => {
+        if (collection === "workouts") {
+          workouts.push(item);
+        } else {
+          batcher.add(collection, item);
+        }
+      },
+    });
+    const routes = [];
+    const { files } = await importAppleHealthArchive(content, {
+      onProgress,
+      handlers: {
+        export: async (stream) => {
+          await parseAppleHealthExportStream(stream, {
+            onElement: collector.add,
+            onChunk: () => batcher.flush(),
+          });
+          await batcher.flush(true);
+          return { records: countRecords(collector) };
+        },
+        workoutRoute: async (stream) => {
+          const summaries = (await parseRouteStream(stream, "gpx"))
+            .map((route) => ({ route, summary: summarizeRoute(route.points) }))
+            .filter(({ summary }) => summary);
+          routes.push(...summaries);
+          return { records: summaries.length };
+        },
+        // Recordings hold thousands of samples, so each is a batch
+        electrocardiogram: async (stream) => {
+          batcher.add(
+            "electrocardiogram",
+            await parseElectrocardiogramStream(stream)
+          );
+          await batcher.flush(true);
+          return { records: 1 };
+        },
+      },
+    });
+
+    const exportFile = files.find((summary) => summary.kind === "export");
+    if (exportFile.status === "error") {
+      throw new Error(exportFile.message);
+    }
+
+    // Routes are only complete once the whole archive has been read
+    const linked = linkRoutesToWorkouts(
+      workouts,
+      routes.map(({ summary }) => summary)
+    );
+    const unmatched = new Set(linked.unmatched);
+    [
+      ...linked.workouts,
+      ...routes
+        .filter(({ summary }) => unmatched.has(summary))
+        .map(({ route, summary }) => routeToWorkout(route, summary)),
+    ].forEach((workout) => batcher.add("workouts", workout));
+    await batcher.flush(true);
+
+    return { errors: [], files };
+  },
+};
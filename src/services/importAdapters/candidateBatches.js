@@ -0,0 +1,47 @@
+// src/services/importAdapters/candidateBatches.js
+
+/**
+ * Batches of candidates for adapters that stream
+ *
+ * A streaming adapter (see index.js) passes candidates to the engine while
+ * it parses instead of returning them all at once, so only one batch of a
+ * large file is held at a time.
+ */
+
+// Candidates handed to the engine at a time
+export const IMPORT_BATCH_SIZE = 10000;
+
+/**
+ * Collect candidates and hand them on once a batch is full
+ *
+ * Candidates are numbered across batches. Items are tagged in place, so
+ * callers pass objects they no longer need themselves.
+ *
+ * @param {Function} onBatch - The engine's options.onBatch
+ * @returns {{add: Function, flush: Function}} add(recordType, item) queues
+ *   a candidate; flush() passes full batches on and flush(true) everything
+ *   queued, resolving once the engine has taken them
+ */
+export function createCandidateBatcher(onBatch) {
+  let pending = [];
+  let index = 0;
+
+  return {
+    add(recordType, item) {
+      item.recordType = recordType;
+      item.index = index++;
+      pending.push(item);
+    },
+    async flush(all = false) {
+      // One chunk of a file can queue more than a batch
+      while (
+        pending.length >= IMPORT_BATCH_SIZE ||
+        (all && pending.length > 0)
+      ) {
+        const batch = pending.slice(0, IMPORT_BATCH_SIZE);
+        pending = pending.slice(IMPORT_BATCH_SIZE);
+        await onBatch(batch);
+      }
+    },
+  };
+}
@@ -0,0 +1,25 @@
+// src/services/importAdapters/connectorAdapter.js
+
+/**
+ * Records fetched by a data source connector (see connectorService)
+ *
+ * Content is { connector, records } with the candidates the connector
+ * mapped; the connector id is reported as the format, so the import
+ * history names the service each sync came from.
+ */
+const connectorAdapter = {
+  id: "connector",
+  label: "Connected service",
+  extensions: [],
+
+  parse({ content }) {
+    const { connector, records = [] } = content || {};
+    return {
+      records: records.map((record, index) => ({ ...record, index })),
+      errors: [],
+      format: connector || "connector",
+    };
+  },
+};
+
+export default connectorAdapter;
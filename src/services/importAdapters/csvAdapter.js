@@ -0,0 +1,184 @@
+// src/services/importAdapters/csvAdapter.js
+
+import Papa from "papaparse";
+import { detectFields } from "./fieldRules";
+import { detectGoogleFitDaily, readGoogleFitDaily } from "./googleFit";
+import { extractRowRecords } from "./rowRecords";
+import { detectNutritionLog, readNutritionLog } from "./nutritionLogs";
+import { detectOuraExport, readOuraExport } from "./oura";
+import { detectScaleLog, readScaleLog } from "./scaleLogs";
+import { detectStrengthLog, readStrengthLog } from "./strengthLogs";
+import { detectWhoopExport, readWhoopExport } from "./whoop";
+
+/**
+ * Generic CSV exports from fitness apps and wearables
+ *
+ * Accepts the raw file text or rows already parsed with headers. Columns
+ * come from, in order: an explicit column mapping, a saved mapping profile
+ * found through `resolveMapping(headers)`, or detection from the header
+ * names (see fieldRules for the aliases). When detection finds nothing
+ * usable the result asks for a mapping instead of importing nothing.
+ *
+ * Exports of known apps are recognised by their headers before any of that
+ * and read by their own module (see KNOWN_EXPORTS).
+ */
+
+// Known app exports: set-by-set logs from Strong, Hevy and FitNotes, food
+// diaries from MyFitnessPal and Cronometer, Withings, Renpho and Eufy
+// weigh-ins, Google Fit activity files and Oura and WHOOP recovery exports.
+// read(rows, format, { name }) returns the file's candidates.
+const KNOWN_EXPORTS = [
+  { detect: detectStrengthLog, read: readStrengthLog },
+  { detect: detectNutritionLog, read: readNutritionLog },
+  { detect: detectScaleLog, read: readScaleLog },
+  { detect: detectGoogleFitDaily, read: readGoogleFitDaily },
+  { detect: detectOuraExport, read: readOuraExport },
+  { detect: detectWhoopExport, read: readWhoopExport },
+];
+
+/**
+ * Find the known app export a file's headers belong to
+ *
+ * @returns {Object|null} { format, read } or null for any other CSV
+ */
+function detectKnownExport(headers) {
+  for (const { detect, read } of KNOWN_EXPORTS) {
+    const format = detect(headers);
+    if (format) return { format, read };
+  }
+  return null;
+}
+
+// Rows kept so the user can see what each column holds while mapping
+const SAMPLE_ROW_COUNT = 5;
+
+/**
+ * Turn a column mapping ({ date, value, unit, type, recordType }) into the
+ * fields object used by extractRowRecords
+ */
+function mappingToFields(mapping, headers) {
+  const fields = {};
+  ["date", "value", "unit", "type"].forEach((field) => {
+    const column = mapping[field];
+    if (!column) return;
+    if (!headers.includes(column)) {
+      throw new Error(`The mapped ${field} column "${column}" is missing`);
+    }
+    fields[field] = column;
+  });
+
+  if (!fields.date || !fields.value) {
+    throw new Error("A column mapping needs a date and a value column");
+  }
+  if (!fields.type && !mapping.recordType) {
+    throw new Error("A column mapping needs a type column or a record type");
+  }
+  return fields;
+}
+
+const csvAdapter = {
+  id: "csv",
+  label: "CSV",
+  extensions: ["csv"],
+  text: true,
+
+  parse({ content, name }, { mapping, resolveMapping } = {}) {
+    let rows = content;
+    let headers = null;
+    const errors = [];
+
+    if (typeof content === "string") {
+      const results = Papa.parse(content, {
+        header: true,
+        skipEmptyLines: "greedy",
+        transformHeader: (header) => header.trim(),
+      });
+      rows = results.data;
+      headers = results.meta.fields;
+
+      // Papa reports row numbers from 0 excluding the header
+      results.errors.forEach((error) => {
+        errors.push({
+          index: error.row ?? null,
+          reason: `CSV parsing error: ${error.message}`,
+        });
+      });
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw new Error("The CSV file contains no data rows");
+    }
+
+    headers = (headers || Object.keys(rows[0])).filter(Boolean);
+
+    const knownExport = mapping ? null : detectKnownExport(headers);
+    if (knownExport) {
+      return {
+        records: knownExport.read(rows, knownExport.format, { name }),
+        errors,
+        format: knownExport.format.id,
+      };
+    }
+
+    const columns = {
+      headers,
+      sampleRows: rows.slice(0, SAMPLE_ROW_COUNT),
+      mapping: null,
+      profile: null,
+      needsMapping: false,
+      reason: null,
+    };
+
+    const profile = mapping
+      ? { name: null, mapping }
+      : resolveMapping
+      ? resolveMapping(headers)
+      : null;
+
+    if (profile) {
+      const fields = mappingToFields(profile.mapping, headers);
+      const recordType = fields.type ? null : profile.mapping.recordType;
+      return {
+        records: rows.flatMap((row, index) =>
+          extractRowRecords(row, fields, index, recordType)
+        ),
+        errors,
+        columns: {
+          ...columns,
+          mapping: profile.mapping,
+          profile: profile.name,
+        },
+      };
+    }
+
+    const fields = detectFields(headers);
+    if (fields.date === undefined) {
+      return {
+        records: [],
+        errors,
+        columns: {
+          ...columns,
+          needsMapping: true,
+          reason: "Couldn't find a date column in CSV",
+        },
+      };
+    }
+
+    const records = rows.flatMap((row, index) =>
+      extractRowRecords(row, fields, index)
+    );
+    const recognised = records.some(({ recordType }) => recordType);
+
+    return {
+      records,
+      errors,
+      columns: {
+        ...columns,
+        needsMapping: !recognised,
+        reason: recognised ? null : "None of the CSV columns were recognised",
+      },
+    };
+  },
+};
+
+export default csvAdapter;
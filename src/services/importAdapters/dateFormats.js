@@ -0,0 +1,201 @@
+// src/services/importAdapters/dateFormats.js
+
+import { isValid } from "date-fns";
+
+/**
+ * Date and time parsing for imports
+ *
+ * "03/04/2024" is the 4th of March in a US export and the 3rd of April in a
+ * European one, and the file itself rarely says which. detectDateFormat
+ * looks at every numeric date in a file: a first part above 12 can only be
+ * a day, a second part above 12 only a day in US order. Users can override
+ * the result when a file is ambiguous.
+ *
+ * Parsed timestamps are returned as a UTC instant plus the offset they were
+ * written in (minutes east of UTC), so records can still be placed on the
+ * calendar day they happened on, wherever the app is later opened.
+ */
+
+// Numeric day/month orders; ISO (year first) dates never need one
+export const DATE_FORMATS = {
+  mdy: { label: "MM/DD/YYYY (US)" },
+  dmy: { label: "DD/MM/YYYY (day first)" },
+};
+
+// Order assumed when a file gives no hint either way
+export const DEFAULT_DATE_FORMAT = "mdy";
+
+const NUMERIC_DATE =
+  /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})(?:[T ,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?$/i;
+
+const ISO_DATE_TIME =
+  /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+const TRAILING_OFFSET = /(?:Z|GMT|UTC|([+-])(\d{2}):?(\d{2}))$/i;
+
+/**
+ * Work out the day/month order used by a file's dates
+ *
+ * @param {Array} values - Raw date values from one file
+ * @returns {Object} { format, ambiguous } where format is "mdy", "dmy" or
+ *   null when the values do not settle it, and ambiguous is true when the
+ *   file has numeric dates that could be read either way (or both ways)
+ */
+export function detectDateFormat(values) {
+  let numeric = 0;
+  let dayFirst = false;
+  let monthFirst = false;
+
+  values.forEach((value) => {
+    if (typeof value !== "string") return;
+    const match = value.trim().match(NUMERIC_DATE);
+    if (!match) return;
+
+    numeric++;
+    if (Number(match[1]) > 12) dayFirst = true;
+    if (Number(match[2]) > 12) monthFirst = true;
+  });
+
+  if (dayFirst !== monthFirst) {
+    return { format: dayFirst ? "dmy" : "mdy", ambiguous: false };
+  }
+  return { format: null, ambiguous: numeric > 0 };
+}
+
+function parseOffset(sign, hours, minutes) {
+  const offset = Number(hours) * 60 + Number(minutes);
+  return sign === "-" ? -offset : offset;
+}
+
+function localOffset(date) {
+  // getTimezoneOffset is minutes west of UTC; -0 would leak into records
+  return -date.getTimezoneOffset() || 0;
+}
+
+/**
+ * Build a date from wall-clock parts, either in the local zone or at an
+ * explicit offset; returns null for impossible dates such as 31/02
+ */
+function fromParts(parts, offset) {
+  const { year, month, day, hours = 0, minutes = 0, seconds = 0 } = parts;
+  const ms = parts.ms || 0;
+  const wallClock = Date.UTC(
+    year,
+    month - 1,
+    day,
+    hours,
+    minutes,
+    seconds,
+    ms
+  );
+  const check = new Date(wallClock);
+
+  if (
+    check.getUTCMonth() !== month - 1 ||
+    check.getUTCDate() !== day ||
+    hours > 23 ||
+    minutes > 59 ||
+    seconds > 59
+  ) {
+    return null;
+  }
+
+  if (offset !== null) {
+    return { date: new Date(wallClock - offset * 60000), utcOffset: offset };
+  }
+
+  const date = new Date(year, month - 1, day, hours, minutes, seconds, ms);
+  return { date, utcOffset: localOffset(date) };
+}
+
+/**
+ * Parse an imported date or timestamp
+ *
+ * Understands ISO 8601 (with or without an offset), Apple Health's
+ * "2024-03-20 22:14:05 -0700", numeric dates in either day/month order
+ * with an optional time, epoch milliseconds and anything else the
+ * browser can parse. Values without an offset are read as local time.
+ *
+ * @param {*} value - Raw date value
+ * @param {Object} options
+ * @param {string} options.dateFormat - "mdy" or "dmy" for numeric dates
+ * @returns {Object|null} { date, utcOffset } or null when unreadable
+ */
+export function parseDateTime(
+  value,
+  { dateFormat = DEFAULT_DATE_FORMAT } = {}
+) {
+  if (value instanceof Date) {
+    if (!isValid(value)) return null;
+    return { date: value, utcOffset: localOffset(value) };
+  }
+
+  if (typeof value === "number") {
+    const date = new Date(value);
+    return isValid(date) ? { date, utcOffset: localOffset(date) } : null;
+  }
+
+  const text = String(value).trim();
+
+  const iso = text.match(ISO_DATE_TIME);
+  if (iso) {
+    const [, year, month, day, hours, minutes, seconds, fraction, zone] = iso;
+    const offset = !zone
+      ? null
+      : zone.toUpperCase() === "Z"
+      ? 0
+      : parseOffset(zone[0], zone.slice(1, 3), zone.slice(-2));
+
+    return fromParts(
+      {
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hours: Number(hours || 0),
+        minutes: Number(minutes || 0),
+        seconds: Number(seconds || 0),
+        ms: fraction ? Math.round(Number(`0.${fraction}`) * 1000) : 0,
+      },
+      offset
+    );
+  }
+
+  const numeric = text.match(NUMERIC_DATE);
+  if (numeric) {
+    const [, first, second, year, hours, minutes, seconds, meridiem] = numeric;
+    const [month, day] =
+      dateFormat === "dmy" ? [second, first] : [first, second];
+
+    let hour = Number(hours || 0);
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return null;
+      hour = (hour % 12) + (meridiem.toLowerCase() === "pm" ? 12 : 0);
+    }
+
+    return fromParts(
+      {
+        year: year.length === 2 ? 2000 + Number(year) : Number(year),
+        month: Number(month),
+        day: Number(day),
+        hours: hour,
+        minutes: Number(minutes || 0),
+        seconds: Number(seconds || 0),
+      },
+      null
+    );
+  }
+
+  // Last resort: textual dates such as "Mar 5, 2024 8:00 PM"
+  const date = new Date(text);
+  if (!isValid(date)) return null;
+
+  const zone = text.match(TRAILING_OFFSET);
+  return {
+    date,
+    utcOffset: !zone
+      ? localOffset(date)
+      : zone[1]
+      ? parseOffset(zone[1], zone[2], zone[3])
+      : 0,
+  };
+}
@@ -0,0 +1,192 @@
+// src/services/importAdapters/fieldRules.js
+
+/**
+ * Field detection shared by the tabular import adapters
+ *
+ * CSV headers and JSON property names are matched against the same rules so
+ * a column called "Heart Rate", "heart_rate" or "heartRate" is understood
+ * the same way whichever format it arrives in. Names are normalised to
+ * lowercase alphanumerics before matching; an exact alias always wins over
+ * a partial ("includes") match, and `excludes` guards against false hits
+ * such as "hr" inside "hours".
+ */
+
+export const FIELD_RULES = {
+  date: {
+    exact: [
+      "date",
+      "datetime",
+      "timestamp",
+      "time",
+      "day",
+      "startdate",
+      "starttime",
+      "start",
+      "createdat",
+      "enddate",
+      "updatedat",
+    ],
+    includes: ["date", "timestamp"],
+  },
+  type: {
+    exact: ["type", "datatype", "metric", "metrictype", "category"],
+    includes: ["datatype", "metric"],
+  },
+  value: {
+    exact: ["value", "amount", "reading", "quantity", "qty", "count"],
+    includes: ["value", "amount", "reading"],
+  },
+  unit: { exact: ["unit", "units"] },
+  source: {
+    exact: ["source", "sourcename", "device", "devicename", "app"],
+  },
+  heartRate: {
+    exact: ["heartrate", "hr", "bpm", "pulse"],
+    includes: ["heartrate", "pulse"],
+    excludes: ["variability", "zone", "max", "min", "resting"],
+  },
+  steps: {
+    exact: ["steps", "stepcount"],
+    includes: ["step"],
+  },
+  weight: {
+    exact: ["weight", "bodymass", "mass"],
+    includes: ["weight", "bodymass"],
+  },
+  sleep: {
+    exact: ["sleep", "sleepduration", "sleephours", "sleeptime", "slept"],
+    includes: ["sleep", "slept"],
+  },
+  vo2max: {
+    exact: ["vo2", "vo2max", "oxygenconsumption"],
+    includes: ["vo2"],
+  },
+  workout: {
+    exact: ["workout", "workouttype", "exercise", "activity", "sport"],
+    includes: ["workout", "exercise"],
+  },
+  duration: {
+    exact: ["duration", "minutes", "length"],
+    includes: ["duration"],
+  },
+  calories: {
+    exact: ["calories", "energy", "kcal"],
+    includes: ["calorie", "kcal", "energy"],
+  },
+  distance: {
+    exact: ["distance", "kilometers", "km", "miles"],
+    includes: ["distance"],
+  },
+  food: {
+    exact: ["food", "meal", "fooditem", "dish", "name"],
+    includes: ["food", "meal"],
+  },
+  protein: { includes: ["protein"] },
+  carbs: { includes: ["carb"] },
+  fat: { exact: ["fat", "fats", "totalfat"], includes: ["fat"] },
+};
+
+// Keywords used to classify the value of a "type" column/property
+const TYPE_KEYWORDS = [
+  { recordType: "heartRate", keywords: ["heart", "pulse"] },
+  { recordType: "steps", keywords: ["step"] },
+  { recordType: "weight", keywords: ["weight", "bodymass"] },
+  { recordType: "sleep", keywords: ["sleep"] },
+  { recordType: "vo2max", keywords: ["vo2", "oxygen"] },
+  { recordType: "workouts", keywords: ["workout", "exercise"] },
+  { recordType: "nutrition", keywords: ["food", "meal", "nutrition"] },
+];
+
+/**
+ * Normalise a column or property name for matching
+ *
+ * @param {string} name - Raw header or key
+ * @returns {string} Lowercase name without separators
+ */
+export function normalizeFieldName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Find the first field name that satisfies a rule
+ *
+ * @param {string[]} names - Available column or property names
+ * @param {string} ruleName - Key of FIELD_RULES
+ * @param {string[]} exclude - Names already claimed by another field
+ * @returns {string|undefined} The matching original name
+ */
+export function findField(names, ruleName, exclude = []) {
+  const rule = FIELD_RULES[ruleName];
+  const candidates = names
+    .filter((name) => !exclude.includes(name))
+    .map((name) => ({ name, normalized: normalizeFieldName(name) }));
+
+  // Aliases are listed in order of preference ("startdate" before "enddate")
+  for (const alias of rule.exact || []) {
+    const exact = candidates.find(({ normalized }) => normalized === alias);
+    if (exact) return exact.name;
+  }
+
+  const partial = candidates.find(
+    ({ normalized }) =>
+      (rule.includes || []).some((fragment) => normalized.includes(fragment)) &&
+      !(rule.excludes || []).some((fragment) => normalized.includes(fragment))
+  );
+  return partial ? partial.name : undefined;
+}
+
+/**
+ * Resolve every rule against a set of names at once
+ *
+ * Fields are claimed in FIELD_RULES order, so a column can only be used
+ * for one purpose (e.g. "date" is not also picked up as the food name).
+ *
+ * @param {string[]} names - Available column or property names
+ * @returns {Object} Map of rule name to the matching original name
+ */
+export function detectFields(names) {
+  const fields = {};
+  const claimed = [];
+
+  Object.keys(FIELD_RULES).forEach((ruleName) => {
+    const name = findField(names, ruleName, claimed);
+    if (name !== undefined) {
+      fields[ruleName] = name;
+      claimed.push(name);
+    }
+  });
+
+  return fields;
+}
+
+/**
+ * Map a free-text type label such as "Heart Rate" or
+ * "HKQuantityTypeIdentifierStepCount" onto one of the import record types
+ *
+ * @param {string} label - Value of a type column or property
+ * @returns {string|null} Record type or null when unrecognised
+ */
+export function classifyRecordType(label) {
+  const normalized = normalizeFieldName(label || "");
+  if (!normalized) return null;
+
+  const match = TYPE_KEYWORDS.find(({ keywords }) =>
+    keywords.some((keyword) => normalized.includes(keyword))
+  );
+  return match ? match.recordType : null;
+}
+
+/**
+ * Read a unit written into a column name, as in "Weight (lb)" or
+ * "Distance [mi]"
+ *
+ * @param {string} name - Raw header or key
+ * @returns {string|undefined} The unit text, unconverted
+ */
+export function unitFromFieldName(name) {
+  if (name === undefined) return undefined;
+  const match = String(name).match(/[([]\s*([^()[\]]+?)\s*[)\]]\s*$/);
+  return match ? match[1] : undefined;
+}
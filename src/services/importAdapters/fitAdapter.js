@@ -0,0 +1,223 @@
+// src/services/importAdapters/fitAdapter.js
+
+import { decodeFitFile } from "../fitDecoder";
+
+/**
+ * FIT activity files from Garmin, Wahoo and other sport devices
+ *
+ * Each session becomes a workout carrying its laps and the per-second
+ * sensor streams, and each minute of heart rate samples becomes one heart
+ * rate record (their average) so workouts show up alongside Apple Watch
+ * readings without every second being stored twice. Streams are stored
+ * column-wise ({ time: [...], heartRate: [...] }) with `time` in seconds
+ * from the start of the workout, which keeps a long ride small enough for
+ * local storage.
+ */
+
+// FIT file_id.type of activity recordings
+const ACTIVITY_FILE_TYPE = 4;
+
+// FIT sport enum, named the way other imports name workout types
+const SPORTS = {
+  1: "Running",
+  2: "Cycling",
+  4: "Fitness Equipment",
+  5: "Swimming",
+  10: "Training",
+  11: "Walking",
+  12: "Cross Country Skiing",
+  13: "Alpine Skiing",
+  14: "Snowboarding",
+  15: "Rowing",
+  16: "Mountaineering",
+  17: "Hiking",
+  19: "Paddling",
+};
+
+// FIT manufacturer ids used as the record source
+const MANUFACTURERS = {
+  1: "Garmin",
+  23: "Suunto",
+  32: "Wahoo",
+};
+
+// Stream name -> value of a record message
+const STREAMS = {
+  heartRate: (record) => record.heartRate,
+  speed: (record) => record.enhancedSpeed ?? record.speed,
+  cadence: (record) => record.cadence,
+  power: (record) => record.power,
+  latitude: (record) => record.positionLat,
+  longitude: (record) => record.positionLong,
+  altitude: (record) => record.enhancedAltitude ?? record.altitude,
+  distance: (record) => record.distance,
+};
+
+async function readBytes(content) {
+  if (content instanceof Uint8Array) return content;
+  if (content instanceof ArrayBuffer) return new Uint8Array(content);
+  if (content && typeof content.arrayBuffer === "function") {
+    return new Uint8Array(await content.arrayBuffer());
+  }
+  throw new Error("FIT files must be imported as binary data");
+}
+
+/**
+ * Write a timestamp in the zone it was recorded in, so the engine keeps
+ * its UTC offset; without one the browser's zone is assumed
+ */
+function formatTimestamp(date, utcOffset) {
+  if (utcOffset === null) return date;
+
+  const wallClock = new Date(date.getTime() + utcOffset * 60000);
+  const sign = utcOffset < 0 ? "-" : "+";
+  const hours = String(Math.floor(Math.abs(utcOffset) / 60)).padStart(2, "0");
+  const minutes = String(Math.abs(utcOffset) % 60).padStart(2, "0");
+  return `${wallClock.toISOString().slice(0, 19)}${sign}${hours}:${minutes}`;
+}
+
+function getUtcOffset(activity) {
+  if (!activity || !activity.timestamp || !activity.localTimestamp) {
+    return null;
+  }
+  return Math.round((activity.localTimestamp - activity.timestamp) / 60000);
+}
+
+function getEndTime(message) {
+  return new Date(
+    message.startTime.getTime() + (message.totalElapsedTime || 0) * 1000
+  );
+}
+
+function isWithin(time, start, end) {
+  return time.getTime() >= start.getTime() && time.getTime() <= end.getTime();
+}
+
+/**
+ * Column-wise sensor streams of the records in a session; streams the
+ * device did not record are left out
+ */
+function buildStreams(records, start) {
+  const streams = {
+    time: records.map(({ timestamp }) =>
+      Math.round((timestamp.getTime() - start.getTime()) / 1000)
+    ),
+  };
+
+  Object.entries(STREAMS).forEach(([name, read]) => {
+    const values = records.map((record) => read(record) ?? null);
+    if (values.some((value) => value !== null)) streams[name] = values;
+  });
+
+  return streams;
+}
+
+/**
+ * Average heart rate of each minute that has samples, oldest first; the
+ * samples themselves stay in the workout streams
+ */
+function summarizeHeartRate(records) {
+  const minutes = new Map();
+  records.forEach(({ timestamp, heartRate }) => {
+    if (heartRate === undefined) return;
+    const minute = Math.floor(timestamp.getTime() / 60000);
+    if (!minutes.has(minute)) minutes.set(minute, []);
+    minutes.get(minute).push(heartRate);
+  });
+
+  return Array.from(minutes, ([minute, values]) => ({
+    date: new Date(minute * 60000),
+    value: Math.round(
+      values.reduce((sum, value) => sum + value, 0) / values.length
+    ),
+  }));
+}
+
+function toLap(lap) {
+  return {
+    date: lap.startTime.toISOString(),
+    duration: (lap.totalTimerTime ?? lap.totalElapsedTime ?? 0) / 60,
+    distance: lap.totalDistance ?? null,
+    calories: lap.totalCalories ?? null,
+    avgHeartRate: lap.avgHeartRate ?? null,
+    maxHeartRate: lap.maxHeartRate ?? null,
+    avgSpeed: lap.enhancedAvgSpeed ?? lap.avgSpeed ?? null,
+    avgCadence: lap.avgCadence ?? null,
+    avgPower: lap.avgPower ?? null,
+  };
+}
+
+const fitAdapter = {
+  id: "fit",
+  label: "FIT activity",
+  extensions: ["fit"],
+
+  async parse({ content }, { onBatch }) {
+    const { messages } = decodeFitFile(await readBytes(content));
+
+    const fileId = messages.fileId[0] || {};
+    if (fileId.type !== undefined && fileId.type !== ACTIVITY_FILE_TYPE) {
+      throw new Error("Only FIT activity files can be imported");
+    }
+
+    const source = MANUFACTURERS[fileId.manufacturer] || "FIT device";
+    const utcOffset = getUtcOffset(messages.activity[0]);
+    const samples = messages.record.filter(({ timestamp }) => timestamp);
+    let index = 0;
+
+    // Each session with its streams is a batch of its own
+    const sessions = messages.session.filter(({ startTime }) => startTime);
+    for (const session of sessions) {
+      const start = session.startTime;
+      const end = getEndTime(session);
+
+      await onBatch([
+        {
+          recordType: "workouts",
+          index: index++,
+          date: formatTimestamp(start, utcOffset),
+          endDate: formatTimestamp(end, utcOffset),
+          type: SPORTS[session.sport] || "Workout",
+          duration: session.totalTimerTime ?? session.totalElapsedTime,
+          unit: "s",
+          distance: session.totalDistance,
+          distanceUnit: "m",
+          calories: session.totalCalories,
+          source,
+          avgHeartRate: session.avgHeartRate,
+          maxHeartRate: session.maxHeartRate,
+          avgSpeed: session.enhancedAvgSpeed ?? session.avgSpeed,
+          maxSpeed: session.enhancedMaxSpeed ?? session.maxSpeed,
+          avgCadence: session.avgCadence,
+          avgPower: session.avgPower,
+          maxPower: session.maxPower,
+          elevationGain: session.totalAscent,
+          laps: messages.lap
+            .filter(
+              (lap) => lap.startTime && isWithin(lap.startTime, start, end)
+            )
+            .map(toLap),
+          streams: buildStreams(
+            samples.filter(({ timestamp }) => isWithin(timestamp, start, end)),
+            start
+          ),
+        },
+      ]);
+    }
+
+    await onBatch(
+      summarizeHeartRate(samples).map(({ date, value }) => ({
+        recordType: "heartRate",
+        index: index++,
+        date: formatTimestamp(date, utcOffset),
+        value,
+        unit: "bpm",
+        source,
+      }))
+    );
+
+    return { errors: [] };
+  },
+};
+
+export default fitAdapter;
@@ -0,0 +1,159 @@
+// src/services/importAdapters/fitbit.js
+
+import { isBlank } from "./rowRecords";
+import { sleepSessionCandidate } from "./sleepSessions";
+
+/**
+ * Fitbit data from Google Takeout ("Global Export Data")
+ *
+ * Every metric is split into one JSON array per day or month, named after
+ * the metric: heart_rate-2024-03-04.json, steps-2024-03-01.json,
+ * sleep-2024-03-01.json and weight-2024-03-01.json. Files are recognised
+ * by name, or by their items for the metrics whose items say what they
+ * are (step and calorie files look alike).
+ */
+
+export const FITBIT_LABEL = "Fitbit";
+
+// "03/04/24 07:00:05", always month first
+const FITBIT_DATE_TIME = /^(\d{2})\/(\d{2})\/(\d{2})(?: (\d{2}:\d{2}:\d{2}))?$/;
+
+/**
+ * Turn Fitbit's "MM/DD/YY HH:mm:ss" into ISO 8601
+ *
+ * Intraday samples (heart rate, steps) are written in UTC, logged entries
+ * (weight) in the wearer's local time.
+ */
+function fitbitDateTime(value, { utc = false } = {}) {
+  const match = String(value).match(FITBIT_DATE_TIME);
+  if (!match) return value;
+
+  const [, month, day, year, time = "00:00:00"] = match;
+  return `20${year}-${month}-${day}T${time}${utc ? "Z" : ""}`;
+}
+
+const heartRate = {
+  id: "fitbit-heart-rate",
+  file: "heart_rate",
+  matches: (item) => item.dateTime && item.value && "bpm" in Object(item.value),
+  read: (item, index) => [
+    {
+      recordType: "heartRate",
+      index,
+      date: fitbitDateTime(item.dateTime, { utc: true }),
+      value: item.value.bpm,
+      unit: "bpm",
+      source: FITBIT_LABEL,
+    },
+  ],
+};
+
+const steps = {
+  id: "fitbit-steps",
+  file: "steps",
+  matches: () => false,
+  // Minutes without steps are left out; they add nothing to any total
+  read: (item, index) =>
+    Number(item.value) > 0
+      ? [
+          {
+            recordType: "steps",
+            index,
+            date: fitbitDateTime(item.dateTime, { utc: true }),
+            value: item.value,
+            source: FITBIT_LABEL,
+          },
+        ]
+      : [],
+};
+
+// Fitbit writes weight in pounds whatever unit the app shows
+const weight = {
+  id: "fitbit-weight",
+  file: "weight",
+  matches: (item) => item.logId && "weight" in item && "bmi" in item,
+  read: (item, index) => [
+    {
+      recordType: "weight",
+      index,
+      date: fitbitDateTime(`${item.date} ${item.time || "00:00:00"}`),
+      value: item.weight,
+      unit: "lb",
+      source: isBlank(item.source)
+        ? FITBIT_LABEL
+        : `${FITBIT_LABEL} ${item.source}`,
+    },
+  ],
+};
+
+// Nights tracked with stages have deep/light/rem/wake minutes; older
+// "classic" nights only asleep/restless/awake
+const sleep = {
+  id: "fitbit-sleep",
+  file: "sleep",
+  matches: (item) => item.logId && item.levels && item.startTime,
+  read: (item, index) => {
+    const summary = (item.levels && item.levels.summary) || {};
+    const minutes = (level) => (summary[level] ? summary[level].minutes : 0);
+
+    return [
+      sleepSessionCandidate(
+        {
+          start: item.startTime,
+          end: item.endTime,
+          stageMinutes:
+            item.type === "stages"
+              ? {
+                  deep: minutes("deep"),
+                  core: minutes("light"),
+                  rem: minutes("rem"),
+                  awake: minutes("wake"),
+                }
+              : null,
+          asleepMinutes: item.minutesAsleep,
+          inBedMinutes: item.timeInBed,
+          efficiency: item.efficiency,
+          source: FITBIT_LABEL,
+        },
+        index
+      ),
+    ];
+  },
+};
+
+export const FITBIT_EXPORTS = [heartRate, steps, weight, sleep];
+
+/**
+ * Recognise a Fitbit Takeout file from its name or items
+ *
+ * @param {*} data - Parsed JSON
+ * @param {string} name - File name
+ * @returns {Object|null} Entry of FITBIT_EXPORTS
+ */
+export function detectFitbitExport(data, name) {
+  if (!Array.isArray(data)) return null;
+
+  const file =
+    name && name.match(/^(?:.*\/)?([a-z_]+)-\d{4}-\d{2}-\d{2}\.json$/);
+  const byName = file && FITBIT_EXPORTS.find((entry) => entry.file === file[1]);
+  if (byName) return byName;
+
+  const [first] = data;
+  if (!first || typeof first !== "object") return null;
+  return FITBIT_EXPORTS.find((entry) => entry.matches(first)) || null;
+}
+
+/**
+ * Turn the items of a Fitbit file into candidates
+ *
+ * @param {Array} items - Parsed JSON array
+ * @param {Object} format - Entry of FITBIT_EXPORTS
+ * @returns {Array} Candidates
+ */
+export function readFitbitExport(items, format) {
+  return items.flatMap((item, index) =>
+    item && typeof item === "object"
+      ? format.read(item, index)
+      : [{ recordType: null, index, error: "Record is not an object" }]
+  );
+}
@@ -0,0 +1,194 @@
+// src/services/importAdapters/googleFit.js
+
+import { isBlank } from "./rowRecords";
+import { sleepSessionCandidate } from "./sleepSessions";
+
+/**
+ * Google Fit data from Google Takeout
+ *
+ * - "Daily activity metrics.csv" has one row per day, and the per-day
+ *   files next to it ("2024-03-04.csv") one row per 15 minutes whose
+ *   "Start time" only has the time; the date comes from the file name.
+ *   Steps, average heart rate and average weight are imported.
+ * - "All Sessions/*.json" has one workout or night of sleep per file.
+ *
+ * Health Connect has no export of its own; apps that sync to it also sync
+ * to Google Fit, whose Takeout is read here.
+ */
+
+export const GOOGLE_FIT_LABEL = "Google Fit";
+
+// Record type and unit of the columns read from the activity CSVs
+const DAILY_COLUMNS = [
+  { column: "Step count", recordType: "steps" },
+  { column: "Average heart rate (bpm)", recordType: "heartRate", unit: "bpm" },
+  { column: "Average weight (kg)", recordType: "weight", unit: "kg" },
+];
+
+const googleFitDaily = { id: "google-fit-daily", label: GOOGLE_FIT_LABEL };
+
+// Google Fit activity names that differ from the app's workout types
+const ACTIVITY_TYPES = {
+  biking: "Cycling",
+  strength_training: "Strength Training",
+  "walking.fitness": "Walking",
+  "running.jogging": "Running",
+  "running.treadmill": "Running",
+};
+
+// Sleep stage segments of a sleep session ("sleep" alone is unstaged)
+const SLEEP_STAGE_ACTIVITIES = {
+  "sleep.light": "core",
+  "sleep.deep": "deep",
+  "sleep.rem": "rem",
+  "sleep.awake": "awake",
+  awake: "awake",
+};
+
+/**
+ * Recognise Google Fit's daily activity CSVs from their headers
+ *
+ * @param {string[]} headers - Column names of the file
+ * @returns {Object|null} { id, label } of the format
+ */
+export function detectGoogleFitDaily(headers) {
+  const matches =
+    headers.includes("Move Minutes count") &&
+    (headers.includes("Date") || headers.includes("Start time"));
+  return matches ? googleFitDaily : null;
+}
+
+/**
+ * Turn the rows of a daily activity CSV into candidates
+ *
+ * @param {Array} rows - CSV rows keyed by header
+ * @param {Object} format - Result of detectGoogleFitDaily
+ * @param {Object} source - { name } of the imported file
+ * @returns {Array} Step, heart rate and weight candidates
+ */
+export function readGoogleFitDaily(rows, format, { name } = {}) {
+  const fileDate = name && name.match(/(\d{4}-\d{2}-\d{2})\.csv$/i);
+
+  return rows.flatMap((row, index) => {
+    let date = row.Date;
+    let endDate = null;
+    if (isBlank(date)) {
+      if (!fileDate) {
+        return [
+          {
+            recordType: null,
+            index,
+            error: "Google Fit interval files need their date in the file name",
+          },
+        ];
+      }
+      date = `${fileDate[1]}T${row["Start time"]}`;
+      endDate = `${fileDate[1]}T${row["End time"]}`;
+    }
+
+    // Intervals without activity leave every column blank
+    return DAILY_COLUMNS.filter(({ column }) => !isBlank(row[column])).map(
+      ({ column, recordType, unit }) => ({
+        recordType,
+        index,
+        date,
+        endDate,
+        value: row[column],
+        unit,
+        source: format.label,
+      })
+    );
+  });
+}
+
+/**
+ * Recognise a Takeout session file
+ *
+ * @param {*} data - Parsed JSON
+ * @returns {Object|null} { id, label } of the format
+ */
+export function detectGoogleFitSession(data) {
+  const matches =
+    data &&
+    !Array.isArray(data) &&
+    typeof data.fitnessActivity === "string" &&
+    data.startTime &&
+    data.endTime;
+  return matches ? { id: "google-fit-session", label: GOOGLE_FIT_LABEL } : null;
+}
+
+function activityType(activity) {
+  if (ACTIVITY_TYPES[activity]) return ACTIVITY_TYPES[activity];
+  return activity
+    .split(/[._]/)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+function aggregateValue(session, metricName) {
+  const metric = (session.aggregate || []).find(
+    (aggregate) => aggregate.metricName === metricName
+  );
+  if (!metric) return null;
+  return metric.floatValue ?? metric.intValue ?? null;
+}
+
+function readSleepSession(session, format) {
+  const minutes = { deep: 0, core: 0, rem: 0, awake: 0 };
+  (session.segment || []).forEach((segment) => {
+    const stage = SLEEP_STAGE_ACTIVITIES[segment.fitnessActivity];
+    if (!stage) return;
+    minutes[stage] +=
+      (new Date(segment.endTime) - new Date(segment.startTime)) / 60000;
+  });
+
+  const inBedMinutes =
+    (new Date(session.endTime) - new Date(session.startTime)) / 60000;
+  const staged = minutes.deep + minutes.core + minutes.rem > 0;
+  return sleepSessionCandidate(
+    {
+      start: session.startTime,
+      end: session.endTime,
+      stageMinutes: staged ? minutes : null,
+      asleepMinutes: inBedMinutes - minutes.awake,
+      inBedMinutes,
+      source: format.label,
+    },
+    0
+  );
+}
+
+/**
+ * Turn a Takeout session into a workout or sleep candidate
+ *
+ * @param {Object} session - Parsed session file
+ * @param {Object} format - Result of detectGoogleFitSession
+ * @returns {Array} The session's candidate
+ */
+export function readGoogleFitSession(session, format) {
+  if (session.fitnessActivity === "sleep") {
+    return [readSleepSession(session, format)];
+  }
+
+  // Durations are written as "1800.000s"
+  const duration = isBlank(session.duration)
+    ? (new Date(session.endTime) - new Date(session.startTime)) / 1000
+    : parseFloat(session.duration);
+
+  return [
+    {
+      recordType: "workouts",
+      index: 0,
+      date: session.startTime,
+      endDate: session.endTime,
+      type: activityType(session.fitnessActivity),
+      name: session.name,
+      duration,
+      unit: "s",
+      calories: aggregateValue(session, "com.google.calories.expended"),
+      distance: aggregateValue(session, "com.google.distance.delta"),
+      distanceUnit: "m",
+      source: format.label,
+    },
+  ];
+}
@@ -0,0 +1,49 @@
+// src/services/importAdapters/index.js
+
+import {
+  appleHealthParsedAdapter,
+  appleHealthXmlAdapter,
+  appleHealthZipAdapter,
+} from "./appleHealthAdapter";
+import connectorAdapter from "./connectorAdapter";
+import csvAdapter from "./csvAdapter";
+import fitAdapter from "./fitAdapter";
+import jsonAdapter from "./jsonAdapter";
+import { gpxAdapter, tcxAdapter } from "./routeAdapter";
+
+/**
+ * Format adapters registered with the import engine by default
+ *
+ * An adapter is a plain object:
+ * - id:         format name passed as `format` to processImport
+ * - label:      human readable name
+ * - extensions: file extensions it claims when no format is given
+ * - text:       true to receive File/Blob content already read as text
+ * - isoDates:   true when every date is ISO 8601, which skips detecting
+ *   the day/month order
+ * - parse(source, options) -> { records, errors, files?, columns?,
+ *   format? } (may be async); format names a known export recognised
+ *   inside a generic file, such as a Strong log in a CSV
+ *
+ * `records` are loose candidates ({ recordType, index, date, value, ... })
+ * that the engine validates and normalises; adapters only need to report
+ * errors for things the engine cannot see, such as unreadable lines.
+ * Adapters that stream a file instead pass candidates on while they parse,
+ * by awaiting `options.onBatch(candidates)` every IMPORT_BATCH_SIZE or so
+ * (see candidateBatches), and leave `records` out; indexes keep counting
+ * across batches.
+ * Tabular adapters also describe their `columns` ({ headers, sampleRows,
+ * mapping, profile, needsMapping, reason }) so a column mapping can be
+ * offered, and honour the `mapping` and `resolveMapping` options.
+ */
+export const DEFAULT_IMPORT_ADAPTERS = [
+  csvAdapter,
+  jsonAdapter,
+  appleHealthXmlAdapter,
+  appleHealthZipAdapter,
+  appleHealthParsedAdapter,
+  fitAdapter,
+  gpxAdapter,
+  tcxAdapter,
+  connectorAdapter,
+];
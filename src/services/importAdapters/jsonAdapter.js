@@ -0,0 +1,100 @@
+// src/services/importAdapters/jsonAdapter.js
+
+import { detectFields, findField } from "./fieldRules";
+import { detectFitbitExport, readFitbitExport } from "./fitbit";
+import { detectGoogleFitSession, readGoogleFitSession } from "./googleFit";
+import { extractRowRecords } from "./rowRecords";
+
+/**
+ * JSON exports: either an array of records or an object grouping arrays
+ * of records by category ({ heartRate: [...], steps: [...] })
+ *
+ * Unlike CSV, every object may carry different properties, so fields are
+ * detected per item.
+ *
+ * Files of known apps are recognised first and read by their own module.
+ */
+
+// Known app exports: Fitbit Takeout files and Google Fit sessions.
+// detect(data, name) returns the format, read(data, format) candidates.
+const KNOWN_EXPORTS = [
+  { detect: detectFitbitExport, read: readFitbitExport },
+  { detect: detectGoogleFitSession, read: readGoogleFitSession },
+];
+
+// Category keys of grouped exports, matched with the shared field rules
+const CATEGORY_RULES = {
+  heartRate: "heartRate",
+  steps: "steps",
+  weight: "weight",
+  sleep: "sleep",
+  vo2max: "vo2max",
+  workouts: "workout",
+  nutrition: "food",
+};
+
+function extractItems(items, recordType, offset = 0) {
+  return items.flatMap((item, position) => {
+    const index = offset + position;
+    if (!item || typeof item !== "object") {
+      return [{ recordType: null, index, error: "Record is not an object" }];
+    }
+    return extractRowRecords(
+      item,
+      detectFields(Object.keys(item)),
+      index,
+      recordType
+    );
+  });
+}
+
+const jsonAdapter = {
+  id: "json",
+  label: "JSON",
+  extensions: ["json"],
+  text: true,
+
+  parse({ content, name }) {
+    let data = content;
+    if (typeof content === "string") {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw new Error(`Error parsing JSON: ${error.message}`);
+      }
+    }
+
+    for (const { detect, read } of KNOWN_EXPORTS) {
+      const format = detect(data, name);
+      if (format) {
+        return { records: read(data, format), errors: [], format: format.id };
+      }
+    }
+
+    if (Array.isArray(data)) {
+      return { records: extractItems(data), errors: [] };
+    }
+
+    if (!data || typeof data !== "object") {
+      throw new Error("The JSON file must contain an array or an object");
+    }
+
+    // Grouped export: index errors across all categories in key order
+    const keys = Object.keys(data).filter((key) => Array.isArray(data[key]));
+    const records = [];
+    let offset = 0;
+
+    Object.entries(CATEGORY_RULES).forEach(([recordType, ruleName]) => {
+      const key = findField(keys, ruleName);
+      if (key === undefined) return;
+
+      keys.splice(keys.indexOf(key), 1);
+      records.push(...extractItems(data[key], recordType, offset));
+      offset += data[key].length;
+    });
+
+    return { records, errors: [] };
+  },
+};
+
+export default jsonAdapter;
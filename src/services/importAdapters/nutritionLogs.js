@@ -0,0 +1,271 @@
+// src/services/importAdapters/nutritionLogs.js
+
+import { convertUnit } from "../unitService";
+import { isBlank } from "./rowRecords";
+
+/**
+ * Food diary exports from MyFitnessPal and Cronometer
+ *
+ * MyFitnessPal's "Nutrition Summary" has one row per meal and day,
+ * Cronometer's "Daily Nutrition" one row per day and its "Servings" export
+ * one row per food. The csv adapter recognises them by their headers and
+ * every row becomes a nutrition record with a `kind` of "meal", "day" or
+ * "food", the meal it belongs to and a `nutrients` object:
+ *
+ *   { date, name, kind, meal, calories, protein, carbs, fat,
+ *     nutrients: { fiber, sugar, sodium, ... } }
+ *
+ * Calories are kcal and macros grams; nutrients are stored in the units
+ * listed in NUTRIENTS.
+ */
+
+// Nutrients kept on nutrition records, with the unit they are stored in
+// and the columns the apps write them to. MyFitnessPal's unitless
+// "Vitamin A", "Vitamin C", "Calcium" and "Iron" are % of daily value, not
+// amounts, so they are left out.
+export const NUTRIENTS = {
+  fiber: { label: "Fiber", unit: "g", columns: ["Fiber", "Fiber (g)"] },
+  sugar: { label: "Sugar", unit: "g", columns: ["Sugar", "Sugars (g)"] },
+  saturatedFat: {
+    label: "Saturated fat",
+    unit: "g",
+    columns: ["Saturated Fat", "Saturated (g)"],
+  },
+  monounsaturatedFat: {
+    label: "Monounsaturated fat",
+    unit: "g",
+    columns: ["Monounsaturated Fat", "Monounsaturated (g)"],
+  },
+  polyunsaturatedFat: {
+    label: "Polyunsaturated fat",
+    unit: "g",
+    columns: ["Polyunsaturated Fat", "Polyunsaturated (g)"],
+  },
+  transFat: {
+    label: "Trans fat",
+    unit: "g",
+    columns: ["Trans Fat", "Trans-Fats (g)"],
+  },
+  cholesterol: {
+    label: "Cholesterol",
+    unit: "mg",
+    columns: ["Cholesterol", "Cholesterol (mg)"],
+  },
+  sodium: { label: "Sodium", unit: "mg", columns: ["Sodium (mg)"] },
+  potassium: {
+    label: "Potassium",
+    unit: "mg",
+    columns: ["Potassium", "Potassium (mg)"],
+  },
+  calcium: { label: "Calcium", unit: "mg", columns: ["Calcium (mg)"] },
+  iron: { label: "Iron", unit: "mg", columns: ["Iron (mg)"] },
+  magnesium: { label: "Magnesium", unit: "mg", columns: ["Magnesium (mg)"] },
+  zinc: { label: "Zinc", unit: "mg", columns: ["Zinc (mg)"] },
+  vitaminC: { label: "Vitamin C", unit: "mg", columns: ["Vitamin C (mg)"] },
+  vitaminD: {
+    label: "Vitamin D",
+    unit: "µg",
+    columns: ["Vitamin D (IU)", "Vitamin D (µg)"],
+  },
+  vitaminB12: {
+    label: "Vitamin B12",
+    unit: "µg",
+    columns: ["B12 (Cobalamin) (µg)"],
+  },
+  caffeine: { label: "Caffeine", unit: "mg", columns: ["Caffeine (mg)"] },
+  alcohol: { label: "Alcohol", unit: "g", columns: ["Alcohol (g)"] },
+  water: { label: "Water", unit: "L", columns: ["Water (g)"] },
+};
+
+// Vitamin D labels count international units, 40 of them per microgram
+const VITAMIN_D_IU_PER_UG = 40;
+
+function text(value) {
+  return isBlank(value) ? null : String(value).trim();
+}
+
+function number(value) {
+  if (isBlank(value)) return null;
+  const parsed = parseFloat(String(value).replace(/,/g, ""));
+  return isNaN(parsed) ? null : parsed;
+}
+
+// The unit of a "Sodium (mg)" style header, if any
+function headerUnit(column) {
+  const match = column.match(/\(([^)]+)\)$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Turn Cronometer's "8:15 AM" style times into "08:15" so the date and
+ * time read as one ISO timestamp
+ */
+function clockTime(value) {
+  const match = text(value)?.match(
+    /^(\d{1,2}):(\d{2})(?::\d{2})?\s*(am|pm)?$/i
+  );
+  if (!match) return null;
+
+  const [, hours, minutes, meridiem] = match;
+  let hour = Number(hours);
+  if (meridiem) hour = (hour % 12) + (meridiem.toLowerCase() === "pm" ? 12 : 0);
+  return `${String(hour).padStart(2, "0")}:${minutes}`;
+}
+
+function withTime(date, time) {
+  const clock = clockTime(time);
+  return clock ? `${date} ${clock}` : date;
+}
+
+const myFitnessPal = {
+  id: "myfitnesspal",
+  label: "MyFitnessPal",
+  kind: "meal",
+  matches: (headers) =>
+    ["Date", "Meal", "Carbohydrates (g)", "Protein (g)"].every((name) =>
+      headers.includes(name)
+    ),
+  macros: {
+    calories: "Calories",
+    protein: "Protein (g)",
+    carbs: "Carbohydrates (g)",
+    fat: "Fat (g)",
+  },
+
+  // Newer exports add the time the meal was logged
+  entry: (row) => ({
+    date: withTime(row.Date, row.Time),
+    name: text(row.Meal),
+    meal: text(row.Meal),
+    notes: text(row.Note),
+  }),
+};
+
+const cronometerServings = {
+  id: "cronometer-servings",
+  label: "Cronometer",
+  kind: "food",
+  matches: (headers) =>
+    ["Day", "Food Name", "Energy (kcal)"].every((name) =>
+      headers.includes(name)
+    ),
+  macros: {
+    calories: "Energy (kcal)",
+    protein: "Protein (g)",
+    carbs: "Carbs (g)",
+    fat: "Fat (g)",
+  },
+
+  entry: (row) => ({
+    date: withTime(row.Day, row.Time),
+    name: text(row["Food Name"]),
+    meal: text(row.Group),
+    amount: text(row.Amount),
+  }),
+};
+
+const cronometerDaily = {
+  id: "cronometer-daily",
+  label: "Cronometer",
+  kind: "day",
+  matches: (headers) =>
+    headers.includes("Date") &&
+    headers.includes("Energy (kcal)") &&
+    !headers.includes("Food Name"),
+  macros: cronometerServings.macros,
+
+  entry: (row) => ({
+    date: row.Date,
+    name: "Daily total",
+    meal: null,
+  }),
+};
+
+export const NUTRITION_LOG_FORMATS = [
+  myFitnessPal,
+  cronometerServings,
+  cronometerDaily,
+];
+
+/**
+ * Recognise a food diary export from its CSV headers
+ *
+ * @param {string[]} headers - Column names of the file
+ * @returns {Object|null} Entry of NUTRITION_LOG_FORMATS
+ */
+export function detectNutritionLog(headers) {
+  return (
+    NUTRITION_LOG_FORMATS.find((format) => format.matches(headers)) || null
+  );
+}
+
+/**
+ * Convert an amount into the unit a nutrient is stored in
+ *
+ * @param {string} nutrient - Key of NUTRIENTS
+ * @param {number} value - Amount as recorded
+ * @param {string} unit - Unit as recorded
+ * @returns {number} Amount in NUTRIENTS[nutrient].unit
+ */
+export function convertNutrient(nutrient, value, unit) {
+  if (nutrient === "vitaminD" && unit === "IU") {
+    return value / VITAMIN_D_IU_PER_UG;
+  }
+  // A gram of water is a millilitre
+  if (nutrient === "water" && unit !== "L") {
+    return convertUnit(value, unit, "g") / 1000;
+  }
+  return convertUnit(value, unit, NUTRIENTS[nutrient].unit);
+}
+
+// The nutrient columns a file has, with the unit each is written in
+function nutrientColumns(headers) {
+  return Object.entries(NUTRIENTS).flatMap(([nutrient, { unit, columns }]) =>
+    columns
+      .filter((column) => headers.includes(column))
+      .map((column) => ({
+        column,
+        nutrient,
+        unit: headerUnit(column) || unit,
+      }))
+  );
+}
+
+/**
+ * Turn the rows of a food diary export into nutrition candidates
+ *
+ * @param {Array} rows - CSV rows keyed by header
+ * @param {Object} format - Entry of NUTRITION_LOG_FORMATS
+ * @returns {Array} Nutrition candidates, one per row
+ */
+export function readNutritionLog(rows, format) {
+  const columns = rows.length > 0 ? nutrientColumns(Object.keys(rows[0])) : [];
+
+  return rows.map((row, index) => {
+    const candidate = {
+      recordType: "nutrition",
+      index,
+      ...format.entry(row),
+      kind: format.kind,
+      source: format.label,
+    };
+    Object.entries(format.macros).forEach(([field, column]) => {
+      candidate[field] = number(row[column]);
+    });
+
+    const nutrients = {};
+    try {
+      columns.forEach(({ column, nutrient, unit }) => {
+        const value = number(row[column]);
+        if (value !== null) {
+          nutrients[nutrient] = convertNutrient(nutrient, value, unit);
+        }
+      });
+    } catch (error) {
+      // Unknown units in a column header
+      return { ...candidate, error: error.message };
+    }
+
+    return { ...candidate, nutrients };
+  });
+}
@@ -0,0 +1,166 @@
+// src/services/importAdapters/oura.js
+
+import { recoveryCandidates } from "./recoveryMetrics";
+import { isBlank } from "./rowRecords";
+import { sleepSessionCandidate } from "./sleepSessions";
+
+/**
+ * Oura ring exports
+ *
+ * - The trends CSV of the Oura web app has one row per day with that
+ *   day's scores, the night's sleep and its recovery metrics.
+ * - The membership data export splits the same data into dailyreadiness.csv
+ *   (one row per day) and sleep.csv (one row per sleep period, naps
+ *   included), with the API's snake_case field names.
+ *
+ * Durations are seconds. Recovery metrics are dated by the day Oura
+ * assigns them to, the day the wearer woke up, so the same value from
+ * either export is recognised as a duplicate.
+ */
+
+export const OURA_LABEL = "Oura";
+
+// Sleep periods Oura keeps for deleted or "rest" (lying awake) entries
+const IGNORED_SLEEP_TYPES = ["deleted", "rest"];
+
+function number(value) {
+  if (isBlank(value)) return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+// Seconds in `row` of each stage column, as minutes, or null when the
+// night was not staged
+function stageMinutes(row, stageColumns) {
+  const stages = {};
+  for (const [stage, column] of Object.entries(stageColumns)) {
+    const value = number(row[column]);
+    if (value === null) return null;
+    stages[stage] = value / 60;
+  }
+  return stages;
+}
+
+function readNight(row, index, columns) {
+  const start = row[columns.start];
+  const end = row[columns.end];
+  const stages = stageMinutes(row, columns.stages);
+  if (isBlank(start) || isBlank(end) || !stages) return [];
+
+  const inBed = number(row[columns.inBed]);
+  return [
+    sleepSessionCandidate(
+      {
+        start,
+        end,
+        stageMinutes: stages,
+        inBedMinutes: inBed === null ? null : inBed / 60,
+        efficiency: number(row[columns.efficiency]),
+        source: OURA_LABEL,
+      },
+      index
+    ),
+  ];
+}
+
+const ouraTrends = {
+  id: "oura-trends",
+  matches: (headers) =>
+    headers.includes("date") &&
+    headers.includes("Average HRV") &&
+    headers.includes("Bedtime Start"),
+  metrics: {
+    heartRateVariability: "Average HRV",
+    restingHeartRate: "Average Resting Heart Rate",
+    respiratoryRate: "Respiratory Rate",
+    temperatureDeviation: "Temperature Deviation (°C)",
+  },
+  night: {
+    start: "Bedtime Start",
+    end: "Bedtime End",
+    inBed: "Total Bedtime",
+    efficiency: "Sleep Efficiency",
+    stages: {
+      deep: "Deep Sleep Duration",
+      core: "Light Sleep Duration",
+      rem: "REM Sleep Duration",
+      awake: "Awake Time",
+    },
+  },
+  day: (row) => row.date,
+};
+
+const ouraSleep = {
+  id: "oura-sleep",
+  matches: (headers) =>
+    headers.includes("bedtime_start") && headers.includes("average_hrv"),
+  metrics: {
+    heartRateVariability: "average_hrv",
+    restingHeartRate: "average_heart_rate",
+    respiratoryRate: "average_breath",
+  },
+  night: {
+    start: "bedtime_start",
+    end: "bedtime_end",
+    inBed: "time_in_bed",
+    efficiency: "efficiency",
+    stages: {
+      deep: "deep_sleep_duration",
+      core: "light_sleep_duration",
+      rem: "rem_sleep_duration",
+      awake: "awake_time",
+    },
+  },
+  day: (row) => row.day,
+  skip: (row) => IGNORED_SLEEP_TYPES.includes(row.type),
+};
+
+const ouraReadiness = {
+  id: "oura-readiness",
+  matches: (headers) =>
+    headers.includes("day") &&
+    headers.includes("temperature_deviation") &&
+    !headers.includes("bedtime_start"),
+  metrics: { temperatureDeviation: "temperature_deviation" },
+  night: null,
+  day: (row) => row.day,
+};
+
+export const OURA_FORMATS = [ouraTrends, ouraSleep, ouraReadiness];
+
+/**
+ * Recognise an Oura export from its CSV headers
+ *
+ * @param {string[]} headers - Column names of the file
+ * @returns {Object|null} Entry of OURA_FORMATS
+ */
+export function detectOuraExport(headers) {
+  return OURA_FORMATS.find((format) => format.matches(headers)) || null;
+}
+
+/**
+ * Turn the rows of an Oura export into sleep and recovery candidates
+ *
+ * @param {Array} rows - CSV rows keyed by header
+ * @param {Object} format - Entry of OURA_FORMATS
+ * @returns {Array} Candidates
+ */
+export function readOuraExport(rows, format) {
+  return rows.flatMap((row, index) => {
+    if (format.skip && format.skip(row)) return [];
+
+    const day = format.day(row);
+    if (isBlank(day)) {
+      return [{ recordType: null, index, error: "Missing day" }];
+    }
+
+    return [
+      ...(format.night ? readNight(row, index, format.night) : []),
+      ...recoveryCandidates(row, format.metrics, {
+        index,
+        date: day,
+        source: OURA_LABEL,
+      }),
+    ];
+  });
+}
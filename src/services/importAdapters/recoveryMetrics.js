@@ -0,0 +1,45 @@
+// src/services/importAdapters/recoveryMetrics.js
+
+import { isBlank } from "./rowRecords";
+
+/**
+ * Overnight recovery metrics from rings and straps
+ *
+ * Oura and WHOOP measure heart rate variability, resting heart rate,
+ * breathing rate and skin temperature while their wearer sleeps and write
+ * one value per night. Each becomes a record of its own type, tagged with
+ * the device as its source, so it can be compared with the Apple Watch
+ * samples of the same metric (see healthDataProcessor.
+ * processEnhancementMetrics).
+ */
+
+// Record types of the metrics and the unit the devices write them in
+export const RECOVERY_METRICS = {
+  heartRateVariability: "ms",
+  restingHeartRate: "bpm",
+  respiratoryRate: "breaths/min",
+  temperatureDeviation: "°C",
+  strain: "score",
+};
+
+/**
+ * Build the candidates of one row's recovery metrics
+ *
+ * @param {Object} row - CSV row keyed by header
+ * @param {Object} columns - Column of each RECOVERY_METRICS key the file
+ *   has; blank cells are skipped
+ * @param {Object} entry - { index, date, source } shared by the candidates
+ * @returns {Array} One candidate per filled column
+ */
+export function recoveryCandidates(row, columns, { index, date, source }) {
+  return Object.entries(columns)
+    .filter(([, column]) => !isBlank(row[column]))
+    .map(([recordType, column]) => ({
+      recordType,
+      index,
+      date,
+      value: row[column],
+      unit: RECOVERY_METRICS[recordType],
+      source,
+    }));
+}
@@ -0,0 +1,76 @@
+// src/services/importAdapters/routeAdapter.js
+
+import { parseRoutes, summarizeRoute } from "../routeParser";
+
+/**
+ * GPX and TCX workout files
+ *
+ * Every route with timed track points becomes a workout with its
+ * distance, elevation gain, moving time, pace splits and track streams.
+ * Apple Health's own workout-routes/*.gpx are handled by the export.zip
+ * adapter instead, which links them to the matching Workout.
+ */
+
+/**
+ * Turn a parsed route into a workout candidate
+ *
+ * @param {Object} route - Route from routeParser.parseRoutes
+ * @param {Object} summary - Its routeParser.summarizeRoute result
+ * @returns {Object} Workout candidate without recordType/index
+ */
+export function routeToWorkout(route, summary) {
+  return {
+    // GPX and TCX times are UTC, so the browser's zone is assumed
+    date: summary.start,
+    endDate: summary.end,
+    type: route.type || "Workout",
+    duration: summary.duration,
+    unit: "s",
+    distance: summary.distance,
+    distanceUnit: "m",
+    calories: route.calories,
+    source: route.source,
+    elevationGain: summary.elevationGain,
+    movingTime: summary.movingTime,
+    splits: summary.splits,
+    streams: summary.streams,
+  };
+}
+
+function createRouteAdapter(format, label) {
+  return {
+    id: format,
+    label,
+    extensions: [format],
+    text: true,
+
+    parse({ content }) {
+      const records = [];
+      const errors = [];
+
+      parseRoutes(content, format).forEach((route, index) => {
+        const summary = summarizeRoute(route.points);
+        if (!summary) {
+          errors.push({
+            index,
+            reason: "Route has no timed track points",
+          });
+          return;
+        }
+        records.push({
+          ...routeToWorkout(route, summary),
+          recordType: "workouts",
+          index,
+        });
+      });
+
+      if (records.length === 0 && errors.length === 0) {
+        throw new Error(`The ${label} file contains no tracks`);
+      }
+      return { records, errors };
+    },
+  };
+}
+
+export const gpxAdapter = createRouteAdapter("gpx", "GPX");
+export const tcxAdapter = createRouteAdapter("tcx", "TCX");
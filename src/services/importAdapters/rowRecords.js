@@ -0,0 +1,136 @@
+// src/services/importAdapters/rowRecords.js
+
+import { classifyRecordType, unitFromFieldName } from "./fieldRules";
+
+/**
+ * Turn flat rows (CSV lines or JSON objects) into import candidates
+ *
+ * Two layouts are understood:
+ * - "long" rows with a type column and a value column, one metric per row
+ * - "wide" rows with one column per metric (Date, Steps, Weight, ...)
+ *
+ * Candidates are not validated here; the import engine parses dates and
+ * numbers and reports anything it cannot use as a per-record error.
+ */
+
+// Record types whose value lives in a single numeric column
+const VALUE_TYPES = ["heartRate", "steps", "weight", "sleep", "vo2max"];
+
+export function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+function pick(row, field) {
+  return field === undefined || isBlank(row[field]) ? undefined : row[field];
+}
+
+function buildCandidate(recordType, row, fields, index, label) {
+  const base = {
+    recordType,
+    index,
+    date: pick(row, fields.date),
+    unit: pick(row, fields.unit),
+    source: pick(row, fields.source),
+  };
+
+  if (recordType === "workouts") {
+    const durationField =
+      pick(row, fields.duration) !== undefined ? fields.duration : fields.value;
+    return {
+      ...base,
+      unit: base.unit ?? unitFromFieldName(durationField),
+      type: pick(row, fields.workout) || label || "unknown",
+      duration: pick(row, durationField),
+      calories: pick(row, fields.calories),
+      distance: pick(row, fields.distance),
+      distanceUnit: unitFromFieldName(fields.distance),
+    };
+  }
+
+  if (recordType === "nutrition") {
+    return {
+      ...base,
+      name: pick(row, fields.food),
+      calories: pick(row, fields.calories) ?? pick(row, fields.value),
+      protein: pick(row, fields.protein),
+      carbs: pick(row, fields.carbs),
+      fat: pick(row, fields.fat),
+    };
+  }
+
+  const valueField = [
+    fields.value,
+    fields[recordType],
+    recordType === "sleep" ? fields.duration : undefined,
+  ].find((field) => pick(row, field) !== undefined);
+
+  return {
+    ...base,
+    // "Weight (lb)" says the unit when there is no unit column
+    unit: base.unit ?? unitFromFieldName(valueField),
+    value: pick(row, valueField),
+  };
+}
+
+/**
+ * Extract the candidates contained in one row
+ *
+ * @param {Object} row - Row keyed by column/property name
+ * @param {Object} fields - Result of detectFields for the row's names
+ * @param {number} index - Position of the row in the source, for errors
+ * @param {string} recordType - Force every row to this type (used when
+ *   the source already groups records by category)
+ * @returns {Array} Candidates; a row with nothing usable yields a single
+ *   candidate without recordType so the engine can report it
+ */
+export function extractRowRecords(row, fields, index, recordType = null) {
+  if (recordType) {
+    const label = pick(row, fields.type);
+    return [buildCandidate(recordType, row, fields, index, label)];
+  }
+
+  if (fields.type !== undefined) {
+    const label = row[fields.type];
+    return [
+      {
+        ...buildCandidate(
+          classifyRecordType(label),
+          row,
+          fields,
+          index,
+          isBlank(label) ? undefined : String(label)
+        ),
+        label,
+      },
+    ];
+  }
+
+  const candidates = VALUE_TYPES.filter(
+    (type) => pick(row, fields[type]) !== undefined
+  ).map((type) => ({
+    recordType: type,
+    index,
+    date: pick(row, fields.date),
+    value: row[fields[type]],
+    unit: unitFromFieldName(fields[type]),
+    source: pick(row, fields.source),
+  }));
+
+  if (
+    pick(row, fields.workout) !== undefined &&
+    pick(row, fields.duration) !== undefined
+  ) {
+    candidates.push(buildCandidate("workouts", row, fields, index));
+  }
+
+  if (
+    pick(row, fields.food) !== undefined &&
+    pick(row, fields.calories) !== undefined
+  ) {
+    candidates.push(buildCandidate("nutrition", row, fields, index));
+  }
+
+  return candidates.length > 0
+    ? candidates
+    : [{ recordType: null, index, date: pick(row, fields.date) }];
+}
@@ -0,0 +1,172 @@
+// src/services/importAdapters/scaleLogs.js
+
+import { convertUnit } from "../unitService";
+import { unitFromFieldName } from "./fieldRules";
+import { isBlank } from "./rowRecords";
+
+/**
+ * Smart scale exports from Withings, Renpho and Eufy
+ *
+ * Every weigh-in becomes a weight record and a body composition record:
+ *
+ *   { date, weight, bodyFat, muscleMass, boneMass, visceralFat, water }
+ *
+ * in kg, % of body weight (bodyFat, muscleMass, water) and the scale's
+ * visceral fat rating, the shape of the body-composition-history entries
+ * BodyCompositionPanel records by hand. Withings writes fat, muscle and
+ * water as masses, which are turned into percentages of the weigh-in.
+ *
+ * The unit of a column is read from its header ("Weight (lb)",
+ * "Bone Mass(kg)"); columns without one are kilograms or percentages.
+ */
+
+// Measurements read from scale exports, by header without its unit;
+// `mass` columns are converted into % of body weight
+const SCALE_COLUMNS = {
+  weight: ["weight"],
+  bodyFat: ["body fat", "fat ratio"],
+  fatMass: { mass: "bodyFat", names: ["fat mass"] },
+  muscleMass: ["skeletal muscle"],
+  muscleWeight: { mass: "muscleMass", names: ["muscle mass"] },
+  boneMass: ["bone mass"],
+  water: ["body water"],
+  waterMass: { mass: "water", names: ["hydration"] },
+  visceralFat: ["visceral fat"],
+};
+
+// Header without a trailing "(kg)" style unit, lowercased
+function baseName(header) {
+  return header
+    .replace(/\s*[([][^()[\]]*[)\]]\s*$/, "")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Find the column and unit of each SCALE_COLUMNS entry in a file
+ */
+function findColumns(headers) {
+  const columns = {};
+  Object.entries(SCALE_COLUMNS).forEach(([field, rule]) => {
+    const names = Array.isArray(rule) ? rule : rule.names;
+    const header = headers.find((name) => names.includes(baseName(name)));
+    if (header) {
+      columns[field] = { header, unit: unitFromFieldName(header) };
+    }
+  });
+  return columns;
+}
+
+function number(value) {
+  if (isBlank(value)) return null;
+  const parsed = parseFloat(String(value).replace(",", "."));
+  return isNaN(parsed) ? null : parsed;
+}
+
+const withings = {
+  id: "withings",
+  label: "Withings",
+  matches: (headers, columns) =>
+    headers.includes("Date") && columns.weight && columns.fatMass,
+  date: (row) => row.Date,
+};
+
+const renpho = {
+  id: "renpho",
+  label: "Renpho",
+  matches: (headers, columns) =>
+    headers.includes("Time of Measurement") && columns.weight,
+  date: (row) => row["Time of Measurement"],
+};
+
+const eufy = {
+  id: "eufy",
+  label: "Eufy",
+  matches: (headers, columns) =>
+    headers.includes("Date") &&
+    headers.includes("Time") &&
+    columns.weight &&
+    columns.water,
+  date: (row) => (isBlank(row.Time) ? row.Date : `${row.Date} ${row.Time}`),
+};
+
+export const SCALE_FORMATS = [withings, renpho, eufy];
+
+/**
+ * Recognise a smart scale export from its CSV headers
+ *
+ * @param {string[]} headers - Column names of the file
+ * @returns {Object|null} Entry of SCALE_FORMATS with the file's columns
+ */
+export function detectScaleLog(headers) {
+  const columns = findColumns(headers);
+  const format = SCALE_FORMATS.find((entry) => entry.matches(headers, columns));
+  return format ? { ...format, columns } : null;
+}
+
+function readRow(row, index, format) {
+  const { columns } = format;
+  const value = (field) =>
+    columns[field] ? number(row[columns[field].header]) : null;
+  const unit = (field) => columns[field].unit || "kg";
+
+  const weight = value("weight");
+  const date = format.date(row);
+  // Scales write a row per user profile setup or failed reading too
+  if (weight === null) {
+    return [{ recordType: null, index, error: "Missing weight" }];
+  }
+
+  const composition = {
+    recordType: "bodyComposition",
+    index,
+    date,
+    weight,
+    unit: unit("weight"),
+    bodyFat: value("bodyFat"),
+    muscleMass: value("muscleMass"),
+    boneMass: value("boneMass"),
+    boneMassUnit: columns.boneMass ? unit("boneMass") : null,
+    visceralFat: value("visceralFat"),
+    water: value("water"),
+    source: format.label,
+  };
+
+  try {
+    Object.entries(SCALE_COLUMNS).forEach(([field, rule]) => {
+      const mass = value(field);
+      if (Array.isArray(rule) || mass === null || composition[rule.mass]) {
+        return;
+      }
+      const inWeightUnit = convertUnit(mass, unit(field), unit("weight"));
+      composition[rule.mass] = Math.round((inWeightUnit / weight) * 1000) / 10;
+    });
+  } catch (error) {
+    // Unknown units in a column header
+    return [{ recordType: null, index, error: error.message }];
+  }
+
+  return [
+    {
+      recordType: "weight",
+      index,
+      date,
+      value: weight,
+      unit: unit("weight"),
+      source: format.label,
+    },
+    composition,
+  ];
+}
+
+/**
+ * Turn the rows of a scale export into weight and body composition
+ * candidates
+ *
+ * @param {Array} rows - CSV rows keyed by header
+ * @param {Object} format - Result of detectScaleLog
+ * @returns {Array} Two candidates per weigh-in
+ */
+export function readScaleLog(rows, format) {
+  return rows.flatMap((row, index) => readRow(row, index, format));
+}
@@ -0,0 +1,69 @@
+// src/services/importAdapters/sleepSessions.js
+
+/**
+ * Whole nights of sleep
+ *
+ * Apple Health exports one record per sleep stage, but Fitbit and Google
+ * Fit summarise each night. Those nights are stored as a single sleep
+ * record with the SLEEP_SESSION_CATEGORY category and the shape
+ * sleepDataService.validateSleepPatterns works with, all in hours:
+ *
+ *   { value, timeInBed, sleepEfficiency, stages: { deep, core, rem, awake } }
+ *
+ * Stages are named after Apple's: light sleep is "core".
+ */
+
+export const SLEEP_SESSION_CATEGORY = "session";
+
+export const SLEEP_STAGES = ["deep", "core", "rem", "awake"];
+
+/**
+ * Build the sleep candidate of one night
+ *
+ * @param {Object} night
+ * @param {string} night.start - When the night started
+ * @param {string} night.end - When it ended
+ * @param {Object} night.stageMinutes - Minutes per SLEEP_STAGES key, or
+ *   null when the device did not track stages
+ * @param {number} night.asleepMinutes - Minutes asleep, when no stages
+ * @param {number} night.inBedMinutes - Minutes in bed; the time between
+ *   start and end when not given
+ * @param {number} night.efficiency - Sleep efficiency in %; asleep time
+ *   over time in bed when not given
+ * @param {string} night.source - App or device that recorded it
+ * @param {number} index - Position of the night in the file
+ * @returns {Object} Sleep candidate
+ */
+export function sleepSessionCandidate(night, index) {
+  const { start, end, stageMinutes, source } = night;
+  const inBedMinutes =
+    night.inBedMinutes ?? (new Date(end) - new Date(start)) / 60000;
+  const asleepMinutes = stageMinutes
+    ? stageMinutes.deep + stageMinutes.core + stageMinutes.rem
+    : night.asleepMinutes;
+
+  const candidate = {
+    recordType: "sleep",
+    index,
+    date: start,
+    endDate: end,
+    value: asleepMinutes / 60,
+    unit: "hours",
+    category: SLEEP_SESSION_CATEGORY,
+    timeInBed: inBedMinutes / 60,
+    sleepEfficiency:
+      night.efficiency ??
+      (inBedMinutes > 0
+        ? Math.round((asleepMinutes / inBedMinutes) * 100)
+        : null),
+    source,
+  };
+
+  if (stageMinutes) {
+    candidate.stages = {};
+    SLEEP_STAGES.forEach((stage) => {
+      candidate.stages[stage] = (stageMinutes[stage] || 0) / 60;
+    });
+  }
+  return candidate;
+}
@@ -0,0 +1,270 @@
+// src/services/importAdapters/strengthLogs.js
+
+import { matchExercise } from "../../utils/exerciseUtils";
+import { toCanonical } from "../unitService";
+import { parseDateTime } from "./dateFormats";
+import { isBlank } from "./rowRecords";
+
+/**
+ * Set-by-set logs exported by strength training apps
+ *
+ * Strong, Hevy and FitNotes write one CSV row per set. The csv adapter
+ * recognises them by their headers and the rows of each session become a
+ * single workout whose `exercises` keep every set in order:
+ *
+ *   [{ name, exerciseId, notes, sets: [{ order, type, weight, reps, rpe,
+ *      distance, seconds, notes }] }]
+ *
+ * Weights are stored in kg and distances in m. exerciseId is the fitlib
+ * library id found by exerciseUtils.matchExercise, or null.
+ */
+
+export const STRENGTH_WORKOUT_TYPE = "Strength Training";
+
+// Strong marks special sets with a letter instead of a number
+const STRONG_SET_TYPES = { W: "warmup", D: "dropset", F: "failure" };
+
+function text(value) {
+  return isBlank(value) ? null : String(value).trim();
+}
+
+function number(value) {
+  if (isBlank(value)) return null;
+  const parsed = parseFloat(String(value).replace(",", "."));
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Read "1h 5m", "45m 30s", "1:05:00" or a plain number of seconds
+ */
+function parseDurationText(value) {
+  const raw = text(value);
+  if (raw === null) return null;
+  if (/^\d+(\.\d+)?$/.test(raw)) return Number(raw);
+
+  const clock = raw.match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    const [, hours = 0, minutes, seconds] = clock;
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  const parts = [...raw.matchAll(/(\d+(?:\.\d+)?)\s*([hms])/gi)];
+  if (parts.length === 0) return null;
+  const scale = { h: 3600, m: 60, s: 1 };
+  return parts.reduce(
+    (total, [, amount, unit]) => total + amount * scale[unit.toLowerCase()],
+    0
+  );
+}
+
+// First of the given columns the file has
+function findColumn(headers, names) {
+  return names.find((name) => headers.includes(name));
+}
+
+// The unit of a "Weight (lbs)" style header, if any
+function headerUnit(column) {
+  const match = column && column.match(/\(([^)]+)\)$/);
+  return match ? match[1] : null;
+}
+
+const strong = {
+  id: "strong",
+  label: "Strong",
+  matches: (headers) =>
+    headers.includes("Exercise Name") && headers.includes("Set Order"),
+
+  session: (row) => ({
+    key: `${row.Date}|${row["Workout Name"]}`,
+    date: row.Date,
+    name: text(row["Workout Name"]),
+    notes: text(row["Workout Notes"]),
+    duration: parseDurationText(row.Duration),
+  }),
+
+  // Strong writes weights in the app's unit without saying which, unless
+  // the export has unit columns; kg and km are assumed otherwise
+  set: (row) => {
+    const order = text(row["Set Order"]);
+    return {
+      exercise: text(row["Exercise Name"]),
+      order: number(order),
+      type: STRONG_SET_TYPES[order] || "normal",
+      weight: number(row.Weight),
+      weightUnit: text(row["Weight Unit"]) || "kg",
+      reps: number(row.Reps),
+      rpe: number(row.RPE),
+      distance: number(row.Distance),
+      distanceUnit: text(row["Distance Unit"]) || "km",
+      seconds: number(row.Seconds),
+      notes: text(row.Notes),
+    };
+  },
+};
+
+const hevy = {
+  id: "hevy",
+  label: "Hevy",
+  matches: (headers) =>
+    headers.includes("exercise_title") && headers.includes("set_index"),
+
+  session: (row) => {
+    const start = parseDateTime(row.start_time);
+    const end = isBlank(row.end_time) ? null : parseDateTime(row.end_time);
+    return {
+      key: `${row.start_time}|${row.title}`,
+      date: row.start_time,
+      endDate: text(row.end_time),
+      name: text(row.title),
+      notes: text(row.description),
+      duration:
+        start && end
+          ? (end.date.getTime() - start.date.getTime()) / 1000
+          : null,
+    };
+  },
+
+  set: (row) => ({
+    exercise: text(row.exercise_title),
+    exerciseNotes: text(row.exercise_notes),
+    order: number(row.set_index) === null ? null : number(row.set_index) + 1,
+    type: text(row.set_type) || "normal",
+    weight: number(row.weight_kg ?? row.weight_lbs),
+    weightUnit: row.weight_kg !== undefined ? "kg" : "lb",
+    reps: number(row.reps),
+    rpe: number(row.rpe),
+    distance: number(row.distance_km ?? row.distance_miles),
+    distanceUnit: row.distance_km !== undefined ? "km" : "mi",
+    seconds: number(row.duration_seconds),
+    notes: null,
+  }),
+};
+
+const fitNotes = {
+  id: "fitnotes",
+  label: "FitNotes",
+  matches: (headers) =>
+    ["Exercise", "Category", "Reps"].every((name) => headers.includes(name)),
+
+  // FitNotes logs days, not timed sessions
+  session: (row) => ({
+    key: row.Date,
+    date: row.Date,
+    name: null,
+    notes: null,
+    duration: null,
+  }),
+
+  set: (row) => {
+    const weightColumn = findColumn(Object.keys(row), [
+      "Weight (kgs)",
+      "Weight (kg)",
+      "Weight (lbs)",
+      "Weight (lb)",
+      "Weight",
+    ]);
+    return {
+      exercise: text(row.Exercise),
+      order: null,
+      type: "normal",
+      weight: number(row[weightColumn]),
+      weightUnit: headerUnit(weightColumn) || text(row["Weight Unit"]) || "kg",
+      reps: number(row.Reps),
+      rpe: null,
+      distance: number(row.Distance),
+      distanceUnit: text(row["Distance Unit"]) || "km",
+      seconds: parseDurationText(row.Time),
+      notes: text(row.Comment),
+    };
+  },
+};
+
+export const STRENGTH_LOG_FORMATS = [strong, hevy, fitNotes];
+
+/**
+ * Recognise a strength app export from its CSV headers
+ *
+ * @param {string[]} headers - Column names of the file
+ * @returns {Object|null} Entry of STRENGTH_LOG_FORMATS
+ */
+export function detectStrengthLog(headers) {
+  return STRENGTH_LOG_FORMATS.find((format) => format.matches(headers)) || null;
+}
+
+function convert(dataType, value, unit) {
+  if (value === null) return null;
+  return toCanonical(dataType, value, unit).value;
+}
+
+function buildSet(set, position) {
+  return {
+    order: set.order ?? position,
+    type: set.type,
+    weight: convert("weight", set.weight, set.weightUnit),
+    reps: set.reps,
+    rpe: set.rpe,
+    distance: convert("distance", set.distance, set.distanceUnit),
+    seconds: set.seconds,
+    notes: set.notes,
+  };
+}
+
+/**
+ * Group the rows of a strength log into workout candidates
+ *
+ * @param {Array} rows - CSV rows keyed by header
+ * @param {Object} format - Entry of STRENGTH_LOG_FORMATS
+ * @returns {Array} Workout candidates, one per session
+ */
+export function readStrengthLog(rows, format) {
+  const sessions = new Map();
+
+  rows.forEach((row, index) => {
+    const session = format.session(row);
+    if (!sessions.has(session.key)) {
+      sessions.set(session.key, { ...session, index, rows: [] });
+    }
+    sessions.get(session.key).rows.push(row);
+  });
+
+  return Array.from(sessions.values()).map(({ key, rows, ...session }) => {
+    const candidate = {
+      recordType: "workouts",
+      index: session.index,
+      date: session.date,
+      endDate: session.endDate,
+      type: STRENGTH_WORKOUT_TYPE,
+      name: session.name,
+      notes: session.notes,
+      duration: session.duration,
+      unit: "s",
+      source: format.label,
+    };
+
+    // Exercises in the order they were first logged, sets in file order
+    const exercises = new Map();
+    try {
+      rows.forEach((row) => {
+        const set = format.set(row);
+        if (!set.exercise) return;
+
+        if (!exercises.has(set.exercise)) {
+          const match = matchExercise(set.exercise);
+          exercises.set(set.exercise, {
+            name: set.exercise,
+            exerciseId: match ? match.id : null,
+            notes: set.exerciseNotes || null,
+            sets: [],
+          });
+        }
+        const { sets } = exercises.get(set.exercise);
+        sets.push(buildSet(set, sets.length + 1));
+      });
+    } catch (error) {
+      // Unknown weight or distance units
+      return { ...candidate, error: error.message };
+    }
+
+    return { ...candidate, exercises: Array.from(exercises.values()) };
+  });
+}
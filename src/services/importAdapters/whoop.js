@@ -0,0 +1,225 @@
+// src/services/importAdapters/whoop.js
+
+import { recoveryCandidates } from "./recoveryMetrics";
+import { isBlank } from "./rowRecords";
+import { sleepSessionCandidate } from "./sleepSessions";
+
+/**
+ * WHOOP data export ("my_whoop_data" archive)
+ *
+ * - physiological_cycles.csv has one row per cycle (a day, from falling
+ *   asleep to falling asleep again) with the recovery measured in the
+ *   night that opened it and the day's strain.
+ * - sleeps.csv has one row per sleep, naps included, with stage minutes.
+ * - workouts.csv has one row per activity with its strain.
+ *
+ * Times are local ("2024-03-04 22:51:03") with the offset in a separate
+ * "Cycle timezone" column ("UTC-05:00"). Recovery metrics are dated by the
+ * wake onset of their night, so the breathing rate both cycles and sleeps
+ * list is only imported once.
+ */
+
+export const WHOOP_LABEL = "WHOOP";
+
+// WHOOP writes absolute skin temperature but shows the difference from a
+// personal baseline; the baseline here is the average of the cycles
+// before, once there are enough of them
+const SKIN_TEMP_BASELINE_CYCLES = 30;
+const MIN_SKIN_TEMP_BASELINE_CYCLES = 3;
+
+const SKIN_TEMP_COLUMN = "Skin temp (celsius)";
+
+function number(value) {
+  if (isBlank(value)) return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Join a WHOOP time and the row's timezone into ISO 8601
+ */
+function whoopDateTime(value, timezone) {
+  if (isBlank(value)) return null;
+  const time = String(value).trim().replace(" ", "T");
+  const offset = String(timezone || "").match(/^UTC([+-]\d{2}:\d{2})$/);
+  return offset ? `${time}${offset[1]}` : time;
+}
+
+function rowTime(row, column) {
+  return whoopDateTime(row[column], row["Cycle timezone"]);
+}
+
+// Night the recovery was measured in, falling back to the cycle start
+// for cycles without a scored sleep
+function recoveryDate(row) {
+  return rowTime(row, "Wake onset") || rowTime(row, "Cycle start time");
+}
+
+/**
+ * Difference of each cycle's skin temperature from the average of the
+ * cycles before it
+ *
+ * @returns {Map} Deviation in °C by row
+ */
+function skinTemperatureDeviations(rows) {
+  const readings = rows
+    .map((row) => ({
+      row,
+      value: number(row[SKIN_TEMP_COLUMN]),
+      time: new Date(rowTime(row, "Cycle start time")).getTime(),
+    }))
+    .filter(({ value, time }) => value !== null && !isNaN(time))
+    // Exports list the newest cycle first
+    .sort((a, b) => a.time - b.time);
+
+  const deviations = new Map();
+  readings.forEach(({ row, value }, position) => {
+    const baseline = readings.slice(
+      Math.max(0, position - SKIN_TEMP_BASELINE_CYCLES),
+      position
+    );
+    if (baseline.length < MIN_SKIN_TEMP_BASELINE_CYCLES) return;
+
+    const average =
+      baseline.reduce((sum, reading) => sum + reading.value, 0) /
+      baseline.length;
+    deviations.set(row, Math.round((value - average) * 100) / 100);
+  });
+  return deviations;
+}
+
+function readNight(row, index) {
+  const minutes = (column) => number(row[column]) ?? 0;
+  return sleepSessionCandidate(
+    {
+      start: rowTime(row, "Sleep onset"),
+      end: rowTime(row, "Wake onset"),
+      stageMinutes: {
+        deep: minutes("Deep (SWS) duration (min)"),
+        core: minutes("Light sleep duration (min)"),
+        rem: minutes("REM duration (min)"),
+        awake: minutes("Awake duration (min)"),
+      },
+      inBedMinutes: number(row["In bed duration (min)"]),
+      efficiency: number(row["Sleep efficiency %"]),
+      source: WHOOP_LABEL,
+    },
+    index
+  );
+}
+
+const whoopCycles = {
+  id: "whoop-cycles",
+  matches: (headers) =>
+    headers.includes("Cycle start time") && headers.includes("Day Strain"),
+  read: (rows) => {
+    const deviations = skinTemperatureDeviations(rows);
+
+    return rows.flatMap((row, index) => {
+      const date = recoveryDate(row);
+      if (!date) {
+        return [{ recordType: null, index, error: "Missing cycle start" }];
+      }
+
+      const candidates = recoveryCandidates(
+        row,
+        {
+          heartRateVariability: "Heart rate variability (ms)",
+          restingHeartRate: "Resting heart rate (bpm)",
+          respiratoryRate: "Respiratory rate (rpm)",
+        },
+        { index, date, source: WHOOP_LABEL }
+      );
+      if (deviations.has(row)) {
+        candidates.push({
+          recordType: "temperatureDeviation",
+          index,
+          date,
+          value: deviations.get(row),
+          unit: "°C",
+          source: WHOOP_LABEL,
+        });
+      }
+      // Strain belongs to the day the cycle covers
+      return [
+        ...candidates,
+        ...recoveryCandidates(
+          row,
+          { strain: "Day Strain" },
+          { index, date: rowTime(row, "Cycle start time"), source: WHOOP_LABEL }
+        ),
+      ];
+    });
+  },
+};
+
+const whoopSleeps = {
+  id: "whoop-sleeps",
+  matches: (headers) =>
+    headers.includes("Sleep onset") &&
+    headers.includes("Asleep duration (min)") &&
+    !headers.includes("Day Strain"),
+  read: (rows) =>
+    rows.flatMap((row, index) => {
+      if (isBlank(row["Sleep onset"]) || isBlank(row["Wake onset"])) {
+        return [{ recordType: null, index, error: "Missing sleep times" }];
+      }
+      return [
+        readNight(row, index),
+        ...recoveryCandidates(
+          row,
+          { respiratoryRate: "Respiratory rate (rpm)" },
+          { index, date: recoveryDate(row), source: WHOOP_LABEL }
+        ),
+      ];
+    }),
+};
+
+const whoopWorkouts = {
+  id: "whoop-workouts",
+  matches: (headers) =>
+    headers.includes("Workout start time") &&
+    headers.includes("Activity Strain"),
+  read: (rows) =>
+    rows.map((row, index) => ({
+      recordType: "workouts",
+      index,
+      date: rowTime(row, "Workout start time"),
+      endDate: rowTime(row, "Workout end time"),
+      type: row["Activity name"],
+      duration: row["Duration (min)"],
+      unit: "min",
+      // WHOOP's "cal" are kilocalories
+      calories: row["Energy burned (cal)"],
+      distance: row["Distance (meters)"],
+      distanceUnit: "m",
+      avgHeartRate: row["Average HR (bpm)"],
+      maxHeartRate: row["Max HR (bpm)"],
+      elevationGain: row["Altitude gain (meters)"],
+      strain: row["Activity Strain"],
+      source: WHOOP_LABEL,
+    })),
+};
+
+export const WHOOP_FORMATS = [whoopCycles, whoopSleeps, whoopWorkouts];
+
+/**
+ * Recognise a WHOOP export from its CSV headers
+ *
+ * @param {string[]} headers - Column names of the file
+ * @returns {Object|null} Entry of WHOOP_FORMATS
+ */
+export function detectWhoopExport(headers) {
+  return WHOOP_FORMATS.find((format) => format.matches(headers)) || null;
+}
+
+/**
+ * Turn the rows of a WHOOP export into candidates
+ *
+ * @param {Array} rows - CSV rows keyed by header
+ * @param {Object} format - Entry of WHOOP_FORMATS
+ * @returns {Array} Sleep, recovery, strain or workout candidates
+ */
+export function readWhoopExport(rows, format) {
+  return format.read(rows);
+}
@@ -0,0 +1,740 @@
+// src/services/importEngine.js
+
+import { getLocalDay } from "../utils/dateUtils";
+import { DEFAULT_IMPORT_ADAPTERS } from "./importAdapters";
+import { IMPORT_BATCH_SIZE } from "./importAdapters/candidateBatches";
+import {
+  DATE_FORMATS,
+  DEFAULT_DATE_FORMAT,
+  detectDateFormat,
+  parseDateTime,
+} from "./importAdapters/dateFormats";
+import { isBlank } from "./importAdapters/rowRecords";
+import { SLEEP_STAGES } from "./importAdapters/sleepSessions";
+import { toCanonical } from "./unitService";
+
+/**
+ * Headless health data import engine
+ *
+ * Every import - from the settings UI, the Apple Health worker or a
+ * script - runs through processImport:
+ *
+ *   source -> adapter.parse() -> candidates -> normalizeRecord() -> records
+ *
+ * Format adapters (see importAdapters/index.js) only turn a file into loose
+ * candidates. Date parsing, number validation, defaults and error
+ * reporting happen here, once, so a file imports the same way everywhere.
+ * Candidates are normalised batch by batch, so adapters that stream a
+ * large file never have to hold all of it. The engine has no storage or UI
+ * dependencies; dataImportService commits its result.
+ */
+
+// Canonical record types and the unit values are stored in; records that
+// arrive in other units are converted through unitService. Only `signed`
+// types may hold negative values. `daily` types hold one record per day
+// and source, which a later import of that day replaces.
+export const RECORD_TYPES = {
+  heartRate: { label: "Heart rate", unit: "bpm" },
+  steps: { label: "Steps", unit: "count" },
+  weight: { label: "Weight", unit: "kg" },
+  sleep: { label: "Sleep", unit: "hours" },
+  vo2max: { label: "VO2 max", unit: "ml/kg/min" },
+  workouts: { label: "Workouts", unit: "min" },
+  nutrition: { label: "Nutrition", unit: "kcal" },
+  restingHeartRate: { label: "Resting heart rate", unit: "bpm" },
+  heartRateVariability: { label: "Heart rate variability", unit: "ms" },
+  respiratoryRate: { label: "Respiratory rate", unit: "breaths/min" },
+  temperatureDeviation: {
+    label: "Skin temperature deviation",
+    unit: "°C",
+    signed: true,
+  },
+  strain: { label: "Strain", unit: "score" },
+  bodyComposition: { label: "Body composition", unit: "kg" },
+  activitySummary: { label: "Activity rings", unit: "kcal", daily: true },
+  electrocardiogram: { label: "ECG", unit: "µV" },
+};
+
+// Workout distances without a unit are assumed to be kilometres
+const DEFAULT_DISTANCE_UNIT = "km";
+
+// Optional workout summary kept when an adapter reads it from a sensor
+// or route file, already in bpm, m/s, rpm, W, m and min (movingTime), and
+// the strain score WHOOP gives each activity
+const WORKOUT_DETAIL_FIELDS = [
+  "avgHeartRate",
+  "maxHeartRate",
+  "avgSpeed",
+  "maxSpeed",
+  "avgCadence",
+  "avgPower",
+  "maxPower",
+  "elevationGain",
+  "movingTime",
+  "strain",
+];
+
+// What a nutrition record totals; records without a kind are single foods
+export const NUTRITION_KINDS = ["food", "meal", "day"];
+
+// Body composition shares, in % of body weight, and the visceral fat
+// rating; weight and boneMass are masses converted to kg
+export const BODY_COMPOSITION_FIELDS = [
+  "bodyFat",
+  "muscleMass",
+  "water",
+  "visceralFat",
+];
+
+// Exercise minutes and stand hours of an Activity rings day, with goals
+const ACTIVITY_RING_FIELDS = [
+  "exercise",
+  "exerciseGoal",
+  "stand",
+  "standGoal",
+];
+
+// Details of an ECG recording besides its samples
+const ECG_DETAIL_FIELDS = [
+  "classification",
+  "symptoms",
+  "device",
+  "softwareVersion",
+  "lead",
+];
+
+// Only the first errors are kept in full; errorCount has the total
+export const MAX_REPORTED_ERRORS = 1000;
+
+// Records of each type kept for the preview
+const SAMPLE_SIZE = 3;
+
+const adapters = new Map();
+DEFAULT_IMPORT_ADAPTERS.forEach((adapter) => adapters.set(adapter.id, adapter));
+
+/**
+ * Register a format adapter, replacing any adapter with the same id
+ *
+ * @param {Object} adapter - { id, label, extensions, text?, parse }
+ */
+export function registerImportAdapter(adapter) {
+  if (!adapter || !adapter.id || typeof adapter.parse !== "function") {
+    throw new Error("Import adapters need an id and a parse function");
+  }
+  adapters.set(adapter.id, adapter);
+}
+
+/**
+ * List the registered format adapters
+ *
+ * @returns {Array} Adapters in registration order
+ */
+export function getImportAdapters() {
+  return Array.from(adapters.values());
+}
+
+/**
+ * Pick the adapter for a source
+ *
+ * An explicit `format` wins, then the file extension of `name`, then a
+ * guess from the content itself (objects and JSON text vs. anything else).
+ *
+ * @param {Object} source - { format?, name?, content }
+ * @returns {Object} The adapter
+ */
+export function resolveImportAdapter({ format, name, content }) {
+  if (format) {
+    const adapter = adapters.get(format);
+    if (!adapter) throw new Error(`Unsupported import format: ${format}`);
+    return adapter;
+  }
+
+  if (name && name.includes(".")) {
+    const extension = name.split(".").pop().toLowerCase();
+    const adapter = getImportAdapters().find(({ extensions = [] }) =>
+      extensions.includes(extension)
+    );
+    if (!adapter) throw new Error(`Unsupported file type: ${extension}`);
+    return adapter;
+  }
+
+  if (typeof content === "string") {
+    const firstChar = content.trimStart()[0];
+    const looksLikeJson = firstChar === "[" || firstChar === "{";
+    return adapters.get(looksLikeJson ? "json" : "csv");
+  }
+  if (content && typeof content === "object" && !isBlob(content)) {
+    return adapters.get("json");
+  }
+
+  throw new Error("Unable to determine the format of the import");
+}
+
+function createCollections() {
+  return Object.fromEntries(
+    Object.keys(RECORD_TYPES).map((recordType) => [recordType, []])
+  );
+}
+
+function isBlob(value) {
+  return typeof Blob !== "undefined" && value instanceof Blob;
+}
+
+function toNumber(value) {
+  return typeof value === "number" ? value : parseFloat(value);
+}
+
+function optionalNumber(value, fallback = null) {
+  if (isBlank(value)) return fallback;
+  const number = toNumber(value);
+  return isNaN(number) ? fallback : number;
+}
+
+/**
+ * Convert a value into the canonical unit of a metric, or describe why the
+ * recorded unit cannot be used
+ */
+function convertValue(dataType, value, unit, field = "unit") {
+  try {
+    return toCanonical(dataType, value, isBlank(unit) ? null : String(unit));
+  } catch (error) {
+    return {
+      error: { field, value: unit, reason: `Unsupported unit "${unit}"` },
+    };
+  }
+}
+
+function optionalDate(value, options) {
+  if (isBlank(value)) return null;
+  const parsed = parseDateTime(value, options);
+  return parsed ? parsed.date.toISOString() : null;
+}
+
+/**
+ * Identity of a record for de-duplication: record type, timestamp, value
+ * and source. Workouts and meals have no single value, so their type and
+ * duration / name and calories stand in for it. Records of `daily` types
+ * are identified by their day and source alone, as their values grow
+ * until the day is over.
+ *
+ * @param {string} recordType - Key of RECORD_TYPES
+ * @param {Object} record - Stored record
+ * @returns {string} Key that is equal for duplicate records
+ */
+export function getRecordKey(recordType, record) {
+  if (RECORD_TYPES[recordType].daily) {
+    const day = getLocalDay(record.date, record.utcOffset);
+    return [recordType, day, record.source || ""].join("|");
+  }
+
+  let value = record.value;
+  if (recordType === "workouts") value = `${record.type}:${record.duration}`;
+  if (recordType === "nutrition") value = `${record.name}:${record.calories}`;
+  if (recordType === "bodyComposition") {
+    value = `${record.weight}:${record.bodyFat}`;
+  }
+  if (recordType === "electrocardiogram") value = record.classification;
+
+  // Compare instants so differently formatted timestamps still match
+  const time = new Date(record.date).getTime();
+
+  return [
+    recordType,
+    isNaN(time) ? record.date : time,
+    value,
+    record.source || "",
+  ].join("|");
+}
+
+/**
+ * Validate a candidate and turn it into a stored record
+ *
+ * Dates are stored as UTC ISO strings; `utcOffset` keeps the offset (in
+ * minutes east of UTC) the source wrote them in, see dateUtils.getLocalDay.
+ *
+ * @param {Object} candidate - Loose record produced by an adapter
+ * @param {Object} options
+ * @param {string} options.dateFormat - Day/month order of numeric dates
+ * @returns {Object} { record } on success, { error } describing the problem
+ */
+export function normalizeRecord(candidate, options = {}) {
+  const { recordType, label } = candidate;
+
+  if (candidate.error) {
+    return { error: { reason: candidate.error } };
+  }
+
+  if (!RECORD_TYPES[recordType]) {
+    return {
+      error: isBlank(label)
+        ? { reason: "No health data found" }
+        : {
+            field: "type",
+            value: label,
+            reason: `Unrecognised record type "${label}"`,
+          },
+    };
+  }
+
+  if (isBlank(candidate.date)) {
+    return { error: { field: "date", reason: "Missing date" } };
+  }
+
+  const parsed = parseDateTime(candidate.date, options);
+  if (!parsed) {
+    return {
+      error: {
+        field: "date",
+        value: candidate.date,
+        reason: "Unrecognised date",
+      },
+    };
+  }
+
+  const base = {
+    date: parsed.date.toISOString(),
+    utcOffset: parsed.utcOffset,
+    unit: RECORD_TYPES[recordType].unit,
+    source: isBlank(candidate.source) ? null : String(candidate.source),
+  };
+
+  if (recordType === "workouts") {
+    // Strength logs list their sets even when the app did not time the
+    // session (FitNotes), so only they may leave the duration out
+    const hasExercises = Array.isArray(candidate.exercises);
+    if (isBlank(candidate.duration) && !hasExercises) {
+      return { error: { field: "duration", reason: "Missing duration" } };
+    }
+
+    const duration = isBlank(candidate.duration)
+      ? null
+      : toNumber(candidate.duration);
+    if (duration !== null && (isNaN(duration) || duration < 0)) {
+      return {
+        error: {
+          field: "duration",
+          value: candidate.duration,
+          reason: "Duration is not a valid number",
+        },
+      };
+    }
+
+    const minutes =
+      duration === null
+        ? { value: null }
+        : convertValue("workouts", duration, candidate.unit);
+    if (minutes.error) return minutes;
+
+    // Distances are stored in metres, like every other length
+    const rawDistance = optionalNumber(candidate.distance);
+    let distance = null;
+    if (rawDistance !== null) {
+      const converted = convertValue(
+        "distance",
+        rawDistance,
+        isBlank(candidate.distanceUnit)
+          ? DEFAULT_DISTANCE_UNIT
+          : candidate.distanceUnit,
+        "distanceUnit"
+      );
+      if (converted.error) return converted;
+      distance = converted.value;
+    }
+
+    const record = {
+      ...base,
+      endDate: optionalDate(candidate.endDate, options),
+      type: isBlank(candidate.type) ? "unknown" : String(candidate.type),
+      duration: minutes.value,
+      distance,
+    };
+    // Left out rather than null when the source does not report it
+    const calories = optionalNumber(candidate.calories);
+    if (calories !== null) record.calories = calories;
+
+    // Sensor and route files (FIT, GPX, TCX) also carry a summary, laps,
+    // pace splits and per-second streams
+    WORKOUT_DETAIL_FIELDS.forEach((field) => {
+      const value = optionalNumber(candidate[field]);
+      if (value !== null) record[field] = value;
+    });
+    if (Array.isArray(candidate.laps)) record.laps = candidate.laps;
+    // Strength app logs name the session and keep every set
+    if (!isBlank(candidate.name)) record.name = String(candidate.name);
+    if (!isBlank(candidate.notes)) record.notes = String(candidate.notes);
+    if (hasExercises) record.exercises = candidate.exercises;
+    if (Array.isArray(candidate.splits)) record.splits = candidate.splits;
+    if (candidate.streams && Array.isArray(candidate.streams.time)) {
+      record.streams = candidate.streams;
+    }
+
+    return { record };
+  }
+
+  if (recordType === "nutrition") {
+    const record = {
+      date: base.date,
+      utcOffset: base.utcOffset,
+      name: isBlank(candidate.name) ? "Unknown Food" : String(candidate.name),
+      calories: optionalNumber(candidate.calories, 0),
+      protein: optionalNumber(candidate.protein, 0),
+      carbs: optionalNumber(candidate.carbs, 0),
+      fat: optionalNumber(candidate.fat, 0),
+      source: base.source,
+    };
+
+    // Food diaries say whether a row is one food, a meal or a whole day,
+    // which meal it was and the micronutrients (see nutritionLogs)
+    if (NUTRITION_KINDS.includes(candidate.kind)) record.kind = candidate.kind;
+    if (!isBlank(candidate.meal)) record.meal = String(candidate.meal);
+    if (!isBlank(candidate.amount)) record.amount = String(candidate.amount);
+    if (!isBlank(candidate.notes)) record.notes = String(candidate.notes);
+    if (candidate.nutrients) {
+      record.nutrients = {};
+      Object.entries(candidate.nutrients).forEach(([nutrient, amount]) => {
+        const value = optionalNumber(amount);
+        if (value !== null) record.nutrients[nutrient] = value;
+      });
+    }
+
+    return { record };
+  }
+
+  if (recordType === "bodyComposition") {
+    // Scales that lack a sensor leave its columns blank
+    const record = {
+      date: base.date,
+      utcOffset: base.utcOffset,
+      source: base.source,
+    };
+
+    const masses = [
+      ["weight", candidate.unit, "unit"],
+      ["boneMass", candidate.boneMassUnit ?? candidate.unit, "boneMassUnit"],
+    ];
+    for (const [field, unit, unitField] of masses) {
+      const mass = optionalNumber(candidate[field]);
+      if (mass === null) continue;
+      const converted = convertValue("weight", mass, unit, unitField);
+      if (converted.error) return converted;
+      record[field] = converted.value;
+    }
+    BODY_COMPOSITION_FIELDS.forEach((field) => {
+      const value = optionalNumber(candidate[field]);
+      if (value !== null) record[field] = value;
+    });
+
+    if (Object.keys(record).length === 3) {
+      return { error: { reason: "No body composition values" } };
+    }
+    return { record };
+  }
+
+  if (recordType === "activitySummary") {
+    // The Move ring is energy, or minutes in move time mode
+    const moveUnit = candidate.unit === "min" ? "min" : base.unit;
+    const record = {
+      date: base.date,
+      utcOffset: base.utcOffset,
+      moveUnit,
+      source: base.source,
+    };
+
+    for (const field of ["move", "moveGoal"]) {
+      const amount = optionalNumber(candidate[field]);
+      if (amount === null) continue;
+      const converted =
+        moveUnit === "min"
+          ? { value: amount }
+          : convertValue("calories", amount, candidate.unit);
+      if (converted.error) return converted;
+      record[field] = converted.value;
+    }
+    ACTIVITY_RING_FIELDS.forEach((field) => {
+      const value = optionalNumber(candidate[field]);
+      if (value !== null) record[field] = value;
+    });
+
+    if (Object.keys(record).length === 4) {
+      return { error: { reason: "No activity ring values" } };
+    }
+    return { record };
+  }
+
+  if (recordType === "electrocardiogram") {
+    const samples = Array.isArray(candidate.samples)
+      ? candidate.samples.filter((sample) => typeof sample === "number")
+      : [];
+    if (samples.length === 0) {
+      return { error: { field: "samples", reason: "No ECG samples" } };
+    }
+
+    const record = {
+      date: base.date,
+      utcOffset: base.utcOffset,
+      unit: isBlank(candidate.unit) ? base.unit : String(candidate.unit),
+      sampleRate: optionalNumber(candidate.sampleRate),
+      samples,
+      source: base.source,
+    };
+    ECG_DETAIL_FIELDS.forEach((field) => {
+      record[field] = isBlank(candidate[field])
+        ? null
+        : String(candidate[field]);
+    });
+    return { record };
+  }
+
+  if (isBlank(candidate.value)) {
+    return { error: { field: "value", reason: "Missing value" } };
+  }
+
+  const value = toNumber(candidate.value);
+  if (isNaN(value) || (value < 0 && !RECORD_TYPES[recordType].signed)) {
+    return {
+      error: {
+        field: "value",
+        value: candidate.value,
+        reason: "Value is not a valid number",
+      },
+    };
+  }
+
+  // Step counts have no unit to convert
+  const converted =
+    recordType === "steps"
+      ? { value: Math.round(value), unit: base.unit }
+      : convertValue(recordType, value, candidate.unit);
+  if (converted.error) return converted;
+
+  if (recordType === "sleep") {
+    const record = {
+      ...base,
+      value: converted.value,
+      endDate: optionalDate(candidate.endDate, options),
+      category: isBlank(candidate.category)
+        ? "unknown"
+        : String(candidate.category),
+    };
+
+    // Whole nights (see importAdapters/sleepSessions) also have the time
+    // in bed and hours per stage
+    const timeInBed = optionalNumber(candidate.timeInBed);
+    const sleepEfficiency = optionalNumber(candidate.sleepEfficiency);
+    if (timeInBed !== null) record.timeInBed = timeInBed;
+    if (sleepEfficiency !== null) record.sleepEfficiency = sleepEfficiency;
+    if (candidate.stages) {
+      record.stages = {};
+      SLEEP_STAGES.forEach((stage) => {
+        record.stages[stage] = optionalNumber(candidate.stages[stage], 0);
+      });
+    }
+
+    return { record };
+  }
+
+  // Scores and deviations have no unit to convert
+  const endDate = optionalDate(candidate.endDate, options);
+  return {
+    record: {
+      ...base,
+      // Summed samples keep their span for resolving overlapping sources
+      ...(endDate && { endDate }),
+      unit: converted.unit || base.unit,
+      value: converted.value,
+    },
+  };
+}
+
+/**
+ * Parse, validate and normalise an import without saving anything
+ *
+ * Candidates are normalised in batches of IMPORT_BATCH_SIZE as the adapter
+ * delivers them. With `onBatch` every batch of records is handed on and
+ * then dropped, so a file of any size is processed in bounded memory and
+ * the result only describes it; without it the records are collected into
+ * the result.
+ *
+ * @param {Object} source
+ * @param {string} source.content - File text, parsed rows/objects or a Blob
+ * @param {string} source.name - File name, used to pick an adapter
+ * @param {string} source.format - Adapter id, overrides the file name
+ * @param {Object} options
+ * @param {Function} options.onProgress - Passed to adapters that stream
+ * @param {Function} options.onBatch - Called (and awaited) with each batch
+ *   of records, shaped like result.records
+ * @param {string} options.dateFormat - "mdy" or "dmy" to override the
+ *   day/month order detected from the file's dates
+ * @param {Object} options.mapping - Column mapping for tabular files
+ *   ({ date, value, unit, type, recordType })
+ * @param {Function} options.resolveMapping - Looks up a saved mapping
+ *   profile ({ name, mapping }) for a file's headers
+ * @returns {Promise<Object>} { format, records, counts, samples, dateRange,
+ *   dateFormat, columns, errors, errorCount, files } where records maps
+ *   each RECORD_TYPES key to an array (null with onBatch), samples holds
+ *   the first records of each type, dateFormat is { format, detected,
+ *   ambiguous, overridden }, columns describes tabular files (see
+ *   importAdapters/index.js) and errors are { index, recordType, field,
+ *   value, reason }
+ */
+export async function processImport(
+  source,
+  {
+    onProgress,
+    onBatch,
+    dateFormat: dateFormatOverride,
+    mapping,
+    resolveMapping,
+  } = {}
+) {
+  if (dateFormatOverride && !DATE_FORMATS[dateFormatOverride]) {
+    throw new Error(`Unsupported date format: ${dateFormatOverride}`);
+  }
+
+  const adapter = resolveImportAdapter(source);
+
+  let { content } = source;
+  if (adapter.text && isBlob(content)) {
+    content = await content.text();
+  }
+
+  const records = onBatch ? null : createCollections();
+  const samples = createCollections();
+  const counts = Object.fromEntries(
+    Object.keys(RECORD_TYPES).map((recordType) => [recordType, 0])
+  );
+  const errors = [];
+  let errorCount = 0;
+  let detection = null;
+  let dateFormat = null;
+  let earliest = null;
+  let latest = null;
+
+  const reportError = (error) => {
+    errorCount++;
+    if (errors.length < MAX_REPORTED_ERRORS) errors.push(error);
+  };
+
+  const normalizeBatch = async (candidates) => {
+    if (candidates.length === 0) return;
+
+    // One day/month order per file, detected from its first batch
+    if (!detection) {
+      detection = adapter.isoDates
+        ? { format: null, ambiguous: false }
+        : detectDateFormat(
+            candidates.flatMap(({ date, endDate }) => [date, endDate])
+          );
+      dateFormat =
+        dateFormatOverride || detection.format || DEFAULT_DATE_FORMAT;
+    }
+
+    const batch = createCollections();
+    candidates.forEach((candidate) => {
+      const { record, error } = normalizeRecord(candidate, { dateFormat });
+
+      if (error) {
+        reportError({
+          index: candidate.index ?? null,
+          recordType: candidate.recordType || null,
+          field: null,
+          ...error,
+        });
+        return;
+      }
+
+      const { recordType } = candidate;
+      batch[recordType].push(record);
+      counts[recordType]++;
+      if (samples[recordType].length < SAMPLE_SIZE) {
+        samples[recordType].push(record);
+      }
+
+      // Days as written in the source, so late evenings keep their date
+      const day = getLocalDay(record.date, record.utcOffset);
+      if (earliest === null || day < earliest) earliest = day;
+      if (latest === null || day > latest) latest = day;
+    });
+
+    if (onBatch) {
+      await onBatch(batch);
+    } else {
+      Object.entries(batch).forEach(([recordType, items]) => {
+        items.forEach((record) => records[recordType].push(record));
+      });
+    }
+  };
+
+  // Adapters that stream hand over batches while they parse
+  const parsed = await adapter.parse(
+    { ...source, content },
+    { onProgress, mapping, resolveMapping, onBatch: normalizeBatch }
+  );
+
+  (parsed.errors || []).forEach((error) =>
+    reportError({ index: null, recordType: null, ...error })
+  );
+
+  // The others return every candidate at once
+  const candidates = parsed.records || [];
+  for (let start = 0; start < candidates.length; start += IMPORT_BATCH_SIZE) {
+    await normalizeBatch(candidates.slice(start, start + IMPORT_BATCH_SIZE));
+  }
+
+  if (!detection) {
+    detection = { format: null, ambiguous: false };
+    dateFormat = dateFormatOverride || DEFAULT_DATE_FORMAT;
+  }
+
+  return {
+    format: parsed.format || adapter.id,
+    records,
+    counts,
+    samples,
+    dateRange: { start: earliest, end: latest },
+    dateFormat: {
+      format: dateFormat,
+      detected: detection.format,
+      ambiguous: detection.ambiguous,
+      overridden: Boolean(dateFormatOverride),
+    },
+    columns: parsed.columns || null,
+    errors,
+    errorCount,
+    files: parsed.files || null,
+  };
+}
+
+/**
+ * Summarise a processImport result for a preview before anything is saved
+ *
+ * @param {Object} result - Result of processImport
+ * @returns {Object} { format, types, counts, dateRange, dateFormat,
+ *   columns, samples, dropped, droppedCount, files } where types lists
+ *   { recordType, label, count } for every type the file contained and
+ *   dropped holds the rejected records
+ */
+export function summarizeImport(result) {
+  const types = Object.entries(result.counts)
+    .filter(([, count]) => count > 0)
+    .map(([recordType, count]) => ({
+      recordType,
+      label: RECORD_TYPES[recordType].label,
+      count,
+    }));
+
+  return {
+    format: result.format,
+    types,
+    counts: result.counts,
+    dateRange: result.dateRange,
+    dateFormat: result.dateFormat,
+    columns: result.columns,
+    samples: Object.fromEntries(
+      types.map(({ recordType }) => [recordType, result.samples[recordType]])
+    ),
+    dropped: result.errors,
+    droppedCount: result.errorCount,
+    files: result.files,
+  };
+}
@@ -6,54 +6,83 @@ import {
   getTopics,
   findEntriesByCategory
 } from './obsidianParser';
+import {
+  flushStorage,
+  getFromStorage,
+  getStorageRevision,
+  saveToStorage
+} from '../utils/storageUtils';
 
-// In-memory storage for the knowledge base
+// Key the knowledge base is stored under, encrypted like the rest of the
+// app's data when encryption is on
+export const KNOWLEDGE_BASE_KEY = 'knowledge-base';
+
+// Where the knowledge base was kept, in plaintext, before schema version 3
+const LEGACY_KNOWLEDGE_BASE_KEY = 'fitnessKnowledgeBase';
+
+// Parsed copy of the stored knowledge base and the storage revision it
+// was read at, so it is read again after a save, a restore or a lock
 let fitnessKnowledgeBase = {};
-let isInitialized = false;
+let cachedRevision = -1;
 
 /**
- * Store the processed knowledge base in memory and localStorage
+ * Store the processed knowledge base
  * @param {Object} processedContent - Processed knowledge base content
  */
 export function storeKnowledgeBase(processedContent) {
-  fitnessKnowledgeBase = processedContent;
-  isInitialized = true;
-  
-  // Also store in localStorage for persistence
-  try {
-    localStorage.setItem('fitnessKnowledgeBase', JSON.stringify(processedContent));
-  } catch (error) {
-    // Handle localStorage errors (e.g., quota exceeded)
-    console.error('Failed to store knowledge base in localStorage:', error);
+  if (!saveToStorage(KNOWLEDGE_BASE_KEY, processedContent)) {
+    // e.g. quota exceeded or storage locked
+    console.error('Failed to store knowledge base');
   }
 }
 
 /**
  * Get the current knowledge base
- * @returns {Object} The knowledge base content
+ * @returns {Object} The knowledge base content, empty while storage is
+ * locked
  */
 export function getKnowledgeBase() {
-  // Load from localStorage if not in memory
-  if (Object.keys(fitnessKnowledgeBase).length === 0) {
-    try {
-      const stored = localStorage.getItem('fitnessKnowledgeBase');
-      if (stored) {
-        fitnessKnowledgeBase = JSON.parse(stored);
-        isInitialized = true;
-      }
-    } catch (error) {
-      console.error('Failed to load knowledge base from localStorage:', error);
-    }
+  const revision = getStorageRevision();
+  if (revision !== cachedRevision) {
+    fitnessKnowledgeBase = getFromStorage(KNOWLEDGE_BASE_KEY, {}) || {};
+    cachedRevision = revision;
   }
   return fitnessKnowledgeBase;
 }
 
 /**
  * Check if the knowledge base is initialized
- * @returns {boolean} True if initialized
+ * @returns {boolean} True if a knowledge base is stored
  */
 export function isKnowledgeBaseInitialized() {
-  return isInitialized;
+  return Object.keys(getKnowledgeBase()).length > 0;
+}
+
+/**
+ * Move a knowledge base left in plaintext by older versions into the
+ * app's storage
+ *
+ * Run at startup by the storage migrations.
+ */
+export async function upgradeKnowledgeBaseStorage() {
+  const legacy = localStorage.getItem(LEGACY_KNOWLEDGE_BASE_KEY);
+  if (legacy === null) return;
+
+  // A knowledge base imported since is newer
+  if (Object.keys(getKnowledgeBase()).length === 0) {
+    let knowledgeBase;
+    try {
+      knowledgeBase = JSON.parse(legacy);
+    } catch (error) {
+      console.error('Dropping unreadable knowledge base:', error);
+    }
+    if (knowledgeBase && !saveToStorage(KNOWLEDGE_BASE_KEY, knowledgeBase)) {
+      throw new Error('Could not save the knowledge base');
+    }
+    // Only drop the old copy once the new one is written
+    await flushStorage();
+  }
+  localStorage.removeItem(LEGACY_KNOWLEDGE_BASE_KEY);
 }
 
 /**
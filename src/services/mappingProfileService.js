@@ -0,0 +1,104 @@
+// src/services/mappingProfileService.js
+
+import { getFromStorage, saveToStorage } from "../utils/storageUtils";
+import { normalizeFieldName } from "./importAdapters/fieldRules";
+
+/**
+ * Saved CSV column mappings
+ *
+ * When the user maps the columns of a CSV whose headers were not
+ * recognised, the mapping is saved as a named profile keyed on the file's
+ * header signature. The next export from the same app has the same
+ * headers, so findMappingProfile picks the profile up and the file imports
+ * without asking again.
+ */
+
+const MAPPING_PROFILES_KEY = "csv-mapping-profiles";
+
+/**
+ * Identify a set of headers regardless of column order, case or spacing
+ *
+ * @param {string[]} headers - Column names of a file
+ * @returns {string} Signature shared by files with the same columns
+ */
+export function getHeaderSignature(headers) {
+  return headers
+    .map(normalizeFieldName)
+    .filter(Boolean)
+    .sort()
+    .join("|");
+}
+
+/**
+ * List saved mapping profiles, most recently saved first
+ *
+ * @returns {Array} Profiles { id, name, signature, headers, mapping,
+ *   createdAt }
+ */
+export function getMappingProfiles() {
+  return getFromStorage(MAPPING_PROFILES_KEY, []);
+}
+
+/**
+ * Find the saved profile for a file's headers
+ *
+ * @param {string[]} headers - Column names of a file
+ * @returns {Object|null} The matching profile
+ */
+export function findMappingProfile(headers) {
+  const signature = getHeaderSignature(headers);
+  return (
+    getMappingProfiles().find((profile) => profile.signature === signature) ||
+    null
+  );
+}
+
+/**
+ * Save a column mapping for files with these headers, replacing any
+ * profile saved earlier for the same headers
+ *
+ * @param {string} name - Name shown to the user, e.g. "Scale app"
+ * @param {string[]} headers - Column names of the mapped file
+ * @param {Object} mapping - { date, value, unit?, type?, recordType? }
+ * @returns {Object} The saved profile
+ */
+export function saveMappingProfile(name, headers, mapping) {
+  if (!name || !name.trim()) {
+    throw new Error("Mapping profiles need a name");
+  }
+  if (!mapping.date || !mapping.value) {
+    throw new Error("A column mapping needs a date and a value column");
+  }
+  if (!mapping.type && !mapping.recordType) {
+    throw new Error("A column mapping needs a type column or a record type");
+  }
+
+  const signature = getHeaderSignature(headers);
+  const profile = {
+    id: `mapping-${Date.now().toString(36)}`,
+    name: name.trim(),
+    signature,
+    headers,
+    mapping,
+    createdAt: new Date().toISOString(),
+  };
+
+  saveToStorage(MAPPING_PROFILES_KEY, [
+    profile,
+    ...getMappingProfiles().filter((saved) => saved.signature !== signature),
+  ]);
+  return profile;
+}
+
+/**
+ * Delete a saved mapping profile
+ *
+ * @param {string} profileId - Id of the profile
+ * @returns {boolean} Whether a profile was deleted
+ */
+export function deleteMappingProfile(profileId) {
+  const profiles = getMappingProfiles();
+  const remaining = profiles.filter(({ id }) => id !== profileId);
+  saveToStorage(MAPPING_PROFILES_KEY, remaining);
+  return remaining.length < profiles.length;
+}
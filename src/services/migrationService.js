@@ -0,0 +1,210 @@
+// src/services/migrationService.js
+
+import { format } from "date-fns";
+import {
+  flushStorage,
+  getCheckInDay,
+  getFromStorage,
+  removeFromStorage,
+  saveToStorage,
+  STORAGE_KEYS,
+} from "../utils/storageUtils";
+import { upgradeImportHistory } from "./dataImportService";
+import { upgradeKnowledgeBaseStorage } from "./knowledgeBaseService";
+import { upgradeNutritionSummary } from "./nutritionService";
+
+/**
+ * Storage schema migrations
+ *
+ * Stored data is versioned: SCHEMA_VERSION_KEY holds the schema version
+ * the data was last upgraded to, and MIGRATIONS lists, in order, the
+ * functions that upgrade it one version at a time. They run at startup
+ * once storage is open (see index.js), so the rest of the app only sees
+ * the current layout.
+ *
+ * To change a layout, append a migration with the next version. A
+ * migration reads and writes through storageUtils and must cope with the
+ * data it upgrades being absent, as on a new install. The version is only
+ * recorded once the upgraded data is saved, so a migration that fails runs
+ * again on the next start.
+ */
+
+export const SCHEMA_VERSION_KEY = "schema-version";
+
+// Where habitService kept its streak before schema version 1
+const LEGACY_STREAK_KEY = "streaks";
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// habitService wrote days with Date.toDateString()
+function toCheckInDay(value) {
+  if (typeof value !== "string" || DAY_PATTERN.test(value)) return value;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? value : format(date, "yyyy-MM-dd");
+}
+
+/**
+ * storageUtils.recordCheckIn wrote UTC days along with the time of the
+ * check-in; map each such day to that time, so the days can be moved to
+ * the browser's time zone
+ */
+function getUtcCheckInTimes() {
+  const checkIns = getFromStorage(STORAGE_KEYS.CHECK_INS, null);
+  const times = new Map();
+  ((checkIns && checkIns.history) || []).forEach(({ date, time }) => {
+    const checkedIn = new Date(time);
+    if (isNaN(checkedIn.getTime())) return;
+    if (date !== checkedIn.toISOString().slice(0, 10)) return;
+    if (!times.has(date) || times.get(date) < checkedIn) {
+      times.set(date, checkedIn);
+    }
+  });
+  return times;
+}
+
+// Day of a last check-in, in the browser's time zone
+function toLastCheckInDay(value, utcCheckInTimes) {
+  return utcCheckInTimes.has(value)
+    ? getCheckInDay(utcCheckInTimes.get(value))
+    : toCheckInDay(value);
+}
+
+function upgradeCheckIns(utcCheckInTimes) {
+  const checkIns = getFromStorage(STORAGE_KEYS.CHECK_INS, null);
+  if (!checkIns) return;
+
+  saveToStorage(STORAGE_KEYS.CHECK_INS, {
+    ...checkIns,
+    lastCheckIn: toLastCheckInDay(checkIns.lastCheckIn, utcCheckInTimes),
+    history: (checkIns.history || []).map((entry) => {
+      // The time of the check-in gives its day exactly
+      const time = new Date(entry.time);
+      return {
+        ...entry,
+        date: isNaN(time.getTime())
+          ? toCheckInDay(entry.date)
+          : getCheckInDay(time),
+      };
+    }),
+  });
+}
+
+function byLatestCheckIn(a, b) {
+  return (
+    (b.lastCheckIn || "").localeCompare(a.lastCheckIn || "") ||
+    (b.currentStreak || 0) - (a.currentStreak || 0)
+  );
+}
+
+function upgradeStreaks(utcCheckInTimes) {
+  const streaks = [STORAGE_KEYS.STREAK_DATA, LEGACY_STREAK_KEY]
+    .map((key) => getFromStorage(key, null))
+    .filter(Boolean)
+    .map((streak) => ({
+      ...streak,
+      lastCheckIn: toLastCheckInDay(streak.lastCheckIn, utcCheckInTimes),
+      history: (streak.history || []).map((entry) => ({
+        ...entry,
+        date: toCheckInDay(entry.date),
+      })),
+    }));
+  if (streaks.length === 0) return;
+
+  // Both check-in paths kept a streak; the one checked in last is current
+  const [current] = [...streaks].sort(byLatestCheckIn);
+  const history = new Map();
+  streaks.forEach((streak) =>
+    streak.history.forEach((entry) => {
+      if (!history.has(entry.date)) history.set(entry.date, entry);
+    })
+  );
+
+  saveToStorage(STORAGE_KEYS.STREAK_DATA, {
+    ...current,
+    longestStreak: Math.max(
+      ...streaks.map(({ longestStreak }) => longestStreak || 0)
+    ),
+    history: Array.from(history.values()).sort((a, b) =>
+      String(b.date).localeCompare(String(a.date))
+    ),
+  });
+  removeFromStorage(LEGACY_STREAK_KEY);
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Keep one habit streak and store check-in days as YYYY-MM-DD",
+    migrate() {
+      const utcCheckInTimes = getUtcCheckInTimes();
+      upgradeCheckIns(utcCheckInTimes);
+      upgradeStreaks(utcCheckInTimes);
+    },
+  },
+  {
+    version: 2,
+    description: "Turn the nutrition summary into nutrition records",
+    migrate: upgradeNutritionSummary,
+  },
+  {
+    version: 3,
+    description: "Keep the knowledge base with the rest of the app's data",
+    migrate: upgradeKnowledgeBaseStorage,
+  },
+  {
+    version: 4,
+    description: "Keep counts instead of record ids in the import history",
+    migrate: upgradeImportHistory,
+  },
+];
+
+/**
+ * Get the schema version of the stored data
+ *
+ * @returns {number} 0 for data saved before versioning
+ */
+export function getSchemaVersion() {
+  return getFromStorage(SCHEMA_VERSION_KEY, 0);
+}
+
+/**
+ * Upgrade the stored data to the latest schema version
+ *
+ * Data with a newer version than the migrations know, saved by a later
+ * version of the app, is left alone.
+ *
+ * @param {Array} migrations - { version, description, migrate } in order
+ * @returns {Promise<Object>} { from, to, applied } with the versions
+ *   before and after and the descriptions of the migrations run
+ */
+export async function runMigrations(migrations = MIGRATIONS) {
+  const from = getSchemaVersion();
+  const latest = migrations.length
+    ? migrations[migrations.length - 1].version
+    : 0;
+  if (from > latest) {
+    console.warn(
+      `Stored data has schema version ${from}, newer than ${latest}; not migrating it`
+    );
+    return { from, to: from, applied: [] };
+  }
+
+  let version = from;
+  const applied = [];
+  for (const migration of migrations) {
+    if (migration.version <= version) continue;
+    try {
+      await migration.migrate();
+      await flushStorage();
+    } catch (error) {
+      throw new Error(
+        `Migration to schema version ${migration.version} failed: ${error.message}`
+      );
+    }
+
+    version = migration.version;
+    saveToStorage(SCHEMA_VERSION_KEY, version);
+    applied.push(migration.description);
+  }
+  return { from, to: version, applied };
+}
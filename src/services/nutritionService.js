@@ -1,76 +1,129 @@
-// This service would integrate with MyFitnessPal API
+// Nutrition intake from imported food diaries (MyFitnessPal, Cronometer,
+// Apple Health food entries) and meals logged in the app. Everything is
+// kept as nutrition records in the imported data store, see nutritionLogs.
+import { getFromStorage, removeFromStorage, saveToStorage } from '../utils/storageUtils';
+import { STORAGE_KEYS } from './dataImportService';
+import { DEFAULT_NUTRITION_GOALS, processNutritionData } from './healthDataProcessor';
 
-// Mock data for development
-const mockNutritionData = {
-  calories: { consumed: 1842, goal: 2200, lastUpdated: '07:21:05' },
-  protein: { consumed: 126, goal: 140, lastUpdated: '07:21:05' },
-  carbs: { consumed: 185, goal: 220, lastUpdated: '07:21:05' },
-  fat: { consumed: 62, goal: 73, lastUpdated: '07:21:05' },
-  water: { consumed: 2.1, goal: 3, lastUpdated: '07:21:05' },
-  meals: [
-    { name: 'BREAKFAST', time: '06:15', calories: 420, protein: 32 },
-    { name: 'SNACK', time: '09:30', calories: 180, protein: 15 }
-  ]
+const NUTRITION_GOALS_KEY = 'nutrition-goals';
+
+// Source of meals logged from the dashboard
+export const MANUAL_NUTRITION_SOURCE = 'Manual';
+
+const createMealRecord = (meal, date = new Date()) => ({
+  id: `manual-${date.getTime().toString(36)}`,
+  date: date.toISOString(),
+  utcOffset: -date.getTimezoneOffset() || 0,
+  name: meal.name || 'Meal',
+  kind: 'meal',
+  calories: Number(meal.calories) || 0,
+  protein: Number(meal.protein) || 0,
+  carbs: Number(meal.carbs) || 0,
+  fat: Number(meal.fat) || 0,
+  source: MANUAL_NUTRITION_SOURCE
+});
+
+/**
+ * Turn the summary object older versions of useNutritionData kept under
+ * the nutrition key into goals and manually logged meals
+ */
+const migrateNutritionSummary = (summary) => {
+  const goals = {};
+  Object.keys(DEFAULT_NUTRITION_GOALS).forEach(nutrient => {
+    if (summary[nutrient]?.goal) goals[nutrient] = summary[nutrient].goal;
+  });
+  // The old summary counted water in millilitres
+  if (goals.water > 100) goals.water = goals.water / 1000;
+  saveToStorage(NUTRITION_GOALS_KEY, { ...goals, ...getFromStorage(NUTRITION_GOALS_KEY, {}) });
+
+  // Meals it built from Apple Health samples ("meal-<n>-...") aren't kept,
+  // only the ones logged by hand
+  return (summary.meals || [])
+    .filter(meal => meal.timestamp && !String(meal.id).startsWith('meal-'))
+    .map(meal => createMealRecord(meal, new Date(meal.timestamp)));
 };
 
-// For actual MyFitnessPal integration, you would use their API
-// This would require authentication and API keys
+/**
+ * Replace a nutrition summary left by older versions with records
+ *
+ * Run at startup by the storage migrations, and by getNutritionRecords
+ * should that have failed.
+ */
+export const upgradeNutritionSummary = () => {
+  const stored = getFromStorage(STORAGE_KEYS.NUTRITION_DATA, null);
+  if (!stored || Array.isArray(stored)) return;
 
-export const fetchNutritionData = async () => {
-  // Simulate API delay
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      // In a real app, you'd make an API call to MyFitnessPal
-      // This would look something like:
-      /*
-      fetch('https://api.myfitnesspal.com/v2/diary', {
-        headers: {
-          'Authorization': `Bearer ${YOUR_ACCESS_TOKEN}`
-        }
-      })
-      .then(response => response.json())
-      .then(data => {
-        // Process and format the data
-        resolve(processedData);
-      });
-      */
-      
-      // Return mocked data for development
-      resolve(mockNutritionData);
-    }, 1000);
+  const records = migrateNutritionSummary(stored);
+  // Time series move to IndexedDB while the summary stays in localStorage
+  removeFromStorage(STORAGE_KEYS.NUTRITION_DATA);
+  saveToStorage(STORAGE_KEYS.NUTRITION_DATA, records);
+};
+
+/**
+ * Get the stored nutrition records, oldest first
+ * @returns {Array} Nutrition records
+ */
+export const getNutritionRecords = () => {
+  const stored = getFromStorage(STORAGE_KEYS.NUTRITION_DATA, []);
+  if (Array.isArray(stored)) return stored;
+
+  upgradeNutritionSummary();
+  return getFromStorage(STORAGE_KEYS.NUTRITION_DATA, []);
+};
+
+/**
+ * Get the daily intake goals
+ * @returns {Object} Goals keyed like DEFAULT_NUTRITION_GOALS (kcal, g, L)
+ */
+export const getNutritionGoals = () => ({
+  ...DEFAULT_NUTRITION_GOALS,
+  ...getFromStorage(NUTRITION_GOALS_KEY, {})
+});
+
+/**
+ * Change some of the daily intake goals
+ * @param {Object} goals - Goals to change, keyed like DEFAULT_NUTRITION_GOALS
+ * @returns {Object} All goals after the change
+ */
+export const saveNutritionGoals = (goals) => {
+  const updated = { ...getNutritionGoals() };
+  Object.keys(DEFAULT_NUTRITION_GOALS).forEach(nutrient => {
+    if (goals[nutrient] > 0) updated[nutrient] = Number(goals[nutrient]);
   });
+  saveToStorage(NUTRITION_GOALS_KEY, updated);
+  return updated;
+};
+
+/**
+ * Log a meal eaten now
+ * @param {Object} meal - { name, calories, protein, carbs, fat }
+ * @returns {Object} The stored nutrition record
+ */
+export const logMeal = (meal) => {
+  const record = createMealRecord(meal);
+  saveToStorage(STORAGE_KEYS.NUTRITION_DATA, [...getNutritionRecords(), record]);
+  return record;
 };
 
-// Function to add a meal (would integrate with MyFitnessPal API)
+/**
+ * Summarise intake for the dashboard
+ * @param {Object} options - processNutritionData options (date)
+ * @returns {Promise<Object>} Totals, goals, meals and intake history
+ */
+export const fetchNutritionData = async (options = {}) => {
+  return processNutritionData(
+    { nutrition: getNutritionRecords() },
+    { ...options, goals: getNutritionGoals() }
+  );
+};
+
+// Function to add a meal from the dashboard
 export const addMeal = async (mealData) => {
-  // Simulate API delay
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      // In a real app, you'd make an API call to add a meal
-      // This would look something like:
-      /*
-      fetch('https://api.myfitnesspal.com/v2/diary/meals', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${YOUR_ACCESS_TOKEN}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(mealData)
-      })
-      .then(response => response.json())
-      .then(data => {
-        resolve(data);
-      });
-      */
-      
-      // Return success for development
-      resolve({ success: true, meal: mealData });
-    }, 500);
-  });
+  return { success: true, meal: logMeal(mealData) };
 };
 
 // Function to format current time (for timestamps)
 export const getCurrentTime = () => {
   const now = new Date();
   return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}:${String(now.getSeconds()).padStart(2, '0')}`;
-};
\ No newline at end of file
+};
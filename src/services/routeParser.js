@@ -0,0 +1,449 @@
+// src/services/routeParser.js
+
+import { createXmlStreamParser } from "./appleHealthXmlParser";
+
+/**
+ * GPX and TCX workout routes
+ *
+ * GPX comes from Apple Health (workout-routes/*.gpx in export.zip) and
+ * most route exporters; TCX from Garmin Connect, Strava and others. Both
+ * are read with the streaming XML scanner into track points, which
+ * summarizeRoute turns into the same workout shape FIT imports produce:
+ * distance, elevation gain, moving time, per-kilometre splits and
+ * column-wise `streams` of the track.
+ */
+
+// Mean Earth radius in metres
+const EARTH_RADIUS = 6371008.8;
+
+// Climbs smaller than this are GPS noise rather than elevation gain
+const ELEVATION_NOISE = 1;
+
+// Slower than this between two points counts as standing still (m/s)
+const MIN_MOVING_SPEED = 0.5;
+
+// Longer gaps between points are pauses, not moving time (seconds)
+const MAX_POINT_GAP = 30;
+
+// Pace splits are taken every kilometre
+const SPLIT_DISTANCE = 1000;
+
+// A route belongs to a workout starting at most this long after it (ms);
+// the watch often locks onto GPS a little after the workout started
+const ROUTE_MATCH_TOLERANCE = 5 * 60 * 1000;
+
+// TCX Sport attribute and GPX <type> values, named like other imports
+const SPORT_NAMES = {
+  running: "Running",
+  run: "Running",
+  biking: "Cycling",
+  cycling: "Cycling",
+  ride: "Cycling",
+  walking: "Walking",
+  walk: "Walking",
+  hiking: "Hiking",
+  hike: "Hiking",
+  swimming: "Swimming",
+};
+
+function localName(name) {
+  return name.slice(name.indexOf(":") + 1);
+}
+
+function findChild(node, name) {
+  return node.children.find((child) => localName(child.name) === name);
+}
+
+function findChildren(node, name) {
+  return node.children.filter((child) => localName(child.name) === name);
+}
+
+/**
+ * Text of a nested child, following a path of local names
+ */
+function childText(node, ...path) {
+  let current = node;
+  for (const name of path) {
+    current = current && findChild(current, name);
+  }
+  return current ? current.text || null : null;
+}
+
+function childNumber(node, ...path) {
+  const number = parseFloat(childText(node, ...path));
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Find a value anywhere below a node, for extensions whose nesting
+ * differs between exporters (gpxtpx:TrackPointExtension, ns3:TPX, ...)
+ */
+function findNumber(node, name) {
+  for (const child of node.children) {
+    if (localName(child.name) === name) {
+      const number = parseFloat(child.text);
+      if (!isNaN(number)) return number;
+    }
+    const nested = findNumber(child, name);
+    if (nested !== null) return nested;
+  }
+  return null;
+}
+
+function toSport(value) {
+  if (!value) return null;
+  return SPORT_NAMES[value.trim().toLowerCase()] || null;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function readGpxTrack(track) {
+  const points = [];
+  findChildren(track, "trkseg").forEach((segment) => {
+    findChildren(segment, "trkpt").forEach((point) => {
+      const extensions = findChild(point, "extensions");
+      points.push({
+        time: toDate(childText(point, "time")),
+        latitude: parseFloat(point.attributes.lat),
+        longitude: parseFloat(point.attributes.lon),
+        altitude: childNumber(point, "ele"),
+        heartRate: extensions ? findNumber(extensions, "hr") : null,
+        cadence: extensions ? findNumber(extensions, "cad") : null,
+        power: extensions ? findNumber(extensions, "power") : null,
+        distance: null,
+      });
+    });
+  });
+
+  return [
+    {
+      name: childText(track, "name"),
+      type: toSport(childText(track, "type")),
+      source: null,
+      calories: null,
+      points,
+    },
+  ];
+}
+
+function readTcxActivities(activities) {
+  return findChildren(activities, "Activity").map((activity) => {
+    const laps = findChildren(activity, "Lap");
+    const points = [];
+
+    laps.forEach((lap) => {
+      findChildren(lap, "Track").forEach((track) => {
+        findChildren(track, "Trackpoint").forEach((point) => {
+          const extensions = findChild(point, "Extensions");
+          points.push({
+            time: toDate(childText(point, "Time")),
+            latitude: childNumber(point, "Position", "LatitudeDegrees"),
+            longitude: childNumber(point, "Position", "LongitudeDegrees"),
+            altitude: childNumber(point, "AltitudeMeters"),
+            heartRate: childNumber(point, "HeartRateBpm", "Value"),
+            cadence: childNumber(point, "Cadence"),
+            power: extensions ? findNumber(extensions, "Watts") : null,
+            distance: childNumber(point, "DistanceMeters"),
+          });
+        });
+      });
+    });
+
+    const calories = laps.reduce(
+      (total, lap) => total + (childNumber(lap, "Calories") || 0),
+      0
+    );
+
+    return {
+      name: childText(activity, "Notes"),
+      type: toSport(activity.attributes.Sport),
+      source: childText(activity, "Creator", "Name"),
+      calories: calories || null,
+      points,
+    };
+  });
+}
+
+const ROUTE_FORMATS = {
+  gpx: { elements: ["trk"], read: readGpxTrack },
+  tcx: { elements: ["Activities"], read: readTcxActivities },
+};
+
+function createRouteParser(format) {
+  const reader = ROUTE_FORMATS[format];
+  if (!reader) throw new Error(`Unsupported route format: ${format}`);
+
+  const routes = [];
+  const parser = createXmlStreamParser({
+    elements: reader.elements,
+    onElement: (node) => routes.push(...reader.read(node)),
+  });
+
+  return {
+    write: parser.write,
+    end() {
+      parser.end();
+      return routes;
+    },
+  };
+}
+
+/**
+ * Parse the routes of a GPX or TCX document
+ *
+ * @param {string} text - File contents
+ * @param {string} format - "gpx" or "tcx"
+ * @returns {Array} Routes { name, type, source, calories, points } where
+ *   points are { time, latitude, longitude, altitude, heartRate, cadence,
+ *   power, distance } with null for anything the file did not record
+ */
+export function parseRoutes(text, format) {
+  const parser = createRouteParser(format);
+  parser.write(text);
+  return parser.end();
+}
+
+/**
+ * Parse a GPX or TCX file delivered as a stream of bytes, such as a
+ * workout route inflated from an Apple Health export.zip
+ *
+ * @param {ReadableStream} stream - Stream of Uint8Array chunks
+ * @param {string} format - "gpx" or "tcx"
+ * @returns {Promise<Array>} Routes, see parseRoutes
+ */
+export async function parseRouteStream(stream, format) {
+  const parser = createRouteParser(format);
+  const decoder = new TextDecoder("utf-8");
+  const reader = stream.getReader();
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    parser.write(decoder.decode(value, { stream: true }));
+  }
+
+  parser.write(decoder.decode());
+  return parser.end();
+}
+
+/**
+ * Great-circle distance between two positions in metres
+ */
+function haversine(a, b) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) *
+      Math.cos(toRadians(b.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(h));
+}
+
+function hasPosition(point) {
+  return !isNaN(point.latitude ?? NaN) && !isNaN(point.longitude ?? NaN);
+}
+
+/**
+ * Distance from the start at every point: the device's own distance when
+ * the file has it (TCX), otherwise summed from the positions
+ */
+function cumulativeDistances(points) {
+  if (points.every(({ distance }) => distance !== null)) {
+    return points.map(({ distance }) => distance);
+  }
+
+  let total = 0;
+  return points.map((point, i) => {
+    const previous = points[i - 1];
+    if (previous && hasPosition(previous) && hasPosition(point)) {
+      total += haversine(previous, point);
+    }
+    return total;
+  });
+}
+
+/**
+ * Total climb, ignoring wobbles smaller than ELEVATION_NOISE
+ */
+function elevationGain(points) {
+  let gain = 0;
+  let reference = null;
+
+  points.forEach(({ altitude }) => {
+    if (altitude === null) return;
+    if (reference === null || altitude < reference) {
+      reference = altitude;
+    } else if (altitude - reference >= ELEVATION_NOISE) {
+      gain += altitude - reference;
+      reference = altitude;
+    }
+  });
+
+  return gain;
+}
+
+/**
+ * Elapsed time of every full kilometre (and the last partial one),
+ * interpolated between the points either side of each boundary
+ */
+function paceSplits(times, distances) {
+  const splits = [];
+  let splitStart = { time: times[0], distance: 0 };
+
+  for (let i = 1; i < times.length; i++) {
+    while (distances[i] >= splitStart.distance + SPLIT_DISTANCE) {
+      const boundary = splitStart.distance + SPLIT_DISTANCE;
+      const ratio =
+        (boundary - distances[i - 1]) / (distances[i] - distances[i - 1]);
+      const time = times[i - 1] + ratio * (times[i] - times[i - 1]);
+      splits.push({
+        distance: SPLIT_DISTANCE,
+        seconds: time - splitStart.time,
+      });
+      splitStart = { time, distance: boundary };
+    }
+  }
+
+  const last = times.length - 1;
+  const remainder = distances[last] - splitStart.distance;
+  if (remainder >= 1) {
+    splits.push({
+      distance: remainder,
+      seconds: times[last] - splitStart.time,
+    });
+  }
+
+  return splits.map(({ distance, seconds }) => ({
+    distance: Math.round(distance * 10) / 10,
+    duration: seconds / 60,
+    // Minutes per kilometre
+    pace: seconds / 60 / (distance / 1000),
+  }));
+}
+
+function round(value, decimals) {
+  if (value === null || isNaN(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Summarise a route into workout fields
+ *
+ * @param {Array} points - Track points from parseRoutes
+ * @returns {Object|null} { start, end, duration (s), distance (m),
+ *   elevationGain (m), movingTime (min), splits, streams } or null when
+ *   the route has fewer than two timed points
+ */
+export function summarizeRoute(points) {
+  const timed = points
+    .filter(({ time }) => time)
+    .sort((a, b) => a.time - b.time);
+  if (timed.length < 2) return null;
+
+  const start = timed[0].time;
+  const end = timed[timed.length - 1].time;
+  const times = timed.map(({ time }) => (time - start) / 1000);
+  const distances = cumulativeDistances(timed);
+
+  let movingSeconds = 0;
+  for (let i = 1; i < timed.length; i++) {
+    const seconds = times[i] - times[i - 1];
+    const metres = distances[i] - distances[i - 1];
+    if (seconds > 0 && seconds <= MAX_POINT_GAP) {
+      if (metres / seconds >= MIN_MOVING_SPEED) movingSeconds += seconds;
+    }
+  }
+
+  // Same column-wise layout as FIT imports, rounded to what GPS resolves
+  const streams = { time: times.map(Math.round) };
+  const columns = {
+    latitude: ({ latitude }) => round(latitude, 6),
+    longitude: ({ longitude }) => round(longitude, 6),
+    altitude: ({ altitude }) => round(altitude, 1),
+    heartRate: ({ heartRate }) => heartRate,
+    cadence: ({ cadence }) => cadence,
+    power: ({ power }) => power,
+  };
+  Object.entries(columns).forEach(([name, read]) => {
+    const values = timed.map((point) => read(point) ?? null);
+    if (values.some((value) => value !== null)) streams[name] = values;
+  });
+  streams.distance = distances.map((distance) => round(distance, 1));
+
+  return {
+    start,
+    end,
+    duration: (end - start) / 1000,
+    distance: distances[distances.length - 1],
+    elevationGain: round(elevationGain(timed), 1),
+    movingTime: movingSeconds / 60,
+    splits: paceSplits(times, distances),
+    streams,
+  };
+}
+
+/**
+ * Attach routes to the workouts they were recorded during
+ *
+ * A route belongs to the workout whose start time is closest to the
+ * route's, as long as the route starts between ROUTE_MATCH_TOLERANCE
+ * before that workout and its end. Each workout takes at most one route.
+ *
+ * @param {Array} workouts - Workouts with date, endDate, duration (min)
+ * @param {Array} routes - Summaries from summarizeRoute
+ * @returns {Object} { workouts, unmatched } where matched workouts gain
+ *   the route's elevationGain, movingTime, splits and streams (and its
+ *   distance when they had none) and unmatched lists the other routes
+ */
+export function linkRoutesToWorkouts(workouts, routes) {
+  const linked = [...workouts];
+  const taken = new Set();
+  const unmatched = [];
+
+  routes.forEach((route) => {
+    const routeStart = route.start.getTime();
+    let best = null;
+
+    linked.forEach((workout, index) => {
+      if (taken.has(index)) return;
+      const start = new Date(workout.date).getTime();
+      const end = workout.endDate
+        ? new Date(workout.endDate).getTime()
+        : start + (workout.duration || 0) * 60000;
+      if (routeStart < start - ROUTE_MATCH_TOLERANCE || routeStart > end) {
+        return;
+      }
+
+      const gap = Math.abs(routeStart - start);
+      if (best === null || gap < best.gap) best = { index, gap };
+    });
+
+    if (best === null) {
+      unmatched.push(route);
+      return;
+    }
+
+    const workout = linked[best.index];
+    const hasDistance =
+      workout.distance !== null && workout.distance !== undefined;
+    taken.add(best.index);
+    linked[best.index] = {
+      ...workout,
+      distance: hasDistance ? workout.distance : route.distance,
+      distanceUnit: hasDistance ? workout.distanceUnit : "m",
+      elevationGain: route.elevationGain,
+      movingTime: route.movingTime,
+      splits: route.splits,
+      streams: route.streams,
+    };
+  });
+
+  return { workouts: linked, unmatched };
+}
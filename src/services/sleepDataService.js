@@ -98,12 +98,13 @@ export function validateSleepPatterns(sleepData) {
       }
     }
 
-    // Check date consistency
+    // Check date consistency; a night spans the time in bed, not only the
+    // time asleep
     const startDate = new Date(record.date);
     const endDate = new Date(record.endDate);
     const duration = (endDate - startDate) / (1000 * 60 * 60); // Convert to hours
 
-    if (Math.abs(duration - record.value) > 0.5) {
+    if (Math.abs(duration - (record.timeInBed || record.value)) > 0.5) {
       results.errors.push(
         `Record ${index}: Date range doesn't match sleep duration`
       );
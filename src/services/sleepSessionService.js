@@ -0,0 +1,297 @@
+// src/services/sleepSessionService.js
+
+import { getLocalDay } from "../utils/dateUtils";
+import { getFromStorage, saveToStorage } from "../utils/storageUtils";
+import {
+  SLEEP_SESSION_CATEGORY,
+  sleepSessionCandidate,
+} from "./importAdapters/sleepSessions";
+import { getSourcePriority, getSourceRank } from "./sourcePriorityService";
+
+/**
+ * Nightly sleep sessions from Apple Health sleep samples
+ *
+ * Apple Health stores one HKCategoryTypeIdentifierSleepAnalysis sample per
+ * stretch of a stage, and the Watch, the iPhone's bedtime schedule and
+ * third-party apps (AutoSleep, Pillow, Oura...) all write their own
+ * samples for the same night. Like step overlaps (see
+ * sourcePriorityService), they are stored as imported and turned into
+ * nights when read:
+ *
+ * 1. Samples are grouped into a night while each starts within
+ *    `maxGapMinutes` of the night so far. Nights never cross the day
+ *    boundary: a sleep day runs from `dayBoundaryHour` local time to the
+ *    same hour the next day, so an evening nap and the night after it stay
+ *    apart when they are close together.
+ * 2. Of the sources that recorded sleep in a night, only the highest in the
+ *    source priority is kept; InBed-only sources such as the iPhone's
+ *    bedtime never win.
+ * 3. The winning samples become one SLEEP_SESSION_CATEGORY record. Time in
+ *    the night not covered by a sleep stage counts as awake, so the stages
+ *    add up to the time in bed.
+ *
+ * Nights imported whole (Oura, WHOOP, Fitbit...) take part in step 2 too:
+ * a night overlapping one from a higher priority source is dropped.
+ */
+
+const SLEEP_SESSION_OPTIONS_KEY = "sleep-session-options";
+
+export const DEFAULT_SLEEP_SESSION_OPTIONS = {
+  maxGapMinutes: 60,
+  dayBoundaryHour: 18,
+};
+
+// HKCategoryValueSleepAnalysis* values by what they mean for a night;
+// "asleep" is sleep of an unknown stage
+const APPLE_SLEEP_VALUES = {
+  InBed: "inBed",
+  Asleep: "asleep",
+  AsleepUnspecified: "asleep",
+  AsleepCore: "core",
+  AsleepDeep: "deep",
+  AsleepREM: "rem",
+  Awake: "awake",
+};
+
+// Which sample counts when samples of one source overlap
+const STAGE_PRECEDENCE = ["deep", "rem", "core", "asleep", "awake", "inBed"];
+
+const STAGED = ["deep", "rem", "core"];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the user's night grouping options
+ *
+ * @returns {Object} { maxGapMinutes, dayBoundaryHour }
+ */
+export function getSleepSessionOptions() {
+  return {
+    ...DEFAULT_SLEEP_SESSION_OPTIONS,
+    ...getFromStorage(SLEEP_SESSION_OPTIONS_KEY, {}),
+  };
+}
+
+/**
+ * Save the user's night grouping options
+ *
+ * @param {Object} options - { maxGapMinutes, dayBoundaryHour }
+ * @returns {boolean} Success status
+ */
+export function setSleepSessionOptions(options) {
+  return saveToStorage(SLEEP_SESSION_OPTIONS_KEY, {
+    ...getSleepSessionOptions(),
+    ...options,
+  });
+}
+
+/**
+ * What an Apple Health sleep sample records, or null for other records
+ *
+ * @param {string} category - HKCategoryValueSleepAnalysis* value
+ * @returns {string|null} Key of STAGE_PRECEDENCE
+ */
+export function appleSleepStage(category) {
+  const match = String(category || "").match(
+    /^HKCategoryValueSleepAnalysis(\w+)$/
+  );
+  return (match && APPLE_SLEEP_VALUES[match[1]]) || null;
+}
+
+function toSample(record) {
+  const stage = appleSleepStage(record.category);
+  const start = new Date(record.date).getTime();
+  const end = new Date(record.endDate).getTime();
+  if (!stage || !(end > start)) return null;
+  return { record, stage, start, end };
+}
+
+// Local day the sleep at `time` belongs to
+function sleepDay(time, utcOffset, dayBoundaryHour) {
+  return getLocalDay(
+    new Date(time - dayBoundaryHour * HOUR_MS).toISOString(),
+    utcOffset
+  );
+}
+
+/**
+ * Split time-sorted samples into nights
+ */
+function groupNights(samples, { maxGapMinutes, dayBoundaryHour }) {
+  const nights = [];
+  let night = null;
+
+  samples.forEach((sample) => {
+    const day = sleepDay(
+      sample.start,
+      sample.record.utcOffset,
+      dayBoundaryHour
+    );
+    if (
+      night &&
+      night.day === day &&
+      sample.start - night.end <= maxGapMinutes * 60000
+    ) {
+      night.samples.push(sample);
+      night.end = Math.max(night.end, sample.end);
+      return;
+    }
+    night = { day, end: sample.end, samples: [sample] };
+    nights.push(night);
+  });
+  return nights;
+}
+
+/**
+ * Minutes of each stage between the first and last sample, with the
+ * highest STAGE_PRECEDENCE stage counting where samples overlap and
+ * uncovered time counting as awake
+ */
+function stageMinutesOf(samples) {
+  const edges = Array.from(
+    new Set(samples.flatMap((sample) => [sample.start, sample.end]))
+  ).sort((a, b) => a - b);
+  const minutes = { deep: 0, core: 0, rem: 0, asleep: 0, awake: 0 };
+
+  edges.slice(0, -1).forEach((from, position) => {
+    const to = edges[position + 1];
+    const covering = samples
+      .filter((sample) => sample.start <= from && sample.end >= to)
+      .map((sample) => sample.stage);
+    const stage =
+      STAGE_PRECEDENCE.find((candidate) => covering.includes(candidate)) ||
+      "awake";
+    // In bed but not asleep
+    minutes[stage === "inBed" ? "awake" : stage] += (to - from) / 60000;
+  });
+  return minutes;
+}
+
+/**
+ * Turn the samples of one source into a night
+ */
+function buildNight(samples) {
+  const start = Math.min(...samples.map((sample) => sample.start));
+  const end = Math.max(...samples.map((sample) => sample.end));
+  const minutes = stageMinutesOf(samples);
+  const staged = samples.some((sample) => STAGED.includes(sample.stage));
+  const [first] = samples;
+
+  // A Watch occasionally writes unspecified sleep between stages; Apple
+  // shows it as core
+  const { recordType, index, ...night } = sleepSessionCandidate(
+    {
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      stageMinutes: staged
+        ? {
+            deep: minutes.deep,
+            core: minutes.core + minutes.asleep,
+            rem: minutes.rem,
+            awake: minutes.awake,
+          }
+        : null,
+      asleepMinutes: minutes.asleep,
+      source: first.record.source,
+    },
+    0
+  );
+  if (typeof first.record.utcOffset === "number") {
+    night.utcOffset = first.record.utcOffset;
+  }
+  return night;
+}
+
+function sleepMinutes(samples) {
+  return samples
+    .filter((sample) => sample.stage !== "inBed" && sample.stage !== "awake")
+    .reduce((total, sample) => total + (sample.end - sample.start), 0);
+}
+
+/**
+ * Keep the highest priority source of a night
+ */
+function resolveNight({ samples }, priority) {
+  const bySource = new Map();
+  samples.forEach((sample) => {
+    const source = sample.record.source || "";
+    if (!bySource.has(source)) bySource.set(source, []);
+    bySource.get(source).push(sample);
+  });
+
+  // Equally ranked sources keep the one that recorded more sleep
+  const [winner] = Array.from(bySource.values())
+    .filter((sourceSamples) => sleepMinutes(sourceSamples) > 0)
+    .sort(
+      (a, b) =>
+        getSourceRank(a[0].record.source || "", priority) -
+          getSourceRank(b[0].record.source || "", priority) ||
+        sleepMinutes(b) - sleepMinutes(a)
+    );
+  return winner ? buildNight(winner) : null;
+}
+
+function overlaps(a, b) {
+  return (
+    new Date(a.date) < new Date(b.endDate) &&
+    new Date(b.date) < new Date(a.endDate)
+  );
+}
+
+/**
+ * Drop nights overlapping a night from a higher priority source
+ */
+function resolveOverlappingNights(nights, priority) {
+  const ranked = [...nights].sort(
+    (a, b) =>
+      getSourceRank(a.source || "", priority) -
+        getSourceRank(b.source || "", priority) || b.value - a.value
+  );
+  const kept = [];
+  ranked.forEach((night) => {
+    if (!night.endDate || !kept.some((other) => overlaps(night, other))) {
+      kept.push(night);
+    }
+  });
+  return kept;
+}
+
+/**
+ * Turn Apple Health sleep samples into nights
+ *
+ * @param {Array} records - Stored sleep records: Apple samples with a
+ *   category and end date, whole nights and plain durations
+ * @param {Object} options
+ * @param {number} options.maxGapMinutes - Longest break within a night
+ * @param {number} options.dayBoundaryHour - Local hour nights never cross
+ * @param {string[]} options.priority - Source priority, highest first
+ * @returns {Array} Nights shaped like sleepSessionCandidate records, plus
+ *   records that are neither samples nor nights, oldest first
+ */
+export function buildSleepSessions(records, options = {}) {
+  const {
+    maxGapMinutes,
+    dayBoundaryHour,
+    priority = getSourcePriority(),
+  } = { ...getSleepSessionOptions(), ...options };
+
+  const samples = [];
+  const nights = [];
+  const others = [];
+  records.forEach((record) => {
+    const sample = toSample(record);
+    if (sample) samples.push(sample);
+    else if (record.category === SLEEP_SESSION_CATEGORY) nights.push(record);
+    else if (!appleSleepStage(record.category)) others.push(record);
+  });
+
+  samples.sort((a, b) => a.start - b.start);
+  groupNights(samples, { maxGapMinutes, dayBoundaryHour }).forEach((night) => {
+    const built = resolveNight(night, priority);
+    if (built) nights.push(built);
+  });
+
+  return [...resolveOverlappingNights(nights, priority), ...others].sort(
+    (a, b) => new Date(a.date) - new Date(b.date)
+  );
+}
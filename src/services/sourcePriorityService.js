@@ -0,0 +1,206 @@
+// src/services/sourcePriorityService.js
+
+import { getLocalDay } from "../utils/dateUtils";
+import { getFromStorage, saveToStorage } from "../utils/storageUtils";
+import { STORAGE_KEYS } from "./dataImportService";
+
+/**
+ * Multi-source overlap resolution for cumulative metrics
+ *
+ * A Watch, a phone and third-party apps often all count the same steps.
+ * Summing every sample inflates daily totals, so, like Apple Health, we
+ * keep a single source for each stretch of time: a sample only counts for
+ * the part of its time span no higher priority source has samples for,
+ * its value assumed spread evenly over the span. Samples stored without
+ * an end date (imported before it was kept) span their whole clock hour.
+ * Sources match a priority entry when their name contains it ("Watch"
+ * matches "Jo's Apple Watch"); unlisted sources rank last.
+ */
+
+const SOURCE_PRIORITY_KEY = "health-source-priority";
+
+export const DEFAULT_SOURCE_PRIORITY = ["Watch", "Phone"];
+
+// Metrics whose samples are summed, so overlaps inflate totals
+export const CUMULATIVE_TYPES = [
+  "steps",
+  "distance",
+  "calories",
+  "basalEnergy",
+  "exerciseTime",
+  "standTime",
+  "timeInDaylight",
+];
+
+// Label for samples that do not say where they came from
+export const UNKNOWN_SOURCE = "Unknown source";
+
+const BUCKET_MS = 60 * 60 * 1000;
+
+/**
+ * Get the user's source priority, highest first
+ *
+ * @returns {string[]} Source names or name fragments
+ */
+export function getSourcePriority() {
+  return getFromStorage(SOURCE_PRIORITY_KEY, DEFAULT_SOURCE_PRIORITY);
+}
+
+/**
+ * Save the user's source priority
+ *
+ * @param {string[]} priority - Source names or fragments, highest first
+ * @returns {boolean} Success status
+ */
+export function setSourcePriority(priority) {
+  return saveToStorage(
+    SOURCE_PRIORITY_KEY,
+    priority.map((source) => source.trim()).filter(Boolean)
+  );
+}
+
+/**
+ * List every source found in the stored step and sleep collections
+ *
+ * @returns {string[]} Distinct source names, alphabetically
+ */
+export function getKnownSources() {
+  const sources = new Set();
+  [
+    ...getFromStorage(STORAGE_KEYS.STEP_COUNT_DATA, []),
+    ...getFromStorage(STORAGE_KEYS.SLEEP_DATA, []),
+  ].forEach((record) => {
+    if (record.source) sources.add(record.source);
+  });
+  return Array.from(sources).sort();
+}
+
+/**
+ * Position of a source in the priority list (lower wins)
+ */
+export function getSourceRank(source, priority = getSourcePriority()) {
+  const name = source.toLowerCase();
+  const index = priority.findIndex((entry) =>
+    name.includes(entry.toLowerCase())
+  );
+  return index === -1 ? priority.length : index;
+}
+
+// Time span of a sample in ms, [start, end)
+function getSpan(record) {
+  const start = new Date(record.date).getTime();
+  const end = record.endDate ? new Date(record.endDate).getTime() : NaN;
+  if (end > start) return [start, end];
+
+  const hour = Math.floor(start / BUCKET_MS) * BUCKET_MS;
+  return [hour, hour + BUCKET_MS];
+}
+
+// Index of the first of the sorted, disjoint spans ending after time
+function findSpan(spans, time) {
+  let low = 0;
+  let high = spans.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (spans[middle][1] <= time) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+// How much of [start, end) the sorted, disjoint spans cover
+function coveredLength(spans, [start, end]) {
+  let covered = 0;
+  for (let i = findSpan(spans, start); i < spans.length; i++) {
+    if (spans[i][0] >= end) break;
+    covered += Math.min(end, spans[i][1]) - Math.max(start, spans[i][0]);
+  }
+  return covered;
+}
+
+// Sorted, disjoint union of spans
+function mergeSpans(spans) {
+  const merged = [];
+  [...spans]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+      else merged.push([start, end]);
+    });
+  return merged;
+}
+
+/**
+ * Keep one source for each stretch of time for a cumulative metric
+ *
+ * @param {Array} records - Samples with date, value and optional endDate
+ *   and source
+ * @param {Object} options
+ * @param {string[]} options.priority - Source priority, highest first
+ * @returns {Object} { records, days } where records are the samples that
+ *   count, partly overlapped ones with the value of the part that counts,
+ *   and days lists, newest first, { date, total, winner, sources,
+ *   discarded } with sources mapping each counted source to its total and
+ *   discarded the value dropped as overlap
+ */
+export function resolveSourceOverlaps(
+  records,
+  { priority = getSourcePriority() } = {}
+) {
+  // source -> { total, samples: [{ record, index, span }] }
+  const bySource = new Map();
+  records.forEach((record, index) => {
+    const source = record.source || UNKNOWN_SOURCE;
+    if (!bySource.has(source)) bySource.set(source, { total: 0, samples: [] });
+
+    const entry = bySource.get(source);
+    entry.total += record.value;
+    entry.samples.push({ record, index, span: getSpan(record) });
+  });
+
+  // Highest priority first; equally ranked sources keep the larger count
+  const sources = Array.from(bySource.keys()).sort(
+    (a, b) =>
+      getSourceRank(a, priority) - getSourceRank(b, priority) ||
+      bySource.get(b).total - bySource.get(a).total
+  );
+
+  const kept = [];
+  const days = new Map();
+  let covered = [];
+
+  sources.forEach((source) => {
+    const { samples } = bySource.get(source);
+    samples.forEach(({ record, index, span }) => {
+      const share = 1 - coveredLength(covered, span) / (span[1] - span[0]);
+      const value = record.value * share;
+      if (value > 0) {
+        kept.push({ index, record: share < 1 ? { ...record, value } : record });
+      }
+
+      const date = getLocalDay(record.date, record.utcOffset);
+      if (!days.has(date)) {
+        days.set(date, { date, total: 0, sources: {}, discarded: 0 });
+      }
+      const day = days.get(date);
+      day.discarded += record.value - value;
+      if (value > 0) {
+        day.total += value;
+        day.sources[source] = (day.sources[source] || 0) + value;
+      }
+    });
+    covered = mergeSpans([...covered, ...samples.map(({ span }) => span)]);
+  });
+
+  return {
+    records: kept.sort((a, b) => a.index - b.index).map(({ record }) => record),
+    days: Array.from(days.values())
+      .filter((day) => day.total > 0)
+      .map((day) => ({
+        ...day,
+        winner: Object.entries(day.sources).sort((a, b) => b[1] - a[1])[0][0],
+      }))
+      .sort((a, b) => b.date.localeCompare(a.date)),
+  };
+}
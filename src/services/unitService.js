@@ -0,0 +1,406 @@
+// src/services/unitService.js
+
+import { getFromStorage, saveToStorage } from "../utils/storageUtils";
+
+/**
+ * Unit registry and converter
+ *
+ * Every importer and appleHealthService store values in one canonical
+ * (metric/SI) unit per metric, listed in CANONICAL_UNITS, so stats never
+ * mix pounds and kilograms. Values are only converted back into the
+ * user's preferred system when they are displayed (formatMeasurement).
+ *
+ * Unit names from exports vary ("lbs", "Pounds", "degF", "fl_oz_us") and
+ * are resolved to a registry symbol with normalizeUnit before converting.
+ */
+
+// Units per quantity; `factor` converts one unit into the quantity's base
+const QUANTITIES = {
+  mass: {
+    base: "kg",
+    units: {
+      kg: 1,
+      g: 0.001,
+      mg: 0.000001,
+      µg: 0.000000001,
+      lb: 0.45359237,
+      oz: 0.028349523125,
+      st: 6.35029318,
+    },
+  },
+  length: {
+    base: "m",
+    units: {
+      m: 1,
+      km: 1000,
+      cm: 0.01,
+      mm: 0.001,
+      mi: 1609.344,
+      yd: 0.9144,
+      ft: 0.3048,
+      in: 0.0254,
+    },
+  },
+  volume: {
+    base: "L",
+    units: { L: 1, mL: 0.001, "fl oz": 0.0295735295625, cup: 0.2365882365 },
+  },
+  energy: {
+    base: "kcal",
+    units: { kcal: 1, kJ: 1 / 4.184 },
+  },
+  speed: {
+    base: "m/s",
+    units: { "m/s": 1, "km/h": 1 / 3.6, mph: 0.44704 },
+  },
+  time: {
+    base: "s",
+    units: { ms: 0.001, s: 1, min: 60, hours: 3600 },
+  },
+  temperature: {
+    base: "°C",
+    // Not proportional, so these convert to and from the base explicitly
+    units: {
+      "°C": { toBase: (value) => value, fromBase: (value) => value },
+      "°F": {
+        toBase: (value) => ((value - 32) * 5) / 9,
+        fromBase: (value) => (value * 9) / 5 + 32,
+      },
+      K: {
+        toBase: (value) => value - 273.15,
+        fromBase: (value) => value + 273.15,
+      },
+    },
+  },
+  // Beats and breaths are both counted per minute; HealthKit writes
+  // either as "count/min"
+  perMinute: { base: "bpm", units: { bpm: 1, "breaths/min": 1 } },
+  oxygenUptake: { base: "ml/kg/min", units: { "ml/kg/min": 1 } },
+};
+
+// Spellings found in exports, keyed by lowercase name without spaces/dots
+const UNIT_ALIASES = {
+  kg: "kg",
+  kgs: "kg",
+  kilogram: "kg",
+  kilograms: "kg",
+  g: "g",
+  gram: "g",
+  grams: "g",
+  mg: "mg",
+  milligram: "mg",
+  milligrams: "mg",
+  // Micrograms are written with the micro sign, the Greek mu or as mcg
+  µg: "µg",
+  μg: "µg",
+  ug: "µg",
+  mcg: "µg",
+  microgram: "µg",
+  micrograms: "µg",
+  lb: "lb",
+  lbs: "lb",
+  pound: "lb",
+  pounds: "lb",
+  oz: "oz",
+  ounce: "oz",
+  ounces: "oz",
+  st: "st",
+  stone: "st",
+  m: "m",
+  meter: "m",
+  meters: "m",
+  metre: "m",
+  metres: "m",
+  km: "km",
+  kilometer: "km",
+  kilometers: "km",
+  kilometre: "km",
+  kilometres: "km",
+  cm: "cm",
+  mm: "mm",
+  mi: "mi",
+  mile: "mi",
+  miles: "mi",
+  yd: "yd",
+  yard: "yd",
+  yards: "yd",
+  ft: "ft",
+  feet: "ft",
+  foot: "ft",
+  in: "in",
+  inch: "in",
+  inches: "in",
+  l: "L",
+  liter: "L",
+  liters: "L",
+  litre: "L",
+  litres: "L",
+  ml: "mL",
+  milliliter: "mL",
+  milliliters: "mL",
+  millilitre: "mL",
+  millilitres: "mL",
+  floz: "fl oz",
+  flozus: "fl oz",
+  fl_oz_us: "fl oz",
+  fluidounce: "fl oz",
+  fluidounces: "fl oz",
+  cup: "cup",
+  cups: "cup",
+  kcal: "kcal",
+  // Food labels and Apple Health use "Cal" for kilocalories
+  cal: "kcal",
+  calorie: "kcal",
+  calories: "kcal",
+  kilocalorie: "kcal",
+  kilocalories: "kcal",
+  kj: "kJ",
+  kilojoule: "kJ",
+  kilojoules: "kJ",
+  "m/s": "m/s",
+  mps: "m/s",
+  "km/h": "km/h",
+  "km/hr": "km/h",
+  kph: "km/h",
+  kmh: "km/h",
+  mph: "mph",
+  "mi/hr": "mph",
+  "mi/h": "mph",
+  ms: "ms",
+  millisecond: "ms",
+  milliseconds: "ms",
+  s: "s",
+  sec: "s",
+  secs: "s",
+  second: "s",
+  seconds: "s",
+  min: "min",
+  mins: "min",
+  minute: "min",
+  minutes: "min",
+  h: "hours",
+  hr: "hours",
+  hrs: "hours",
+  hour: "hours",
+  hours: "hours",
+  "°c": "°C",
+  c: "°C",
+  degc: "°C",
+  celsius: "°C",
+  "°f": "°F",
+  f: "°F",
+  degf: "°F",
+  fahrenheit: "°F",
+  k: "K",
+  kelvin: "K",
+  bpm: "bpm",
+  "count/min": "bpm",
+  "beats/min": "bpm",
+  "breaths/min": "breaths/min",
+  breathsperminute: "breaths/min",
+  "ml/kg/min": "ml/kg/min",
+  "ml/min·kg": "ml/kg/min",
+  "ml/(kg·min)": "ml/kg/min",
+};
+
+// Unit every value of a metric is stored in
+export const CANONICAL_UNITS = {
+  heartRate: "bpm",
+  restingHeartRate: "bpm",
+  heartRateVariability: "ms",
+  respiratoryRate: "breaths/min",
+  weight: "kg",
+  leanBodyMass: "kg",
+  height: "cm",
+  waistCircumference: "cm",
+  distance: "m",
+  sleep: "hours",
+  workouts: "min",
+  vo2max: "ml/kg/min",
+  vo2Max: "ml/kg/min",
+  bodyTemperature: "°C",
+  calories: "kcal",
+  basalEnergy: "kcal",
+  dietaryEnergy: "kcal",
+  dietaryWater: "L",
+  walkingSpeed: "m/s",
+  runningSpeed: "m/s",
+};
+
+// Display unit for each metric in each unit system
+export const UNIT_SYSTEMS = {
+  metric: {
+    label: "Metric",
+    units: {
+      weight: "kg",
+      leanBodyMass: "kg",
+      height: "cm",
+      waistCircumference: "cm",
+      distance: "km",
+      bodyTemperature: "°C",
+      dietaryWater: "L",
+      walkingSpeed: "km/h",
+      runningSpeed: "km/h",
+    },
+  },
+  imperial: {
+    label: "Imperial",
+    units: {
+      weight: "lb",
+      leanBodyMass: "lb",
+      height: "in",
+      waistCircumference: "in",
+      distance: "mi",
+      bodyTemperature: "°F",
+      dietaryWater: "fl oz",
+      walkingSpeed: "mph",
+      runningSpeed: "mph",
+    },
+  },
+};
+
+const UNIT_SYSTEM_KEY = "unit-preference";
+
+// Fired on window when the preference changes so mounted panels re-render
+export const UNIT_PREFERENCE_EVENT = "neo-vitru-unit-preference";
+
+const UNIT_QUANTITIES = {};
+Object.entries(QUANTITIES).forEach(([quantity, { units }]) => {
+  Object.keys(units).forEach((unit) => {
+    UNIT_QUANTITIES[unit] = quantity;
+  });
+});
+
+/**
+ * Resolve a unit name from any source to its registry symbol
+ *
+ * @param {string} unit - Unit as written in an export ("lbs", "degF", ...)
+ * @returns {string|null} Registry symbol, or null when unknown
+ */
+export function normalizeUnit(unit) {
+  if (unit === undefined || unit === null) return null;
+  const text = String(unit).trim();
+  if (UNIT_QUANTITIES[text]) return text;
+
+  const key = text.toLowerCase().replace(/[\s.]/g, "");
+  return UNIT_ALIASES[key] || null;
+}
+
+/**
+ * Convert a value between two units of the same quantity
+ *
+ * @param {number} value - Value to convert
+ * @param {string} from - Unit of the value
+ * @param {string} to - Unit to convert to
+ * @returns {number} Converted value
+ */
+export function convertUnit(value, from, to) {
+  const fromUnit = normalizeUnit(from);
+  const toUnit = normalizeUnit(to);
+  if (!fromUnit) throw new Error(`Unknown unit: ${from}`);
+  if (!toUnit) throw new Error(`Unknown unit: ${to}`);
+  if (fromUnit === toUnit) return value;
+
+  const quantity = UNIT_QUANTITIES[fromUnit];
+  if (quantity !== UNIT_QUANTITIES[toUnit]) {
+    throw new Error(`Cannot convert ${fromUnit} to ${toUnit}`);
+  }
+
+  const { units } = QUANTITIES[quantity];
+  if (quantity === "temperature") {
+    return units[toUnit].fromBase(units[fromUnit].toBase(value));
+  }
+  return (value * units[fromUnit]) / units[toUnit];
+}
+
+/**
+ * Convert a metric's value into its canonical storage unit
+ *
+ * Values without a unit are assumed to be canonical already; metrics
+ * without a canonical unit (steps, counts) pass through unchanged.
+ *
+ * @param {string} dataType - Metric name (weight, distance, ...)
+ * @param {number} value - Value as recorded
+ * @param {string} unit - Unit as recorded
+ * @returns {Object} { value, unit } in the canonical unit
+ */
+export function toCanonical(dataType, value, unit) {
+  const canonical = CANONICAL_UNITS[dataType];
+  if (!canonical) return { value, unit: unit || null };
+  if (unit === undefined || unit === null || unit === "") {
+    return { value, unit: canonical };
+  }
+
+  return { value: convertUnit(value, unit, canonical), unit: canonical };
+}
+
+/**
+ * Get the unit system values are displayed in
+ *
+ * @returns {string} Key of UNIT_SYSTEMS
+ */
+export function getUnitSystem() {
+  const system = getFromStorage(UNIT_SYSTEM_KEY, "metric");
+  return UNIT_SYSTEMS[system] ? system : "metric";
+}
+
+/**
+ * Set the unit system values are displayed in
+ *
+ * @param {string} system - Key of UNIT_SYSTEMS
+ * @returns {boolean} Success status
+ */
+export function setUnitSystem(system) {
+  if (!UNIT_SYSTEMS[system]) {
+    throw new Error(`Unknown unit system: ${system}`);
+  }
+
+  const saved = saveToStorage(UNIT_SYSTEM_KEY, system);
+  if (saved && typeof window !== "undefined") {
+    window.dispatchEvent(
+      new CustomEvent(UNIT_PREFERENCE_EVENT, { detail: system })
+    );
+  }
+  return saved;
+}
+
+/**
+ * Convert a stored value into the display unit of a unit system
+ *
+ * @param {string} dataType - Metric name (weight, distance, ...)
+ * @param {number} value - Value in the canonical unit
+ * @param {string} system - Key of UNIT_SYSTEMS, defaults to the preference
+ * @returns {Object} { value, unit }
+ */
+export function toDisplay(dataType, value, system = getUnitSystem()) {
+  const canonical = CANONICAL_UNITS[dataType] || null;
+  const unit = UNIT_SYSTEMS[system].units[dataType];
+  if (!unit || !canonical || typeof value !== "number" || isNaN(value)) {
+    return { value, unit: canonical };
+  }
+
+  return { value: convertUnit(value, canonical, unit), unit };
+}
+
+/**
+ * Format a stored value for display, e.g. "172.6 lb"
+ *
+ * @param {string} dataType - Metric name (weight, distance, ...)
+ * @param {number} value - Value in the canonical unit
+ * @param {Object} options
+ * @param {number} options.decimals - Decimal places
+ * @param {string} options.system - Key of UNIT_SYSTEMS
+ * @param {string} options.fallback - Shown when there is no value
+ * @returns {string} Value and unit
+ */
+export function formatMeasurement(
+  dataType,
+  value,
+  { decimals = 1, system = getUnitSystem(), fallback = "--" } = {}
+) {
+  const number = typeof value === "number" ? value : parseFloat(value);
+  if (isNaN(number)) return fallback;
+
+  const display = toDisplay(dataType, number, system);
+  return `${display.value.toFixed(decimals)} ${display.unit || ""}`.trim();
+}
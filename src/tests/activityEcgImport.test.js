@@ -0,0 +1,203 @@
+import appleHealthService from "../services/appleHealthService";
+import {
+  createAppleHealthCollector,
+  createXmlStreamParser,
+} from "../services/appleHealthXmlParser";
+import { STORAGE_KEYS, commitImport } from "../services/dataImportService";
+import { parseElectrocardiogram } from "../services/ecgParser";
+import { processImport } from "../services/importEngine";
+import { getFromStorage } from "../utils/storageUtils";
+
+const SUMMARIES = `<HealthData locale="en_US">
+ <ActivitySummary dateComponents="2024-03-03" activeEnergyBurned="0" activeEnergyBurnedGoal="0" activeEnergyBurnedUnit="Cal" appleExerciseTime="0" appleExerciseTimeGoal="30" appleStandHours="0" appleStandHoursGoal="12"/>
+ <ActivitySummary dateComponents="2024-03-04" activeEnergyBurned="612.4" activeEnergyBurnedGoal="600" activeEnergyBurnedUnit="Cal" appleMoveTime="0" appleMoveTimeGoal="0" appleExerciseTime="34" appleExerciseTimeGoal="30" appleStandHours="11" appleStandHoursGoal="12"/>
+ <ActivitySummary dateComponents="2024-03-05" activeEnergyBurned="2092" activeEnergyBurnedGoal="2510.4" activeEnergyBurnedUnit="kJ" appleExerciseTime="12" appleExerciseTimeGoal="30" appleStandHours="12" appleStandHoursGoal="12"/>
+ <ActivitySummary dateComponents="2024-03-06" activeEnergyBurned="310" activeEnergyBurnedGoal="0" activeEnergyBurnedUnit="Cal" appleMoveTime="42" appleMoveTimeGoal="30" appleExerciseTime="45" appleExerciseTimeGoal="30" appleStandHours="9" appleStandHoursGoal="12"/>
+</HealthData>`;
+
+const ECG_CSV = `Name,Jo Bloggs
+Date of Birth,"Jan 1, 1990"
+Recorded Date,2024-03-04 09:12:33 +0100
+Classification,Sinus Rhythm
+Symptoms,
+Software Version,2
+Device,"Watch6,2"
+Sample Rate,512 hertz
+,
+Lead,Lead I
+Unit,µV
+,
+-28.153
+-27.908
+-26.04
+4.5
+`;
+
+function collect(xml) {
+  const collector = createAppleHealthCollector();
+  const parser = createXmlStreamParser({ onElement: collector.add });
+  parser.write(xml);
+  parser.end();
+  return collector.getData();
+}
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe("Activity rings", () => {
+  test("are collected once the watch recorded anything", () => {
+    const { activitySummary } = collect(SUMMARIES);
+
+    expect(activitySummary.map(({ date }) => date)).toEqual([
+      "2024-03-04",
+      "2024-03-05",
+      "2024-03-06",
+    ]);
+    // Move time mode counts minutes
+    expect(activitySummary[2]).toMatchObject({
+      move: "42",
+      moveGoal: "30",
+      unit: "min",
+    });
+  });
+
+  test("are stored per day with move energy in kcal", async () => {
+    const result = await processImport({
+      format: "parsed-xml",
+      content: collect(SUMMARIES),
+    });
+
+    expect(result.errors).toEqual([]);
+    const [energy, kilojoules, moveTime] = result.records.activitySummary;
+    expect(energy).toMatchObject({
+      move: 612.4,
+      moveGoal: 600,
+      moveUnit: "kcal",
+      exercise: 34,
+      exerciseGoal: 30,
+      stand: 11,
+      standGoal: 12,
+    });
+    expect(kilojoules.move).toBeCloseTo(500, 5);
+    expect(kilojoules.moveGoal).toBeCloseTo(600, 5);
+    expect(moveTime).toMatchObject({ move: 42, moveGoal: 30, moveUnit: "min" });
+  });
+
+  test("keep one summary per day, replaced as the day fills up", async () => {
+    const importSummaries = async (xml) =>
+      commitImport(
+        await processImport({ format: "parsed-xml", content: collect(xml) })
+      );
+    await importSummaries(SUMMARIES);
+
+    const again = await importSummaries(SUMMARIES);
+    expect(again.counts.activitySummary).toBe(0);
+    expect(again.duplicates.activitySummary).toBe(3);
+
+    // A later export with more exercise on the last day
+    const later = await importSummaries(
+      SUMMARIES.replace('appleExerciseTime="45"', 'appleExerciseTime="71"')
+    );
+    expect(later.counts.activitySummary).toBe(1);
+    const stored = getFromStorage(STORAGE_KEYS.ACTIVITY_SUMMARY_DATA);
+    expect(stored.map(({ exercise }) => exercise)).toEqual([34, 12, 71]);
+  });
+
+  test("feed the move metrics and consistency", async () => {
+    commitImport(
+      await processImport({ format: "parsed-xml", content: collect(SUMMARIES) })
+    );
+
+    const summaries = appleHealthService.getActivitySummaries();
+    expect(summaries.map(({ day }) => day)).toEqual([
+      "2024-03-06",
+      "2024-03-05",
+      "2024-03-04",
+    ]);
+    expect(summaries[0].closed).toEqual({
+      move: true,
+      exercise: true,
+      stand: false,
+    });
+
+    const consistencyOn = (today, activityData) => {
+      jest.useFakeTimers("modern");
+      jest.setSystemTime(today);
+      try {
+        return appleHealthService.calculateConsistency(activityData);
+      } finally {
+        jest.useRealTimers();
+      }
+    };
+    const moveMetrics = { activitySummaries: summaries };
+
+    // Exercise closed on two of the three days with rings this week
+    expect(consistencyOn(new Date(2024, 2, 6, 12), { moveMetrics })).toBe(67);
+    // Only 5 and 6 March are still within the last seven days
+    expect(consistencyOn(new Date(2024, 2, 11, 12), { moveMetrics })).toBe(50);
+    // A full week of rings, exercise closed on three days
+    const fullWeek = [...Array(7)].map((_, i) => ({
+      day: `2024-03-${String(20 - i).padStart(2, "0")}`,
+      closed: { exercise: i % 2 === 0 && i < 6 },
+    }));
+    expect(
+      consistencyOn(new Date(2024, 2, 20, 12), {
+        moveMetrics: { activitySummaries: fullWeek },
+      })
+    ).toBe(43);
+    // No rings this week: exercise minutes against the weekly target
+    expect(
+      consistencyOn(new Date(2024, 2, 20, 12), {
+        moveMetrics,
+        exerciseTime: { weeklyTotal: 75 },
+      })
+    ).toBe(50);
+    expect(
+      consistencyOn(new Date(2024, 2, 20, 12), {
+        exerciseTime: { weeklyTotal: 75 },
+      })
+    ).toBe(50);
+  });
+});
+
+describe("ECG recordings", () => {
+  test("are read with their classification and samples", () => {
+    expect(parseElectrocardiogram(ECG_CSV)).toEqual({
+      recordType: "electrocardiogram",
+      date: "2024-03-04T09:12:33+01:00",
+      classification: "Sinus Rhythm",
+      symptoms: null,
+      device: "Watch6,2",
+      softwareVersion: "2",
+      sampleRate: 512,
+      lead: "Lead I",
+      unit: "µV",
+      samples: [-28.2, -27.9, -26, 4.5],
+      source: "Apple Watch",
+    });
+  });
+
+  test("reject files that are not ECG exports", () => {
+    expect(() => parseElectrocardiogram("date,steps\n2024-03-04,10")).toThrow(
+      "no recorded date"
+    );
+  });
+
+  test("are stored in their own collection", async () => {
+    const result = await processImport({
+      format: "parsed-xml",
+      content: { electrocardiogram: [parseElectrocardiogram(ECG_CSV)] },
+    });
+    commitImport(result);
+
+    const [stored] = getFromStorage(STORAGE_KEYS.ECG_DATA);
+    expect(stored).toMatchObject({
+      date: "2024-03-04T08:12:33.000Z",
+      utcOffset: 60,
+      classification: "Sinus Rhythm",
+      sampleRate: 512,
+      samples: [-28.2, -27.9, -26, 4.5],
+    });
+  });
+});
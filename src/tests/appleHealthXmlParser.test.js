@@ -0,0 +1,191 @@
+import { TextDecoder } from "util";
+import {
+  createAppleHealthCollector,
+  createXmlStreamParser,
+  parseAppleHealthExport,
+  toIsoDate,
+} from "../services/appleHealthXmlParser";
+
+const SAMPLE_EXPORT = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE HealthData [
+<!ELEMENT HealthData (ExportDate,Me,(Record|Workout)*)>
+<!ATTLIST HealthData locale CDATA #REQUIRED>
+]>
+<HealthData locale="en_US">
+ <ExportDate value="2024-03-22 08:00:00 -0700"/>
+ <Me HKCharacteristicTypeIdentifierBiologicalSex="HKBiologicalSexMale"/>
+ <!-- Apple never writes comments, but they are legal -->
+ <Record type="HKQuantityTypeIdentifierHeartRate" sourceName="Jo&apos;s Apple Watch" unit="count/min" startDate="2024-03-20 22:14:05 -0700" endDate="2024-03-20 22:14:05 -0700" value="62">
+  <MetadataEntry key="HKMetadataKeyHeartRateMotionContext" value="1"/>
+ </Record>
+ <Record type="HKQuantityTypeIdentifierStepCount" sourceName="iPhone" unit="count" startDate="2024-03-20 09:00:00 -0700" endDate="2024-03-20 09:10:00 -0700" value="812"/>
+ <Record type="HKCategoryTypeIdentifierSleepAnalysis" sourceName="Watch" startDate="2024-03-20 23:00:00 -0700" endDate="2024-03-21 01:30:00 -0700" value="HKCategoryValueSleepAnalysisAsleepCore"/>
+ <Correlation type="HKCorrelationTypeIdentifierBloodPressure" startDate="2024-03-20 09:00:00 -0700">
+  <Record type="HKQuantityTypeIdentifierHeartRate" startDate="2024-03-20 09:00:00 -0700" value="999"/>
+ </Correlation>
+ <Workout workoutActivityType="HKWorkoutActivityTypeRunning" duration="31.5" durationUnit="min" sourceName="Watch" startDate="2024-03-21 07:00:00 -0700" endDate="2024-03-21 07:31:30 -0700">
+  <WorkoutStatistics type="HKQuantityTypeIdentifierActiveEnergyBurned" sum="320" unit="Cal"/>
+  <WorkoutStatistics type="HKQuantityTypeIdentifierDistanceWalkingRunning" sum="5.1" unit="km"/>
+ </Workout>
+ <ActivitySummary dateComponents="2024-03-21" activeEnergyBurned="540" activeEnergyBurnedGoal="600"/>
+</HealthData>
+`;
+
+function parseInPieces(text, pieceSize) {
+  const elements = [];
+  const parser = createXmlStreamParser({
+    onElement: (element) => elements.push(element),
+  });
+
+  for (let i = 0; i < text.length; i += pieceSize) {
+    parser.write(text.slice(i, i + pieceSize));
+  }
+  parser.end();
+
+  return elements;
+}
+
+describe("createXmlStreamParser", () => {
+  test("emits top-level elements with attributes and children", () => {
+    const elements = parseInPieces(SAMPLE_EXPORT, SAMPLE_EXPORT.length);
+
+    expect(elements.map((element) => element.name)).toEqual([
+      "Record",
+      "Record",
+      "Record",
+      "Workout",
+      "ActivitySummary",
+    ]);
+    expect(elements[0].attributes.sourceName).toBe("Jo's Apple Watch");
+    expect(elements[0].children[0].name).toBe("MetadataEntry");
+    expect(elements[3].children).toHaveLength(2);
+  });
+
+  test("produces identical output regardless of chunk boundaries", () => {
+    const whole = parseInPieces(SAMPLE_EXPORT, SAMPLE_EXPORT.length);
+
+    [1, 7, 64].forEach((pieceSize) => {
+      expect(parseInPieces(SAMPLE_EXPORT, pieceSize)).toEqual(whole);
+    });
+  });
+
+  test("keeps the text of collected elements across chunk boundaries", () => {
+    const gpx = `<gpx><trk><name>Lunch &amp; Run</name><trkseg>
+  <trkpt lat="1" lon="2"><ele>12.4</ele><time>2024-03-01T15:00:00Z</time></trkpt>
+ </trkseg></trk></gpx>`;
+
+    [1, 5, gpx.length].forEach((pieceSize) => {
+      const elements = [];
+      const parser = createXmlStreamParser({
+        elements: ["trk"],
+        onElement: (element) => elements.push(element),
+      });
+      for (let i = 0; i < gpx.length; i += pieceSize) {
+        parser.write(gpx.slice(i, i + pieceSize));
+      }
+      parser.end();
+
+      const [track] = elements;
+      const point = track.children[1].children[0];
+      expect(track.text).toBeUndefined();
+      expect(track.children[0].text).toBe("Lunch & Run");
+      expect(point.children.map(({ text }) => text)).toEqual([
+        "12.4",
+        "2024-03-01T15:00:00Z",
+      ]);
+    });
+  });
+
+  test("parses a multi-megabyte chunk in linear time", () => {
+    // No apostrophes anywhere, as in real exports, so a search for the
+    // next quote of each kind would scan to the end for every attribute
+    const record =
+      ' <Record type="HKQuantityTypeIdentifierHeartRate" sourceName="Watch"' +
+      ' unit="count/min" startDate="2024-03-20 22:14:05 -0700"' +
+      ' endDate="2024-03-20 22:14:05 -0700" value="62"/>\n';
+    const count = Math.ceil((4 * 1024 * 1024) / record.length);
+    const chunk = `<HealthData>\n${record.repeat(count)}</HealthData>`;
+
+    let elements = 0;
+    const parser = createXmlStreamParser({
+      onElement: () => elements++,
+    });
+    const started = Date.now();
+    parser.write(chunk);
+    parser.end();
+
+    expect(elements).toBe(count);
+    // Quadratic scanning took about 10 s here
+    expect(Date.now() - started).toBeLessThan(3000);
+  });
+
+  test("rejects a truncated document", () => {
+    const parser = createXmlStreamParser();
+    const cutOff = SAMPLE_EXPORT.indexOf("<Workout") + 20;
+    parser.write(SAMPLE_EXPORT.slice(0, cutOff));
+
+    expect(() => parser.end()).toThrow("unexpected end of document");
+  });
+});
+
+describe("parseAppleHealthExport", () => {
+  beforeAll(() => {
+    global.TextDecoder = TextDecoder;
+  });
+
+  test("reads the blob in slices and reports byte progress", async () => {
+    const bytes = Buffer.from(SAMPLE_EXPORT.replace("Jo", "Jö"), "utf-8");
+    const blob = {
+      size: bytes.length,
+      slice: (start, end) => ({
+        arrayBuffer: async () =>
+          new Uint8Array(bytes.subarray(start, end)).buffer,
+      }),
+    };
+    const collector = createAppleHealthCollector();
+    const progress = [];
+
+    const result = await parseAppleHealthExport(blob, {
+      chunkSize: 100,
+      onElement: collector.add,
+      onProgress: (update) => progress.push(update),
+    });
+
+    expect(result.bytesRead).toBe(bytes.length);
+    expect(progress[progress.length - 1].percent).toBe(100);
+    expect(collector.getData().heartRate[0].source).toBe("Jö's Apple Watch");
+  });
+});
+
+describe("createAppleHealthCollector", () => {
+  test("maps records and workouts onto the parsed-xml shape", () => {
+    const collector = createAppleHealthCollector();
+    parseInPieces(SAMPLE_EXPORT, 50).forEach(collector.add);
+    const data = collector.getData();
+
+    expect(collector.getStats()).toMatchObject({
+      heartRate: 1,
+      steps: 1,
+      sleep: 1,
+      workouts: 1,
+    });
+    expect(data.sleep[0]).toMatchObject({
+      date: "2024-03-20T23:00:00-07:00",
+      value: 2.5,
+      category: "HKCategoryValueSleepAnalysisAsleepCore",
+    });
+    expect(data.workouts[0]).toMatchObject({
+      duration: 31.5,
+      unit: "min",
+      calories: 320,
+      distance: 5.1,
+      distanceUnit: "km",
+    });
+  });
+
+  test("converts Apple timestamps to ISO 8601", () => {
+    expect(toIsoDate("2024-03-20 22:14:05 +0530")).toBe(
+      "2024-03-20T22:14:05+05:30"
+    );
+  });
+});
@@ -0,0 +1,175 @@
+import { webcrypto } from "crypto";
+import { TextDecoder, TextEncoder } from "util";
+import {
+  createBackup,
+  previewBackup,
+  readBackup,
+  restoreBackup,
+} from "../services/backupService";
+import { STORAGE_KEYS as HEALTH_KEYS } from "../services/dataImportService";
+import {
+  getKnowledgeBase,
+  KNOWLEDGE_BASE_KEY,
+  storeKnowledgeBase,
+} from "../services/knowledgeBaseService";
+import {
+  getSchemaVersion,
+  runMigrations,
+  SCHEMA_VERSION_KEY,
+} from "../services/migrationService";
+import { hashText } from "../utils/storageCrypto";
+import {
+  clearAppStorage,
+  getFromStorage,
+  saveToStorage,
+  STORAGE_KEYS,
+} from "../utils/storageUtils";
+
+// jsdom lacks Web Crypto
+global.crypto = webcrypto;
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const HEART_RATE = [
+  { date: "2024-03-04T08:00:00.000Z", value: 58 },
+  { date: "2024-03-05T08:00:00.000Z", value: 61 },
+];
+
+const NOTE = { id: "zone-2", title: "Zone 2", content: "Easy aerobic work" };
+
+// A backup file as the user would pick it
+async function backupFile() {
+  return JSON.stringify(await createBackup());
+}
+
+beforeEach(async () => {
+  clearAppStorage();
+  localStorage.clear();
+  await runMigrations();
+});
+
+describe("backups", () => {
+  test("round-trip every store and the knowledge base", async () => {
+    saveToStorage(HEALTH_KEYS.HEART_RATE_DATA, HEART_RATE);
+    saveToStorage(STORAGE_KEYS.STREAK_DATA, { currentStreak: 4 });
+    saveToStorage("body-model-settings", { height: 180 });
+    storeKnowledgeBase({ [NOTE.id]: NOTE });
+    const file = await backupFile();
+    expect(JSON.parse(file).data.stores).not.toHaveProperty(KNOWLEDGE_BASE_KEY);
+
+    // A new browser
+    clearAppStorage();
+    storeKnowledgeBase({});
+    await runMigrations();
+    const backup = await readBackup(file);
+    expect(previewBackup(backup)).toMatchObject({
+      canMerge: true,
+      knowledgeBaseEntries: 1,
+      stores: expect.arrayContaining([
+        { key: HEALTH_KEYS.HEART_RATE_DATA, records: 2, currentRecords: 0 },
+      ]),
+    });
+
+    await restoreBackup(backup, { mode: "replace" });
+    expect(getFromStorage(HEALTH_KEYS.HEART_RATE_DATA)).toEqual(HEART_RATE);
+    expect(getFromStorage(STORAGE_KEYS.STREAK_DATA)).toEqual({
+      currentStreak: 4,
+    });
+    expect(getFromStorage("body-model-settings")).toEqual({ height: 180 });
+    expect(getKnowledgeBase()).toEqual({ [NOTE.id]: NOTE });
+  });
+
+  test("refuse files that are not backups, damaged or too new", async () => {
+    saveToStorage(HEALTH_KEYS.HEART_RATE_DATA, HEART_RATE);
+    const backup = JSON.parse(await backupFile());
+
+    await expect(readBackup("{ nope")).rejects.toThrow(
+      "Not a NEO•VITRU backup file"
+    );
+    await expect(readBackup(JSON.stringify(HEART_RATE))).rejects.toThrow(
+      "Not a NEO•VITRU backup file"
+    );
+
+    backup.data.stores[HEALTH_KEYS.HEART_RATE_DATA][0].value = 200;
+    await expect(readBackup(JSON.stringify(backup))).rejects.toThrow(
+      "The backup file is damaged: its checksum does not match"
+    );
+
+    await expect(
+      readBackup(JSON.stringify({ ...backup, version: 99 }))
+    ).rejects.toThrow("This backup was made by a newer version of the app");
+  });
+
+  test("replace removes what the backup does not have", async () => {
+    saveToStorage(HEALTH_KEYS.HEART_RATE_DATA, HEART_RATE);
+    const backup = await readBackup(await backupFile());
+    saveToStorage("reminders", [{ time: "07:00" }]);
+    storeKnowledgeBase({ [NOTE.id]: NOTE });
+
+    await restoreBackup(backup, { mode: "replace" });
+    expect(getFromStorage("reminders")).toBeNull();
+    expect(getFromStorage(HEALTH_KEYS.HEART_RATE_DATA)).toEqual(HEART_RATE);
+    expect(getKnowledgeBase()).toEqual({});
+  });
+
+  test("replace empties the knowledge base for backups without one", async () => {
+    const backup = JSON.parse(await backupFile());
+    delete backup.data.knowledgeBase;
+    backup.checksum = await hashText(JSON.stringify(backup.data));
+    storeKnowledgeBase({ [NOTE.id]: NOTE });
+
+    await restoreBackup(await readBackup(JSON.stringify(backup)), {
+      mode: "replace",
+    });
+    expect(getKnowledgeBase()).toEqual({});
+  });
+
+  test("merge adds records and keeps current settings", async () => {
+    saveToStorage(HEALTH_KEYS.HEART_RATE_DATA, [HEART_RATE[0]]);
+    saveToStorage(STORAGE_KEYS.CHECK_INS, {
+      lastCheckIn: "2024-03-04",
+      history: [{ date: "2024-03-04" }],
+    });
+    saveToStorage("unit-preference", "imperial");
+    const backup = await readBackup(await backupFile());
+
+    saveToStorage(HEALTH_KEYS.HEART_RATE_DATA, [HEART_RATE[1]]);
+    saveToStorage(STORAGE_KEYS.CHECK_INS, {
+      lastCheckIn: "2024-03-06",
+      history: [{ date: "2024-03-06" }],
+    });
+    saveToStorage("unit-preference", "metric");
+
+    await restoreBackup(backup, { mode: "merge" });
+    expect(getFromStorage(HEALTH_KEYS.HEART_RATE_DATA)).toEqual([
+      HEART_RATE[1],
+      HEART_RATE[0],
+    ]);
+    expect(getFromStorage(STORAGE_KEYS.CHECK_INS)).toEqual({
+      lastCheckIn: "2024-03-06",
+      history: [{ date: "2024-03-06" }, { date: "2024-03-04" }],
+    });
+    expect(getFromStorage("unit-preference")).toBe("metric");
+  });
+
+  test("upgrade older backups, which can only replace", async () => {
+    localStorage.clear();
+    saveToStorage("streaks", { currentStreak: 2, lastCheckIn: "2024-03-05" });
+    const backup = await readBackup(await backupFile());
+    expect(backup.schemaVersion).toBe(0);
+
+    await runMigrations();
+    expect(previewBackup(backup).canMerge).toBe(false);
+    await expect(restoreBackup(backup, { mode: "merge" })).rejects.toThrow(
+      "Backups from older versions of the app can only replace the data"
+    );
+
+    await restoreBackup(backup, { mode: "replace" });
+    expect(getSchemaVersion()).toBe(getFromStorage(SCHEMA_VERSION_KEY));
+    expect(getSchemaVersion()).toBeGreaterThan(0);
+    expect(getFromStorage("streaks")).toBeNull();
+    expect(getFromStorage(STORAGE_KEYS.STREAK_DATA)).toMatchObject({
+      currentStreak: 2,
+    });
+  });
+});
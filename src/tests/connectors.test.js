@@ -0,0 +1,388 @@
+import http from "http";
+import {
+  connectConnector,
+  disconnectConnector,
+  getConnectedApps,
+  getConnectorState,
+  getSyncLog,
+  registerConnector,
+  startSyncing,
+  syncConnector,
+} from "../services/connectorService";
+import appleHealthConnector from "../services/connectors/appleHealth";
+import {
+  fetchHealthData,
+  isHealthKitAvailable,
+  requestHealthKitPermissions,
+} from "../services/appleHealthService";
+import { STORAGE_KEYS, getImportHistory } from "../services/dataImportService";
+import { getFromStorage } from "../utils/storageUtils";
+
+jest.mock("../services/appleHealthService", () => ({
+  ...jest.requireActual("../services/appleHealthService"),
+  fetchHealthData: jest.fn(),
+  isHealthKitAvailable: jest.fn(),
+  requestHealthKitPermissions: jest.fn(),
+}));
+
+const RIDE = {
+  id: 101,
+  name: "Morning Ride",
+  sport_type: "Ride",
+  start_date: "2024-03-04T06:30:00Z",
+  start_date_local: "2024-03-04T07:30:00Z",
+  elapsed_time: 3900,
+  moving_time: 3600,
+  distance: 30125.5,
+  average_heartrate: 142.3,
+  average_watts: 181,
+  total_elevation_gain: 212,
+};
+
+const RUN = {
+  id: 102,
+  name: "Lunch Run",
+  sport_type: "Run",
+  start_date: "2024-03-05T11:00:00Z",
+  start_date_local: "2024-03-05T12:00:00Z",
+  elapsed_time: 1800,
+  moving_time: 1750,
+  distance: 5012,
+};
+
+// Local stand-in for the Strava API
+function createStravaStub() {
+  const stub = { requests: [], activities: [RIDE, RUN], failWith: null };
+  stub.tokens = 0;
+  stub.expiresIn = 6 * 3600;
+
+  stub.server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      const url = new URL(request.url, "http://localhost");
+      stub.requests.push({
+        method: request.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        authorization: request.headers.authorization,
+        body: body ? JSON.parse(body) : null,
+      });
+      const reply = (status, data) => {
+        response.writeHead(status, { "Content-Type": "application/json" });
+        response.end(JSON.stringify(data));
+      };
+
+      if (stub.failWith) return reply(stub.failWith, { message: "Error" });
+      if (url.pathname === "/oauth/token") {
+        stub.tokens++;
+        return reply(200, {
+          access_token: `access-${stub.tokens}`,
+          refresh_token: "refresh-next",
+          expires_at: Math.floor(Date.now() / 1000) + stub.expiresIn,
+        });
+      }
+      if (url.pathname === "/api/v3/athlete/activities") {
+        const after = Number(url.searchParams.get("after"));
+        return reply(
+          200,
+          stub.activities.filter(
+            ({ start_date: start }) => Date.parse(start) / 1000 > after
+          )
+        );
+      }
+      return reply(404, { message: "Not Found" });
+    });
+  });
+
+  return stub;
+}
+
+// fetch over Node's http, since jsdom has none
+function nodeFetch(url, { method = "GET", headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, { method, headers }, (response) => {
+      let text = "";
+      response.setEncoding("utf8");
+      response.on("data", (chunk) => (text += chunk));
+      response.on("end", () =>
+        resolve({
+          ok: response.statusCode >= 200 && response.statusCode < 300,
+          status: response.statusCode,
+          json: async () => JSON.parse(text),
+        })
+      );
+    });
+    request.on("error", reject);
+    if (body) request.write(body);
+    request.end();
+  });
+}
+
+const CREDENTIALS = {
+  clientId: "123",
+  clientSecret: "secret",
+  refreshToken: "refresh-first",
+};
+
+let stub;
+let baseUrl;
+
+beforeAll(async () => {
+  stub = createStravaStub();
+  await new Promise((resolve) => stub.server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${stub.server.address().port}`;
+});
+
+afterAll(() => new Promise((resolve) => stub.server.close(resolve)));
+
+beforeEach(() => {
+  localStorage.clear();
+  stub.requests = [];
+  stub.activities = [RIDE, RUN];
+  stub.failWith = null;
+  stub.tokens = 0;
+  stub.expiresIn = 6 * 3600;
+});
+
+afterEach(() => {
+  disconnectConnector("strava");
+});
+
+function connectStrava() {
+  return connectConnector("strava", CREDENTIALS, {
+    baseUrl,
+    fetch: nodeFetch,
+  });
+}
+
+describe("Strava connector", () => {
+  test("exchanges the refresh token when connecting", async () => {
+    const state = await connectStrava();
+
+    expect(state).toMatchObject({
+      connected: true,
+      auth: { accessToken: "access-1", refreshToken: "refresh-next" },
+    });
+    expect(stub.requests[0]).toMatchObject({
+      method: "POST",
+      path: "/oauth/token",
+      body: {
+        client_id: "123",
+        grant_type: "refresh_token",
+        refresh_token: "refresh-first",
+      },
+    });
+    expect(getConnectedApps()).toMatchObject({
+      strava: true,
+      "apple-health": false,
+    });
+  });
+
+  test("syncs activities since the cursor into the workouts", async () => {
+    await connectStrava();
+    const entry = await syncConnector("strava", { fetch: nodeFetch });
+
+    expect(entry).toMatchObject({
+      event: "sync",
+      status: "success",
+      fetched: 2,
+      counts: { workouts: 2 },
+    });
+    expect(stub.requests[1]).toMatchObject({
+      path: "/api/v3/athlete/activities",
+      query: { after: "0" },
+      authorization: "Bearer access-1",
+    });
+
+    const [ride, run] = getFromStorage(STORAGE_KEYS.WORKOUT_DATA);
+    expect(ride).toMatchObject({
+      date: "2024-03-04T06:30:00.000Z",
+      utcOffset: 60,
+      type: "Ride",
+      name: "Morning Ride",
+      duration: 65,
+      distance: 30125.5,
+      movingTime: 60,
+      avgPower: 181,
+      source: "Strava",
+    });
+    expect(ride).not.toHaveProperty("calories");
+    expect(run.type).toBe("Run");
+    expect(getImportHistory()[0]).toMatchObject({
+      fileName: "Strava sync",
+      format: "strava",
+    });
+
+    // The next sync only asks for what is newer
+    const cursor = Date.parse(RUN.start_date) / 1000;
+    expect(getConnectorState("strava").cursor).toBe(cursor);
+    const next = await syncConnector("strava", { fetch: nodeFetch });
+    expect(stub.requests[2].query.after).toBe(String(cursor));
+    expect(next).toMatchObject({ fetched: 0, importId: null });
+    expect(getImportHistory()).toHaveLength(1);
+  });
+
+  test("keeps the cursor when a sync fails", async () => {
+    await connectStrava();
+    stub.failWith = 500;
+
+    await expect(syncConnector("strava", { fetch: nodeFetch })).rejects.toThrow(
+      "failed with status 500"
+    );
+    expect(getConnectorState("strava")).toMatchObject({
+      cursor: null,
+      lastError: "Request to /api/v3/athlete/activities failed with status 500",
+    });
+    expect(getSyncLog("strava")[0]).toMatchObject({
+      event: "sync",
+      status: "error",
+    });
+  });
+
+  test("refreshes an expired access token before syncing", async () => {
+    stub.expiresIn = -60;
+    await connectStrava();
+
+    await syncConnector("strava", { fetch: nodeFetch });
+    expect(stub.requests.map(({ path }) => path)).toEqual([
+      "/oauth/token",
+      "/oauth/token",
+      "/api/v3/athlete/activities",
+    ]);
+    expect(stub.requests[1].body.refresh_token).toBe("refresh-next");
+    expect(stub.requests[2].authorization).toBe("Bearer access-2");
+    expect(getConnectorState("strava").auth.accessToken).toBe("access-2");
+  });
+});
+
+describe("Apple Health connector", () => {
+  const at = (minute) =>
+    new Date(Date.UTC(2024, 2, 4, 8, minute)).toISOString();
+  const sample = (minute) => ({
+    date: at(minute),
+    endDate: at(minute + 1),
+    value: 60 + minute,
+    unit: "count/min",
+  });
+
+  afterEach(() => fetchHealthData.mockReset());
+
+  test("reads a window before the cursor again for late samples", async () => {
+    // Like the plugin's cache, always hand back everything
+    const lastWeek = {
+      ...sample(0),
+      date: at(-7 * 24 * 60),
+      endDate: at(-7 * 24 * 60 + 1),
+      value: 50,
+    };
+    let stored = [lastWeek, sample(0), sample(5)];
+    fetchHealthData.mockImplementation(async (dataType) =>
+      dataType === "heartRate" ? stored : []
+    );
+
+    const first = await appleHealthConnector.fetchSince(null, {
+      dataTypes: ["heartRate"],
+    });
+    expect(first.items).toHaveLength(3);
+    expect(first.cursor).toBe(at(6));
+
+    stored = [...stored, sample(10)];
+    const next = await appleHealthConnector.fetchSince(first.cursor, {
+      dataTypes: ["heartRate"],
+    });
+    expect(fetchHealthData).toHaveBeenLastCalledWith("heartRate", "year", {
+      startDate: at(6 - 48 * 60),
+      forceRefresh: true,
+    });
+    expect(next.items.map(({ value }) => value)).toEqual([60, 65, 70]);
+    expect(next.cursor).toBe(at(11));
+  });
+
+  test("imports samples that reach HealthKit after newer ones", async () => {
+    let stored = [sample(0), sample(30)];
+    fetchHealthData.mockImplementation(async (dataType) =>
+      dataType === "heartRate" ? stored : []
+    );
+    isHealthKitAvailable.mockResolvedValue(true);
+    requestHealthKitPermissions.mockResolvedValue(true);
+    await connectConnector("apple-health");
+    await syncConnector("apple-health");
+    expect(getConnectorState("apple-health").cursor).toBe(at(31));
+
+    // A Watch sample from before the cursor, synced to the phone late
+    stored = [...stored, sample(10)];
+    const entry = await syncConnector("apple-health");
+    disconnectConnector("apple-health");
+
+    expect(entry.counts.heartRate).toBe(1);
+    expect(
+      getFromStorage(STORAGE_KEYS.HEART_RATE_DATA).map(({ value }) => value)
+    ).toEqual([60, 70, 90]);
+  });
+});
+
+describe("connector service", () => {
+  const pages = [
+    { items: [{ day: "2024-03-04", steps: 9000 }], cursor: 1, hasMore: true },
+    { items: [{ day: "2024-03-05", steps: 7000 }], cursor: 2, hasMore: false },
+  ];
+  const stepsConnector = {
+    id: "step-counter",
+    label: "Step counter",
+    credentials: [],
+    authenticate: () => ({ token: "t" }),
+    listDataTypes: () => ["steps", "weight"],
+    fetchSince: (cursor) => pages[cursor || 0],
+    map: ({ day, steps }) => [
+      { recordType: "steps", date: day, value: steps, source: "Counter" },
+      { recordType: "heartRate", date: day, value: 60, source: "Counter" },
+    ],
+  };
+
+  beforeAll(() => registerConnector(stepsConnector));
+  afterEach(() => disconnectConnector("step-counter"));
+
+  test("rejects connectors missing an operation", () => {
+    expect(() =>
+      registerConnector({ ...stepsConnector, fetchSince: undefined })
+    ).toThrow("fetchSince");
+  });
+
+  test("follows pages and keeps only the listed data types", async () => {
+    await connectConnector("step-counter");
+    await syncConnector("step-counter");
+
+    expect(
+      getFromStorage(STORAGE_KEYS.STEP_COUNT_DATA).map(({ value }) => value)
+    ).toEqual([9000, 7000]);
+    expect(getFromStorage(STORAGE_KEYS.HEART_RATE_DATA, [])).toEqual([]);
+    expect(getConnectorState("step-counter").cursor).toBe(2);
+  });
+
+  test("starts syncing when connected and stops when disconnected", async () => {
+    await expect(syncConnector("step-counter")).rejects.toThrow(
+      "Step counter is not connected"
+    );
+
+    await connectConnector("step-counter");
+    await startSyncing("step-counter");
+    expect(getConnectorState("step-counter")).toMatchObject({
+      scheduled: true,
+      lastError: null,
+    });
+    expect(getConnectorState("step-counter").lastSyncAt).not.toBeNull();
+
+    disconnectConnector("step-counter");
+    expect(getConnectorState("step-counter")).toMatchObject({
+      connected: false,
+      auth: null,
+      scheduled: false,
+    });
+    expect(getSyncLog("step-counter").map(({ event }) => event)).toEqual([
+      "disconnect",
+      "sync",
+      "connect",
+    ]);
+  });
+});
@@ -0,0 +1,138 @@
+import { webcrypto } from "crypto";
+import { TextDecoder, TextEncoder } from "util";
+import { loadHabitData, saveHabitData } from "../services/habitService";
+import {
+  getKnowledgeBase,
+  KNOWLEDGE_BASE_KEY,
+  storeKnowledgeBase,
+} from "../services/knowledgeBaseService";
+import { STORAGE_KEYS } from "../services/dataImportService";
+import {
+  clearAppStorage,
+  disableEncryption,
+  enableEncryption,
+  flushStorage,
+  getFromStorage,
+  getStorageKeys,
+  isStorageLocked,
+  lockStorage,
+  queryTimeSeries,
+  saveToStorage,
+  unlockStorage,
+} from "../utils/storageUtils";
+
+// jsdom lacks Web Crypto
+global.crypto = webcrypto;
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const PASSPHRASE = "correct horse battery";
+// Enough to exercise PBKDF2 without slowing the tests down
+const OPTIONS = { iterations: 1000 };
+
+const HEART_RATE = [
+  { date: "2024-03-04T08:00:00.000Z", value: 58 },
+  { date: "2024-03-05T08:00:00.000Z", value: 61 },
+];
+
+const raw = (key) => localStorage.getItem(`neo-vitru-${key}`);
+
+beforeEach(() => {
+  clearAppStorage();
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("encrypted storage", () => {
+  test("encrypts what is already stored and every later save", async () => {
+    saveToStorage(STORAGE_KEYS.HEART_RATE_DATA, HEART_RATE);
+    saveHabitData("streak", { currentStreak: 3 });
+
+    await enableEncryption(PASSPHRASE, OPTIONS);
+    saveToStorage("body-notes", "Sore left knee");
+    await flushStorage();
+
+    [STORAGE_KEYS.HEART_RATE_DATA, "streak", "body-notes"].forEach((key) => {
+      expect(JSON.parse(raw(key))).toEqual({
+        v: 1,
+        iv: expect.any(String),
+        data: expect.any(String),
+      });
+    });
+    expect(raw("body-notes")).not.toContain("knee");
+
+    // Unlocked, the app reads plaintext as before
+    expect(loadHabitData("streak")).toEqual({ currentStreak: 3 });
+    expect(getFromStorage("body-notes")).toBe("Sore left knee");
+    expect(
+      await queryTimeSeries(STORAGE_KEYS.HEART_RATE_DATA, {
+        from: "2024-03-05T00:00:00.000Z",
+      })
+    ).toEqual([HEART_RATE[1]]);
+  });
+
+  test("reads and saves nothing while locked", async () => {
+    saveToStorage("body-notes", "Sore left knee");
+    storeKnowledgeBase({ knee: { id: "knee", title: "Knee pain" } });
+    await enableEncryption(PASSPHRASE, OPTIONS);
+    await flushStorage();
+    expect(raw(KNOWLEDGE_BASE_KEY)).not.toContain("Knee pain");
+    await lockStorage();
+
+    expect(isStorageLocked()).toBe(true);
+    expect(getFromStorage("body-notes", "none")).toBe("none");
+    expect(getKnowledgeBase()).toEqual({});
+    expect(getStorageKeys()).toEqual([]);
+    expect(saveToStorage("body-notes", "overwritten")).toBe(false);
+
+    await unlockStorage(PASSPHRASE);
+    expect(isStorageLocked()).toBe(false);
+    expect(getFromStorage("body-notes")).toBe("Sore left knee");
+    expect(getKnowledgeBase()).toHaveProperty("knee.title", "Knee pain");
+  });
+
+  test("rejects a wrong passphrase", async () => {
+    await enableEncryption(PASSPHRASE, OPTIONS);
+    await lockStorage();
+
+    await expect(unlockStorage("wrong horse battery")).rejects.toThrow(
+      "Wrong passphrase"
+    );
+    expect(isStorageLocked()).toBe(true);
+  });
+
+  test("rejects short passphrases", async () => {
+    await expect(enableEncryption("short", OPTIONS)).rejects.toThrow(
+      "Use a passphrase of at least 8 characters"
+    );
+    expect(isStorageLocked()).toBe(false);
+  });
+
+  test("stores plaintext again once turned off", async () => {
+    saveToStorage("body-notes", "Sore left knee");
+    await enableEncryption(PASSPHRASE, OPTIONS);
+
+    await expect(disableEncryption("wrong horse battery")).rejects.toThrow(
+      "Wrong passphrase"
+    );
+    await disableEncryption(PASSPHRASE);
+
+    expect(JSON.parse(raw("body-notes"))).toBe("Sore left knee");
+    expect(raw("encryption")).toBeNull();
+    await lockStorage();
+    expect(getFromStorage("body-notes")).toBe("Sore left knee");
+  });
+
+  test("erasing all data removes the lock", async () => {
+    saveToStorage("body-notes", "Sore left knee");
+    await enableEncryption(PASSPHRASE, OPTIONS);
+    await lockStorage();
+
+    clearAppStorage();
+    expect(isStorageLocked()).toBe(false);
+    expect(getFromStorage("body-notes")).toBeNull();
+  });
+});
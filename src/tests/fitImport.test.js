@@ -0,0 +1,252 @@
+import { calculateFitCrc, decodeFitFile } from "../services/fitDecoder";
+import {
+  getWorkoutStream,
+  processHealthData,
+} from "../services/healthDataProcessor";
+import { processImport } from "../services/importEngine";
+
+// Base types used by the test file: [size, base type byte, DataView setter]
+const TYPES = {
+  enum: [1, 0x00, "setUint8"],
+  uint8: [1, 0x02, "setUint8"],
+  uint16: [2, 0x84, "setUint16"],
+  sint32: [4, 0x85, "setInt32"],
+  uint32: [4, 0x86, "setUint32"],
+};
+
+const FIT_EPOCH = Date.UTC(1989, 11, 31) / 1000;
+const START = Date.UTC(2024, 2, 1, 7, 0, 0) / 1000 - FIT_EPOCH;
+const SEMICIRCLES = 2 ** 31 / 180;
+
+function definition(localType, globalNumber, fields) {
+  return [
+    0x40 | localType,
+    0,
+    0, // little endian
+    globalNumber & 0xff,
+    globalNumber >> 8,
+    fields.length,
+    ...fields.flatMap(([number, type]) => [
+      number,
+      TYPES[type][0],
+      TYPES[type][1],
+    ]),
+  ];
+}
+
+function data(header, fields, values) {
+  const bytes = [header];
+  fields.forEach(([, type], i) => {
+    const [size, , setter] = TYPES[type];
+    const view = new DataView(new ArrayBuffer(size));
+    view[setter](0, values[i], true);
+    bytes.push(...new Uint8Array(view.buffer));
+  });
+  return bytes;
+}
+
+function fitFile(records) {
+  const header = new DataView(new ArrayBuffer(14));
+  header.setUint8(0, 14);
+  header.setUint8(1, 0x20);
+  header.setUint16(2, 2132, true);
+  header.setUint32(4, records.length, true);
+  [...".FIT"].forEach((char, i) => header.setUint8(8 + i, char.charCodeAt(0)));
+  const headerBytes = new Uint8Array(header.buffer);
+  header.setUint16(12, calculateFitCrc(headerBytes.subarray(0, 12)), true);
+
+  const body = new Uint8Array([...headerBytes, ...records]);
+  const crc = calculateFitCrc(body);
+  return new Uint8Array([...body, crc & 0xff, crc >> 8]);
+}
+
+// A 12 second Garmin run recorded at UTC+1: one record with a full
+// timestamp, then compressed timestamp headers, one invalid heart rate
+function buildRun() {
+  const fileIdFields = [
+    [0, "enum"],
+    [1, "uint16"],
+  ];
+  const recordFields = [
+    [253, "uint32"],
+    [0, "sint32"],
+    [1, "sint32"],
+    [2, "uint16"],
+    [3, "uint8"],
+    [4, "uint8"],
+    [6, "uint16"],
+    [7, "uint16"],
+  ];
+  const compressedFields = recordFields.slice(1);
+  const eventFields = [
+    [253, "uint32"],
+    [0, "enum"],
+  ];
+  const summaryFields = [
+    [253, "uint32"],
+    [2, "uint32"],
+    [7, "uint32"],
+    [8, "uint32"],
+    [9, "uint32"],
+    [11, "uint16"],
+  ];
+  const sessionFields = [...summaryFields, [5, "enum"], [22, "uint16"]];
+  const activityFields = [
+    [253, "uint32"],
+    [5, "uint32"],
+  ];
+
+  const sample = (i) => [
+    Math.round(51.5 * SEMICIRCLES),
+    Math.round(-0.12 * SEMICIRCLES),
+    (20 + i + 500) * 5,
+    i === 5 ? 0xff : 120 + i * 5,
+    85,
+    3000 + i * 50,
+    200 + i * 10,
+  ];
+
+  const bytes = [
+    ...definition(0, 0, fileIdFields),
+    ...data(0, fileIdFields, [4, 1]),
+    // Events are not decoded and have to be skipped
+    ...definition(3, 21, eventFields),
+    ...data(3, eventFields, [START, 0]),
+    ...definition(1, 20, recordFields),
+    ...data(1, recordFields, [START, ...sample(0)]),
+    ...definition(2, 20, compressedFields),
+  ];
+  for (let i = 1; i < 12; i++) {
+    const header = 0x80 | (2 << 5) | ((START + i) & 0x1f);
+    bytes.push(...data(header, compressedFields, sample(i)));
+  }
+
+  const summary = [START + 11, START, 11000, 11000, 3500, 12];
+  bytes.push(
+    ...definition(0, 19, summaryFields),
+    ...data(0, summaryFields, summary),
+    ...definition(0, 18, sessionFields),
+    ...data(0, sessionFields, [...summary, 1, 3]),
+    ...definition(0, 34, activityFields),
+    ...data(0, activityFields, [START + 11, START + 11 + 3600])
+  );
+
+  return fitFile(bytes);
+}
+
+describe("FIT decoder", () => {
+  test("decodes records with scale, offset and compressed timestamps", () => {
+    const { messages } = decodeFitFile(buildRun());
+
+    expect(messages.fileId).toEqual([{ type: 4, manufacturer: 1 }]);
+    expect(messages.record).toHaveLength(12);
+    expect(messages.record[3]).toEqual({
+      timestamp: new Date((START + 3 + FIT_EPOCH) * 1000),
+      positionLat: expect.closeTo(51.5, 5),
+      positionLong: expect.closeTo(-0.12, 5),
+      altitude: 23,
+      heartRate: 135,
+      cadence: 85,
+      speed: 3.15,
+      power: 230,
+    });
+    expect(messages.record[5].heartRate).toBeUndefined();
+    expect(messages.session[0]).toMatchObject({
+      sport: 1,
+      totalTimerTime: 11,
+      totalDistance: 35,
+      totalAscent: 3,
+    });
+  });
+
+  test("rejects files that are not FIT or are damaged", () => {
+    const file = buildRun();
+    const damaged = file.slice();
+    damaged[40] ^= 0xff;
+
+    expect(() => decodeFitFile(damaged)).toThrow("checksum mismatch");
+    expect(() => decodeFitFile(file.slice(0, 60))).toThrow("truncated");
+    expect(() => decodeFitFile(new Uint8Array(20))).toThrow("Not a FIT file");
+  });
+});
+
+describe("FIT import", () => {
+  test("maps sessions to workouts and minutes to heart rate", async () => {
+    const result = await processImport({
+      name: "morning-run.fit",
+      content: buildRun(),
+    });
+
+    expect(result.format).toBe("fit");
+    expect(result.counts).toMatchObject({ workouts: 1, heartRate: 1 });
+    expect(result.dateRange).toEqual({
+      start: "2024-03-01",
+      end: "2024-03-01",
+    });
+
+    const [workout] = result.records.workouts;
+    expect(workout).toMatchObject({
+      date: "2024-03-01T07:00:00.000Z",
+      utcOffset: 60,
+      type: "Running",
+      duration: expect.closeTo(11 / 60, 5),
+      distance: 35,
+      calories: 12,
+      elevationGain: 3,
+      source: "Garmin",
+    });
+    expect(workout.laps).toHaveLength(1);
+    expect(workout.streams.time).toEqual([
+      0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11,
+    ]);
+    expect(workout.streams.heartRate[5]).toBeNull();
+    expect(workout.streams.distance).toBeUndefined();
+
+    // The average of the minute's 11 valid samples
+    expect(result.records.heartRate).toEqual([
+      expect.objectContaining({
+        date: "2024-03-01T07:00:00.000Z",
+        utcOffset: 60,
+        value: 148,
+        source: "Garmin",
+      }),
+    ]);
+  });
+
+  test("feeds sensor streams to the zone and trend calculations", async () => {
+    const { records } = await processImport({
+      name: "morning-run.fit",
+      content: buildRun(),
+    });
+
+    const { workouts } = records;
+    // A reading from another device during the run and one after it
+    const heartRate = processHealthData(
+      [
+        ...records.heartRate,
+        { date: "2024-03-01T07:00:05.000Z", value: 150, source: "Watch" },
+        { date: "2024-03-01T09:00:00.000Z", value: 62, source: "Watch" },
+      ],
+      "heartRate",
+      { workouts }
+    );
+    expect(heartRate.data).toHaveLength(3);
+    const zones = Object.values(heartRate.stats.heartRateZones);
+    expect(zones.reduce((sum, zone) => sum + zone.timeSpent, 0)).toBe(11);
+    expect(heartRate.stats.heartRateZones.zone3.timeSpent).toBeGreaterThan(0);
+
+    const power = processHealthData([], "runningPower", { workouts });
+    expect(power.data).toHaveLength(12);
+    expect(power.stats.powerZones.ftp).toBe(Math.round(255 * 0.95));
+
+    const speed = processHealthData([], "runningSpeed", { workouts });
+    expect(speed.stats.maxValue).toBe(3.55);
+    expect(speed.stats.progressTrend).toBe(0);
+    expect(processHealthData([], "walkingSpeed", { workouts }).data).toEqual(
+      []
+    );
+    expect(
+      getWorkoutStream(records.workouts, "speed", { type: "Cycling" })
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,129 @@
+import { STORAGE_KEYS } from "../services/dataImportService";
+import { aggregateSeries, query } from "../services/healthQueryService";
+import { getBucketKey, groupDataByDate } from "../utils/dateUtils";
+import { saveToStorage } from "../utils/storageUtils";
+
+// Local times so buckets do not depend on the time zone
+const at = (day, hour, minute = 0) =>
+  new Date(2024, 2, day, hour, minute).toISOString();
+
+const HEART_RATE = [
+  { date: at(4, 8), value: 60 },
+  { date: at(4, 8, 30), value: 70 },
+  { date: at(4, 21), value: 80 },
+  { date: at(5, 7), value: 58 },
+  { date: at(11, 7), value: 62 },
+];
+
+const STEPS = [
+  // Both devices counted the same walk
+  { date: at(1, 8, 5), value: 1000, source: "Jo's Apple Watch" },
+  { date: at(1, 8, 40), value: 500, source: "Jo's Apple Watch" },
+  { date: at(1, 8, 10), value: 1600, source: "Jo's iPhone" },
+  { date: at(1, 12, 15), value: 700, source: "Jo's iPhone" },
+  { date: at(2, 9, 30), value: 2000, source: "Jo's Apple Watch" },
+];
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe("getBucketKey", () => {
+  test("uses the wall clock the record was written at", () => {
+    // 23:30 in New York is already the next day, and month, in UTC
+    const date = "2024-03-01T04:30:00.000Z";
+    expect(getBucketKey(date, "day", -300)).toBe("2024-02-29");
+    expect(getBucketKey(date, "hour", -300)).toBe("2024-02-29T23:00");
+    expect(getBucketKey(date, "week", -300)).toBe("2024-02-26");
+    expect(getBucketKey(date, "month", -300)).toBe("2024-02");
+    expect(getBucketKey("not a date", "day")).toBe("");
+  });
+
+  test("is what groupDataByDate groups by", () => {
+    expect(Object.keys(groupDataByDate(HEART_RATE, "week"))).toEqual([
+      "2024-03-04",
+      "2024-03-11",
+    ]);
+  });
+});
+
+describe("aggregateSeries", () => {
+  test("aggregates each bucket, oldest first", () => {
+    const day = (agg) =>
+      aggregateSeries(HEART_RATE, { bucket: "day", agg }).map(
+        ({ value }) => value
+      );
+
+    expect(day("avg")).toEqual([70, 58, 62]);
+    expect(day("sum")).toEqual([210, 58, 62]);
+    expect(day("min")).toEqual([60, 58, 62]);
+    expect(day("max")).toEqual([80, 58, 62]);
+    expect(day("last")).toEqual([80, 58, 62]);
+    expect(aggregateSeries(HEART_RATE, { bucket: "hour" })[0]).toEqual({
+      date: "2024-03-04T08:00",
+      value: 65,
+      count: 2,
+    });
+  });
+
+  test("gives one value for the range without a bucket", () => {
+    expect(
+      aggregateSeries(HEART_RATE, { from: at(4, 12), to: at(6, 0), agg: "max" })
+    ).toEqual({ date: at(5, 7), value: 80, count: 2 });
+    expect(aggregateSeries(HEART_RATE, { from: at(20, 0) })).toBeNull();
+  });
+
+  test("handles more values than fit in a function call", () => {
+    // A year of per-second heart rate is far more than this
+    const start = new Date(2024, 2, 1).getTime();
+    const records = Array.from({ length: 200000 }, (_, i) => ({
+      date: new Date(start + i * 1000).toISOString(),
+      value: 60 + (i % 100),
+    }));
+
+    expect(aggregateSeries(records, { agg: "max" }).value).toBe(159);
+    expect(aggregateSeries(records, { agg: "min" }).value).toBe(60);
+  });
+
+  test("rejects unknown buckets and aggregations", () => {
+    expect(() => aggregateSeries(HEART_RATE, { bucket: "decade" })).toThrow(
+      "Unknown bucket: decade"
+    );
+    expect(() => aggregateSeries(HEART_RATE, { agg: "median" })).toThrow(
+      "Unknown aggregation: median"
+    );
+  });
+});
+
+describe("query", () => {
+  test("counts overlapping sources once", async () => {
+    saveToStorage(STORAGE_KEYS.STEP_COUNT_DATA, STEPS);
+
+    expect(await query({ type: "steps", bucket: "day", agg: "sum" })).toEqual([
+      { date: "2024-03-01", value: 2200, count: 3 },
+      { date: "2024-03-02", value: 2000, count: 1 },
+    ]);
+  });
+
+  test("refreshes cached results when stored data changes", async () => {
+    saveToStorage(STORAGE_KEYS.HEART_RATE_DATA, HEART_RATE);
+    const options = { type: "heartRate", from: at(5, 0), agg: "avg" };
+
+    expect((await query(options)).value).toBe(60);
+    // Results are copies, so changing one leaves the cache alone
+    (await query(options)).value = 0;
+    expect((await query(options)).value).toBe(60);
+
+    saveToStorage(STORAGE_KEYS.HEART_RATE_DATA, [
+      ...HEART_RATE,
+      { date: at(12, 7), value: 66 },
+    ]);
+    expect((await query(options)).value).toBe(62);
+  });
+
+  test("rejects unknown types", async () => {
+    await expect(query({ type: "mood" })).rejects.toThrow(
+      "Unknown health data type: mood"
+    );
+  });
+});
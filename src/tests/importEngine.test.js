@@ -0,0 +1,618 @@
+import { TextDecoder } from "util";
+import {
+  commitImport,
+  confirmImport,
+  createImportCommit,
+  getImportHistory,
+  importHealthData,
+  previewHealthData,
+  rollbackImport,
+  STORAGE_KEYS,
+} from "../services/dataImportService";
+import {
+  getImportAdapters,
+  MAX_REPORTED_ERRORS,
+  normalizeRecord,
+  processImport,
+  registerImportAdapter,
+  resolveImportAdapter,
+} from "../services/importEngine";
+import { IMPORT_BATCH_SIZE } from "../services/importAdapters/candidateBatches";
+import {
+  detectDateFormat,
+  parseDateTime,
+} from "../services/importAdapters/dateFormats";
+import { detectFields } from "../services/importAdapters/fieldRules";
+import { getLocalDay } from "../utils/dateUtils";
+import { getFromStorage } from "../utils/storageUtils";
+
+const LONG_CSV = `Date,Type,Value,Unit,Source
+2024-03-01T08:00:00Z,Heart Rate,62,bpm,Watch
+2024-03-01T09:00:00Z,Steps,1200,,Phone
+2024-03-02T08:00:00Z,Body Weight,81.4,kg,Scale
+2024-03-02T09:00:00Z,Mood,good,,
+not a date,Heart Rate,70,bpm,Watch
+2024-03-03T08:00:00Z,Heart Rate,n/a,bpm,Watch
+`;
+
+const WIDE_CSV = `Date,Steps,Heart Rate,Weight (kg),Hours Slept
+2024-03-01,8000,58,80.2,7.5
+2024-03-02,9100,,,
+2024-03-03,,,,
+`;
+
+describe("field detection", () => {
+  test("matches the same columns regardless of naming style", () => {
+    expect(
+      detectFields(["Start Date", "heart_rate", "stepCount", "Hours"])
+    ).toMatchObject({
+      date: "Start Date",
+      heartRate: "heart_rate",
+      steps: "stepCount",
+    });
+  });
+
+  test("does not mistake hours for heart rate", () => {
+    expect(detectFields(["date", "hours"]).heartRate).toBeUndefined();
+  });
+});
+
+describe("processImport", () => {
+  test("imports long-format CSV and reports rejected rows", async () => {
+    const result = await processImport({ name: "log.csv", content: LONG_CSV });
+
+    expect(result.format).toBe("csv");
+    expect(result.counts).toMatchObject({ heartRate: 1, steps: 1, weight: 1 });
+    expect(result.records.heartRate[0]).toEqual({
+      date: "2024-03-01T08:00:00.000Z",
+      utcOffset: 0,
+      value: 62,
+      unit: "bpm",
+      source: "Watch",
+    });
+    expect(result.records.steps[0].unit).toBe("count");
+
+    expect(result.errorCount).toBe(3);
+    expect(result.errors).toEqual([
+      expect.objectContaining({
+        index: 3,
+        field: "type",
+        reason: 'Unrecognised record type "Mood"',
+      }),
+      expect.objectContaining({
+        index: 4,
+        recordType: "heartRate",
+        field: "date",
+        value: "not a date",
+      }),
+      expect.objectContaining({
+        index: 5,
+        recordType: "heartRate",
+        field: "value",
+        value: "n/a",
+      }),
+    ]);
+  });
+
+  test("imports wide-format CSV with one column per metric", async () => {
+    const result = await processImport({
+      name: "daily.csv",
+      content: WIDE_CSV,
+    });
+
+    expect(result.counts).toMatchObject({
+      steps: 2,
+      heartRate: 1,
+      weight: 1,
+      sleep: 1,
+    });
+    expect(result.records.sleep[0].value).toBe(7.5);
+    expect(result.dateRange).toEqual({
+      start: "2024-03-01",
+      end: "2024-03-02",
+    });
+    expect(result.errors).toEqual([
+      expect.objectContaining({ index: 2, reason: "No health data found" }),
+    ]);
+  });
+
+  test("treats JSON arrays, grouped objects and CSV alike", async () => {
+    const array = await processImport({
+      format: "json",
+      content: [
+        { timestamp: "2024-03-01T08:00:00Z", type: "heartRate", value: 62 },
+        { date: "2024-03-01T09:00:00Z", steps: "1200" },
+        "garbage",
+      ],
+    });
+    const grouped = await processImport({
+      name: "export.json",
+      content: JSON.stringify({
+        heart_rate: [{ date: "2024-03-01T08:00:00Z", bpm: 62 }],
+        workouts: [
+          { date: "2024-03-01T10:00:00Z", type: "Running", duration: 30 },
+        ],
+      }),
+    });
+
+    expect(array.counts).toMatchObject({ heartRate: 1, steps: 1 });
+    expect(array.errors[0]).toMatchObject({
+      index: 2,
+      reason: "Record is not an object",
+    });
+    expect(grouped.records.heartRate[0].value).toBe(62);
+    expect(grouped.records.workouts[0]).toMatchObject({
+      type: "Running",
+      duration: 30,
+      unit: "min",
+    });
+  });
+
+  test("accepts collections extracted from Apple Health XML", async () => {
+    const result = await processImport({
+      format: "parsed-xml",
+      content: {
+        sleep: [
+          {
+            date: "2024-03-20T23:00:00-07:00",
+            endDate: "2024-03-21T01:30:00-07:00",
+            value: 2.5,
+            unit: "hours",
+            category: "HKCategoryValueSleepAnalysisAsleepCore",
+            source: "Watch",
+          },
+        ],
+      },
+    });
+
+    expect(result.records.sleep[0]).toEqual({
+      date: "2024-03-21T06:00:00.000Z",
+      utcOffset: -420,
+      endDate: "2024-03-21T08:30:00.000Z",
+      value: 2.5,
+      unit: "hours",
+      category: "HKCategoryValueSleepAnalysisAsleepCore",
+      source: "Watch",
+    });
+  });
+
+  test("stores values in canonical units whatever the file used", async () => {
+    const wide = await processImport({
+      format: "csv",
+      content: "Date,Weight (lb)\n2024-03-01,176.4\n",
+    });
+    const long = await processImport({
+      format: "csv",
+      content: [
+        "Date,Type,Value,Unit",
+        "2024-03-01,Body Weight,12,st",
+        "2024-03-01,Body Weight,70,bpm",
+        "2024-03-01,Sleep,450,min",
+      ].join("\n"),
+    });
+    const workouts = await processImport({
+      format: "csv",
+      content:
+        "Date,Workout,Duration (s),Distance (mi)\n2024-03-01,Run,1800,3\n",
+    });
+
+    expect(wide.records.weight[0]).toMatchObject({ unit: "kg" });
+    expect(wide.records.weight[0].value).toBeCloseTo(80.01, 2);
+    expect(long.records.weight[0].value).toBeCloseTo(76.2, 1);
+    expect(long.records.sleep[0]).toMatchObject({ value: 7.5, unit: "hours" });
+    expect(long.errors).toEqual([
+      expect.objectContaining({
+        index: 1,
+        field: "unit",
+        reason: 'Unsupported unit "bpm"',
+      }),
+    ]);
+    expect(workouts.records.workouts[0]).toMatchObject({
+      duration: 30,
+      unit: "min",
+    });
+    expect(workouts.records.workouts[0].distance).toBeCloseTo(4828.03, 2);
+  });
+
+  test("rejects files no adapter claims", () => {
+    expect(() => resolveImportAdapter({ name: "notes.docx" })).toThrow(
+      "Unsupported file type: docx"
+    );
+  });
+});
+
+describe("date formats", () => {
+  test("detects day-first files from values above 12", () => {
+    expect(detectDateFormat(["03/04/2024", "25/04/2024"])).toEqual({
+      format: "dmy",
+      ambiguous: false,
+    });
+    expect(detectDateFormat(["03/04/2024", "04/25/2024 8:00 PM"])).toEqual({
+      format: "mdy",
+      ambiguous: false,
+    });
+    expect(detectDateFormat(["03/04/2024"])).toEqual({
+      format: null,
+      ambiguous: true,
+    });
+    expect(detectDateFormat(["2024-03-04"])).toEqual({
+      format: null,
+      ambiguous: false,
+    });
+  });
+
+  test("keeps the offset a timestamp was written in", () => {
+    const { date, utcOffset } = parseDateTime("2024-03-20 22:14:05 -0700");
+    expect(date.toISOString()).toBe("2024-03-21T05:14:05.000Z");
+    expect(utcOffset).toBe(-420);
+    expect(getLocalDay(date.toISOString(), utcOffset)).toBe("2024-03-20");
+
+    expect(parseDateTime("2024-03-20T22:14:05+05:30").utcOffset).toBe(330);
+    expect(parseDateTime("2024-03-20T22:14:05Z").utcOffset).toBe(0);
+  });
+
+  test("reads dates without an offset as local time", () => {
+    const { date } = parseDateTime("2024-03-01");
+    expect(date).toEqual(new Date(2024, 2, 1));
+    expect(getLocalDay(date.toISOString())).toBe("2024-03-01");
+
+    const evening = parseDateTime("1/3/2024 8:30 PM", { dateFormat: "dmy" });
+    expect(evening.date).toEqual(new Date(2024, 2, 1, 20, 30));
+    expect(parseDateTime("31/02/2024", { dateFormat: "dmy" })).toBeNull();
+  });
+
+  test("applies the detected or chosen order to the whole file", async () => {
+    const csv = "Date,Steps\n03/04/2024,100\n25/04/2024,200\n";
+
+    const detected = await processImport({ format: "csv", content: csv });
+    expect(detected.dateFormat).toEqual({
+      format: "dmy",
+      detected: "dmy",
+      ambiguous: false,
+      overridden: false,
+    });
+    expect(detected.dateRange).toEqual({
+      start: "2024-04-03",
+      end: "2024-04-25",
+    });
+
+    const ambiguous = "Date,Steps\n03/04/2024,100\n";
+    const assumed = await processImport({ format: "csv", content: ambiguous });
+    expect(assumed.dateFormat).toMatchObject({
+      format: "mdy",
+      ambiguous: true,
+    });
+    expect(assumed.dateRange.start).toBe("2024-03-04");
+
+    const chosen = await processImport(
+      { format: "csv", content: ambiguous },
+      { dateFormat: "dmy" }
+    );
+    expect(chosen.dateFormat).toMatchObject({
+      format: "dmy",
+      overridden: true,
+    });
+    expect(chosen.dateRange.start).toBe("2024-04-03");
+  });
+
+  test("places records on the day they happened in their zone", async () => {
+    const result = await processImport({
+      format: "csv",
+      content: "Date,Steps\n2024-03-01T23:30:00-08:00,1200\n",
+    });
+
+    expect(result.records.steps[0]).toMatchObject({
+      date: "2024-03-02T07:30:00.000Z",
+      utcOffset: -480,
+    });
+    expect(result.dateRange).toEqual({
+      start: "2024-03-01",
+      end: "2024-03-01",
+    });
+  });
+});
+
+describe("adapter registry", () => {
+  test("lets new formats plug in without touching the engine", async () => {
+    registerImportAdapter({
+      id: "test-weight",
+      label: "Test scale",
+      extensions: ["scale"],
+      parse: ({ content }) => ({
+        records: content.split("\n").map((line, index) => {
+          const [date, value] = line.split(" ");
+          return { recordType: "weight", index, date, value, unit: "lb" };
+        }),
+        errors: [],
+      }),
+    });
+
+    const result = await processImport({
+      name: "home.scale",
+      content: "2024-03-01 180.2\n2024-03-02 -4",
+    });
+
+    expect(getImportAdapters().map(({ id }) => id)).toContain("test-weight");
+    // Stored in kg like every other weight
+    expect(result.records.weight).toEqual([
+      expect.objectContaining({ value: expect.closeTo(81.74, 2), unit: "kg" }),
+    ]);
+    expect(result.errors[0]).toMatchObject({ index: 1, field: "value" });
+  });
+
+  test("normalises batches from adapters that stream", async () => {
+    registerImportAdapter({
+      id: "test-stream",
+      label: "Test stream",
+      extensions: [],
+      async parse(source, { onBatch }) {
+        let index = 0;
+        const candidate = (date, value) => ({
+          recordType: "heartRate",
+          index: index++,
+          date,
+          value,
+        });
+        await onBatch([candidate("13/03/2024", 60), candidate("", 61)]);
+        await onBatch(
+          Array.from({ length: 2 * MAX_REPORTED_ERRORS }, (_, day) =>
+            candidate("02/04/2024", day % 2 ? 70 : "n/a")
+          )
+        );
+        return { errors: [{ reason: "Unreadable line" }] };
+      },
+    });
+    const batches = [];
+
+    const result = await processImport(
+      { format: "test-stream", content: null },
+      { onBatch: (records) => batches.push(records.heartRate.length) }
+    );
+
+    expect(batches).toEqual([1, MAX_REPORTED_ERRORS]);
+    expect(result.records).toBeNull();
+    expect(result.counts.heartRate).toBe(1 + MAX_REPORTED_ERRORS);
+    expect(result.samples.heartRate.map(({ value }) => value)).toEqual([
+      60, 70, 70,
+    ]);
+    // The day/month order found in the first batch holds for the rest
+    expect(result.dateFormat.detected).toBe("dmy");
+    expect(result.dateRange).toEqual({
+      start: "2024-03-13",
+      end: "2024-04-02",
+    });
+    expect(result.errorCount).toBe(2 + MAX_REPORTED_ERRORS);
+    expect(result.errors).toHaveLength(MAX_REPORTED_ERRORS);
+    expect(result.errors[1]).toMatchObject({ index: 2, field: "value" });
+  });
+
+  test("streams Apple Health exports in bounded batches", async () => {
+    global.TextDecoder = TextDecoder;
+    const record = (minute) =>
+      `<Record type="HKQuantityTypeIdentifierHeartRate" sourceName="Watch" unit="count/min" startDate="2024-03-20 09:${String(
+        minute % 60
+      ).padStart(2, "0")}:00 -0700" value="${60 + (minute % 40)}"/>`;
+    const bytes = Buffer.from(
+      `<HealthData locale="en_US">${Array.from(
+        { length: IMPORT_BATCH_SIZE + 5 },
+        (_, minute) => record(minute)
+      ).join("\n")}</HealthData>`,
+      "utf-8"
+    );
+    const blob = {
+      name: "export.xml",
+      size: bytes.length,
+      slice: (start, end) => ({
+        arrayBuffer: async () =>
+          new Uint8Array(bytes.subarray(start, end)).buffer,
+      }),
+    };
+    const batches = [];
+
+    const result = await processImport(
+      { format: "xml", content: blob },
+      { onBatch: (records) => batches.push(records.heartRate.length) }
+    );
+
+    expect(Math.max(...batches)).toBeLessThanOrEqual(IMPORT_BATCH_SIZE);
+    expect(batches.reduce((total, count) => total + count)).toBe(
+      IMPORT_BATCH_SIZE + 5
+    );
+    expect(result.records).toBeNull();
+    expect(result.counts.heartRate).toBe(IMPORT_BATCH_SIZE + 5);
+    // Apple's timestamps are ISO-like, so no day/month order is guessed
+    expect(result.dateFormat.detected).toBeNull();
+  });
+
+  test("validates records the same way for every adapter", () => {
+    expect(
+      normalizeRecord({ recordType: "workouts", date: "2024-03-01" })
+    ).toEqual({ error: { field: "duration", reason: "Missing duration" } });
+  });
+});
+
+describe("dataImportService", () => {
+  beforeEach(() => localStorage.clear());
+
+  test("saves imported collections and records the import", async () => {
+    const stats = await importHealthData(LONG_CSV, "csv", {
+      fileName: "log.csv",
+      fileSize: LONG_CSV.length,
+    });
+
+    expect(stats.errorCount).toBe(3);
+    expect(getFromStorage(STORAGE_KEYS.HEART_RATE_DATA)).toHaveLength(1);
+    expect(getFromStorage(STORAGE_KEYS.IMPORT_HISTORY, [])).toEqual([
+      expect.objectContaining({
+        fileName: "log.csv",
+        fileType: "csv",
+        errorCount: 3,
+      }),
+    ]);
+  });
+
+  test("leaves collections missing from the file untouched", async () => {
+    const existing = [{ date: "2020-01-01T00:00:00.000Z", value: 90 }];
+    localStorage.setItem(
+      "neo-vitru-" + STORAGE_KEYS.WEIGHT_DATA,
+      JSON.stringify(existing)
+    );
+
+    const result = await processImport({
+      format: "csv",
+      content: "date,steps\n2024-03-01,5",
+    });
+    commitImport(result);
+
+    expect(getFromStorage(STORAGE_KEYS.WEIGHT_DATA)).toEqual(existing);
+    expect(getFromStorage(STORAGE_KEYS.STEP_COUNT_DATA)).toHaveLength(1);
+  });
+
+  test("previews an import without saving until it is confirmed", async () => {
+    const preview = await previewHealthData(LONG_CSV, "csv", {
+      fileName: "log.csv",
+    });
+
+    expect(preview).toMatchObject({
+      format: "csv",
+      fileName: "log.csv",
+      types: [
+        { recordType: "heartRate", label: "Heart rate", count: 1 },
+        { recordType: "steps", label: "Steps", count: 1 },
+        { recordType: "weight", label: "Weight", count: 1 },
+      ],
+      dateRange: { start: "2024-03-01", end: "2024-03-02" },
+      droppedCount: 3,
+    });
+    expect(preview.samples.weight[0].value).toBe(81.4);
+    expect(preview.dropped[0].reason).toBe('Unrecognised record type "Mood"');
+    expect(getFromStorage(STORAGE_KEYS.HEART_RATE_DATA)).toBeNull();
+    expect(getFromStorage(STORAGE_KEYS.IMPORT_HISTORY)).toBeNull();
+
+    confirmImport(preview);
+
+    expect(getFromStorage(STORAGE_KEYS.HEART_RATE_DATA)).toHaveLength(1);
+  });
+
+  test("merges re-imports and skips records already stored", async () => {
+    const march = "date,steps\n2024-03-01,500\n2024-03-02,700";
+    const overlap =
+      "date,steps\n2024-03-02,700\n2024-03-03,900\n2024-03-03,900";
+
+    await importHealthData(march, "csv");
+    const stats = await importHealthData(overlap, "csv");
+
+    expect(stats.counts.steps).toBe(1);
+    expect(stats.duplicates.steps).toBe(2);
+    expect(
+      getFromStorage(STORAGE_KEYS.STEP_COUNT_DATA).map(({ value }) => value)
+    ).toEqual([500, 700, 900]);
+  });
+
+  test("keeps the same reading from another source", async () => {
+    await importHealthData(
+      [{ date: "2024-03-01T08:00:00Z", heartRate: 60, source: "Watch" }],
+      "json"
+    );
+    await importHealthData(
+      [{ date: "2024-03-01T08:00:00Z", heartRate: 60, source: "Strap" }],
+      "json"
+    );
+
+    expect(getFromStorage(STORAGE_KEYS.HEART_RATE_DATA)).toHaveLength(2);
+  });
+
+  test("can still replace stored records of the imported types", async () => {
+    await importHealthData("date,steps,weight\n2024-03-01,500,80", "csv");
+    const preview = await previewHealthData("date,steps\n2024-04-01,10", "csv");
+
+    confirmImport(preview, { mode: "replace" });
+
+    expect(getFromStorage(STORAGE_KEYS.STEP_COUNT_DATA)).toEqual([
+      expect.objectContaining({ value: 10 }),
+    ]);
+    expect(getFromStorage(STORAGE_KEYS.WEIGHT_DATA)).toHaveLength(1);
+  });
+
+  test("saves batches as they arrive like a single commit", async () => {
+    await importHealthData("date,steps\n2024-03-02,700", "csv");
+    const first = await processImport({
+      format: "csv",
+      content: "date,steps\n2024-03-03,900\n2024-03-01,500",
+    });
+    const second = await processImport({
+      format: "csv",
+      content: "date,steps,weight\n2024-03-03,900,80\n2024-03-02,700,81",
+    });
+
+    const commit = createImportCommit({ fileName: "export.zip" });
+    commit.add(first.records);
+    commit.add(second.records);
+    const stats = commit.finish(second);
+
+    // Duplicates are caught against storage and earlier batches alike
+    expect(stats.counts).toMatchObject({ steps: 2, weight: 2 });
+    expect(stats.duplicates.steps).toBe(2);
+    expect(
+      getFromStorage(STORAGE_KEYS.STEP_COUNT_DATA).map(({ value }) => value)
+    ).toEqual([500, 700, 900]);
+    expect(getImportHistory()[0]).toMatchObject({
+      id: commit.importId,
+      fileName: "export.zip",
+      counts: { steps: 2, weight: 2 },
+    });
+  });
+
+  test("removes the batches of an import that does not finish", async () => {
+    await importHealthData("date,steps\n2024-03-02,700", "csv");
+    const result = await processImport({
+      format: "csv",
+      content: "date,steps,weight\n2024-03-03,900,80",
+    });
+
+    const commit = createImportCommit();
+    commit.add(result.records);
+    expect(getFromStorage(STORAGE_KEYS.STEP_COUNT_DATA)).toHaveLength(2);
+    commit.abort();
+
+    expect(getFromStorage(STORAGE_KEYS.STEP_COUNT_DATA)).toEqual([
+      expect.objectContaining({ value: 700 }),
+    ]);
+    expect(getFromStorage(STORAGE_KEYS.WEIGHT_DATA)).toEqual([]);
+    expect(getImportHistory()).toHaveLength(1);
+  });
+
+  test("rolls back exactly the records one import added", async () => {
+    const first = await importHealthData(
+      "date,steps\n2024-03-01,500\n2024-03-02,700",
+      "csv",
+      { fileName: "march.csv" }
+    );
+    const second = await importHealthData(
+      "date,steps,weight\n2024-03-02,700,80\n2024-03-03,900,81",
+      "csv",
+      { fileName: "later.csv" }
+    );
+
+    const [latest, earliest] = getImportHistory();
+    expect(latest).toMatchObject({
+      id: second.importId,
+      fileName: "later.csv",
+      format: "csv",
+      counts: { steps: 1, weight: 2 },
+      dateRange: { start: "2024-03-02", end: "2024-03-03" },
+    });
+    // Only counts are kept; the records are found by their id prefix
+    expect(latest.recordIdPrefix).toBe(`${second.importId}-`);
+    expect(latest).not.toHaveProperty("recordIds");
+
+    expect(rollbackImport(first.importId)).toEqual({ steps: 2 });
+    expect(getFromStorage(STORAGE_KEYS.STEP_COUNT_DATA)).toEqual([
+      expect.objectContaining({ value: 900 }),
+    ]);
+    expect(getFromStorage(STORAGE_KEYS.WEIGHT_DATA)).toHaveLength(2);
+    expect(getImportHistory()[1].rolledBackAt).not.toBeNull();
+    expect(earliest.fileName).toBe("march.csv");
+    expect(() => rollbackImport(first.importId)).toThrow("already");
+  });
+});
@@ -0,0 +1,227 @@
+import "fake-indexeddb/auto";
+import { webcrypto } from "crypto";
+import { IDBFactory } from "fake-indexeddb";
+import { TextDecoder, TextEncoder } from "util";
+import { deserialize, serialize } from "v8";
+import { deriveKey, encryptValue } from "../utils/storageCrypto";
+import {
+  openTimeSeriesDb,
+  readSeries,
+  writeSeries,
+} from "../utils/timeSeriesStore";
+
+// jsdom lacks structuredClone, which IndexedDB uses to copy records, and
+// Web Crypto
+global.structuredClone = (value) => deserialize(serialize(value));
+global.crypto = webcrypto;
+global.TextEncoder = TextEncoder;
+global.TextDecoder = TextDecoder;
+
+const HEART_RATE_KEY = "heart-rate-data";
+
+const HEART_RATE = [
+  { date: "2024-03-04T08:00:00.000Z", value: 58 },
+  { date: "2024-03-05T08:00:00.000Z", value: 61 },
+  { date: "2024-03-06T08:00:00.000Z", value: 64 },
+];
+
+// storageUtils opens IndexedDB once per module instance, so each start of
+// the app gets a fresh instance over the same database
+async function startApp() {
+  jest.resetModules();
+  const storage = require("../utils/storageUtils");
+  await storage.initStorage();
+  return storage;
+}
+
+const values = (records) => records.map(({ value }) => value);
+
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+  localStorage.clear();
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("IndexedDB storage", () => {
+  test("moves time series out of localStorage once", async () => {
+    localStorage.setItem(
+      `neo-vitru-${HEART_RATE_KEY}`,
+      JSON.stringify(HEART_RATE)
+    );
+
+    const storage = await startApp();
+    expect(storage.getStorageBackend()).toBe("indexedDB");
+    expect(localStorage.getItem(`neo-vitru-${HEART_RATE_KEY}`)).toBeNull();
+    expect(storage.getFromStorage(HEART_RATE_KEY)).toEqual(HEART_RATE);
+
+    const restarted = await startApp();
+    expect(restarted.getFromStorage(HEART_RATE_KEY)).toEqual(HEART_RATE);
+    expect(
+      values(
+        await restarted.queryTimeSeries(HEART_RATE_KEY, {
+          from: "2024-03-05T00:00:00.000Z",
+        })
+      )
+    ).toEqual([61, 64]);
+  });
+
+  test("keeps localStorage data when the move fails", async () => {
+    localStorage.setItem(
+      `neo-vitru-${HEART_RATE_KEY}`,
+      JSON.stringify(HEART_RATE)
+    );
+    jest.spyOn(IDBObjectStore.prototype, "add").mockImplementation(() => {
+      throw new DOMException("Disk full", "QuotaExceededError");
+    });
+
+    const storage = await startApp();
+    expect(storage.getStorageBackend()).toBe("localStorage");
+    expect(storage.getFromStorage(HEART_RATE_KEY)).toEqual(HEART_RATE);
+
+    // The next start tries again
+    jest.restoreAllMocks();
+    const restarted = await startApp();
+    expect(restarted.getStorageBackend()).toBe("indexedDB");
+    expect(restarted.getFromStorage(HEART_RATE_KEY)).toEqual(HEART_RATE);
+  });
+
+  test("writes only the records that changed", async () => {
+    const storage = await startApp();
+    await storage.saveToStorageAsync(HEART_RATE_KEY, HEART_RATE.slice(0, 2));
+
+    const add = jest.spyOn(IDBObjectStore.prototype, "add");
+    const put = jest.spyOn(IDBObjectStore.prototype, "put");
+    const clear = jest.spyOn(IDBObjectStore.prototype, "clear");
+    const remove = jest.spyOn(IDBObjectStore.prototype, "delete");
+
+    const records = storage.getFromStorage(HEART_RATE_KEY);
+    await storage.saveToStorageAsync(HEART_RATE_KEY, [
+      ...records,
+      HEART_RATE[2],
+    ]);
+    expect(
+      [add, put, clear, remove].map((spy) => spy.mock.calls.length)
+    ).toEqual([1, 0, 0, 0]);
+
+    add.mockClear();
+    const changed = storage.getFromStorage(HEART_RATE_KEY);
+    changed[1] = { ...changed[1], value: 62 };
+    await storage.saveToStorageAsync(HEART_RATE_KEY, changed.slice(0, 2));
+    expect(
+      [add, put, clear, remove].map((spy) => spy.mock.calls.length)
+    ).toEqual([0, 1, 0, 1]);
+
+    const restarted = await startApp();
+    expect(values(restarted.getFromStorage(HEART_RATE_KEY))).toEqual([58, 62]);
+  });
+
+  test("rewrites a series whose last write failed", async () => {
+    const storage = await startApp();
+    await storage.saveToStorageAsync(HEART_RATE_KEY, HEART_RATE.slice(0, 1));
+
+    const add = jest
+      .spyOn(IDBObjectStore.prototype, "add")
+      .mockImplementationOnce(() => {
+        throw new DOMException("Disk full", "QuotaExceededError");
+      });
+    await expect(
+      storage.saveToStorageAsync(HEART_RATE_KEY, HEART_RATE)
+    ).rejects.toThrow("Disk full");
+    await expect(storage.flushStorage()).rejects.toThrow(
+      "Could not save heart-rate-data"
+    );
+
+    add.mockRestore();
+    const clear = jest.spyOn(IDBObjectStore.prototype, "clear");
+    await storage.saveToStorageAsync(HEART_RATE_KEY, HEART_RATE);
+    expect(clear).toHaveBeenCalledTimes(1);
+    await expect(storage.flushStorage()).resolves.toBeUndefined();
+
+    const restarted = await startApp();
+    expect(restarted.getFromStorage(HEART_RATE_KEY)).toEqual(HEART_RATE);
+  });
+
+  test("clearing health data empties the object stores", async () => {
+    const storage = await startApp();
+    const { clearHealthData } = require("../services/dataImportService");
+    await storage.saveToStorageAsync(HEART_RATE_KEY, HEART_RATE);
+
+    await clearHealthData();
+    expect(storage.getFromStorage(HEART_RATE_KEY)).toBeNull();
+
+    const restarted = await startApp();
+    expect(restarted.getFromStorage(HEART_RATE_KEY)).toBeNull();
+  });
+
+  test("encrypts time series record by record", async () => {
+    const passphrase = "correct horse battery";
+    const storage = await startApp();
+    await storage.saveToStorageAsync(HEART_RATE_KEY, HEART_RATE.slice(0, 2));
+    await storage.enableEncryption(passphrase, { iterations: 1000 });
+
+    const add = jest.spyOn(IDBObjectStore.prototype, "add");
+    const put = jest.spyOn(IDBObjectStore.prototype, "put");
+    await storage.saveToStorageAsync(HEART_RATE_KEY, [
+      ...storage.getFromStorage(HEART_RATE_KEY),
+      HEART_RATE[2],
+    ]);
+    expect([add, put].map((spy) => spy.mock.calls.length)).toEqual([1, 0]);
+    const [entry] = add.mock.calls[0];
+    expect(entry).toMatchObject({
+      timestamp: new Date(HEART_RATE[2].date).getTime(),
+      record: { v: 1, iv: expect.any(String), data: expect.any(String) },
+    });
+    expect(entry.record).not.toHaveProperty("value");
+
+    const restarted = await startApp();
+    await restarted.unlockStorage(passphrase);
+    const getAll = jest.spyOn(IDBIndex.prototype, "getAll");
+    expect(
+      values(
+        await restarted.queryTimeSeries(HEART_RATE_KEY, {
+          from: "2024-03-05T00:00:00.000Z",
+        })
+      )
+    ).toEqual([61, 64]);
+    expect(getAll).toHaveBeenCalled();
+  });
+
+  test("splits a series encrypted as one envelope when unlocking", async () => {
+    const passphrase = "correct horse battery";
+    const storage = await startApp();
+    await storage.enableEncryption(passphrase, { iterations: 1000 });
+    const { salt, iterations } = JSON.parse(
+      localStorage.getItem("neo-vitru-encryption")
+    );
+    const key = await deriveKey(passphrase, salt, iterations);
+    const db = await openTimeSeriesDb([`neo-vitru-${HEART_RATE_KEY}`]);
+    await writeSeries(db, `neo-vitru-${HEART_RATE_KEY}`, [
+      await encryptValue(key, HEART_RATE),
+    ]);
+    db.close();
+
+    const restarted = await startApp();
+    await restarted.unlockStorage(passphrase);
+    await restarted.flushStorage();
+
+    expect(restarted.getFromStorage(HEART_RATE_KEY)).toEqual(HEART_RATE);
+    const reopened = await openTimeSeriesDb([`neo-vitru-${HEART_RATE_KEY}`]);
+    const { records } = await readSeries(
+      reopened,
+      `neo-vitru-${HEART_RATE_KEY}`
+    );
+    reopened.close();
+    expect(records).toHaveLength(HEART_RATE.length);
+    expect(
+      values(
+        await restarted.queryTimeSeries(HEART_RATE_KEY, {
+          to: "2024-03-05T12:00:00.000Z",
+        })
+      )
+    ).toEqual([58, 61]);
+  });
+});
@@ -0,0 +1,121 @@
+import {
+  confirmImport,
+  previewHealthData,
+  STORAGE_KEYS,
+} from "../services/dataImportService";
+import {
+  deleteMappingProfile,
+  findMappingProfile,
+  getHeaderSignature,
+  getMappingProfiles,
+  saveMappingProfile,
+} from "../services/mappingProfileService";
+import { getFromStorage } from "../utils/storageUtils";
+
+// Export from an app whose headers match none of the known aliases
+const SCALE_CSV = `Messzeit,Gewicht,Einheit,Notiz
+2024-03-01T07:00:00Z,180.2,lb,
+2024-03-02T07:00:00Z,81.5,kg,after run
+`;
+
+const SCALE_MAPPING = {
+  date: "Messzeit",
+  value: "Gewicht",
+  unit: "Einheit",
+  recordType: "weight",
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe("mapping profiles", () => {
+  test("identify headers regardless of order, case or spacing", () => {
+    expect(getHeaderSignature(["Messzeit", "Gewicht", ""])).toBe(
+      getHeaderSignature([" gewicht", "MESSZEIT"])
+    );
+    expect(getHeaderSignature(["Messzeit"])).not.toBe(
+      getHeaderSignature(["Messzeit", "Gewicht"])
+    );
+  });
+
+  test("replace the profile saved earlier for the same headers", () => {
+    saveMappingProfile("Scale", ["Messzeit", "Gewicht"], SCALE_MAPPING);
+    const profile = saveMappingProfile(" Scale app ", ["Gewicht", "Messzeit"], {
+      ...SCALE_MAPPING,
+      unit: undefined,
+    });
+
+    expect(getMappingProfiles()).toHaveLength(1);
+    expect(findMappingProfile(["messzeit", "gewicht"])).toMatchObject({
+      name: "Scale app",
+    });
+    expect(() =>
+      saveMappingProfile("Broken", ["a"], { date: "a", value: "a" })
+    ).toThrow("type column or a record type");
+
+    expect(deleteMappingProfile(profile.id)).toBe(true);
+    expect(findMappingProfile(["Messzeit", "Gewicht"])).toBeNull();
+  });
+});
+
+describe("column mapping", () => {
+  test("asks for a mapping when no column is recognised", async () => {
+    const preview = await previewHealthData(SCALE_CSV, "csv");
+
+    expect(preview.types).toEqual([]);
+    expect(preview.columns).toMatchObject({
+      headers: ["Messzeit", "Gewicht", "Einheit", "Notiz"],
+      needsMapping: true,
+      reason: "Couldn't find a date column in CSV",
+    });
+    expect(preview.columns.sampleRows[0].Gewicht).toBe("180.2");
+    expect(() => confirmImport(preview)).toThrow("Map the file's columns");
+  });
+
+  test("imports with the columns the user assigned", async () => {
+    const preview = await previewHealthData(SCALE_CSV, "csv", {
+      mapping: SCALE_MAPPING,
+    });
+
+    expect(preview.columns).toMatchObject({
+      needsMapping: false,
+      mapping: SCALE_MAPPING,
+      profile: null,
+    });
+    expect(preview.samples.weight.map(({ value }) => value)).toEqual([
+      expect.closeTo(81.74, 2),
+      81.5,
+    ]);
+  });
+
+  test("applies a saved profile to the next export automatically", async () => {
+    saveMappingProfile(
+      "Scale app",
+      ["Messzeit", "Gewicht", "Einheit", "Notiz"],
+      SCALE_MAPPING
+    );
+
+    const nextExport = `Notiz,Gewicht,Messzeit,Einheit
+,80.9,2024-04-01T07:00:00Z,kg
+`;
+    const preview = await previewHealthData(nextExport, "csv");
+
+    expect(preview.columns).toMatchObject({
+      needsMapping: false,
+      profile: "Scale app",
+    });
+    confirmImport(preview);
+    expect(getFromStorage(STORAGE_KEYS.WEIGHT_DATA)).toEqual([
+      expect.objectContaining({ value: 80.9, unit: "kg" }),
+    ]);
+  });
+
+  test("rejects a mapping that points at missing columns", async () => {
+    await expect(
+      previewHealthData(SCALE_CSV, "csv", {
+        mapping: { ...SCALE_MAPPING, value: "Weight" },
+      })
+    ).rejects.toThrow('The mapped value column "Weight" is missing');
+  });
+});
@@ -0,0 +1,291 @@
+import {
+  getImportHistory,
+  rollbackImport,
+  STORAGE_KEYS,
+} from "../services/dataImportService";
+import { checkInUser } from "../services/habitService";
+import {
+  getKnowledgeBase,
+  KNOWLEDGE_BASE_KEY,
+} from "../services/knowledgeBaseService";
+import {
+  getSchemaVersion,
+  MIGRATIONS,
+  runMigrations,
+  SCHEMA_VERSION_KEY,
+} from "../services/migrationService";
+import { getNutritionGoals } from "../services/nutritionService";
+import {
+  getCheckInDay,
+  getFromStorage,
+  saveToStorage,
+} from "../utils/storageUtils";
+
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+const stored = (key) => JSON.parse(localStorage.getItem(`neo-vitru-${key}`));
+const store = (key, value) =>
+  localStorage.setItem(`neo-vitru-${key}`, JSON.stringify(value));
+
+// How habitService used to write days
+const dateString = (day) => new Date(2024, 2, day).toDateString();
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe("runMigrations", () => {
+  test("brings a new install to the latest version", async () => {
+    expect(getSchemaVersion()).toBe(0);
+
+    const result = await runMigrations();
+    expect(result).toEqual({
+      from: 0,
+      to: LATEST,
+      applied: MIGRATIONS.map(({ description }) => description),
+    });
+    expect(stored(SCHEMA_VERSION_KEY)).toBe(LATEST);
+    expect(await runMigrations()).toEqual({
+      from: LATEST,
+      to: LATEST,
+      applied: [],
+    });
+  });
+
+  test("runs a failed migration again on the next start", async () => {
+    const calls = [];
+    let fail = true;
+    const migrations = [
+      { version: 1, description: "one", migrate: () => calls.push(1) },
+      {
+        version: 2,
+        description: "two",
+        migrate: () => {
+          calls.push(2);
+          if (fail) throw new Error("disk full");
+        },
+      },
+    ];
+
+    await expect(runMigrations(migrations)).rejects.toThrow(
+      "Migration to schema version 2 failed: disk full"
+    );
+    expect(getSchemaVersion()).toBe(1);
+
+    fail = false;
+    expect(await runMigrations(migrations)).toMatchObject({ from: 1, to: 2 });
+    expect(calls).toEqual([1, 2, 2]);
+  });
+
+  test("leaves data from a newer version alone", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    saveToStorage(SCHEMA_VERSION_KEY, LATEST + 1);
+    store("streaks", { currentStreak: 3, lastCheckIn: dateString(5) });
+
+    expect(await runMigrations()).toMatchObject({ applied: [] });
+    expect(stored("streaks")).not.toBeNull();
+    jest.restoreAllMocks();
+  });
+});
+
+describe("schema version 1", () => {
+  test("merges both streaks and rewrites check-in days", async () => {
+    store("streak", {
+      currentStreak: 2,
+      longestStreak: 9,
+      lastCheckIn: "2024-03-02",
+      history: [],
+    });
+    store("streaks", {
+      currentStreak: 4,
+      longestStreak: 4,
+      lastCheckIn: dateString(5),
+      history: [
+        { date: dateString(5), completed: true },
+        { date: dateString(4), completed: true },
+      ],
+    });
+    store("checkins", {
+      lastCheckIn: dateString(5),
+      history: [
+        {
+          date: dateString(5),
+          time: "2024-03-05T12:00:00.000Z",
+          type: "daily",
+        },
+        { date: "2024-03-02", time: "2024-03-02T12:00:00.000Z" },
+      ],
+    });
+
+    await runMigrations();
+
+    expect(stored("streaks")).toBeNull();
+    expect(stored("streak")).toEqual({
+      currentStreak: 4,
+      longestStreak: 9,
+      lastCheckIn: "2024-03-05",
+      history: [
+        { date: "2024-03-05", completed: true },
+        { date: "2024-03-04", completed: true },
+      ],
+    });
+    expect(stored("checkins")).toEqual({
+      lastCheckIn: "2024-03-05",
+      history: [
+        { date: "2024-03-05", time: "2024-03-05T12:00:00.000Z", type: "daily" },
+        { date: "2024-03-02", time: "2024-03-02T12:00:00.000Z" },
+      ],
+    });
+  });
+
+  test("moves days stored in UTC to the browser's day", async () => {
+    // The migrations as run in a browser in New York (UTC-5)
+    let migrateInNewYork;
+    jest.isolateModules(() => {
+      jest.doMock("../utils/dateUtils", () => {
+        const dateUtils = jest.requireActual("../utils/dateUtils");
+        return {
+          ...dateUtils,
+          getLocalDay: (date, utcOffset = -300) =>
+            dateUtils.getLocalDay(date, utcOffset),
+        };
+      });
+      migrateInNewYork = require("../services/migrationService").runMigrations;
+    });
+    jest.dontMock("../utils/dateUtils");
+
+    // 21:30 on 5 March in New York
+    const time = "2024-03-06T02:30:00.000Z";
+    store("checkins", {
+      lastCheckIn: "2024-03-06",
+      history: [{ date: "2024-03-06", time }],
+    });
+    store("streak", {
+      currentStreak: 3,
+      longestStreak: 3,
+      lastCheckIn: "2024-03-06",
+      history: [],
+    });
+
+    await migrateInNewYork();
+
+    expect(stored("checkins")).toEqual({
+      lastCheckIn: "2024-03-05",
+      history: [{ date: "2024-03-05", time }],
+    });
+    expect(stored("streak").lastCheckIn).toBe("2024-03-05");
+  });
+
+  test("check-ins continue the migrated streak", async () => {
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    store("streaks", {
+      currentStreak: 6,
+      longestStreak: 6,
+      lastCheckIn: yesterday.toDateString(),
+      history: [],
+    });
+    await runMigrations();
+
+    const { streakData } = checkInUser("daily");
+    expect(streakData).toMatchObject({
+      currentStreak: 7,
+      lastCheckIn: getCheckInDay(),
+    });
+    expect(stored("streak").currentStreak).toBe(7);
+  });
+});
+
+describe("schema version 2", () => {
+  test("turns the nutrition summary into records", async () => {
+    store("nutrition-data", {
+      calories: { consumed: 900, goal: 2100 },
+      water: { consumed: 500, goal: 2500 },
+      meals: [
+        {
+          id: 17,
+          name: "Oats",
+          calories: 350,
+          protein: 12,
+          timestamp: "2024-03-05T07:30:00.000Z",
+        },
+        { id: "meal-1-apple", name: "Apple", calories: 95 },
+      ],
+    });
+
+    await runMigrations();
+
+    expect(getFromStorage("nutrition-data")).toEqual([
+      expect.objectContaining({
+        date: "2024-03-05T07:30:00.000Z",
+        name: "Oats",
+        calories: 350,
+        protein: 12,
+        source: "Manual",
+      }),
+    ]);
+    expect(getNutritionGoals()).toMatchObject({ calories: 2100, water: 2.5 });
+  });
+});
+
+describe("schema version 3", () => {
+  const NOTE = { id: "zone-2", title: "Zone 2", content: "Easy aerobic work" };
+
+  test("moves the knowledge base into the app's storage", async () => {
+    localStorage.setItem(
+      "fitnessKnowledgeBase",
+      JSON.stringify({ [NOTE.id]: NOTE })
+    );
+
+    await runMigrations();
+
+    expect(localStorage.getItem("fitnessKnowledgeBase")).toBeNull();
+    expect(stored(KNOWLEDGE_BASE_KEY)).toEqual({ [NOTE.id]: NOTE });
+    expect(getKnowledgeBase()).toEqual({ [NOTE.id]: NOTE });
+  });
+
+  test("keeps a knowledge base imported since", async () => {
+    localStorage.setItem("fitnessKnowledgeBase", JSON.stringify({ old: {} }));
+    store(KNOWLEDGE_BASE_KEY, { [NOTE.id]: NOTE });
+
+    await runMigrations();
+
+    expect(localStorage.getItem("fitnessKnowledgeBase")).toBeNull();
+    expect(getKnowledgeBase()).toEqual({ [NOTE.id]: NOTE });
+  });
+});
+
+describe("schema version 4", () => {
+  test("keeps counts instead of record ids in the import history", async () => {
+    const record = (id, value) => ({
+      id,
+      date: `2024-03-0${value}T00:00:00.000Z`,
+      value,
+    });
+    store(STORAGE_KEYS.STEP_COUNT_DATA, [
+      record("import-a-1-0", 1),
+      record("import-b-2-0", 2),
+      record("import-a-1-1", 3),
+    ]);
+    store(STORAGE_KEYS.IMPORT_HISTORY, [
+      { id: "import-old", counts: { steps: 4 }, rolledBackAt: null },
+      {
+        id: "import-a-1",
+        counts: { steps: 2 },
+        recordIds: { steps: ["import-a-1-0", "import-a-1-1"] },
+        rolledBackAt: null,
+      },
+    ]);
+
+    await runMigrations();
+
+    const [latest, earliest] = getImportHistory();
+    expect(latest).not.toHaveProperty("recordIds");
+    expect(latest.recordIdPrefix).toBe("import-a-1-");
+    expect(earliest).not.toHaveProperty("recordIdPrefix");
+    expect(rollbackImport("import-a-1")).toEqual({ steps: 2 });
+    expect(
+      getFromStorage(STORAGE_KEYS.STEP_COUNT_DATA).map(({ value }) => value)
+    ).toEqual([2]);
+  });
+});
@@ -0,0 +1,219 @@
+import { processNutritionData } from "../services/healthDataProcessor";
+import { processImport } from "../services/importEngine";
+import {
+  fetchNutritionData,
+  getNutritionGoals,
+  logMeal,
+} from "../services/nutritionService";
+import { convertUnit, normalizeUnit } from "../services/unitService";
+import { getLocalDay } from "../utils/dateUtils";
+import { getFromStorage, saveToStorage } from "../utils/storageUtils";
+
+const MFP_CSV = `Date,Meal,Calories,Fat (g),Saturated Fat,Polyunsaturated Fat,Monounsaturated Fat,Trans Fat,Cholesterol,Sodium (mg),Potassium,Carbohydrates (g),Fiber,Sugar,Protein (g),Vitamin A,Vitamin C,Calcium,Iron,Note
+2024-03-04,Breakfast,420,12,4,1.5,5,0,210,480,350,52,6,14,28,10,4,15,12,Oats and eggs
+2024-03-04,Lunch,650,22.5,8,3,9,0.2,95,1120,820,68,9,7,45,25,60,10,20,
+2024-03-05,Dinner,"1,020",40,15,5,16,0.5,180,1650,1100,96,11,12,62,30,45,20,30,
+`;
+
+const SERVINGS_CSV = `Day,Time,Group,Food Name,Amount,Energy (kcal),Alcohol (g),Caffeine (mg),Water (g),B12 (Cobalamin) (µg),Vitamin D (IU),Sodium (mg),Carbs (g),Fiber (g),Sugars (g),Fat (g),Protein (g),Category
+2024-03-06,8:15 AM,Breakfast,"Coffee, brewed",1 cup,2,0,95,237,0,0,5,0,0,0,0.1,0.3,Beverages
+2024-03-06,8:15 AM,Breakfast,Greek Yogurt,170 g,100,0,0,139,0.9,200,61,6,0,6,0.7,17,Dairy
+2024-03-06,1:30 PM,Lunch,Chicken Breast,150 g,248,0,0,98,0.5,8,111,0,0,0,5.4,46.5,Meats
+`;
+
+const DAILY_CSV = `Date,Energy (kcal),Water (g),Sodium (mg),Carbs (g),Fiber (g),Sugars (g),Fat (g),Protein (g),Completed
+2024-03-06,350,474,177,6,0,6,6.2,63.8,true
+2024-03-07,2100,2500,2300,240,30,60,70,130,false
+`;
+
+async function importRecords(name, content) {
+  const result = await processImport({ name, content });
+  expect(result.errors).toEqual([]);
+  return result;
+}
+
+describe("food diary import", () => {
+  test("reads MyFitnessPal meals with their micronutrients", async () => {
+    const result = await importRecords("Nutrition-Summary.csv", MFP_CSV);
+
+    expect(result.format).toBe("myfitnesspal");
+    expect(result.counts.nutrition).toBe(3);
+
+    const [breakfast, , dinner] = result.records.nutrition;
+    expect(breakfast).toMatchObject({
+      name: "Breakfast",
+      kind: "meal",
+      meal: "Breakfast",
+      calories: 420,
+      protein: 28,
+      carbs: 52,
+      fat: 12,
+      notes: "Oats and eggs",
+      source: "MyFitnessPal",
+    });
+    // % daily value columns are not amounts and are left out
+    expect(breakfast.nutrients).toEqual({
+      fiber: 6,
+      sugar: 14,
+      saturatedFat: 4,
+      monounsaturatedFat: 5,
+      polyunsaturatedFat: 1.5,
+      transFat: 0,
+      cholesterol: 210,
+      sodium: 480,
+      potassium: 350,
+    });
+    expect(dinner.calories).toBe(1020);
+  });
+
+  test("reads Cronometer servings in their meal groups", async () => {
+    const result = await importRecords("servings.csv", SERVINGS_CSV);
+
+    expect(result.format).toBe("cronometer-servings");
+    const [coffee, yogurt, chicken] = result.records.nutrition;
+    expect(coffee).toMatchObject({
+      name: "Coffee, brewed",
+      kind: "food",
+      meal: "Breakfast",
+      amount: "1 cup",
+      source: "Cronometer",
+    });
+    expect(coffee.nutrients).toMatchObject({
+      caffeine: 95,
+      water: 0.237,
+      sodium: 5,
+    });
+    expect(yogurt.nutrients.vitaminD).toBe(5);
+    expect(yogurt.nutrients.vitaminB12).toBe(0.9);
+    expect(new Date(chicken.date)).toEqual(new Date(2024, 2, 6, 13, 30));
+    expect(chicken).toMatchObject({ protein: 46.5, meal: "Lunch" });
+  });
+
+  test("reads Cronometer daily totals", async () => {
+    const result = await importRecords("dailysummary.csv", DAILY_CSV);
+
+    expect(result.format).toBe("cronometer-daily");
+    expect(result.records.nutrition[1]).toMatchObject({
+      name: "Daily total",
+      kind: "day",
+      calories: 2100,
+      nutrients: { water: 2.5, sodium: 2300, fiber: 30, sugar: 60 },
+    });
+    expect(result.records.nutrition[1].meal).toBeUndefined();
+  });
+
+  test("converts milligrams and micrograms", () => {
+    expect(convertUnit(1500, "mg", "g")).toBeCloseTo(1.5);
+    expect(convertUnit(2, "mg", "µg")).toBeCloseTo(2000);
+    expect(normalizeUnit("mcg")).toBe("µg");
+    expect(normalizeUnit("μg")).toBe("µg");
+  });
+});
+
+describe("nutrition summary", () => {
+  let records;
+
+  beforeAll(async () => {
+    const imports = await Promise.all([
+      processImport({ name: "mfp.csv", content: MFP_CSV }),
+      processImport({ name: "servings.csv", content: SERVINGS_CSV }),
+      processImport({ name: "daily.csv", content: DAILY_CSV }),
+    ]);
+    records = imports.flatMap((result) => result.records.nutrition);
+  });
+
+  test("counts day totals only for days without foods or meals", () => {
+    const { history } = processNutritionData({ nutrition: records });
+
+    expect(history.map(({ date, calories }) => [date, calories])).toEqual([
+      ["2024-03-04", 1070],
+      ["2024-03-05", 1020],
+      ["2024-03-06", 350],
+      ["2024-03-07", 2100],
+    ]);
+    expect(history[2].entries).toBe(3);
+    expect(history[2].nutrients.water).toBeCloseTo(0.474);
+  });
+
+  test("groups a day's foods into its meals", () => {
+    const summary = processNutritionData(
+      { nutrition: records },
+      { date: "2024-03-06", goals: { calories: 1800 } }
+    );
+
+    expect(summary.date).toBe("2024-03-06");
+    expect(summary.calories).toMatchObject({ consumed: 350, goal: 1800 });
+    expect(summary.protein.consumed).toBe(64);
+    expect(summary.water.consumed).toBe(0.5);
+    expect(summary.sources).toEqual(["Cronometer"]);
+    expect(summary.meals).toEqual([
+      expect.objectContaining({
+        name: "BREAKFAST",
+        time: "08:15",
+        calories: 102,
+        items: 2,
+      }),
+      expect.objectContaining({ name: "LUNCH", time: "13:30", items: 1 }),
+    ]);
+  });
+
+  test("shows the last logged day when nothing was logged today", () => {
+    const summary = processNutritionData({ nutrition: records });
+
+    expect(summary.date).toBe("2024-03-07");
+    expect(summary.calories).toMatchObject({ consumed: 2100, goal: 2200 });
+    expect(summary.meals).toEqual([
+      expect.objectContaining({ name: "DAILY TOTAL", time: "" }),
+    ]);
+    expect(summary.micronutrients.sodium).toBe(2300);
+  });
+});
+
+describe("nutrition service", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test("moves the old dashboard summary into goals and logged meals", async () => {
+    saveToStorage("nutrition-data", {
+      calories: { consumed: 900, goal: 2400 },
+      water: { consumed: 1200, goal: 2500 },
+      meals: [
+        {
+          id: "1709539200000",
+          timestamp: new Date().toISOString(),
+          name: "Shake",
+          calories: 300,
+          protein: 40,
+        },
+        {
+          id: "meal-0-1709539200000",
+          timestamp: new Date().toISOString(),
+          name: "MEAL 1",
+          calories: 600,
+        },
+      ],
+    });
+
+    const summary = await fetchNutritionData();
+
+    expect(getNutritionGoals()).toMatchObject({ calories: 2400, water: 2.5 });
+    expect(getFromStorage("nutrition-data")).toHaveLength(1);
+    expect(summary.calories).toMatchObject({ consumed: 300, goal: 2400 });
+    expect(summary.meals[0]).toMatchObject({ name: "SHAKE", protein: 40 });
+  });
+
+  test("logs meals as nutrition records for today", async () => {
+    logMeal({ name: "Lunch", calories: 550, protein: 35 });
+
+    const summary = await fetchNutritionData();
+
+    expect(getFromStorage("nutrition-data")[0]).toMatchObject({
+      kind: "meal",
+      source: "Manual",
+    });
+    expect(summary.date).toBe(getLocalDay(new Date()));
+    expect(summary.calories.consumed).toBe(550);
+    expect(summary.sources).toEqual(["Manual"]);
+  });
+});
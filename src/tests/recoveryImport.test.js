@@ -0,0 +1,207 @@
+import { processEnhancementMetrics } from "../services/healthDataProcessor";
+import { normalizeRecord, processImport } from "../services/importEngine";
+import { validateSleepPatterns } from "../services/sleepDataService";
+
+const OURA_TRENDS = `date,Sleep Score,Total Sleep Duration,Total Bedtime,Awake Time,REM Sleep Duration,Light Sleep Duration,Deep Sleep Duration,Sleep Efficiency,Bedtime Start,Bedtime End,Average Resting Heart Rate,Lowest Resting Heart Rate,Average HRV,Temperature Deviation (°C),Respiratory Rate,Readiness Score
+2024-03-05,82,27000,29700,2700,6300,15300,5400,91,2024-03-04T23:10:00+01:00,2024-03-05T07:25:00+01:00,52.4,48,61,-0.21,14.6,84
+2024-03-06,,,,,,,,,,,,,,0.12,,
+`;
+
+const OURA_SLEEP = `id;day;type;bedtime_start;bedtime_end;time_in_bed;total_sleep_duration;awake_time;deep_sleep_duration;light_sleep_duration;rem_sleep_duration;efficiency;average_heart_rate;lowest_heart_rate;average_hrv;average_breath
+a1;2024-03-05;long_sleep;2024-03-04T23:10:00+01:00;2024-03-05T07:25:00+01:00;29700;27000;2700;5400;15300;6300;91;52.4;48;61;14.6
+a2;2024-03-05;rest;2024-03-05T14:00:00+01:00;2024-03-05T14:20:00+01:00;1200;0;1200;0;0;0;0;60;58;40;15
+`;
+
+const WHOOP_CYCLES = `Cycle start time,Cycle end time,Cycle timezone,Recovery score %,Resting heart rate (bpm),Heart rate variability (ms),Skin temp (celsius),Blood oxygen %,Day Strain,Energy burned (cal),Sleep onset,Wake onset,Respiratory rate (rpm)
+2024-03-04 22:50:00,,UTC-05:00,71,54,66,34.1,96.2,12.4,2300,2024-03-04 22:50:00,2024-03-05 06:40:00,15.2
+2024-03-03 23:05:00,2024-03-04 22:50:00,UTC-05:00,60,56,58,33.5,96.0,14.1,2500,2024-03-03 23:05:00,2024-03-04 06:55:00,15.0
+2024-03-02 22:40:00,2024-03-03 23:05:00,UTC-05:00,55,57,55,33.6,95.8,9.8,2200,2024-03-02 22:40:00,2024-03-03 06:30:00,15.1
+2024-03-01 23:20:00,2024-03-02 22:40:00,UTC-05:00,64,55,60,33.7,96.1,11.0,2350,2024-03-01 23:20:00,2024-03-02 07:10:00,14.9
+`;
+
+const WHOOP_SLEEPS = `Cycle start time,Cycle end time,Cycle timezone,Sleep onset,Wake onset,Sleep performance %,Respiratory rate (rpm),Asleep duration (min),In bed duration (min),Light sleep duration (min),Deep (SWS) duration (min),REM duration (min),Awake duration (min),Sleep efficiency %,Nap
+2024-03-04 22:50:00,,UTC-05:00,2024-03-04 22:50:00,2024-03-05 06:40:00,88,15.2,430,470,230,90,110,40,91,false
+`;
+
+const WHOOP_WORKOUTS = `Cycle start time,Cycle end time,Cycle timezone,Workout start time,Workout end time,Duration (min),Activity name,Activity Strain,Energy burned (cal),Max HR (bpm),Average HR (bpm),Distance (meters),Altitude gain (meters)
+2024-03-04 22:50:00,,UTC-05:00,2024-03-05 17:30:00,2024-03-05 18:15:00,45,Running,11.8,520,171,148,7400,35
+`;
+
+function values(records) {
+  return records.map(({ value }) => value);
+}
+
+describe("Oura import", () => {
+  test("reads recovery metrics and the night from the trends CSV", async () => {
+    const result = await processImport({
+      name: "oura_2024-03-05_2024-03-06_trends.csv",
+      content: OURA_TRENDS,
+    });
+
+    expect(result.format).toBe("oura-trends");
+    expect(result.errors).toEqual([]);
+    expect(result.records.heartRateVariability[0]).toMatchObject({
+      value: 61,
+      unit: "ms",
+      source: "Oura",
+    });
+    expect(result.records.restingHeartRate[0].value).toBe(52.4);
+    expect(result.records.respiratoryRate[0]).toMatchObject({
+      value: 14.6,
+      unit: "breaths/min",
+    });
+    expect(values(result.records.temperatureDeviation)).toEqual([-0.21, 0.12]);
+
+    const [night] = result.records.sleep;
+    expect(night).toMatchObject({
+      category: "session",
+      value: 7.5,
+      timeInBed: 8.25,
+      sleepEfficiency: 91,
+      stages: { deep: 1.5, core: 4.25, rem: 1.75, awake: 0.75 },
+      source: "Oura",
+    });
+    expect(validateSleepPatterns([night]).errors).toEqual([]);
+  });
+
+  test("skips rest periods of the membership sleep export", async () => {
+    const result = await processImport({
+      name: "sleep.csv",
+      content: OURA_SLEEP,
+    });
+
+    expect(result.format).toBe("oura-sleep");
+    expect(result.counts).toMatchObject({
+      sleep: 1,
+      heartRateVariability: 1,
+      restingHeartRate: 1,
+      respiratoryRate: 1,
+    });
+  });
+});
+
+describe("WHOOP import", () => {
+  test("dates cycle metrics by wake onset in the cycle's timezone", async () => {
+    const result = await processImport({
+      name: "physiological_cycles.csv",
+      content: WHOOP_CYCLES,
+    });
+
+    expect(result.format).toBe("whoop-cycles");
+    expect(result.errors).toEqual([]);
+    expect(result.records.heartRateVariability[0]).toMatchObject({
+      date: "2024-03-05T11:40:00.000Z",
+      utcOffset: -300,
+      value: 66,
+      source: "WHOOP",
+    });
+    expect(values(result.records.strain)).toEqual([12.4, 14.1, 9.8, 11.0]);
+    expect(result.records.strain[0]).toMatchObject({
+      date: "2024-03-05T03:50:00.000Z",
+      unit: "score",
+    });
+  });
+
+  test("turns skin temperature into a deviation from earlier cycles", async () => {
+    const result = await processImport({
+      name: "physiological_cycles.csv",
+      content: WHOOP_CYCLES,
+    });
+
+    // Only the newest cycle has three cycles before it
+    expect(result.records.temperatureDeviation).toEqual([
+      expect.objectContaining({ value: 0.5, unit: "°C", source: "WHOOP" }),
+    ]);
+  });
+
+  test("reads staged sleeps and workout strain", async () => {
+    const sleeps = await processImport({
+      name: "sleeps.csv",
+      content: WHOOP_SLEEPS,
+    });
+    const [night] = sleeps.records.sleep;
+    expect(night).toMatchObject({
+      value: expect.closeTo(430 / 60, 5),
+      timeInBed: expect.closeTo(470 / 60, 5),
+      sleepEfficiency: 91,
+      source: "WHOOP",
+    });
+    expect(night.stages.deep).toBe(1.5);
+
+    const workouts = await processImport({
+      name: "workouts.csv",
+      content: WHOOP_WORKOUTS,
+    });
+    expect(workouts.format).toBe("whoop-workouts");
+    expect(workouts.records.workouts[0]).toMatchObject({
+      type: "Running",
+      duration: 45,
+      calories: 520,
+      distance: 7400,
+      avgHeartRate: 148,
+      strain: 11.8,
+    });
+  });
+});
+
+describe("recovery records", () => {
+  test("accept HealthKit's count/min breathing rate", () => {
+    const { record } = normalizeRecord({
+      recordType: "respiratoryRate",
+      date: "2024-03-05T03:00:00Z",
+      value: "15",
+      unit: "count/min",
+      source: "Apple Watch",
+    });
+    expect(record).toMatchObject({ value: 15, unit: "breaths/min" });
+  });
+
+  test("only temperature deviations may be negative", () => {
+    const hrv = normalizeRecord({
+      recordType: "heartRateVariability",
+      date: "2024-03-05",
+      value: -4,
+    });
+    expect(hrv.error.field).toBe("value");
+  });
+
+  test("are compared per source in the enhancement metrics", () => {
+    const hrv = (date, value, source) => ({ date, value, source });
+    const metrics = processEnhancementMetrics({
+      heartRateVariability: {
+        data: [
+          hrv("2024-03-05T07:00:00Z", 66, "Oura"),
+          hrv("2024-03-05T03:00:00Z", 38, "Apple Watch"),
+          hrv("2024-03-04T07:00:00Z", 55, "Oura"),
+          hrv("2024-03-04T03:00:00Z", 41, "Apple Watch"),
+          hrv("2024-03-03T07:00:00Z", 56, "Oura"),
+        ],
+      },
+      restingHeartRate: {
+        data: [hrv("2024-03-05T07:00:00Z", 52, "Oura")],
+      },
+      temperatureDeviation: {
+        data: [hrv("2024-03-05T00:00:00Z", -0.2, "Oura")],
+      },
+    });
+
+    expect(metrics.cardiovascular.restingHeartRate).toBe(52);
+    expect(metrics.recovery.temperatureDeviation).toBe(-0.2);
+    expect(metrics.recovery.sources).toEqual({
+      Oura: {
+        heartRateVariability: { value: 66, date: "2024-03-05T07:00:00Z" },
+        restingHeartRate: { value: 52, date: "2024-03-05T07:00:00Z" },
+        temperatureDeviation: { value: -0.2, date: "2024-03-05T00:00:00Z" },
+      },
+      "Apple Watch": {
+        heartRateVariability: { value: 38, date: "2024-03-05T03:00:00Z" },
+      },
+    });
+    // 66 against the Oura average of 59, ignoring the watch's spot checks
+    expect(metrics.recovery.readiness).toEqual({
+      status: "GOOD",
+      score: 75,
+      source: "Oura",
+    });
+  });
+});
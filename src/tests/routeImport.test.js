@@ -0,0 +1,181 @@
+import { processImport } from "../services/importEngine";
+import {
+  linkRoutesToWorkouts,
+  parseRoutes,
+  summarizeRoute,
+} from "../services/routeParser";
+
+const START = Date.UTC(2024, 2, 1, 15, 0, 0);
+
+// 21 points 10 s apart heading north at ~5.6 m/s (0.0005° latitude each),
+// climbing 20 m over the second half with half-metre GPS wobble before
+// it, then a 100 s pause without moving
+function buildGpx() {
+  const points = [];
+  for (let i = 0; i <= 20; i++) {
+    const altitude = i <= 10 ? 100 + (i % 2) * 0.5 : 100 + (i - 10) * 2;
+    points.push({ seconds: i * 10, lat: i * 0.0005, altitude, hr: 140 + i });
+  }
+  points.push({ seconds: 300, lat: 0.01, altitude: 120, hr: 120 });
+
+  const trackPoints = points
+    .map(
+      ({ seconds, lat, altitude, hr }) => `
+   <trkpt lat="${lat}" lon="0"><ele>${altitude}</ele>
+    <time>${new Date(START + seconds * 1000).toISOString()}</time>
+    <extensions><gpxtpx:TrackPointExtension>
+     <gpxtpx:hr>${hr}</gpxtpx:hr>
+    </gpxtpx:TrackPointExtension></extensions>
+   </trkpt>`
+    )
+    .join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="StravaGPX">
+ <metadata><time>${new Date(START).toISOString()}</time></metadata>
+ <trk><name>Lunch Run</name><type>running</type><trkseg>${trackPoints}
+ </trkseg></trk>
+</gpx>`;
+}
+
+const TCX = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+ <Activities>
+  <Activity Sport="Biking">
+   <Id>2024-03-02T09:00:00Z</Id>
+   <Lap StartTime="2024-03-02T09:00:00Z">
+    <Calories>25</Calories>
+    <Track>
+     <Trackpoint><Time>2024-03-02T09:00:00Z</Time><DistanceMeters>0</DistanceMeters>
+      <HeartRateBpm><Value>110</Value></HeartRateBpm>
+      <Extensions><ns3:TPX><ns3:Watts>180</ns3:Watts></ns3:TPX></Extensions>
+     </Trackpoint>
+     <Trackpoint><Time>2024-03-02T09:01:00Z</Time><DistanceMeters>500</DistanceMeters>
+      <HeartRateBpm><Value>130</Value></HeartRateBpm>
+      <Extensions><ns3:TPX><ns3:Watts>220</ns3:Watts></ns3:TPX></Extensions>
+     </Trackpoint>
+    </Track>
+   </Lap>
+   <Creator><Name>Edge 530</Name></Creator>
+  </Activity>
+ </Activities>
+</TrainingCenterDatabase>`;
+
+describe("route parsing", () => {
+  test("reads GPX track points with their extensions", () => {
+    const [route] = parseRoutes(buildGpx(), "gpx");
+
+    expect(route).toMatchObject({ name: "Lunch Run", type: "Running" });
+    expect(route.points).toHaveLength(22);
+    expect(route.points[1]).toEqual({
+      time: new Date(START + 10000),
+      latitude: 0.0005,
+      longitude: 0,
+      altitude: 100.5,
+      heartRate: 141,
+      cadence: null,
+      power: null,
+      distance: null,
+    });
+  });
+
+  test("summarises distance, climb, moving time and splits", () => {
+    const [route] = parseRoutes(buildGpx(), "gpx");
+    const summary = summarizeRoute(route.points);
+    const segment = 6371008.8 * ((0.0005 * Math.PI) / 180);
+
+    expect(summary.distance).toBeCloseTo(segment * 20, 3);
+    expect(summary.elevationGain).toBe(20);
+    expect(summary.duration).toBe(300);
+    expect(summary.movingTime).toBeCloseTo(200 / 60);
+    expect(summary.splits).toEqual([
+      {
+        distance: 1000,
+        duration: expect.closeTo(((1000 / segment) * 10) / 60, 5),
+        pace: expect.closeTo(((1000 / segment) * 10) / 60, 5),
+      },
+      {
+        distance: expect.closeTo(segment * 20 - 1000, 0),
+        duration: expect.closeTo((300 - (1000 / segment) * 10) / 60, 5),
+        pace: expect.any(Number),
+      },
+    ]);
+    expect(summary.streams.time).toHaveLength(22);
+    expect(summary.streams.heartRate[0]).toBe(140);
+    expect(summary.streams.power).toBeUndefined();
+  });
+
+  test("uses the device distance recorded in TCX files", () => {
+    const [route] = parseRoutes(TCX, "tcx");
+    const summary = summarizeRoute(route.points);
+
+    expect(route).toMatchObject({
+      type: "Cycling",
+      source: "Edge 530",
+      calories: 25,
+    });
+    expect(summary.distance).toBe(500);
+    expect(summary.streams.power).toEqual([180, 220]);
+    expect(summary.streams.latitude).toBeUndefined();
+  });
+});
+
+describe("route import", () => {
+  test("creates workouts from GPX and TCX files", async () => {
+    const gpx = await processImport({ name: "lunch.gpx", content: buildGpx() });
+    const tcx = await processImport({ name: "ride.tcx", content: TCX });
+
+    expect(gpx.records.workouts[0]).toMatchObject({
+      date: new Date(START).toISOString(),
+      type: "Running",
+      duration: 5,
+      distance: expect.closeTo(1111.95, 1),
+      elevationGain: 20,
+      movingTime: expect.closeTo(200 / 60, 5),
+    });
+    expect(gpx.records.workouts[0].splits).toHaveLength(2);
+    expect(tcx.records.workouts[0]).toMatchObject({
+      type: "Cycling",
+      duration: 1,
+      distance: 500,
+      calories: 25,
+      source: "Edge 530",
+    });
+  });
+
+  test("links routes to the workout they were recorded during", () => {
+    const [route] = parseRoutes(buildGpx(), "gpx");
+    const summary = summarizeRoute(route.points);
+    const workouts = [
+      {
+        date: "2024-03-01T06:00:00-08:00",
+        endDate: "2024-03-01T06:30:00-08:00",
+        duration: 30,
+        distance: null,
+      },
+      {
+        date: "2024-03-01T06:59:00-08:00",
+        endDate: "2024-03-01T07:10:00-08:00",
+        duration: 11,
+        distance: 1.2,
+        distanceUnit: "km",
+      },
+    ];
+    const lateRoute = { ...summary, start: new Date(START + 86400000) };
+
+    const { workouts: linked, unmatched } = linkRoutesToWorkouts(workouts, [
+      summary,
+      lateRoute,
+    ]);
+
+    expect(linked[0]).toBe(workouts[0]);
+    expect(linked[1]).toMatchObject({
+      distance: 1.2,
+      distanceUnit: "km",
+      elevationGain: 20,
+      splits: summary.splits,
+      streams: summary.streams,
+    });
+    expect(unmatched).toEqual([lateRoute]);
+  });
+});
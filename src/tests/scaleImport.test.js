@@ -0,0 +1,121 @@
+import {
+  addBodyMeasurement,
+  getBodyCompositionHistory,
+  getBodyMetricsAt,
+  toModelMetrics,
+} from "../services/bodyCompositionService";
+import { STORAGE_KEYS, importHealthData } from "../services/dataImportService";
+import { processImport } from "../services/importEngine";
+import { getFromStorage } from "../utils/storageUtils";
+
+const WITHINGS_CSV = `Date,Weight (kg),Fat mass (kg),Bone mass (kg),Muscle mass (kg),Hydration (kg),Comments
+2024-03-04 07:12:45,80.0,16.0,3.2,60.0,44.0,
+2024-03-05 07:05:10,79.6,15.8,3.2,59.9,43.9,
+`;
+
+const RENPHO_CSV = `Time of Measurement,Weight(lb),BMI,Body Fat(%),Fat-free Body Weight(lb),Subcutaneous Fat(%),Visceral Fat,Body Water(%),Skeletal Muscle(%),Muscle Mass(lb),Bone Mass(lb),Protein(%),BMR(kcal),Metabolic Age,Remarks
+2024-03-06 06:58:01,176.4,24.6,19.8,141.5,17.4,9,55.2,48.1,134.2,7.1,17.9,1720,34,
+2024-03-07 07:01:44,--,,,,,,,,,,,,,
+`;
+
+const EUFY_CSV = `Date,Time,Weight (kg),BMI,Body Fat (%),Body Water (%),Bone Mass (kg),Muscle Mass (kg),Visceral Fat,BMR (kcal)
+2024-03-08,07:30,79.2,24.4,19.5,55.6,3.1,,8,1715
+`;
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe("smart scale import", () => {
+  test("turns Withings masses into percentages of the weigh-in", async () => {
+    const result = await processImport({
+      name: "weight.csv",
+      content: WITHINGS_CSV,
+    });
+
+    expect(result.format).toBe("withings");
+    expect(result.errors).toEqual([]);
+    expect(result.counts).toMatchObject({ weight: 2, bodyComposition: 2 });
+    expect(result.records.bodyComposition[0]).toMatchObject({
+      weight: 80,
+      bodyFat: 20,
+      muscleMass: 75,
+      water: 55,
+      boneMass: 3.2,
+      source: "Withings",
+    });
+  });
+
+  test("reads Renpho percentages and converts pounds", async () => {
+    const result = await processImport({
+      name: "Renpho-Ann.csv",
+      content: RENPHO_CSV,
+    });
+
+    expect(result.format).toBe("renpho");
+    expect(result.errors).toEqual([
+      expect.objectContaining({ reason: "Missing weight" }),
+    ]);
+    const [entry] = result.records.bodyComposition;
+    expect(entry.weight).toBeCloseTo(80.01, 2);
+    expect(entry.boneMass).toBeCloseTo(3.22, 2);
+    // Skeletal muscle % wins over the muscle mass in pounds
+    expect(entry).toMatchObject({
+      bodyFat: 19.8,
+      muscleMass: 48.1,
+      water: 55.2,
+      visceralFat: 9,
+    });
+    expect(result.records.weight[0].value).toBeCloseTo(80.01, 2);
+  });
+
+  test("joins the Eufy date and time columns", async () => {
+    const result = await processImport({
+      name: "eufylife.csv",
+      content: EUFY_CSV,
+    });
+
+    expect(result.format).toBe("eufy");
+    expect(new Date(result.records.bodyComposition[0].date)).toEqual(
+      new Date(2024, 2, 8, 7, 30)
+    );
+    expect(result.records.bodyComposition[0]).not.toHaveProperty("muscleMass");
+  });
+});
+
+describe("body composition history", () => {
+  test("imports into the timeline shared with manual entries", async () => {
+    addBodyMeasurement(
+      {
+        weight: 81,
+        bodyFat: 21,
+        muscleMass: 48,
+        height: 180,
+        shoulderWidth: 52,
+        waistSize: 33,
+      },
+      new Date("2024-03-01T08:00:00Z")
+    );
+    await importHealthData(EUFY_CSV, "csv", { fileName: "eufylife.csv" });
+
+    const history = getBodyCompositionHistory();
+    expect(history.map(({ source }) => source)).toEqual(["Manual", "Eufy"]);
+    expect(getFromStorage(STORAGE_KEYS.WEIGHT_DATA)).toHaveLength(1);
+
+    // The scale doesn't measure height or muscle, so those carry forward
+    expect(toModelMetrics(getBodyMetricsAt(history))).toEqual({
+      weight: 79.2,
+      bodyFat: 19.5,
+      muscleMass: 48,
+      height: 180,
+      shoulderWidth: 52,
+      waistSize: 33,
+    });
+    expect(getBodyMetricsAt(history, "2024-03-05").bodyFat).toBe(21);
+  });
+
+  test("falls back to defaults before anything was measured", () => {
+    expect(getBodyMetricsAt([])).toEqual({});
+    expect(toModelMetrics({})).toMatchObject({ bodyFat: 20, height: 175 });
+  });
+});
@@ -0,0 +1,157 @@
+import {
+  analyzeSleepPatterns,
+  validateSleepPatterns,
+} from "../services/sleepDataService";
+import {
+  buildSleepSessions,
+  setSleepSessionOptions,
+} from "../services/sleepSessionService";
+import { setSourcePriority } from "../services/sourcePriorityService";
+
+const WATCH = "Jo's Apple Watch";
+
+// A sample as stored from an Apple Health import, in local time (+01:00)
+function sample(stage, start, end, source = WATCH) {
+  return {
+    date: `${start}+01:00`,
+    endDate: `${end}+01:00`,
+    utcOffset: 60,
+    value: (new Date(end) - new Date(start)) / 3600000,
+    unit: "hours",
+    category: `HKCategoryValueSleepAnalysis${stage}`,
+    source,
+  };
+}
+
+// Watch stages from 23:00 to 07:00 with a ten minute hole at 02:10
+const WATCH_NIGHT = [
+  sample("Awake", "2024-03-04T23:00:00", "2024-03-04T23:10:00"),
+  sample("AsleepCore", "2024-03-04T23:10:00", "2024-03-05T00:40:00"),
+  sample("AsleepDeep", "2024-03-05T00:40:00", "2024-03-05T01:40:00"),
+  sample("AsleepREM", "2024-03-05T01:40:00", "2024-03-05T02:10:00"),
+  sample("AsleepCore", "2024-03-05T02:20:00", "2024-03-05T04:20:00"),
+  sample("AsleepREM", "2024-03-05T04:20:00", "2024-03-05T05:20:00"),
+  sample("AsleepDeep", "2024-03-05T05:20:00", "2024-03-05T05:50:00"),
+  sample("AsleepCore", "2024-03-05T05:50:00", "2024-03-05T06:50:00"),
+  sample("Awake", "2024-03-05T06:50:00", "2024-03-05T07:00:00"),
+];
+
+const THIRD_PARTY = [
+  sample("InBed", "2024-03-04T22:45:00", "2024-03-05T07:05:00", "Jo's iPhone"),
+  sample("Asleep", "2024-03-04T23:05:00", "2024-03-05T06:55:00", "AutoSleep"),
+];
+
+const OURA_NIGHT = {
+  date: "2024-03-04T23:10:00+01:00",
+  endDate: "2024-03-05T07:25:00+01:00",
+  value: 7.5,
+  unit: "hours",
+  category: "session",
+  timeInBed: 8.25,
+  sleepEfficiency: 91,
+  stages: { deep: 1.5, core: 4.25, rem: 1.75, awake: 0.75 },
+  source: "Oura",
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe("buildSleepSessions", () => {
+  test("turns a night of Watch stages into one session", () => {
+    const nights = buildSleepSessions(WATCH_NIGHT);
+
+    expect(nights).toHaveLength(1);
+    expect(nights[0]).toMatchObject({
+      date: "2024-03-04T22:00:00.000Z",
+      endDate: "2024-03-05T06:00:00.000Z",
+      utcOffset: 60,
+      category: "session",
+      value: 7.5,
+      timeInBed: 8,
+      sleepEfficiency: 94,
+      // The hole at 02:10 counts as awake
+      stages: { deep: 1.5, core: 4.5, rem: 1.5, awake: 0.5 },
+      source: WATCH,
+    });
+    expect(nights[0]).not.toHaveProperty("recordType");
+    expect(validateSleepPatterns(nights).errors).toEqual([]);
+    expect(analyzeSleepPatterns(nights)).toMatchObject({
+      averageSleepDuration: 7.5,
+      averageDeepSleep: 1.5,
+    });
+  });
+
+  test("keeps the Watch over third-party apps and the iPhone", () => {
+    const nights = buildSleepSessions([...THIRD_PARTY, ...WATCH_NIGHT]);
+
+    expect(nights).toHaveLength(1);
+    expect(nights[0].source).toBe(WATCH);
+    expect(nights[0].value).toBe(7.5);
+  });
+
+  test("follows the source priority", () => {
+    const nights = buildSleepSessions([...THIRD_PARTY, ...WATCH_NIGHT], {
+      priority: ["AutoSleep"],
+    });
+
+    // Unstaged, in bed from the first to the last AutoSleep sample
+    expect(nights).toEqual([
+      expect.objectContaining({
+        source: "AutoSleep",
+        value: expect.closeTo(7 + 50 / 60, 5),
+        timeInBed: expect.closeTo(7 + 50 / 60, 5),
+      }),
+    ]);
+    expect(nights[0]).not.toHaveProperty("stages");
+  });
+
+  test("drops nights imported whole that overlap a preferred source", () => {
+    expect(
+      buildSleepSessions([OURA_NIGHT, ...WATCH_NIGHT]).map(
+        ({ source }) => source
+      )
+    ).toEqual([WATCH]);
+
+    setSourcePriority(["Oura", "Watch"]);
+    expect(buildSleepSessions([OURA_NIGHT, ...WATCH_NIGHT])).toEqual([
+      OURA_NIGHT,
+    ]);
+  });
+
+  test("splits nights at long breaks", () => {
+    const nights = buildSleepSessions(WATCH_NIGHT, { maxGapMinutes: 5 });
+
+    expect(nights.map(({ endDate }) => endDate)).toEqual([
+      "2024-03-05T01:10:00.000Z",
+      "2024-03-05T06:00:00.000Z",
+    ]);
+  });
+
+  test("keeps evening naps apart at the day boundary", () => {
+    const nap = sample("Asleep", "2024-03-04T17:20:00", "2024-03-04T17:50:00");
+    setSleepSessionOptions({ maxGapMinutes: 600 });
+    const nights = buildSleepSessions([nap, ...WATCH_NIGHT]);
+
+    expect(nights.map(({ value }) => value)).toEqual([0.5, 7.5]);
+    expect(
+      buildSleepSessions([nap, ...WATCH_NIGHT], {
+        maxGapMinutes: 600,
+        dayBoundaryHour: 12,
+      })
+    ).toHaveLength(1);
+  });
+
+  test("passes plain sleep durations through", () => {
+    const logged = {
+      date: "2024-03-01T00:00:00.000Z",
+      value: 7,
+      unit: "hours",
+    };
+
+    expect(buildSleepSessions([logged, ...WATCH_NIGHT])).toEqual([
+      logged,
+      expect.objectContaining({ source: WATCH }),
+    ]);
+  });
+});
@@ -0,0 +1,172 @@
+import { processHealthData } from "../services/healthDataProcessor";
+import {
+  DEFAULT_SOURCE_PRIORITY,
+  getSourcePriority,
+  getSourceRank,
+  resolveSourceOverlaps,
+  setSourcePriority,
+  UNKNOWN_SOURCE,
+} from "../services/sourcePriorityService";
+
+// Local times so the per-day breakdown does not depend on the time zone
+const at = (day, hour, minute = 0) =>
+  new Date(2024, 2, day, hour, minute).toISOString();
+
+const STEPS = [
+  // 08:00 - both devices counted the same walk
+  { date: at(1, 8, 5), value: 1000, source: "Jo's Apple Watch" },
+  { date: at(1, 8, 40), value: 500, source: "Jo's Apple Watch" },
+  { date: at(1, 8, 10), value: 1600, source: "Jo's iPhone" },
+  // 12:00 - phone only, the watch was charging
+  { date: at(1, 12, 15), value: 700, source: "Jo's iPhone" },
+  // Next day, watch and a third-party app
+  { date: at(2, 9), value: 300, source: "StepApp" },
+  { date: at(2, 9, 30), value: 2000, source: "Jo's Apple Watch" },
+  { date: at(2, 18), value: 250 },
+];
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe("source priority", () => {
+  test("defaults to Watch over Phone and can be changed", () => {
+    expect(getSourcePriority()).toEqual(DEFAULT_SOURCE_PRIORITY);
+
+    setSourcePriority([" Phone ", "Watch", ""]);
+    expect(getSourcePriority()).toEqual(["Phone", "Watch"]);
+  });
+
+  test("ranks sources by the first entry their name contains", () => {
+    const priority = ["Watch", "Phone"];
+    expect(getSourceRank("Jo's Apple Watch", priority)).toBe(0);
+    expect(getSourceRank("Jo's iPhone", priority)).toBe(1);
+    expect(getSourceRank("StepApp", priority)).toBe(2);
+  });
+});
+
+describe("resolveSourceOverlaps", () => {
+  test("keeps the highest priority source in each hour", () => {
+    const { records, days } = resolveSourceOverlaps(STEPS, {
+      priority: ["Watch", "Phone"],
+    });
+
+    expect(records.reduce((sum, { value }) => sum + value, 0)).toBe(4450);
+    expect(days).toEqual([
+      {
+        date: "2024-03-02",
+        total: 2250,
+        sources: { "Jo's Apple Watch": 2000, [UNKNOWN_SOURCE]: 250 },
+        discarded: 300,
+        winner: "Jo's Apple Watch",
+      },
+      {
+        date: "2024-03-01",
+        total: 2200,
+        sources: { "Jo's Apple Watch": 1500, "Jo's iPhone": 700 },
+        discarded: 1600,
+        winner: "Jo's Apple Watch",
+      },
+    ]);
+  });
+
+  test("drops only the part of a sample another source covers", () => {
+    const steps = [
+      {
+        date: at(1, 8),
+        endDate: at(1, 8, 10),
+        value: 500,
+        source: "Jo's Apple Watch",
+      },
+      // A quarter of it is within the watch's sample
+      {
+        date: at(1, 8, 5),
+        endDate: at(1, 8, 25),
+        value: 1000,
+        source: "Jo's iPhone",
+      },
+      // Same hour, but the watch recorded nothing then
+      {
+        date: at(1, 8, 30),
+        endDate: at(1, 8, 40),
+        value: 400,
+        source: "Jo's iPhone",
+      },
+    ];
+
+    const { records, days } = resolveSourceOverlaps(steps, {
+      priority: ["Watch", "Phone"],
+    });
+
+    expect(records.map(({ value }) => value)).toEqual([500, 750, 400]);
+    expect(records[1]).toEqual({ ...steps[1], value: 750 });
+    expect(days).toEqual([
+      {
+        date: "2024-03-01",
+        total: 1650,
+        sources: { "Jo's Apple Watch": 500, "Jo's iPhone": 1150 },
+        discarded: 250,
+        winner: "Jo's iPhone",
+      },
+    ]);
+  });
+
+  test("follows a reordered priority", () => {
+    const { days } = resolveSourceOverlaps(STEPS, {
+      priority: ["Phone", "Watch"],
+    });
+
+    expect(days[1]).toMatchObject({
+      date: "2024-03-01",
+      total: 2300,
+      winner: "Jo's iPhone",
+      discarded: 1500,
+    });
+  });
+});
+
+describe("processHealthData", () => {
+  test("resolves overlaps for cumulative types using the saved priority", () => {
+    const { data, stats, sources } = processHealthData(STEPS, "steps");
+
+    expect(data).toHaveLength(5);
+    expect(stats.totalSteps).toBe(4450);
+    expect(sources.map(({ winner }) => winner)).toEqual([
+      "Jo's Apple Watch",
+      "Jo's Apple Watch",
+    ]);
+  });
+
+  test("uses the time span of each sample", () => {
+    const { stats } = processHealthData(
+      [
+        {
+          date: at(1, 8),
+          endDate: at(1, 8, 10),
+          value: 500,
+          source: "Jo's Apple Watch",
+        },
+        {
+          date: at(1, 8, 20),
+          endDate: at(1, 8, 30),
+          value: 300,
+          source: "Jo's iPhone",
+        },
+      ],
+      "steps"
+    );
+
+    expect(stats.totalSteps).toBe(800);
+  });
+
+  test("leaves non-cumulative types untouched", () => {
+    const heartRate = [
+      { date: at(1, 8), value: 60, source: "Watch" },
+      { date: at(1, 8), value: 62, source: "Phone" },
+    ];
+    const { data, sources } = processHealthData(heartRate, "heartRate");
+
+    expect(data).toHaveLength(2);
+    expect(sources).toEqual([]);
+  });
+});
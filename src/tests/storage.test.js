@@ -0,0 +1,91 @@
+import { STORAGE_KEYS } from "../services/dataImportService";
+import {
+  flushStorage,
+  getFromStorageAsync,
+  getStorageBackend,
+  initStorage,
+  queryTimeSeries,
+  saveToStorage,
+  saveToStorageAsync,
+} from "../utils/storageUtils";
+import { TIME_SERIES_KEYS } from "../utils/timeSeriesStore";
+
+const HEART_RATE = [
+  { date: "2024-03-05T08:00:00.000Z", value: 61 },
+  { date: "2024-03-04T08:00:00.000Z", value: 58 },
+  { date: "2024-03-06T08:00:00.000Z", value: 64 },
+];
+
+function fillStorage() {
+  return jest.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+    throw new DOMException(
+      "The quota has been exceeded.",
+      "QuotaExceededError"
+    );
+  });
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("storage", () => {
+  test("keeps every imported collection as a time series", () => {
+    const collections = Object.entries(STORAGE_KEYS)
+      .filter(
+        ([name]) => !["IMPORTED_HEALTH_DATA", "IMPORT_HISTORY"].includes(name)
+      )
+      .map(([, key]) => key);
+
+    expect([...TIME_SERIES_KEYS].sort()).toEqual(collections.sort());
+  });
+
+  test("stays on localStorage without IndexedDB", async () => {
+    expect(await initStorage()).toBe("localStorage");
+    expect(getStorageBackend()).toBe("localStorage");
+
+    await saveToStorageAsync(STORAGE_KEYS.HEART_RATE_DATA, HEART_RATE);
+    expect(localStorage.getItem("neo-vitru-heart-rate-data")).not.toBeNull();
+    expect(await getFromStorageAsync(STORAGE_KEYS.HEART_RATE_DATA)).toEqual(
+      HEART_RATE
+    );
+  });
+
+  test("queries a time series by date, oldest first", async () => {
+    saveToStorage(STORAGE_KEYS.HEART_RATE_DATA, HEART_RATE);
+
+    const records = await queryTimeSeries(STORAGE_KEYS.HEART_RATE_DATA, {
+      from: "2024-03-04T08:00:00.000Z",
+      to: new Date("2024-03-05T12:00:00.000Z"),
+    });
+    expect(records.map(({ value }) => value)).toEqual([58, 61]);
+    expect(
+      (await queryTimeSeries(STORAGE_KEYS.HEART_RATE_DATA)).map(
+        ({ value }) => value
+      )
+    ).toEqual([58, 61, 64]);
+  });
+
+  test("reports saves that did not fit", async () => {
+    const setItem = fillStorage();
+
+    await expect(
+      saveToStorageAsync(STORAGE_KEYS.HEART_RATE_DATA, HEART_RATE)
+    ).rejects.toThrow("quota");
+    expect(saveToStorage(STORAGE_KEYS.STEP_COUNT_DATA, [])).toBe(false);
+    await expect(flushStorage()).rejects.toThrow(
+      "Could not save heart-rate-data, step-count-data"
+    );
+
+    // A later save that succeeds clears the failure
+    setItem.mockRestore();
+    saveToStorage(STORAGE_KEYS.HEART_RATE_DATA, HEART_RATE);
+    saveToStorage(STORAGE_KEYS.STEP_COUNT_DATA, []);
+    await expect(flushStorage()).resolves.toBeUndefined();
+  });
+});
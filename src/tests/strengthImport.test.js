@@ -0,0 +1,183 @@
+import { processImport } from "../services/importEngine";
+import { EXERCISE_LIBRARY, matchExercise } from "../utils/exerciseUtils";
+import { getTargetedMuscles } from "../utils/modelUtils";
+
+const STRONG_CSV = `Date,Workout Name,Duration,Exercise Name,Set Order,Weight,Reps,Distance,Seconds,Notes,Workout Notes,RPE
+2024-03-04 18:02:11,Push Day,1h 5m,Bench Press (Barbell),W,40,10,,,,Felt strong,
+2024-03-04 18:02:11,Push Day,1h 5m,Bench Press (Barbell),1,80,5,,,Paused,Felt strong,8
+2024-03-04 18:02:11,Push Day,1h 5m,Bench Press (Barbell),2,82.5,4,,,,Felt strong,9.5
+2024-03-04 18:02:11,Push Day,1h 5m,Triceps Pushdown (Cable - Straight Bar),1,30,12,,,,Felt strong,
+2024-03-06 07:30:00,Legs,52m,Squat (Barbell),1,100,5,,,,,
+`;
+
+const HEVY_CSV = `"title","start_time","end_time","description","exercise_title","superset_id","exercise_notes","set_index","set_type","weight_lbs","reps","distance_miles","duration_seconds","rpe"
+"Pull","5 Mar 2024, 07:00","5 Mar 2024, 07:48","","Lat Pulldown (Cable)",,"Slow negatives",0,"warmup",50,12,,,
+"Pull","5 Mar 2024, 07:00","5 Mar 2024, 07:48","","Lat Pulldown (Cable)",,"Slow negatives",1,"normal",120,8,,,8
+"Pull","5 Mar 2024, 07:00","5 Mar 2024, 07:48","","Pull Up (Assisted)",,"",0,"normal",,10,,,
+`;
+
+const FITNOTES_CSV = `Date,Exercise,Category,Weight (lbs),Reps,Distance,Distance Unit,Time,Comment
+2024-03-07,Flat Barbell Bench Press,Chest,185,5,,,,
+2024-03-07,Flat Barbell Bench Press,Chest,185,5,,,,Last rep slow
+2024-03-07,Treadmill,Cardio,,,1.5,mi,0:12:30,
+`;
+
+describe("exercise library matching", () => {
+  test.each([
+    ["Bench Press (Barbell)", "EXL-02-BB-BENCH"],
+    ["Flat Barbell Bench Press", "EXL-02-BB-BENCH"],
+    ["Incline Bench Press (Dumbbell)", "EXL-22-DB-INCLINEBENCH"],
+    ["Squat (Barbell)", "EXL-01-BB-SQUAT"],
+    ["Bulgarian Split Squat", "EXL-38-DB-SPLITSQUAT"],
+    ["Romanian Deadlift (Barbell)", "EXL-09-BB-RDL"],
+    ["DB RDL", "EXL-37-DB-RDL"],
+    ["Seated Leg Curl (Machine)", "EXL-48-MEX-LEGCURL-SEATED"],
+    ["Lat Pulldown (Cable)", "EXL-75-CEX-LATPD-VARIOUS"],
+    ["Triceps Pushdown (Cable - Straight Bar)", "EXL-67-CEX-TRIPUSHDOWN"],
+    ["Hammer Curls", "EXL-31-DB-HAMMERCURL"],
+    ["Pull Up", "EXL-81-BW-PULLUP"],
+    ["Pull Up (Assisted)", "EXL-65-MEX-ASSISTPULLDIP"],
+    ["Crunches", "EXL-89-BW-CRUNCH"],
+    ["Side Plank", "EXL-85-BW-SIDEPLANK"],
+  ])("%s", (name, id) => {
+    expect(matchExercise(name).id).toBe(id);
+  });
+
+  test("leaves unknown exercises and mismatched equipment unmatched", () => {
+    expect(matchExercise("Turkish Get Up")).toBeNull();
+    expect(matchExercise("Chest Fly (Dumbbell)")).toBeNull();
+    expect(new Set(EXERCISE_LIBRARY.map(({ id }) => id)).size).toBe(100);
+  });
+
+  test("feeds getTargetedMuscles from names and library ids", () => {
+    expect(getTargetedMuscles("squat")).toEqual([
+      "quads",
+      "glutes",
+      "hamstrings",
+    ]);
+    expect(getTargetedMuscles("Bench Press (Barbell)")).toEqual([
+      "chest",
+      "triceps",
+      "shoulders",
+    ]);
+    expect(getTargetedMuscles("EXL-07-BB-HIPTHRUST")).toEqual([
+      "glutes",
+      "hamstrings",
+    ]);
+    expect(getTargetedMuscles("Turkish Get Up")).toEqual([]);
+  });
+});
+
+describe("strength log import", () => {
+  test("groups Strong sets into one workout per session", async () => {
+    const result = await processImport({
+      name: "strong.csv",
+      content: STRONG_CSV,
+    });
+
+    expect(result.format).toBe("strong");
+    expect(result.errors).toEqual([]);
+    expect(result.counts.workouts).toBe(2);
+    expect(result.counts.weight).toBe(0);
+
+    const [push, legs] = result.records.workouts;
+    expect(push).toMatchObject({
+      type: "Strength Training",
+      name: "Push Day",
+      notes: "Felt strong",
+      duration: 65,
+      source: "Strong",
+    });
+    expect(legs.duration).toBe(52);
+
+    const [bench, pushdown] = push.exercises;
+    expect(bench).toMatchObject({
+      name: "Bench Press (Barbell)",
+      exerciseId: "EXL-02-BB-BENCH",
+    });
+    expect(bench.sets).toEqual([
+      {
+        order: 1,
+        type: "warmup",
+        weight: 40,
+        reps: 10,
+        rpe: null,
+        distance: null,
+        seconds: null,
+        notes: null,
+      },
+      expect.objectContaining({
+        order: 1,
+        weight: 80,
+        rpe: 8,
+        notes: "Paused",
+      }),
+      expect.objectContaining({ order: 2, weight: 82.5, reps: 4, rpe: 9.5 }),
+    ]);
+    expect(pushdown.exerciseId).toBe("EXL-67-CEX-TRIPUSHDOWN");
+  });
+
+  test("reads Hevy set types, pound weights and session length", async () => {
+    const result = await processImport({ name: "hevy.csv", content: HEVY_CSV });
+
+    expect(result.format).toBe("hevy");
+    const [workout] = result.records.workouts;
+    expect(workout).toMatchObject({
+      name: "Pull",
+      duration: 48,
+      source: "Hevy",
+    });
+    expect(new Date(workout.endDate) - new Date(workout.date)).toBe(48 * 60000);
+
+    const [pulldown, pullUp] = workout.exercises;
+    expect(pulldown.notes).toBe("Slow negatives");
+    expect(pulldown.sets.map(({ order, type }) => [order, type])).toEqual([
+      [1, "warmup"],
+      [2, "normal"],
+    ]);
+    expect(pulldown.sets[1].weight).toBeCloseTo(54.431, 3);
+    expect(pullUp).toMatchObject({
+      exerciseId: "EXL-65-MEX-ASSISTPULLDIP",
+      sets: [expect.objectContaining({ weight: null, reps: 10 })],
+    });
+  });
+
+  test("keeps untimed FitNotes days with their cardio sets", async () => {
+    const result = await processImport({
+      name: "FitNotes_Export.csv",
+      content: FITNOTES_CSV,
+    });
+
+    expect(result.format).toBe("fitnotes");
+    const [day] = result.records.workouts;
+    expect(day.duration).toBeNull();
+
+    const [bench, treadmill] = day.exercises;
+    expect(bench.sets.map(({ order }) => order)).toEqual([1, 2]);
+    expect(bench.sets[0].weight).toBeCloseTo(83.915, 3);
+    expect(bench.sets[1].notes).toBe("Last rep slow");
+    expect(treadmill).toMatchObject({
+      exerciseId: "EXL-91-CARDIO-TREADMILL",
+      sets: [
+        expect.objectContaining({
+          distance: expect.closeTo(2414.016, 3),
+          seconds: 750,
+        }),
+      ],
+    });
+  });
+
+  test("reports sessions logged in units it cannot convert", async () => {
+    const csv = STRONG_CSV.replace("Date,", "Weight Unit,Date,").replace(
+      /\n(?=.)/g,
+      "\nplates,"
+    );
+    const result = await processImport({ name: "strong.csv", content: csv });
+
+    expect(result.counts.workouts).toBe(0);
+    expect(result.errors[0]).toMatchObject({
+      recordType: "workouts",
+      reason: "Unknown unit: plates",
+    });
+  });
+});
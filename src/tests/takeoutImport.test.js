@@ -0,0 +1,262 @@
+import { processImport } from "../services/importEngine";
+import { validateSleepPatterns } from "../services/sleepDataService";
+
+const DAILY_CSV = `Date,Move Minutes count,Calories (kcal),Distance (m),Heart Points,Heart Minutes,Average heart rate (bpm),Max heart rate (bpm),Min heart rate (bpm),Average weight (kg),Step count
+2024-03-04,45,2210.5,6012.3,30,25,71.2,152,48,81.3,8512
+2024-03-05,12,1980.1,1502.7,4,4,,,,,2203
+`;
+
+const INTERVAL_CSV = `Start time,End time,Move Minutes count,Calories (kcal),Distance (m),Average heart rate (bpm),Step count
+00:00:00.000+01:00,00:15:00.000+01:00,,1.2,,,
+07:15:00.000+01:00,07:30:00.000+01:00,10,60.5,1200.4,98.5,1450
+`;
+
+const RUN_SESSION = {
+  fitnessActivity: "running",
+  startTime: "2024-03-04T06:00:00.000Z",
+  endTime: "2024-03-04T06:31:00.000Z",
+  duration: "1800.000s",
+  segment: [
+    {
+      fitnessActivity: "running",
+      startTime: "2024-03-04T06:00:00.000Z",
+      endTime: "2024-03-04T06:31:00.000Z",
+    },
+  ],
+  aggregate: [
+    { metricName: "com.google.calories.expended", floatValue: 310.5 },
+    { metricName: "com.google.step_count.delta", intValue: 4000 },
+    { metricName: "com.google.distance.delta", floatValue: 5012.3 },
+  ],
+};
+
+function segment(activity, start, end) {
+  return { fitnessActivity: activity, startTime: start, endTime: end };
+}
+
+const SLEEP_SESSION = {
+  fitnessActivity: "sleep",
+  startTime: "2024-03-04T23:00:00.000Z",
+  endTime: "2024-03-05T07:00:00.000Z",
+  segment: [
+    segment("sleep.light", "2024-03-04T23:00:00Z", "2024-03-05T01:00:00Z"),
+    segment("sleep.deep", "2024-03-05T01:00:00Z", "2024-03-05T02:30:00Z"),
+    segment("sleep.light", "2024-03-05T02:30:00Z", "2024-03-05T04:00:00Z"),
+    segment("sleep.awake", "2024-03-05T04:00:00Z", "2024-03-05T04:30:00Z"),
+    segment("sleep.rem", "2024-03-05T04:30:00Z", "2024-03-05T06:00:00Z"),
+    segment("sleep.light", "2024-03-05T06:00:00Z", "2024-03-05T07:00:00Z"),
+  ],
+};
+
+const FITBIT_HEART_RATE = [
+  { dateTime: "03/04/24 07:00:05", value: { bpm: 62, confidence: 2 } },
+  { dateTime: "03/04/24 07:00:10", value: { bpm: 64, confidence: 3 } },
+];
+
+const FITBIT_STEPS = [
+  { dateTime: "03/04/24 07:00:00", value: "0" },
+  { dateTime: "03/04/24 07:01:00", value: "112" },
+];
+
+const FITBIT_WEIGHT = [
+  {
+    logId: 1709536353000,
+    weight: 180.2,
+    bmi: 24.4,
+    fat: 18.5,
+    date: "03/04/24",
+    time: "07:12:33",
+    source: "Aria",
+  },
+];
+
+const FITBIT_SLEEP = [
+  {
+    logId: 43214321,
+    dateOfSleep: "2024-03-04",
+    startTime: "2024-03-03T23:10:30.000",
+    endTime: "2024-03-04T07:01:30.000",
+    duration: 28260000,
+    minutesAsleep: 420,
+    minutesAwake: 51,
+    timeInBed: 471,
+    efficiency: 93,
+    type: "stages",
+    levels: {
+      summary: {
+        deep: { count: 4, minutes: 80 },
+        wake: { count: 30, minutes: 51 },
+        light: { count: 28, minutes: 250 },
+        rem: { count: 8, minutes: 90 },
+      },
+    },
+    mainSleep: true,
+  },
+  {
+    logId: 43214322,
+    dateOfSleep: "2024-03-05",
+    startTime: "2024-03-04T14:00:00.000",
+    endTime: "2024-03-04T14:45:00.000",
+    minutesAsleep: 38,
+    minutesAwake: 7,
+    timeInBed: 45,
+    efficiency: 84,
+    type: "classic",
+    levels: {
+      summary: {
+        asleep: { count: 0, minutes: 38 },
+        restless: { count: 2, minutes: 7 },
+        awake: { count: 0, minutes: 0 },
+      },
+    },
+    mainSleep: false,
+  },
+];
+
+function json(value) {
+  return JSON.stringify(value);
+}
+
+describe("Google Fit Takeout import", () => {
+  test("reads the daily activity metrics", async () => {
+    const result = await processImport({
+      name: "Daily activity metrics.csv",
+      content: DAILY_CSV,
+    });
+
+    expect(result.format).toBe("google-fit-daily");
+    expect(result.errors).toEqual([]);
+    expect(result.counts).toMatchObject({ steps: 2, heartRate: 1, weight: 1 });
+    expect(result.records.steps[0]).toMatchObject({
+      value: 8512,
+      source: "Google Fit",
+    });
+    expect(result.records.weight[0].value).toBe(81.3);
+  });
+
+  test("dates interval files from their name", async () => {
+    const result = await processImport({
+      name: "2024-03-04.csv",
+      content: INTERVAL_CSV,
+    });
+
+    expect(result.counts).toMatchObject({ steps: 1, heartRate: 1 });
+    expect(result.records.steps[0]).toMatchObject({
+      date: "2024-03-04T06:15:00.000Z",
+      utcOffset: 60,
+      value: 1450,
+    });
+
+    const undated = await processImport({
+      name: "intervals.csv",
+      content: INTERVAL_CSV,
+    });
+    expect(undated.counts.steps).toBe(0);
+    expect(undated.errors[0].reason).toMatch(/date in the file name/);
+  });
+
+  test("turns sessions into workouts", async () => {
+    const result = await processImport({
+      name: "2024-03-04T07_00_00+01_00_RUNNING.json",
+      content: json(RUN_SESSION),
+    });
+
+    expect(result.format).toBe("google-fit-session");
+    expect(result.records.workouts[0]).toMatchObject({
+      type: "Running",
+      duration: 30,
+      calories: 310.5,
+      distance: 5012.3,
+      source: "Google Fit",
+    });
+  });
+
+  test("maps sleep segments onto stages", async () => {
+    const result = await processImport({
+      name: "sleep.json",
+      content: json(SLEEP_SESSION),
+    });
+
+    const [night] = result.records.sleep;
+    expect(night).toMatchObject({
+      category: "session",
+      value: 7.5,
+      timeInBed: 8,
+      sleepEfficiency: 94,
+      stages: { deep: 1.5, core: 4.5, rem: 1.5, awake: 0.5 },
+    });
+    expect(validateSleepPatterns([night]).errors).toEqual([]);
+  });
+});
+
+describe("Fitbit Takeout import", () => {
+  test("reads heart rate samples as UTC", async () => {
+    const result = await processImport({
+      name: "heart_rate-2024-03-04.json",
+      content: json(FITBIT_HEART_RATE),
+    });
+
+    expect(result.format).toBe("fitbit-heart-rate");
+    expect(
+      result.records.heartRate.map(({ date, value }) => [date, value])
+    ).toEqual([
+      ["2024-03-04T07:00:05.000Z", 62],
+      ["2024-03-04T07:00:10.000Z", 64],
+    ]);
+  });
+
+  test("recognises step files by name and skips idle minutes", async () => {
+    const result = await processImport({
+      name: "steps-2024-03-01.json",
+      content: json(FITBIT_STEPS),
+    });
+
+    expect(result.format).toBe("fitbit-steps");
+    expect(result.records.steps).toEqual([
+      expect.objectContaining({ value: 112, source: "Fitbit" }),
+    ]);
+  });
+
+  test("converts logged weights from pounds", async () => {
+    const result = await processImport({
+      name: "export.json",
+      content: json(FITBIT_WEIGHT),
+    });
+
+    expect(result.format).toBe("fitbit-weight");
+    const [weight] = result.records.weight;
+    expect(weight.value).toBeCloseTo(81.737, 3);
+    expect(new Date(weight.date)).toEqual(new Date(2024, 2, 4, 7, 12, 33));
+    expect(weight.source).toBe("Fitbit Aria");
+  });
+
+  test("keeps sleep stages and classic nights", async () => {
+    const result = await processImport({
+      name: "sleep-2024-03-01.json",
+      content: json(FITBIT_SLEEP),
+    });
+
+    const [night, nap] = result.records.sleep;
+    expect(night).toMatchObject({
+      value: 7,
+      timeInBed: 7.85,
+      sleepEfficiency: 93,
+      stages: {
+        deep: expect.closeTo(80 / 60, 5),
+        core: expect.closeTo(250 / 60, 5),
+        rem: 1.5,
+        awake: 0.85,
+      },
+    });
+    expect(
+      night.stages.deep + night.stages.core + night.stages.rem
+    ).toBeCloseTo(7);
+    expect(validateSleepPatterns([night]).errors).toEqual([]);
+
+    expect(nap).toMatchObject({
+      value: expect.closeTo(38 / 60, 5),
+      timeInBed: 0.75,
+    });
+    expect(nap.stages).toBeUndefined();
+  });
+});
@@ -0,0 +1,81 @@
+import {
+  convertUnit,
+  formatMeasurement,
+  getUnitSystem,
+  normalizeUnit,
+  setUnitSystem,
+  toCanonical,
+  toDisplay,
+} from "../services/unitService";
+import { processHealthData } from "../services/healthDataProcessor";
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe("unit registry", () => {
+  test("understands the spellings used by exports", () => {
+    expect(normalizeUnit("lbs")).toBe("lb");
+    expect(normalizeUnit(" Kilograms ")).toBe("kg");
+    expect(normalizeUnit("degF")).toBe("°F");
+    expect(normalizeUnit("fl_oz_us")).toBe("fl oz");
+    expect(normalizeUnit("count/min")).toBe("bpm");
+    expect(normalizeUnit("furlongs")).toBeNull();
+  });
+
+  test("converts within a quantity and refuses across quantities", () => {
+    expect(convertUnit(1, "mi", "m")).toBeCloseTo(1609.344);
+    expect(convertUnit(98.6, "°F", "°C")).toBeCloseTo(37);
+    expect(convertUnit(500, "mL", "L")).toBe(0.5);
+    expect(convertUnit(1000, "kJ", "kcal")).toBeCloseTo(239.01, 2);
+    expect(() => convertUnit(1, "kg", "m")).toThrow("Cannot convert kg to m");
+    expect(() => convertUnit(1, "furlongs", "m")).toThrow("Unknown unit");
+  });
+
+  test("stores each metric in its canonical unit", () => {
+    expect(toCanonical("weight", 154.32, "lb").value).toBeCloseTo(70, 2);
+    expect(toCanonical("weight", 70)).toEqual({ value: 70, unit: "kg" });
+    expect(toCanonical("distance", 5, "km")).toEqual({
+      value: 5000,
+      unit: "m",
+    });
+    expect(toCanonical("steps", 1200, "count")).toEqual({
+      value: 1200,
+      unit: "count",
+    });
+  });
+});
+
+describe("display preference", () => {
+  test("renders canonical values in the chosen system", () => {
+    expect(getUnitSystem()).toBe("metric");
+    expect(formatMeasurement("weight", 80)).toBe("80.0 kg");
+    expect(formatMeasurement("distance", 5000)).toBe("5.0 km");
+
+    const listener = jest.fn();
+    window.addEventListener("neo-vitru-unit-preference", listener);
+    setUnitSystem("imperial");
+    window.removeEventListener("neo-vitru-unit-preference", listener);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(formatMeasurement("weight", 80)).toBe("176.4 lb");
+    expect(toDisplay("bodyTemperature", 37).value).toBeCloseTo(98.6);
+    expect(formatMeasurement("weight", undefined)).toBe("--");
+    expect(() => setUnitSystem("nautical")).toThrow("Unknown unit system");
+  });
+});
+
+describe("processHealthData", () => {
+  test("converts mixed units before computing stats", () => {
+    const { data, stats } = processHealthData(
+      [
+        { date: "2024-03-02T08:00:00Z", value: 176.37, unit: "lb" },
+        { date: "2024-03-01T08:00:00Z", value: 80, unit: "kg" },
+      ],
+      "weight"
+    );
+
+    expect(data.map(({ unit }) => unit)).toEqual(["kg", "kg"]);
+    expect(stats.avg).toBeCloseTo(80, 1);
+  });
+});
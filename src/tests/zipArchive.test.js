@@ -0,0 +1,357 @@
+import { Blob } from "buffer";
+import { DecompressionStream, TransformStream } from "stream/web";
+import { TextDecoder } from "util";
+import { crc32, deflateRawSync } from "zlib";
+import { importAppleHealthArchive } from "../services/appleHealthArchive";
+import {
+  isZipFile,
+  openZipEntryStream,
+  readZipEntries,
+  ZIP_METHOD_DEFLATE,
+  ZIP_METHOD_STORED,
+} from "../utils/zipUtils";
+
+// jsdom lacks the streams and decoders the ZIP reader uses
+global.DecompressionStream = DecompressionStream;
+global.TransformStream = TransformStream;
+global.TextDecoder = TextDecoder;
+
+const ZIP64_MARKER = 0xffffffff;
+
+const EXPORT_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<HealthData locale="en_US">
+ <Record type="HKQuantityTypeIdentifierHeartRate" unit="count/min" startDate="2024-03-04 08:00:00 +0000" endDate="2024-03-04 08:00:00 +0000" value="58"/>
+</HealthData>
+`;
+
+const ROUTE_GPX = `<gpx><trk><trkseg><trkpt lat="51.5" lon="-0.1"/></trkseg></trk></gpx>`;
+
+const ECG_CSV = "Name,Jo Bloggs\n";
+
+function header(fields) {
+  const buffer = Buffer.alloc(fields.reduce((sum, [size]) => sum + size, 0));
+  let offset = 0;
+  fields.forEach(([size, value]) => {
+    if (size === 2) buffer.writeUInt16LE(value, offset);
+    else if (size === 4) buffer.writeUInt32LE(value, offset);
+    else {
+      buffer.writeUInt32LE(value % 2 ** 32, offset);
+      buffer.writeUInt32LE(Math.floor(value / 2 ** 32), offset + 4);
+    }
+    offset += size;
+  });
+  return buffer;
+}
+
+/**
+ * Build a ZIP archive
+ *
+ * Files are { name, text, method } with method "stored" or "deflate", or
+ * { name, data, method } to store raw (possibly broken) entry data. With
+ * zip64 every size and offset is written to the ZIP64 records instead.
+ */
+function buildZip(files, { zip64 = false } = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, text, data, method = "deflate" }) => {
+    const content = Buffer.from(text ?? "");
+    const compressed =
+      data ?? (method === "deflate" ? deflateRawSync(content) : content);
+    const methodId =
+      method === "deflate" ? ZIP_METHOD_DEFLATE : ZIP_METHOD_STORED;
+    const nameBytes = Buffer.from(name);
+    const sizes = zip64
+      ? [ZIP64_MARKER, ZIP64_MARKER]
+      : [compressed.length, content.length];
+    const extra = zip64
+      ? header([
+          [2, 0x0001],
+          [2, 24],
+          [8, content.length],
+          [8, compressed.length],
+          [8, offset],
+        ])
+      : Buffer.alloc(0);
+
+    const local = Buffer.concat([
+      header([
+        [4, 0x04034b50],
+        [2, zip64 ? 45 : 20],
+        [2, 0],
+        [2, methodId],
+        [4, 0],
+        [4, crc32(content)],
+        [4, sizes[0]],
+        [4, sizes[1]],
+        [2, nameBytes.length],
+        [2, 0],
+      ]),
+      nameBytes,
+      compressed,
+    ]);
+    centrals.push(
+      Buffer.concat([
+        header([
+          [4, 0x02014b50],
+          [2, zip64 ? 45 : 20],
+          [2, zip64 ? 45 : 20],
+          [2, 0],
+          [2, methodId],
+          [4, 0],
+          [4, crc32(content)],
+          [4, sizes[0]],
+          [4, sizes[1]],
+          [2, nameBytes.length],
+          [2, extra.length],
+          [2, 0],
+          [2, 0],
+          [2, 0],
+          [4, 0],
+          [4, zip64 ? ZIP64_MARKER : offset],
+        ]),
+        nameBytes,
+        extra,
+      ])
+    );
+    locals.push(local);
+    offset += local.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const records = [];
+  if (zip64) {
+    const zip64Offset = offset + directory.length;
+    records.push(
+      header([
+        [4, 0x06064b50],
+        [8, 44],
+        [2, 45],
+        [2, 45],
+        [4, 0],
+        [4, 0],
+        [8, files.length],
+        [8, files.length],
+        [8, directory.length],
+        [8, offset],
+      ]),
+      header([
+        [4, 0x07064b50],
+        [4, 0],
+        [8, zip64Offset],
+        [4, 1],
+      ])
+    );
+  }
+  records.push(
+    header([
+      [4, 0x06054b50],
+      [2, 0],
+      [2, 0],
+      [2, zip64 ? 0xffff : files.length],
+      [2, zip64 ? 0xffff : files.length],
+      [4, zip64 ? ZIP64_MARKER : directory.length],
+      [4, zip64 ? ZIP64_MARKER : offset],
+      [2, 0],
+    ])
+  );
+
+  return Buffer.concat([...locals, directory, ...records]);
+}
+
+const zipBlob = (files, options) => new Blob([buildZip(files, options)]);
+
+async function readText(stream) {
+  const chunks = [];
+  const reader = stream.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return Buffer.concat(chunks).toString("utf-8");
+    chunks.push(Buffer.from(value));
+  }
+}
+
+const ARCHIVE_FILES = [
+  { name: "apple_health_export/", method: "stored" },
+  { name: "apple_health_export/export.xml", text: EXPORT_XML },
+  { name: "apple_health_export/export_cda.xml", text: "<ClinicalDocument/>" },
+  {
+    name: "apple_health_export/workout-routes/route_2024-03-04.gpx",
+    text: ROUTE_GPX,
+    method: "stored",
+  },
+  {
+    name: "apple_health_export/electrocardiograms/ecg_2024-03-04.csv",
+    text: ECG_CSV,
+  },
+];
+
+describe("ZIP reader", () => {
+  test("reads stored and deflated entries", async () => {
+    const blob = zipBlob([
+      { name: "stored.txt", text: "kept as is", method: "stored" },
+      { name: "deflated.xml", text: EXPORT_XML.repeat(20) },
+    ]);
+    expect(await isZipFile(blob)).toBe(true);
+
+    const entries = await readZipEntries(blob);
+    expect(entries).toEqual([
+      expect.objectContaining({
+        name: "stored.txt",
+        method: ZIP_METHOD_STORED,
+        compressedSize: 10,
+        uncompressedSize: 10,
+        localHeaderOffset: 0,
+        isDirectory: false,
+      }),
+      expect.objectContaining({
+        name: "deflated.xml",
+        method: ZIP_METHOD_DEFLATE,
+        uncompressedSize: EXPORT_XML.length * 20,
+        isDirectory: false,
+      }),
+    ]);
+    expect(entries[1].compressedSize).toBeLessThan(EXPORT_XML.length);
+
+    const texts = await Promise.all(
+      entries.map(async (entry) =>
+        readText(await openZipEntryStream(blob, entry))
+      )
+    );
+    expect(texts).toEqual(["kept as is", EXPORT_XML.repeat(20)]);
+  });
+
+  test("reads sizes and offsets from ZIP64 records", async () => {
+    const blob = zipBlob(
+      [
+        { name: "first.txt", text: "one", method: "stored" },
+        { name: "second.xml", text: EXPORT_XML },
+      ],
+      { zip64: true }
+    );
+
+    const entries = await readZipEntries(blob);
+    expect(entries.map(({ name }) => name)).toEqual([
+      "first.txt",
+      "second.xml",
+    ]);
+    expect(entries[0]).toMatchObject({
+      compressedSize: 3,
+      uncompressedSize: 3,
+      localHeaderOffset: 0,
+    });
+    expect(entries[1]).toMatchObject({
+      uncompressedSize: EXPORT_XML.length,
+      localHeaderOffset: 30 + "first.txt".length + 3,
+    });
+    expect(await readText(await openZipEntryStream(blob, entries[1]))).toBe(
+      EXPORT_XML
+    );
+  });
+
+  test("refuses truncated and corrupt archives", async () => {
+    const archive = buildZip([{ name: "export.xml", text: EXPORT_XML }]);
+
+    const truncated = new Blob([archive.subarray(0, archive.length / 2)]);
+    await expect(readZipEntries(truncated)).rejects.toThrow(
+      "Not a valid ZIP archive: end of central directory not found"
+    );
+    expect(await isZipFile(new Blob(["<HealthData/>"]))).toBe(false);
+
+    const directoryOffset = archive.readUInt32LE(archive.length - 6);
+    const badDirectory = Buffer.from(archive);
+    badDirectory.writeUInt32LE(0, directoryOffset);
+    await expect(readZipEntries(new Blob([badDirectory]))).rejects.toThrow(
+      "Not a valid ZIP archive: corrupt central directory"
+    );
+
+    const badHeader = Buffer.from(archive);
+    badHeader.writeUInt32LE(0, 0);
+    const blob = new Blob([badHeader]);
+    const [entry] = await readZipEntries(blob);
+    await expect(openZipEntryStream(blob, entry)).rejects.toThrow(
+      "Corrupt ZIP entry: export.xml"
+    );
+  });
+});
+
+describe("Apple Health archive import", () => {
+  test("streams each file to the handler for its kind", async () => {
+    const blob = zipBlob(ARCHIVE_FILES);
+    const read = {};
+    const handler = async (stream, entry) => {
+      read[entry.name] = await readText(stream);
+      return { records: 1 };
+    };
+    const progress = [];
+
+    const { files } = await importAppleHealthArchive(blob, {
+      handlers: { export: handler, workoutRoute: handler },
+      onProgress: ({ percent }) => progress.push(percent),
+    });
+
+    expect(files).toEqual([
+      expect.objectContaining({
+        name: "apple_health_export/export.xml",
+        kind: "export",
+        size: EXPORT_XML.length,
+        status: "imported",
+        records: 1,
+      }),
+      expect.objectContaining({
+        kind: "workoutRoute",
+        size: ROUTE_GPX.length,
+        status: "imported",
+      }),
+      expect.objectContaining({
+        kind: "electrocardiogram",
+        status: "skipped",
+        message: "Electrocardiogram files are not imported yet",
+      }),
+    ]);
+    expect(Object.values(read)).toEqual([EXPORT_XML, ROUTE_GPX]);
+    expect(progress[progress.length - 1]).toBe(100);
+  });
+
+  test("refuses an archive without export.xml", async () => {
+    const blob = zipBlob(
+      ARCHIVE_FILES.filter(({ name }) => !name.endsWith("export.xml"))
+    );
+
+    await expect(
+      importAppleHealthArchive(blob, { handlers: {} })
+    ).rejects.toThrow("No apple_health_export/export.xml found in the archive");
+  });
+
+  test("reports a file whose data is corrupt and carries on", async () => {
+    const blob = zipBlob([
+      {
+        name: "apple_health_export/export.xml",
+        data: Buffer.from("not deflate data at all"),
+      },
+      {
+        name: "apple_health_export/workout-routes/route.gpx",
+        text: ROUTE_GPX,
+      },
+    ]);
+    const progress = [];
+
+    const { files } = await importAppleHealthArchive(blob, {
+      handlers: {
+        export: async (stream) => ({
+          records: (await readText(stream)).length,
+        }),
+        workoutRoute: async (stream) => ({
+          records: (await readText(stream)) === ROUTE_GPX ? 1 : 0,
+        }),
+      },
+      onProgress: ({ percent }) => progress.push(percent),
+    });
+
+    expect(files.map(({ status }) => status)).toEqual(["error", "imported"]);
+    expect(files[0].message).toEqual(expect.any(String));
+    expect(files[1].records).toBe(1);
+    expect(progress[progress.length - 1]).toBe(100);
+  });
+});
@@ -7,7 +7,8 @@ import {
   subDays, 
   subMonths,
   addDays,
-  isSameDay
+  isSameDay,
+  startOfWeek
 } from 'date-fns';
 
 /**
@@ -81,12 +82,77 @@ export function getDateRangeForPeriod(range) {
   };
 }
 
+/**
+ * Get the calendar day a record happened on
+ * 
+ * Imported records keep the UTC offset they were recorded at (`utcOffset`,
+ * minutes east of UTC), so an evening workout stays on its own day even
+ * when the app is opened in another time zone. Without an offset the
+ * browser's time zone is used.
+ * 
+ * @param {string} dateString - ISO date string
+ * @param {number|null} utcOffset - Offset the record was written in
+ * @returns {string} Day in 'yyyy-MM-dd' format, or '' for invalid dates
+ */
+export function getLocalDay(dateString, utcOffset = null) {
+  const date = typeof dateString === 'string' ? parseISO(dateString) : dateString;
+  if (!isValid(date)) return '';
+  
+  if (typeof utcOffset !== 'number') return format(date, 'yyyy-MM-dd');
+  
+  // Shift the instant so its UTC fields read as the original wall clock
+  return new Date(date.getTime() + utcOffset * 60000).toISOString().split('T')[0];
+}
+
+/**
+ * Get the time bucket a record falls in
+ * 
+ * Like getLocalDay, buckets follow the wall clock the record was written
+ * at when it has a `utcOffset`, and the browser's time zone otherwise.
+ * Weeks start on Monday.
+ * 
+ * @param {string|Date} dateString - ISO date string or Date
+ * @param {string} bucket - 'hour', 'day', 'week' or 'month'
+ * @param {number|null} utcOffset - Offset the record was written in
+ * @returns {string} Local start of the bucket: 'yyyy-MM-ddTHH:00' for
+ *   hours, 'yyyy-MM-dd' for days and weeks, 'yyyy-MM' for months, or ''
+ *   for invalid dates
+ */
+export function getBucketKey(dateString, bucket = 'day', utcOffset = null) {
+  const date = typeof dateString === 'string' ? parseISO(dateString) : dateString;
+  if (!isValid(date)) return '';
+  
+  // A local Date showing the original wall clock, for date-fns to format
+  let wallClock = date;
+  if (typeof utcOffset === 'number') {
+    const shifted = new Date(date.getTime() + utcOffset * 60000);
+    wallClock = new Date(
+      shifted.getUTCFullYear(),
+      shifted.getUTCMonth(),
+      shifted.getUTCDate(),
+      shifted.getUTCHours()
+    );
+  }
+  
+  switch (bucket) {
+    case 'hour':
+      return format(wallClock, "yyyy-MM-dd'T'HH:00");
+    case 'week':
+      return format(startOfWeek(wallClock, { weekStartsOn: 1 }), 'yyyy-MM-dd');
+    case 'month':
+      return format(wallClock, 'yyyy-MM');
+    default:
+      return format(wallClock, 'yyyy-MM-dd');
+  }
+}
+
 /**
  * Group health data by date
  * 
  * @param {Array} data - Array of data objects with date property
- * @param {string} period - Group by period ('day', 'week', 'month')
- * @returns {Object} Object with dates as keys and arrays of data as values
+ * @param {string} period - Group by period ('hour', 'day', 'week', 'month')
+ * @returns {Object} Object with bucket keys (see getBucketKey) as keys and
+ *   arrays of data as values
  */
 export function groupDataByDate(data, period = 'day') {
   if (!data || !Array.isArray(data) || data.length === 0) return {};
@@ -96,25 +162,8 @@ export function groupDataByDate(data, period = 'day') {
   data.forEach(item => {
     if (!item.date) return;
     
-    const date = parseISO(item.date);
-    if (!isValid(date)) return;
-    
-    let groupKey;
-    
-    switch (period) {
-      case 'day':
-        groupKey = format(date, 'yyyy-MM-dd');
-        break;
-      case 'week':
-        // Use the start of the week as the key
-        groupKey = format(date, 'yyyy-w');
-        break;
-      case 'month':
-        groupKey = format(date, 'yyyy-MM');
-        break;
-      default:
-        groupKey = format(date, 'yyyy-MM-dd');
-    }
+    const groupKey = getBucketKey(item.date, period, item.utcOffset);
+    if (!groupKey) return;
     
     if (!grouped[groupKey]) {
       grouped[groupKey] = [];
@@ -0,0 +1,252 @@
+// src/utils/exerciseUtils.js
+
+/**
+ * Exercise library lookup
+ *
+ * EXERCISE_LIBRARY mirrors the EXL-* entries of the fitlib knowledge base
+ * (ids are the entries' **ID:** field, which the knowledge base is keyed
+ * by). matchExercise maps the names lifting apps use - "Bench Press
+ * (Barbell)", "Flat Barbell Bench Press", "DB Incline Press" - onto it, so
+ * imported sets can be linked to a knowledge base entry and to the muscle
+ * groups in modelUtils.getTargetedMuscles.
+ *
+ * An entry matches when every word of one of its `match` phrases appears
+ * in the name, none of its `excludes` do, and the equipment named (if
+ * any) is the entry's own. The longest matching phrase wins; ties go to
+ * the first entry, so "Squat" means the barbell back squat.
+ */
+
+// Equipment named in exercise titles; cardio machines have none
+const EQUIPMENT_WORDS = {
+  barbell: "barbell",
+  smith: "barbell",
+  dumbbell: "dumbbell",
+  kettlebell: "kettlebell",
+  machine: "machine",
+  lever: "machine",
+  assisted: "machine",
+  cable: "cable",
+  band: "band",
+  bodyweight: "bodyweight",
+};
+
+// Spelling variants rewritten before a name is split into words
+const NAME_REWRITES = [
+  [/\bpull[\s-]?ups?\b/g, "pullup"],
+  [/\bchin[\s-]?ups?\b/g, "chinup"],
+  [/\bpush[\s-]?ups?\b/g, "pushup"],
+  [/\bsit[\s-]?ups?\b/g, "situp"],
+  [/\bpull[\s-]?downs?\b/g, "pulldown"],
+  [/\bpush[\s-]?downs?\b/g, "pushdown"],
+  [/\bskull[\s-]?crushers?\b/g, "skullcrusher"],
+  [/\bhyper[\s-]?extensions?\b/g, "hyperextension"],
+  [/\bstiff[\s-]?leg(?:ged)?\b/g, "romanian"],
+  [/\brdl\b/g, "romanian deadlift"],
+  [/\bohp\b/g, "overhead press"],
+  [/\bmilitary\b/g, "overhead"],
+  [/\bdb\b/g, "dumbbell"],
+  [/\bbb\b/g, "barbell"],
+  [/\bkb\b/g, "kettlebell"],
+  [/\bez[\s-]?bar\b/g, "barbell"],
+  [/\bfl(?:y|ie|ye)s\b/g, "fly"],
+  [/\bstairmaster\b/g, "stair climber"],
+];
+
+// Words whose trailing "s" is not a plural
+const KEEP_PLURAL = ["press", "triceps", "abs"];
+
+function exercise(id, name, equipment, match, movement, excludes = []) {
+  return { id, name, equipment, match, movement, excludes };
+}
+
+/**
+ * The fitlib exercise library: { id, name, equipment, match, movement,
+ * excludes } where movement is the getTargetedMuscles key, if any
+ */
+// prettier-ignore
+export const EXERCISE_LIBRARY = [
+  exercise("EXL-01-BB-SQUAT", "Barbell Back Squat", "barbell", ["squat"], "squat", ["front", "zercher", "split", "goblet", "hack"]),
+  exercise("EXL-02-BB-BENCH", "Barbell Bench Press (Flat)", "barbell", ["bench press"], "bench_press", ["incline", "floor"]),
+  exercise("EXL-03-BB-DEADLIFT", "Barbell Conventional Deadlift", "barbell", ["deadlift"], "deadlift", ["sumo", "romanian"]),
+  exercise("EXL-04-BB-DEADLIFT-SUMO", "Barbell Sumo Deadlift", "barbell", ["sumo deadlift"], "deadlift"),
+  exercise("EXL-05-BB-OHP", "Barbell Overhead Press (Standing)", "barbell", ["overhead press"], "overhead_press"),
+  exercise("EXL-06-BB-ROW-PRONATED", "Barbell Bent-Over Row", "barbell", ["row"], "row", ["upright", "pendlay", "yates", "underhand"]),
+  exercise("EXL-07-BB-HIPTHRUST", "Barbell Hip Thrust", "barbell", ["hip thrust"], "hip_thrust"),
+  exercise("EXL-08-BB-FRONTSQUAT", "Barbell Front Squat", "barbell", ["front squat"], "squat"),
+  exercise("EXL-09-BB-RDL", "Barbell Romanian Deadlift (RDL)", "barbell", ["romanian deadlift"], "deadlift"),
+  exercise("EXL-10-BB-GOODMORNING", "Barbell Good Morning", "barbell", ["good morning"], "back_extension"),
+  exercise("EXL-11-BB-INCLINEBENCH", "Barbell Incline Bench Press", "barbell", ["incline bench press", "incline press"], "bench_press"),
+  exercise("EXL-12-BB-FLOORPRESS", "Barbell Floor Press", "barbell", ["floor press"], "bench_press"),
+  exercise("EXL-13-BB-SKULLCRUSHER", "Barbell Skullcrusher", "barbell", ["skullcrusher", "lying triceps extension"], "tricep_extension"),
+  exercise("EXL-14-BB-BICEPCURL", "Barbell Bicep Curl", "barbell", ["curl"], "bicep_curl", ["leg", "wrist"]),
+  exercise("EXL-15-BB-LUNGE", "Barbell Lunge", "barbell", ["lunge"], "lunge"),
+  exercise("EXL-16-BB-SHRUG", "Barbell Shrug", "barbell", ["shrug"], "shrug"),
+  exercise("EXL-17-BB-PENDLAYROW", "Pendlay Row", "barbell", ["pendlay row"], "row"),
+  exercise("EXL-18-BB-YATESROW", "Yates Row (Underhand Barbell Row)", "barbell", ["yates row", "underhand row"], "row"),
+  exercise("EXL-19-BB-ZERCHERSQUAT", "Zercher Squat", "barbell", ["zercher squat"], "squat"),
+  exercise("EXL-20-BB-CALFRAISE", "Barbell Calf Raise", "barbell", ["calf raise"], "calf_raise"),
+  exercise("EXL-21-DB-BENCH", "Dumbbell Bench Press (Flat)", "dumbbell", ["bench press", "chest press"], "bench_press", ["incline", "floor"]),
+  exercise("EXL-22-DB-INCLINEBENCH", "Dumbbell Incline Bench Press", "dumbbell", ["incline bench press", "incline press"], "bench_press"),
+  exercise("EXL-23-DB-SHOULDERPRESS", "Dumbbell Shoulder Press (Seated)", "dumbbell", ["shoulder press", "overhead press"], "overhead_press"),
+  exercise("EXL-24-DB-LATRAISE", "Dumbbell Lateral Raise", "dumbbell", ["lateral raise"], "lateral_raise"),
+  exercise("EXL-25-DB-FRONTRAISE", "Dumbbell Front Raise", "dumbbell", ["front raise"], "lateral_raise"),
+  exercise("EXL-26-DB-REARDELTRAISE", "Dumbbell Bent-Over Rear Delt Raise", "dumbbell", ["rear delt raise", "rear delt fly", "reverse fly"], "rear_delt_fly"),
+  exercise("EXL-27-DB-ROW-SA", "Dumbbell Row (Single Arm)", "dumbbell", ["row"], "row", ["upright", "renegade", "supported"]),
+  exercise("EXL-28-DB-ROW-CHESTSUP", "Dumbbell Chest Supported Row", "dumbbell", ["supported row", "incline row"], "row"),
+  exercise("EXL-29-DB-PULLOVER", "Dumbbell Pullover", "dumbbell", ["pullover"], "lat_pulldown"),
+  exercise("EXL-30-DB-BICEPCURL-ALT", "Dumbbell Bicep Curl", "dumbbell", ["curl"], "bicep_curl", ["hammer", "concentration", "incline", "leg", "wrist"]),
+  exercise("EXL-31-DB-HAMMERCURL", "Dumbbell Hammer Curl", "dumbbell", ["hammer curl"], "bicep_curl"),
+  exercise("EXL-32-DB-CONCENTRATIONCURL", "Dumbbell Concentration Curl", "dumbbell", ["concentration curl"], "bicep_curl"),
+  exercise("EXL-33-DB-INCLINECURL", "Dumbbell Incline Curl", "dumbbell", ["incline curl"], "bicep_curl"),
+  exercise("EXL-34-DB-TRICKICKBACK", "Dumbbell Triceps Kickback", "dumbbell", ["triceps kickback", "kickback"], "tricep_extension", ["glute"]),
+  exercise("EXL-35-DB-OHTRIEXT", "Dumbbell Overhead Triceps Extension", "dumbbell", ["triceps extension"], "tricep_extension"),
+  exercise("EXL-36-DB-LUNGE", "Dumbbell Lunge", "dumbbell", ["lunge"], "lunge"),
+  exercise("EXL-37-DB-RDL", "Dumbbell Romanian Deadlift (RDL)", "dumbbell", ["romanian deadlift"], "deadlift"),
+  exercise("EXL-38-DB-SPLITSQUAT", "Dumbbell Split Squat", "dumbbell", ["split squat"], "lunge"),
+  exercise("EXL-39-DB-GOBLETSQUAT", "Dumbbell Goblet Squat", "dumbbell", ["goblet squat"], "squat"),
+  exercise("EXL-40-DB-STEPUP", "Dumbbell Step-Up", "dumbbell", ["step up"], "lunge"),
+  exercise("EXL-41-DB-SHRUG", "Dumbbell Shrug", "dumbbell", ["shrug"], "shrug"),
+  exercise("EXL-42-DB-CALFRAISE-STAND", "Dumbbell Calf Raise (Standing)", "dumbbell", ["calf raise"], "calf_raise", ["seated"]),
+  exercise("EXL-43-DB-RENEGADEROW", "Renegade Row", "dumbbell", ["renegade row"], "row"),
+  exercise("EXL-44-DB-FLOORPRESS", "Dumbbell Floor Press", "dumbbell", ["floor press"], "bench_press"),
+  exercise("EXL-45-DB-ARNOLDPRESS", "Arnold Press", "dumbbell", ["arnold press"], "overhead_press"),
+  exercise("EXL-46-MEX-LEGPRESS", "Leg Press (Machine)", "machine", ["leg press"], "leg_press"),
+  exercise("EXL-47-MEX-LEGEXT", "Leg Extension (Machine)", "machine", ["leg extension"], "leg_extension"),
+  exercise("EXL-48-MEX-LEGCURL-SEATED", "Seated Leg Curl (Machine)", "machine", ["seated leg curl"], "leg_curl"),
+  exercise("EXL-49-MEX-LEGCURL-LYING", "Lying Leg Curl (Machine)", "machine", ["leg curl"], "leg_curl"),
+  exercise("EXL-50-MEX-HACKSQUAT", "Hack Squat (Machine)", "machine", ["hack squat"], "squat"),
+  exercise("EXL-51-MEX-CHESTPRESS", "Chest Press (Machine - Seated)", "machine", ["chest press", "bench press"], "bench_press"),
+  exercise("EXL-52-MEX-SHOULDERPRESS", "Shoulder Press (Machine - Seated)", "machine", ["shoulder press", "overhead press"], "overhead_press"),
+  exercise("EXL-53-MEX-LATRAISE", "Lateral Raise (Machine)", "machine", ["lateral raise"], "lateral_raise"),
+  exercise("EXL-54-MEX-PECDECK", "Pec Deck Fly (Machine)", "machine", ["pec deck", "fly"], "chest_fly", ["rear", "reverse"]),
+  exercise("EXL-55-MEX-REARDELTFLY", "Rear Delt Fly / Reverse Pec Deck (Machine)", "machine", ["rear delt fly", "reverse fly", "reverse pec deck"], "rear_delt_fly"),
+  exercise("EXL-56-MEX-LATPD-WIDE", "Lat Pulldown (Machine - Wide Grip)", "machine", ["pulldown"], "lat_pulldown"),
+  exercise("EXL-57-MEX-ROW-SEATEDCLOSE", "Seated Row (Machine)", "machine", ["row"], "row", ["supported", "upright"]),
+  exercise("EXL-58-MEX-ROW-CHESTSUP", "Chest Supported Row (Machine)", "machine", ["supported row"], "row"),
+  exercise("EXL-59-MEX-TRIEXT", "Triceps Extension (Machine)", "machine", ["triceps extension", "pushdown"], "tricep_extension"),
+  exercise("EXL-60-MEX-BICEPCURL", "Bicep Curl (Machine)", "machine", ["curl"], "bicep_curl", ["leg"]),
+  exercise("EXL-61-MEX-CALFRAISE-STAND", "Calf Raise (Machine - Standing)", "machine", ["calf raise"], "calf_raise", ["seated"]),
+  exercise("EXL-62-MEX-CALFRAISE-SEATED", "Calf Raise (Machine - Seated)", "machine", ["seated calf raise"], "calf_raise"),
+  exercise("EXL-63-MEX-HIPABD", "Hip Abduction (Machine)", "machine", ["abduction", "abductor"], null),
+  exercise("EXL-64-MEX-HIPADD", "Hip Adduction (Machine)", "machine", ["adduction", "adductor"], null),
+  exercise("EXL-65-MEX-ASSISTPULLDIP", "Assisted Pull-up/Dip Machine", "machine", ["assisted pullup", "assisted chinup", "assisted dip"], null),
+  exercise("EXL-66-CEX-CROSSOVER", "Cable Crossover / Fly", "cable", ["crossover", "fly"], "chest_fly", ["rear", "reverse"]),
+  exercise("EXL-67-CEX-TRIPUSHDOWN", "Cable Triceps Pushdown", "cable", ["pushdown"], "tricep_extension"),
+  exercise("EXL-68-CEX-OHTRIEXT", "Cable Overhead Triceps Extension", "cable", ["triceps extension"], "tricep_extension"),
+  exercise("EXL-69-CEX-BICEPCURL", "Cable Bicep Curl", "cable", ["curl"], "bicep_curl", ["hammer", "leg"]),
+  exercise("EXL-70-CEX-HAMMERCURL", "Cable Hammer Curl (Rope)", "cable", ["hammer curl", "rope curl"], "bicep_curl"),
+  exercise("EXL-71-CEX-LATRAISE", "Cable Lateral Raise", "cable", ["lateral raise"], "lateral_raise"),
+  exercise("EXL-72-CEX-FRONTRAISE", "Cable Front Raise", "cable", ["front raise"], "lateral_raise"),
+  exercise("EXL-73-CEX-FACEPULL", "Cable Face Pull", "cable", ["face pull"], "rear_delt_fly"),
+  exercise("EXL-74-CEX-ROW-SEATEDVARIOUS", "Cable Seated Row", "cable", ["row"], "row", ["upright"]),
+  exercise("EXL-75-CEX-LATPD-VARIOUS", "Cable Lat Pulldown", "cable", ["pulldown"], "lat_pulldown"),
+  exercise("EXL-76-CEX-WOODCHOP", "Cable Woodchop", "cable", ["woodchop", "wood chop"], "russian_twist"),
+  exercise("EXL-77-CEX-PALLOFPRESS", "Cable Pallof Press", "cable", ["pallof press"], "plank"),
+  exercise("EXL-78-CEX-GLUTEKICKBACK", "Cable Glute Kickback", "cable", ["glute kickback"], "hip_thrust"),
+  exercise("EXL-79-CEX-PULLTHROUGH", "Cable Pull-Through", "cable", ["pull through"], "hip_thrust"),
+  exercise("EXL-80-CEX-UPRIGHTROW", "Cable Upright Row", "cable", ["upright row"], "shrug"),
+  exercise("EXL-81-BW-PULLUP", "Pull-up / Chin-up (Bodyweight)", "bodyweight", ["pullup", "chinup"], "pull_up"),
+  exercise("EXL-82-BW-DIP", "Dip (Parallel Bar)", "bodyweight", ["dip"], "dip"),
+  exercise("EXL-83-BW-PUSHUP", "Push-up", "bodyweight", ["pushup"], "push_up", ["handstand"]),
+  exercise("EXL-84-BW-PLANK", "Plank", "bodyweight", ["plank"], "plank", ["side"]),
+  exercise("EXL-85-BW-SIDEPLANK", "Side Plank", "bodyweight", ["side plank"], "plank"),
+  exercise("EXL-86-BW-BACKEXT", "Back Extension / Hyperextension", "bodyweight", ["back extension", "hyperextension"], "back_extension"),
+  exercise("EXL-87-BW-GHR", "Glute-Ham Raise (GHR)", "bodyweight", ["glute ham raise", "ghr"], "leg_curl"),
+  exercise("EXL-88-BW-LEGRAISE-HANGING", "Hanging Leg Raise / Knee Raise", "bodyweight", ["leg raise", "knee raise"], "leg_raise"),
+  exercise("EXL-89-BW-CRUNCH", "Abdominal Crunch / Sit-up", "bodyweight", ["crunch", "situp"], "crunch"),
+  exercise("EXL-90-BW-RUSSITWIST", "Russian Twist", "bodyweight", ["russian twist"], "russian_twist"),
+  exercise("EXL-91-CARDIO-TREADMILL", "Treadmill (Walking/Running)", null, ["treadmill", "running", "walking"], "run"),
+  exercise("EXL-92-CARDIO-ELLIPTICAL", "Elliptical Trainer", null, ["elliptical"], "run"),
+  exercise("EXL-93-CARDIO-BIKEUPRIGHT", "Stationary Bike (Upright)", null, ["bike", "cycling"], null, ["recumbent", "spin", "air", "assault"]),
+  exercise("EXL-94-CARDIO-BIKERECUMBENT", "Stationary Bike (Recumbent)", null, ["recumbent"], null),
+  exercise("EXL-95-CARDIO-SPINBIKE", "Spin Bike", null, ["spin", "spinning"], null),
+  exercise("EXL-96-CARDIO-ROWER", "Rowing Ergometer (Rower)", null, ["rower", "rowing"], null),
+  exercise("EXL-97-CARDIO-STAIRCLIMBER", "Stair Climber / Stepmill", null, ["stair climber", "stepmill"], null),
+  exercise("EXL-98-CARDIO-ARCTRAINER", "Arc Trainer", null, ["arc trainer"], null),
+  exercise("EXL-99-CARDIO-SKIERG", "Ski Ergometer", null, ["ski erg", "skierg"], null),
+  exercise("EXL-100-CARDIO-AIRBIKE", "Assault Bike / Air Bike", null, ["air bike", "assault bike", "airdyne"], null),
+];
+
+/**
+ * Split an exercise name into normalised words
+ *
+ * @param {string} name - Exercise name as written by an app or the user
+ * @returns {string[]} Lowercase singular words, spelling variants unified
+ */
+export function exerciseNameWords(name) {
+  let text = String(name).toLowerCase();
+  NAME_REWRITES.forEach(([pattern, replacement]) => {
+    text = text.replace(pattern, replacement);
+  });
+
+  return text
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => {
+      if (word === "tricep") return "triceps";
+      if (word === "biceps") return "bicep";
+      if (KEEP_PLURAL.includes(word) || word.length <= 3) return word;
+      if (/(?:ch|sh|ss|x)es$/.test(word)) return word.slice(0, -2);
+      return word.endsWith("s") && !word.endsWith("ss")
+        ? word.slice(0, -1)
+        : word;
+    });
+}
+
+// Library phrases split the same way names are, once
+const LIBRARY_WORDS = new Map(
+  EXERCISE_LIBRARY.map((entry) => [
+    entry.id,
+    {
+      phrases: entry.match.map(exerciseNameWords),
+      excludes: entry.excludes.flatMap(exerciseNameWords),
+    },
+  ])
+);
+
+/**
+ * Find the library entry for an exercise name
+ *
+ * @param {string} name - e.g. "Bench Press (Barbell)" or "Lat Pulldown"
+ * @returns {Object|null} Entry of EXERCISE_LIBRARY, or null if none fits
+ */
+export function matchExercise(name) {
+  if (!name) return null;
+
+  const words = exerciseNameWords(name);
+  const equipment =
+    words.map((word) => EQUIPMENT_WORDS[word]).find(Boolean) || null;
+
+  let best = null;
+  let bestLength = 0;
+  EXERCISE_LIBRARY.forEach((entry) => {
+    if (equipment && entry.equipment && entry.equipment !== equipment) return;
+
+    const { phrases, excludes } = LIBRARY_WORDS.get(entry.id);
+    if (excludes.some((word) => words.includes(word))) return;
+
+    phrases.forEach((phrase) => {
+      if (phrase.length <= bestLength) return;
+      if (phrase.every((word) => words.includes(word))) {
+        best = entry;
+        bestLength = phrase.length;
+      }
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Look up an exercise by library id or by name
+ *
+ * @param {string} idOrName - "EXL-02-BB-BENCH" or any exercise name
+ * @returns {Object|null} Entry of EXERCISE_LIBRARY
+ */
+export function getExercise(idOrName) {
+  if (!idOrName) return null;
+  return (
+    EXERCISE_LIBRARY.find(({ id }) => id === idOrName) ||
+    matchExercise(idOrName)
+  );
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getExercise } from './exerciseUtils';
 
 /**
  * Maps muscle names to their standard anatomical groups
@@ -131,7 +132,8 @@ export function applyBodyComposition(scene, bodyComposition) {
 
 /**
  * Get the muscles targeted by a specific exercise
- * @param {string} exerciseName - The name of the exercise
+ * @param {string} exerciseName - The name of the exercise, an imported
+ *   name such as 'Bench Press (Barbell)' or a fitlib id ('EXL-02-BB-BENCH')
  * @returns {Array} Array of targeted muscle groups
  */
 export function getTargetedMuscles(exerciseName) {
@@ -149,6 +151,10 @@ export function getTargetedMuscles(exerciseName) {
     'pull_up': ['lats', 'biceps', 'forearms'],
     'lat_pulldown': ['lats', 'biceps'],
     'row': ['lats', 'biceps', 'traps'],
+    'chest_fly': ['chest', 'shoulders'],
+    'rear_delt_fly': ['shoulders', 'traps'],
+    'shrug': ['traps'],
+    'dip': ['triceps', 'chest', 'shoulders'],
     
     // Lower body exercises
     'squat': ['quads', 'glutes', 'hamstrings'],
@@ -158,6 +164,8 @@ export function getTargetedMuscles(exerciseName) {
     'leg_extension': ['quads'],
     'leg_curl': ['hamstrings'],
     'calf_raise': ['calves'],
+    'hip_thrust': ['glutes', 'hamstrings'],
+    'back_extension': ['lowerBack', 'glutes', 'hamstrings'],
     
     // Core exercises
     'crunch': ['abs'],
@@ -178,8 +186,11 @@ export function getTargetedMuscles(exerciseName) {
   // Convert exercise name to snake_case for lookup
   const normalizedName = exerciseName.toLowerCase().replace(/\s+/g, '_');
   
-  // Return targeted muscles or empty array if not found
-  return exerciseTargets[normalizedName] || [];
+  if (exerciseTargets[normalizedName]) return exerciseTargets[normalizedName];
+
+  // Otherwise go through the exercise library the importers match against
+  const libraryExercise = getExercise(exerciseName);
+  return (libraryExercise && exerciseTargets[libraryExercise.movement]) || [];
 }
 
 /**
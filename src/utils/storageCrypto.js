@@ -0,0 +1,169 @@
+// src/utils/storageCrypto.js
+
+/**
+ * Web Crypto helpers for encrypting stored data
+ *
+ * Values are JSON encoded and encrypted with AES-GCM under a 256-bit key
+ * derived from the user's passphrase with PBKDF2 (SHA-256). Each value
+ * gets a fresh 96-bit IV and is kept as an envelope, { v, iv, data } with
+ * base64 fields, that JSON encodes like any other stored value.
+ *
+ * storageUtils decides what is encrypted; this module only does the
+ * cryptography. It also hashes backups (see backupService).
+ */
+
+const ENVELOPE_VERSION = 1;
+
+// OWASP's recommendation for PBKDF2-HMAC-SHA256
+export const DEFAULT_PBKDF2_ITERATIONS = 600000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+function getCrypto() {
+  const webCrypto = typeof crypto !== "undefined" ? crypto : null;
+  if (!webCrypto || !webCrypto.subtle) {
+    throw new Error("Encryption needs Web Crypto, which this browser lacks");
+  }
+  return webCrypto;
+}
+
+// Bytes per String.fromCharCode call, well under engines' argument limits
+const BASE64_CHUNK_BYTES = 0x8000;
+
+function toBase64(bytes) {
+  const array = new Uint8Array(bytes);
+  const chunks = [];
+  for (let start = 0; start < array.length; start += BASE64_CHUNK_BYTES) {
+    chunks.push(
+      String.fromCharCode.apply(
+        null,
+        array.subarray(start, start + BASE64_CHUNK_BYTES)
+      )
+    );
+  }
+  return btoa(chunks.join(""));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Check whether Web Crypto is available
+ *
+ * @returns {boolean}
+ */
+export function isEncryptionSupported() {
+  return typeof crypto !== "undefined" && Boolean(crypto && crypto.subtle);
+}
+
+/**
+ * Make a random salt for deriveKey
+ *
+ * @returns {string} Base64 salt
+ */
+export function createSalt() {
+  return toBase64(getCrypto().getRandomValues(new Uint8Array(SALT_BYTES)));
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase
+ *
+ * @param {string} passphrase
+ * @param {string} salt - Base64 salt from createSalt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} A key that cannot be exported
+ */
+export async function deriveKey(
+  passphrase,
+  salt,
+  iterations = DEFAULT_PBKDF2_ITERATIONS
+) {
+  const { subtle } = getCrypto();
+  const material = await subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt: fromBase64(salt), iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Check whether a stored value is an encrypted envelope
+ *
+ * @param {any} value - Parsed stored value
+ * @returns {boolean}
+ */
+export function isEncryptedValue(value) {
+  return (
+    Boolean(value) &&
+    value.v === ENVELOPE_VERSION &&
+    typeof value.iv === "string" &&
+    typeof value.data === "string"
+  );
+}
+
+/**
+ * Encrypt a value
+ *
+ * @param {CryptoKey} key
+ * @param {any} value - Anything JSON can encode
+ * @returns {Promise<Object>} The envelope
+ */
+export async function encryptValue(key, value) {
+  const webCrypto = getCrypto();
+  const iv = webCrypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await webCrypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { v: ENVELOPE_VERSION, iv: toBase64(iv), data: toBase64(data) };
+}
+
+/**
+ * Decrypt an envelope
+ *
+ * @param {CryptoKey} key
+ * @param {Object} envelope - From encryptValue
+ * @returns {Promise<any>} The value
+ * @throws {Error} When the key is wrong or the envelope was tampered with
+ */
+export async function decryptValue(key, envelope) {
+  let plaintext;
+  try {
+    plaintext = await getCrypto().subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(envelope.iv) },
+      key,
+      fromBase64(envelope.data)
+    );
+  } catch (error) {
+    throw new Error("Could not decrypt stored data");
+  }
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Hash text with SHA-256
+ *
+ * @param {string} text
+ * @returns {Promise<string>} The hash in hex
+ */
+export async function hashText(text) {
+  const hash = await getCrypto().subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text)
+  );
+  return Array.from(new Uint8Array(hash), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
@@ -1,5 +1,23 @@
 // src/utils/storageUtils.js
 
+import {
+  TIME_SERIES_KEYS,
+  isIndexedDbAvailable,
+  openTimeSeriesDb,
+  querySeries,
+  readSeries,
+  writeSeries
+} from './timeSeriesStore';
+import { getLocalDay } from './dateUtils';
+import {
+  DEFAULT_PBKDF2_ITERATIONS,
+  createSalt,
+  decryptValue,
+  deriveKey,
+  encryptValue,
+  isEncryptedValue
+} from './storageCrypto';
+
 /**
  * Storage utility functions for NEO•VITRU habit-forming features
  * 
@@ -8,11 +26,236 @@
  * - Automatic prefixing of keys to avoid collisions
  * - Type safety and validation
  * - Default values for missing data
+ *
+ * Time series (TIME_SERIES_KEYS) outgrow localStorage's ~5 MB, so once
+ * initStorage has opened IndexedDB they live there instead, one object
+ * store per key (see timeSeriesStore). They are loaded into memory at
+ * startup so the synchronous functions below keep working, and every save
+ * is written through to IndexedDB in the background; the async functions
+ * wait for those writes and report their failures. Without IndexedDB
+ * everything stays in localStorage.
+ *
+ * Stored data can be encrypted with a passphrase (see storageCrypto).
+ * Encrypted storage starts locked: nothing can be read or saved until
+ * unlockStorage has decrypted every value into memory, and lockStorage
+ * forgets them again. While unlocked, saves are encrypted and written in
+ * the background like time series. Each record of a time series is its own
+ * encrypted entry, so saves only encrypt the records that changed; its
+ * date is left readable so range queries can still use the timestamp
+ * index.
  */
 
 // App-specific prefix to avoid collisions with other apps
 const STORAGE_PREFIX = 'neo-vitru-';
 
+// IndexedDB once initStorage has opened it, with the time series it holds
+let database = null;
+let initialization = null;
+const seriesCache = new Map();
+// What each object store holds, so saves only write the changes; dropped
+// when a write fails, so the next one rewrites the store
+const storedSeries = new Map();
+
+// Latest background write per key, and keys whose last save failed
+const pendingWrites = new Map();
+const queuedWrites = new Set();
+const failedWrites = new Map();
+
+// Bumped by every save and removal so results derived from stored data
+// (see healthQueryService) can tell when they are stale
+let revision = 0;
+
+// Encryption settings { salt, iterations, check, autoLockMinutes }, the
+// one value never encrypted; check is a known value encrypted with the
+// key, to tell a wrong passphrase
+const ENCRYPTION_SETTINGS_KEY = `${STORAGE_PREFIX}encryption`;
+const CHECK_VALUE = 'neo-vitru';
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+export const DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+// While unlocked: the key, and the JSON of every value outside IndexedDB
+let encryptionKey = null;
+const valueCache = new Map();
+const lockListeners = new Set();
+// The entry each time series record was last stored as under the key, so
+// unchanged records are neither encrypted nor written again
+let sealedRecords = new WeakMap();
+
+function isTimeSeries(key) {
+  return database !== null && TIME_SERIES_KEYS.includes(key);
+}
+
+function getEncryptionSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(ENCRYPTION_SETTINGS_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+function notifyLockListeners() {
+  lockListeners.forEach(listener => listener());
+}
+
+/**
+ * Open IndexedDB, move time series still in localStorage into it and
+ * load them
+ *
+ * Safe to call more than once; later calls return the first result.
+ * Encrypted time series are only loaded by unlockStorage.
+ *
+ * @returns {Promise<string>} The backend in use: 'indexedDB' or
+ *   'localStorage' when IndexedDB is unavailable
+ */
+export function initStorage() {
+  if (!initialization) {
+    initialization = openStorage();
+  }
+  return initialization;
+}
+
+async function openStorage() {
+  if (!isIndexedDbAvailable()) return 'localStorage';
+
+  try {
+    const storeNames = TIME_SERIES_KEYS.map(key => `${STORAGE_PREFIX}${key}`);
+    const db = await openTimeSeriesDb(storeNames);
+
+    for (const key of TIME_SERIES_KEYS) {
+      const prefixedKey = `${STORAGE_PREFIX}${key}`;
+
+      // Migrate data saved before IndexedDB was used; the localStorage copy
+      // is only removed once IndexedDB has committed it
+      const legacy = localStorage.getItem(prefixedKey);
+      const records = legacy ? JSON.parse(legacy) : null;
+      if (Array.isArray(records)) {
+        await writeSeries(db, prefixedKey, records);
+        localStorage.removeItem(prefixedKey);
+      }
+
+      const stored = await readSeries(db, prefixedKey);
+      storedSeries.set(key, stored);
+      if (!isEncryptionEnabled() && stored.records.length > 0) {
+        seriesCache.set(key, stored.records);
+      }
+    }
+
+    database = db;
+    return 'indexedDB';
+  } catch (error) {
+    console.error('Error opening IndexedDB, using localStorage instead:', error);
+    seriesCache.clear();
+    storedSeries.clear();
+    return 'localStorage';
+  }
+}
+
+/**
+ * Get the backend time series are stored in
+ *
+ * @returns {string} 'indexedDB' or 'localStorage'
+ */
+export function getStorageBackend() {
+  return database ? 'indexedDB' : 'localStorage';
+}
+
+/**
+ * Get a number that changes whenever stored data changes
+ *
+ * @returns {number} The storage revision
+ */
+export function getStorageRevision() {
+  return revision;
+}
+
+/**
+ * Encrypt a time series record as an object store entry, keeping its date
+ * readable for the timestamp index
+ */
+async function sealRecord(record) {
+  if (!sealedRecords.has(record)) {
+    const envelope = await encryptValue(encryptionKey, record);
+    sealedRecords.set(record, { ...envelope, date: record.date });
+  }
+  return sealedRecords.get(record);
+}
+
+/**
+ * Write the in-memory copy of a key where it is kept: IndexedDB for time
+ * series, localStorage for encrypted values
+ */
+async function writeStored(key) {
+  if (isStorageLocked()) throw new Error('Storage is locked');
+  const prefixedKey = `${STORAGE_PREFIX}${key}`;
+
+  if (isTimeSeries(key)) {
+    const records = seriesCache.get(key) || [];
+    const entries = encryptionKey
+      ? await Promise.all(records.map(sealRecord))
+      : records;
+    const stored = storedSeries.get(key);
+    storedSeries.delete(key);
+    const written = await writeSeries(database, prefixedKey, entries, stored);
+    storedSeries.set(key, written);
+    return;
+  }
+
+  if (!valueCache.has(key)) {
+    localStorage.removeItem(prefixedKey);
+    return;
+  }
+  const envelope = await encryptValue(encryptionKey, JSON.parse(valueCache.get(key)));
+  localStorage.setItem(prefixedKey, JSON.stringify(envelope));
+}
+
+/**
+ * Write the in-memory copy of a key in the background
+ *
+ * Saves made while a write is waiting to start share that write, so a
+ * burst of saves costs one transaction.
+ */
+function persistInBackground(key) {
+  if (queuedWrites.has(key)) return pendingWrites.get(key);
+  queuedWrites.add(key);
+
+  const write = (pendingWrites.get(key) || Promise.resolve())
+    .catch(() => null)
+    .then(() => {
+      queuedWrites.delete(key);
+      return writeStored(key);
+    })
+    .then(() => {
+      failedWrites.delete(key);
+    }, error => {
+      console.error(`Error saving ${key}:`, error);
+      failedWrites.set(key, error);
+      throw error;
+    });
+
+  pendingWrites.set(key, write);
+  // Failures are reported by flushStorage and the async functions
+  write.catch(() => null);
+  return write;
+}
+
+/**
+ * Wait for every background write and report any save that failed
+ *
+ * @returns {Promise<void>} Rejects naming the keys that could not be saved
+ */
+export async function flushStorage() {
+  await Promise.all(
+    Array.from(pendingWrites.values()).map(write => write.catch(() => null))
+  );
+  if (failedWrites.size > 0) {
+    const [first] = failedWrites.values();
+    throw new Error(
+      `Could not save ${Array.from(failedWrites.keys()).join(', ')}: ${first.message}`
+    );
+  }
+}
+
 /**
  * Save data to localStorage with proper error handling
  * 
@@ -22,7 +265,13 @@ const STORAGE_PREFIX = 'neo-vitru-';
  * @returns {boolean} Success status
  */
 export function saveToStorage(key, data, merge = false) {
+  if (isStorageLocked()) {
+    console.error(`Error saving to localStorage (${key}): Storage is locked`);
+    return false;
+  }
+
   try {
+
     // Add prefix to key
     const prefixedKey = `${STORAGE_PREFIX}${key}`;
     
@@ -39,12 +288,31 @@ export function saveToStorage(key, data, merge = false) {
         }
       }
     }
+
+    // Time series are written to IndexedDB in the background
+    if (isTimeSeries(key) && Array.isArray(data)) {
+      seriesCache.set(key, data);
+      revision++;
+      persistInBackground(key);
+      return true;
+    }
+
+    // Encrypted values too, once encrypted
+    if (encryptionKey) {
+      valueCache.set(key, JSON.stringify(data));
+      revision++;
+      persistInBackground(key);
+      return true;
+    }
     
     // Stringify and save
     localStorage.setItem(prefixedKey, JSON.stringify(data));
+    failedWrites.delete(key);
+    revision++;
     return true;
   } catch (error) {
     console.error(`Error saving to localStorage (${key}):`, error);
+    failedWrites.set(key, error);
     return false;
   }
 }
@@ -54,10 +322,22 @@ export function saveToStorage(key, data, merge = false) {
  * 
  * @param {string} key - Storage key (will be prefixed automatically)
  * @param {any} defaultValue - Default value if key doesn't exist
- * @returns {any} The stored data or defaultValue if not found
+ * @returns {any} The stored data or defaultValue if not found, or while
+ *   storage is locked
  */
 export function getFromStorage(key, defaultValue = null) {
   try {
+    if (isStorageLocked()) return defaultValue;
+
+    // Time series held in IndexedDB; a copy, so callers can change it
+    if (isTimeSeries(key) && seriesCache.has(key)) {
+      return [...seriesCache.get(key)];
+    }
+
+    if (encryptionKey) {
+      return valueCache.has(key) ? JSON.parse(valueCache.get(key)) : defaultValue;
+    }
+
     // Add prefix to key
     const prefixedKey = `${STORAGE_PREFIX}${key}`;
     
@@ -80,11 +360,22 @@ export function getFromStorage(key, defaultValue = null) {
  */
 export function removeFromStorage(key) {
   try {
+    if (isStorageLocked()) throw new Error('Storage is locked');
+
     // Add prefix to key
     const prefixedKey = `${STORAGE_PREFIX}${key}`;
+
+    if (isTimeSeries(key)) {
+      seriesCache.delete(key);
+      persistInBackground(key);
+    }
+    if (valueCache.delete(key)) {
+      persistInBackground(key);
+    }
     
     // Remove from localStorage
     localStorage.removeItem(prefixedKey);
+    revision++;
     return true;
   } catch (error) {
     console.error(`Error removing from localStorage (${key}):`, error);
@@ -92,6 +383,302 @@ export function removeFromStorage(key) {
   }
 }
 
+/**
+ * Retrieve data once storage is initialised
+ *
+ * @param {string} key - Storage key (will be prefixed automatically)
+ * @param {any} defaultValue - Default value if key doesn't exist
+ * @returns {Promise<any>} The stored data or defaultValue if not found
+ */
+export async function getFromStorageAsync(key, defaultValue = null) {
+  await initStorage();
+  return getFromStorage(key, defaultValue);
+}
+
+/**
+ * Save data and wait until it is stored
+ *
+ * @param {string} key - Storage key (will be prefixed automatically)
+ * @param {any} data - Data to store
+ * @param {boolean} merge - If true, merges with existing data instead of replacing
+ * @returns {Promise<void>} Rejects when the data could not be saved, e.g.
+ *   because the storage quota is used up
+ */
+export async function saveToStorageAsync(key, data, merge = false) {
+  await initStorage();
+  saveToStorage(key, data, merge);
+  if (pendingWrites.has(key)) await pendingWrites.get(key);
+  if (failedWrites.has(key)) throw failedWrites.get(key);
+}
+
+/**
+ * Remove data and wait until it is removed
+ *
+ * @param {string} key - Storage key (will be prefixed automatically)
+ * @returns {Promise<void>}
+ */
+export async function removeFromStorageAsync(key) {
+  await initStorage();
+  removeFromStorage(key);
+  if (pendingWrites.has(key)) await pendingWrites.get(key);
+}
+
+/**
+ * Get the records of a time series dated within a range, oldest first
+ *
+ * Uses the timestamp index when the series is in IndexedDB.
+ *
+ * @param {string} key - Storage key (will be prefixed automatically)
+ * @param {Object} range
+ * @param {Date|string|number} range.from - Earliest date (inclusive)
+ * @param {Date|string|number} range.to - Latest date (inclusive)
+ * @returns {Promise<Array>} The records
+ */
+export async function queryTimeSeries(key, { from = null, to = null } = {}) {
+  await initStorage();
+
+  if (isTimeSeries(key) && !isStorageLocked()) {
+    // Let pending saves land first so the query sees them
+    if (pendingWrites.has(key)) await pendingWrites.get(key).catch(() => null);
+    const entries = await querySeries(database, `${STORAGE_PREFIX}${key}`, { from, to });
+    return Promise.all(entries.map(entry =>
+      isEncryptedValue(entry) ? decryptValue(encryptionKey, entry) : entry
+    ));
+  }
+
+  const start = from === null ? -Infinity : new Date(from).getTime();
+  const end = to === null ? Infinity : new Date(to).getTime();
+  return getFromStorage(key, [])
+    .map(record => ({ record, time: new Date(record.date).getTime() }))
+    .filter(({ time }) => time >= start && time <= end)
+    .sort((a, b) => a.time - b.time)
+    .map(({ record }) => record);
+}
+
+/**
+ * Check whether stored data is encrypted
+ *
+ * @returns {boolean}
+ */
+export function isEncryptionEnabled() {
+  return getEncryptionSettings() !== null;
+}
+
+/**
+ * Check whether stored data is encrypted and waiting for the passphrase
+ *
+ * @returns {boolean}
+ */
+export function isStorageLocked() {
+  return encryptionKey === null && isEncryptionEnabled();
+}
+
+/**
+ * Listen for storage being locked, unlocked, encrypted or decrypted
+ *
+ * @param {Function} listener - Called without arguments
+ * @returns {Function} Stops listening
+ */
+export function subscribeToStorageLock(listener) {
+  lockListeners.add(listener);
+  return () => {
+    lockListeners.delete(listener);
+  };
+}
+
+/**
+ * Get how long the app may sit idle before storage locks itself
+ *
+ * @returns {number} Minutes, 0 for never
+ */
+export function getAutoLockMinutes() {
+  const settings = getEncryptionSettings();
+  return settings ? settings.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES : 0;
+}
+
+/**
+ * Change how long the app may sit idle before storage locks itself
+ *
+ * @param {number} minutes - Minutes, 0 for never
+ */
+export function setAutoLockMinutes(minutes) {
+  const settings = getEncryptionSettings();
+  if (!settings) return;
+  localStorage.setItem(
+    ENCRYPTION_SETTINGS_KEY,
+    JSON.stringify({ ...settings, autoLockMinutes: Math.max(0, Number(minutes) || 0) })
+  );
+  notifyLockListeners();
+}
+
+async function deriveCheckedKey(passphrase, settings) {
+  const key = await deriveKey(passphrase, settings.salt, settings.iterations);
+  try {
+    await decryptValue(key, settings.check);
+  } catch (error) {
+    throw new Error('Wrong passphrase');
+  }
+  return key;
+}
+
+// Every prefixed localStorage key but the encryption settings
+function getLocalStorageKeys() {
+  return Object.keys(localStorage)
+    .filter(key => key.startsWith(STORAGE_PREFIX) && key !== ENCRYPTION_SETTINGS_KEY)
+    .map(key => key.slice(STORAGE_PREFIX.length));
+}
+
+/**
+ * Unlock encrypted storage
+ *
+ * @param {string} passphrase
+ * @returns {Promise<void>} Rejects with 'Wrong passphrase'
+ */
+export async function unlockStorage(passphrase) {
+  await initStorage();
+  const settings = getEncryptionSettings();
+  if (!settings || encryptionKey) return;
+
+  const key = await deriveCheckedKey(passphrase, settings);
+
+  // Values saved before encryption was finished are still in plaintext
+  const values = new Map();
+  for (const name of getLocalStorageKeys()) {
+    const stored = JSON.parse(localStorage.getItem(`${STORAGE_PREFIX}${name}`));
+    const value = isEncryptedValue(stored) ? await decryptValue(key, stored) : stored;
+    values.set(name, JSON.stringify(value));
+  }
+  const series = new Map();
+  const sealed = new WeakMap();
+  // Series kept as one envelope by older versions, or partly in plaintext
+  const unsealed = [];
+  if (database) {
+    for (const name of TIME_SERIES_KEYS) {
+      const stored = await readSeries(database, `${STORAGE_PREFIX}${name}`);
+      const entries = stored.records;
+      let records = await Promise.all(entries.map(entry =>
+        isEncryptedValue(entry) ? decryptValue(key, entry) : entry
+      ));
+      if (records.length === 1 && Array.isArray(records[0])) {
+        records = records[0];
+        unsealed.push(name);
+      } else {
+        records.forEach((record, index) => {
+          if (record !== entries[index]) sealed.set(record, entries[index]);
+        });
+        if (records.some((record, index) => record === entries[index])) {
+          unsealed.push(name);
+        }
+      }
+      storedSeries.set(name, stored);
+      if (records.length > 0) series.set(name, records);
+    }
+  }
+
+  values.forEach((json, name) => valueCache.set(name, json));
+  series.forEach((records, name) => seriesCache.set(name, records));
+  sealedRecords = sealed;
+  encryptionKey = key;
+  unsealed.forEach(name => persistInBackground(name));
+  revision++;
+  notifyLockListeners();
+}
+
+/**
+ * Lock encrypted storage, forgetting the key and every decrypted value
+ *
+ * @returns {Promise<void>} Resolves once pending saves are written
+ */
+export async function lockStorage() {
+  if (!encryptionKey) return;
+
+  try {
+    await flushStorage();
+  } catch (error) {
+    console.error('Error saving before locking storage:', error);
+  }
+  encryptionKey = null;
+  valueCache.clear();
+  seriesCache.clear();
+  sealedRecords = new WeakMap();
+  revision++;
+  notifyLockListeners();
+}
+
+/**
+ * Encrypt all stored data with a passphrase
+ *
+ * There is no way to recover the data without the passphrase.
+ *
+ * @param {string} passphrase - At least MIN_PASSPHRASE_LENGTH characters
+ * @param {Object} options
+ * @param {number} options.iterations - PBKDF2 iterations
+ * @param {number} options.autoLockMinutes - Idle minutes before locking
+ * @returns {Promise<void>} Resolves once everything is encrypted
+ */
+export async function enableEncryption(passphrase, {
+  iterations = DEFAULT_PBKDF2_ITERATIONS,
+  autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES
+} = {}) {
+  await initStorage();
+  if (isEncryptionEnabled()) throw new Error('Stored data is already encrypted');
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  await flushStorage();
+
+  const salt = createSalt();
+  const key = await deriveKey(passphrase, salt, iterations);
+  const check = await encryptValue(key, CHECK_VALUE);
+
+  // Hold every value in memory and write it back encrypted
+  getLocalStorageKeys().forEach(name => {
+    valueCache.set(name, localStorage.getItem(`${STORAGE_PREFIX}${name}`));
+  });
+  sealedRecords = new WeakMap();
+  encryptionKey = key;
+  localStorage.setItem(
+    ENCRYPTION_SETTINGS_KEY,
+    JSON.stringify({ salt, iterations, check, autoLockMinutes })
+  );
+  [...valueCache.keys(), ...(database ? seriesCache.keys() : [])]
+    .forEach(name => persistInBackground(name));
+
+  revision++;
+  notifyLockListeners();
+  await flushStorage();
+}
+
+/**
+ * Store data in plaintext again
+ *
+ * @param {string} passphrase - The current passphrase
+ * @returns {Promise<void>} Rejects with 'Wrong passphrase'
+ */
+export async function disableEncryption(passphrase) {
+  const settings = getEncryptionSettings();
+  if (!settings) return;
+  if (!encryptionKey) throw new Error('Storage is locked');
+
+  await deriveCheckedKey(passphrase, settings);
+  await flushStorage();
+
+  valueCache.forEach((json, name) => {
+    localStorage.setItem(`${STORAGE_PREFIX}${name}`, json);
+  });
+  encryptionKey = null;
+  valueCache.clear();
+  sealedRecords = new WeakMap();
+  localStorage.removeItem(ENCRYPTION_SETTINGS_KEY);
+  if (database) {
+    Array.from(seriesCache.keys()).forEach(name => persistInBackground(name));
+  }
+
+  revision++;
+  notifyLockListeners();
+  await flushStorage();
+}
+
 /**
  * Clear all app data from localStorage
  * Only removes items with the app's prefix
@@ -109,6 +696,21 @@ export function clearAppStorage() {
         localStorage.removeItem(key);
       }
     });
+
+    // The encryption settings went too, so nothing is encrypted any more
+    // and locked storage can be cleared as well
+    encryptionKey = null;
+    valueCache.clear();
+    sealedRecords = new WeakMap();
+    failedWrites.clear();
+    if (database) {
+      TIME_SERIES_KEYS.forEach(key => {
+        seriesCache.delete(key);
+        persistInBackground(key);
+      });
+    }
+    revision++;
+    notifyLockListeners();
     
     return true;
   } catch (error) {
@@ -120,14 +722,15 @@ export function clearAppStorage() {
 /**
  * Get all app storage keys
  * 
- * @returns {string[]} Array of storage keys (without prefix)
+ * @returns {string[]} Array of storage keys (without prefix), none while locked
  */
 export function getStorageKeys() {
   try {
-    const keys = Object.keys(localStorage);
-    return keys
-      .filter(key => key.startsWith(STORAGE_PREFIX))
-      .map(key => key.replace(STORAGE_PREFIX, ''));
+    if (isStorageLocked()) return [];
+    const keys = encryptionKey
+      ? Array.from(valueCache.keys())
+      : getLocalStorageKeys();
+    return keys.concat(Array.from(seriesCache.keys()));
   } catch (error) {
     console.error('Error getting storage keys:', error);
     return [];
@@ -211,13 +814,25 @@ export function saveHabitData(key, data) {
   return saveToStorage(key, data);
 }
 
+/**
+ * Get the day a check-in counts for, in the browser's time zone
+ * 
+ * Check-ins, streaks and their histories all store days in this form.
+ * 
+ * @param {Date} date - When the check-in happened
+ * @returns {string} Day in 'YYYY-MM-DD' format
+ */
+export function getCheckInDay(date = new Date()) {
+  return getLocalDay(date);
+}
+
 /**
  * Add a check-in and update streak
  * 
  * @returns {object} Updated streak data
  */
 export function recordCheckIn() {
-  const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
+  const today = getCheckInDay();
   
   // Get current streak data
   const streakData = getHabitData(STORAGE_KEYS.STREAK_DATA);
@@ -231,7 +846,7 @@ export function recordCheckIn() {
   // Calculate new streak
   const yesterday = new Date();
   yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayString = yesterday.toISOString().split('T')[0];
+  const yesterdayString = getCheckInDay(yesterday);
   
   let newStreak = streakData.currentStreak;
   if (checkIns.lastCheckIn === yesterdayString) {
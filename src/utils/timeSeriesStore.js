@@ -0,0 +1,212 @@
+// src/utils/timeSeriesStore.js
+
+/**
+ * IndexedDB object stores for time series
+ *
+ * Every collection of dated records gets its own object store, named like
+ * its localStorage key (prefix included). Records are kept in the order
+ * they were saved, each wrapped as { timestamp, record } with an index on
+ * the timestamp (epoch ms of record.date) for range queries. Records
+ * without a valid date are stored but left out of the index.
+ *
+ * Saving a series only writes what changed since it was last read or
+ * written: readSeries and writeSeries return the records with their
+ * primary keys, and writeSeries compares the new records with those by
+ * identity, putting changed records under their key, adding appended ones
+ * and deleting dropped ones. Records are therefore replaced, never changed
+ * in place, once saved.
+ *
+ * storageUtils decides which keys live here; this module only talks to
+ * IndexedDB.
+ */
+
+const DB_NAME = "neo-vitru-timeseries";
+
+export const TIMESTAMP_INDEX = "timestamp";
+
+// Collections of dated records (see dataImportService.STORAGE_KEYS)
+export const TIME_SERIES_KEYS = [
+  "heart-rate-data",
+  "step-count-data",
+  "weight-data",
+  "sleep-data",
+  "vo2max-data",
+  "workout-data",
+  "nutrition-data",
+  "resting-heart-rate-data",
+  "hrv-data",
+  "respiratory-rate-data",
+  "temperature-deviation-data",
+  "strain-data",
+  "body-composition-history",
+  "activity-summary-data",
+  "ecg-data",
+];
+
+/**
+ * Check whether this environment has IndexedDB
+ *
+ * @returns {boolean}
+ */
+export function isIndexedDbAvailable() {
+  return typeof indexedDB !== "undefined" && indexedDB !== null;
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function completion(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(transaction.error || new Error("IndexedDB transaction aborted"));
+  });
+}
+
+function openDatabase(version, storeNames) {
+  const request =
+    version === undefined
+      ? indexedDB.open(DB_NAME)
+      : indexedDB.open(DB_NAME, version);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    storeNames.forEach((name) => {
+      if (db.objectStoreNames.contains(name)) return;
+      const store = db.createObjectStore(name, { autoIncrement: true });
+      store.createIndex(TIMESTAMP_INDEX, "timestamp");
+    });
+  };
+  return promisifyRequest(request);
+}
+
+/**
+ * Open the database with an object store for each name
+ *
+ * Stores missing from an existing database are added by upgrading it to
+ * the next version, so new time series need no version bookkeeping.
+ *
+ * @param {string[]} storeNames - Object store names
+ * @returns {Promise<IDBDatabase>}
+ */
+export async function openTimeSeriesDb(storeNames) {
+  const db = await openDatabase(undefined, storeNames);
+  const missing = storeNames.filter(
+    (name) => !db.objectStoreNames.contains(name)
+  );
+  if (missing.length === 0) return db;
+
+  const nextVersion = db.version + 1;
+  db.close();
+  return openDatabase(nextVersion, storeNames);
+}
+
+function toEntry(record) {
+  const timestamp = new Date(record && record.date).getTime();
+  return isNaN(timestamp) ? { record } : { timestamp, record };
+}
+
+/**
+ * Read every record of a store in the order they were saved
+ *
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @returns {Promise<Object>} { keys, records }, the records with their
+ *   primary keys, for writeSeries
+ */
+export async function readSeries(db, storeName) {
+  const store = db.transaction(storeName, "readonly").objectStore(storeName);
+  // Both in primary key order, which is the order records were saved in
+  const [keys, entries] = await Promise.all([
+    promisifyRequest(store.getAllKeys()),
+    promisifyRequest(store.getAll()),
+  ]);
+  return { keys, records: entries.map(({ record }) => record) };
+}
+
+/**
+ * Replace the records of a store
+ *
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {Array} records - Records to keep, in order
+ * @param {Object} stored - { keys, records } the store held, from the last
+ *   readSeries or writeSeries; without it the store is rewritten
+ * @returns {Promise<Object>} { keys, records } now stored, once committed
+ */
+export function writeSeries(db, storeName, records, stored = null) {
+  const transaction = db.transaction(storeName, "readwrite");
+  const store = transaction.objectStore(storeName);
+  const keys = [];
+
+  let previous = stored || { keys: [], records: [] };
+  if (!stored || records.length === 0) {
+    store.clear();
+    previous = { keys: [], records: [] };
+  }
+
+  records.forEach((record, index) => {
+    if (index < previous.records.length) {
+      keys.push(previous.keys[index]);
+      if (record !== previous.records[index]) {
+        store.put(toEntry(record), previous.keys[index]);
+      }
+      return;
+    }
+    const request = store.add(toEntry(record));
+    keys.push(null);
+    request.onsuccess = () => {
+      keys[index] = request.result;
+    };
+  });
+  previous.keys.slice(records.length).forEach((key) => store.delete(key));
+
+  return completion(transaction).then(() => ({
+    keys,
+    records: [...records],
+  }));
+}
+
+/**
+ * Read the records of a store dated within a range, oldest first
+ *
+ * @param {IDBDatabase} db
+ * @param {string} storeName
+ * @param {Object} range
+ * @param {Date|string|number} range.from - Earliest date (inclusive)
+ * @param {Date|string|number} range.to - Latest date (inclusive)
+ * @returns {Promise<Array>} The records
+ */
+export async function querySeries(db, storeName, { from, to } = {}) {
+  const lower = from === undefined || from === null ? null : toTime(from);
+  const upper = to === undefined || to === null ? null : toTime(to);
+
+  let range = null;
+  if (lower !== null && upper !== null) {
+    range = IDBKeyRange.bound(lower, upper);
+  } else if (lower !== null) {
+    range = IDBKeyRange.lowerBound(lower);
+  } else if (upper !== null) {
+    range = IDBKeyRange.upperBound(upper);
+  }
+
+  const entries = await promisifyRequest(
+    db
+      .transaction(storeName, "readonly")
+      .objectStore(storeName)
+      .index(TIMESTAMP_INDEX)
+      .getAll(range)
+  );
+  return entries.map(({ record }) => record);
+}
+
+function toTime(value) {
+  const time = new Date(value).getTime();
+  if (isNaN(time)) throw new Error(`Invalid date: ${value}`);
+  return time;
+}
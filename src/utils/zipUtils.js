@@ -0,0 +1,249 @@
+// src/utils/zipUtils.js
+
+/**
+ * Minimal ZIP archive reader for File/Blob objects
+ *
+ * Only the central directory is read up front; entry data is streamed on
+ * demand from Blob slices and inflated with the browser's native
+ * DecompressionStream, so archives larger than memory can be processed.
+ * Supports stored and deflated entries and ZIP64 sizes/offsets.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const ZIP64_MARKER = 0xffffffff;
+
+export const ZIP_METHOD_STORED = 0;
+export const ZIP_METHOD_DEFLATE = 8;
+
+/**
+ * Read a byte range of a Blob into a DataView
+ */
+async function readRange(blob, start, end) {
+  const slice = blob.slice(start, end);
+  const buffer =
+    typeof slice.arrayBuffer === "function"
+      ? await slice.arrayBuffer()
+      : await new Response(slice).arrayBuffer();
+  return new DataView(buffer);
+}
+
+/**
+ * Read a little-endian 64-bit integer (safe up to 2^53)
+ */
+function getUint64(view, offset) {
+  return (
+    view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32
+  );
+}
+
+/**
+ * Check whether a Blob starts with a ZIP local file header
+ *
+ * @param {Blob} blob - File to inspect
+ * @returns {Promise<boolean>} True if the file looks like a ZIP archive
+ */
+export async function isZipFile(blob) {
+  if (!blob || blob.size < 4) return false;
+  const view = await readRange(blob, 0, 4);
+  return view.getUint32(0, true) === LOCAL_HEADER_SIGNATURE;
+}
+
+/**
+ * Locate the end of central directory record and resolve ZIP64 values
+ */
+async function readDirectoryLocation(blob) {
+  const tailStart = Math.max(0, blob.size - EOCD_SIZE - MAX_COMMENT_SIZE);
+  const tail = await readRange(blob, tailStart, blob.size);
+
+  let eocdOffset = -1;
+  for (let i = tail.byteLength - EOCD_SIZE; i >= 0; i--) {
+    if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocdOffset = i;
+      break;
+    }
+  }
+
+  if (eocdOffset === -1) {
+    throw new Error(
+      "Not a valid ZIP archive: end of central directory not found"
+    );
+  }
+
+  let entryCount = tail.getUint16(eocdOffset + 10, true);
+  let directorySize = tail.getUint32(eocdOffset + 12, true);
+  let directoryOffset = tail.getUint32(eocdOffset + 16, true);
+
+  // ZIP64 archives keep the real values in a separate record
+  const locatorOffset = eocdOffset - 20;
+  if (
+    locatorOffset >= 0 &&
+    tail.getUint32(locatorOffset, true) === ZIP64_EOCD_LOCATOR_SIGNATURE
+  ) {
+    const zip64Offset = getUint64(tail, locatorOffset + 8);
+    const zip64 = await readRange(blob, zip64Offset, zip64Offset + 56);
+
+    if (zip64.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error("Not a valid ZIP archive: corrupt ZIP64 directory");
+    }
+
+    entryCount = getUint64(zip64, 32);
+    directorySize = getUint64(zip64, 40);
+    directoryOffset = getUint64(zip64, 48);
+  }
+
+  return { entryCount, directorySize, directoryOffset };
+}
+
+/**
+ * Apply values from a ZIP64 extended information extra field
+ */
+function applyZip64Extra(view, start, length, entry) {
+  let offset = start;
+  const end = start + length;
+
+  while (offset + 4 <= end) {
+    const headerId = view.getUint16(offset, true);
+    const size = view.getUint16(offset + 2, true);
+    let field = offset + 4;
+
+    if (headerId === 0x0001) {
+      if (entry.uncompressedSize === ZIP64_MARKER) {
+        entry.uncompressedSize = getUint64(view, field);
+        field += 8;
+      }
+      if (entry.compressedSize === ZIP64_MARKER) {
+        entry.compressedSize = getUint64(view, field);
+        field += 8;
+      }
+      if (entry.localHeaderOffset === ZIP64_MARKER) {
+        entry.localHeaderOffset = getUint64(view, field);
+      }
+      return;
+    }
+
+    offset += 4 + size;
+  }
+}
+
+/**
+ * List the entries of a ZIP archive
+ *
+ * @param {Blob} blob - The archive
+ * @returns {Promise<Array>} Entries with name, method, sizes and header offset
+ */
+export async function readZipEntries(blob) {
+  const { entryCount, directorySize, directoryOffset } =
+    await readDirectoryLocation(blob);
+  const view = await readRange(
+    blob,
+    directoryOffset,
+    directoryOffset + directorySize
+  );
+  const decoder = new TextDecoder("utf-8");
+  const entries = [];
+
+  let offset = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error("Not a valid ZIP archive: corrupt central directory");
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const nameStart = offset + 46;
+
+    const entry = {
+      name: decoder.decode(
+        new Uint8Array(view.buffer, nameStart, nameLength)
+      ),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      uncompressedSize: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true),
+    };
+    applyZip64Extra(view, nameStart + nameLength, extraLength, entry);
+    entry.isDirectory = entry.name.endsWith("/");
+
+    entries.push(entry);
+    offset = nameStart + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Open a readable byte stream over an entry's uncompressed contents
+ *
+ * @param {Blob} blob - The archive
+ * @param {Object} entry - Entry returned by readZipEntries
+ * @param {Object} options
+ * @param {Function} options.onBytes - Called with the number of compressed
+ *   bytes consumed each time a chunk is read from the archive
+ * @returns {Promise<ReadableStream>} Stream of Uint8Array chunks
+ */
+export async function openZipEntryStream(blob, entry, { onBytes } = {}) {
+  const header = await readRange(
+    blob,
+    entry.localHeaderOffset,
+    entry.localHeaderOffset + 30
+  );
+
+  if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+  }
+
+  const dataStart =
+    entry.localHeaderOffset +
+    30 +
+    header.getUint16(26, true) +
+    header.getUint16(28, true);
+
+  let stream = blob
+    .slice(dataStart, dataStart + entry.compressedSize)
+    .stream();
+
+  if (onBytes) {
+    stream = stream.pipeThrough(
+      new TransformStream({
+        transform(chunk, controller) {
+          onBytes(chunk.byteLength);
+          controller.enqueue(chunk);
+        },
+      })
+    );
+  }
+
+  if (entry.method === ZIP_METHOD_STORED) return stream;
+
+  if (entry.method === ZIP_METHOD_DEFLATE) {
+    if (typeof DecompressionStream === "undefined") {
+      throw new Error("This browser cannot decompress ZIP archives");
+    }
+    return stream.pipeThrough(new DecompressionStream("deflate-raw"));
+  }
+
+  throw new Error(
+    `Unsupported compression method ${entry.method} for ${entry.name}`
+  );
+}
+
+/**
+ * Read an entry's contents as text
+ *
+ * @param {Blob} blob - The archive
+ * @param {Object} entry - Entry returned by readZipEntries
+ * @param {Object} options - Passed through to openZipEntryStream
+ * @returns {Promise<string>} Decoded UTF-8 text
+ */
+export async function readZipEntryText(blob, entry, options) {
+  const stream = await openZipEntryStream(blob, entry, options);
+  return new Response(stream).text();
+}
@@ -0,0 +1,94 @@
+// src/workers/appleHealthExportWorker.js
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Web worker that streams an Apple Health export off the main thread
+ *
+ * Accepts either the export.xml file itself or the export.zip archive the
+ * Health app produces. The page posts { type: 'preview', file } to count
+ * what the export holds without keeping its records, then, once the user
+ * confirms, { type: 'import', file } to read it again and receive the
+ * records in batches. Each batch has to be answered with { type: 'ack' }
+ * before the worker reads on, so no more than one batch is ever in flight.
+ *
+ * Messages posted back to the page:
+ * - { type: 'status', message }
+ * - { type: 'progress', percent, bytesRead, totalBytes, records }
+ * - { type: 'batch', records }  (import only; records as processImport's)
+ * - { type: 'complete', result }  (processImport result without records)
+ * - { type: 'error', message }
+ */
+
+import { processImport } from "../services/importEngine";
+import { isZipFile } from "../utils/zipUtils";
+
+// Resolves the batch the page is saving once it acknowledges it
+let acknowledge = null;
+
+function createProgressReporter(getRecordCount) {
+  let lastPercent = -1;
+
+  return ({ bytesRead, totalBytes, percent }) => {
+    if (percent === lastPercent) return;
+    lastPercent = percent;
+    self.postMessage({
+      type: "progress",
+      percent,
+      bytesRead,
+      totalBytes,
+      records: getRecordCount(),
+    });
+  };
+}
+
+function countRecords(records) {
+  return Object.values(records).reduce(
+    (total, items) => total + items.length,
+    0
+  );
+}
+
+async function readExport(file, sendRecords) {
+  const isZip = await isZipFile(file);
+  self.postMessage({
+    type: "status",
+    message: isZip ? "Reading ZIP archive..." : "Parsing XML data...",
+  });
+
+  let recordCount = 0;
+  // Sniff the content rather than trusting the extension
+  return processImport(
+    { name: file.name, format: isZip ? "zip" : "xml", content: file },
+    {
+      onProgress: createProgressReporter(() => recordCount),
+      onBatch: async (records) => {
+        recordCount += countRecords(records);
+        if (!sendRecords) return;
+
+        const saved = new Promise((resolve) => {
+          acknowledge = resolve;
+        });
+        self.postMessage({ type: "batch", records });
+        await saved;
+      },
+    }
+  );
+}
+
+self.onmessage = async (event) => {
+  const message = event.data;
+
+  if (message.type === "ack") {
+    const resolve = acknowledge;
+    acknowledge = null;
+    if (resolve) resolve();
+    return;
+  }
+
+  try {
+    const result = await readExport(message.file, message.type === "import");
+    self.postMessage({ type: "complete", result });
+  } catch (error) {
+    self.postMessage({ type: "error", message: error.message });
+  }
+};